@@ -67,6 +67,103 @@ export const SPLIT_ROUTE_ABI = [
     }
 ];
 
+// ============================================
+// POOL STATE ABIs
+// ============================================
+
+/**
+ * Swapper pool price ABI
+ * Reads the current sqrtPriceX96 of a pool
+ */
+export const POOL_PRICE_ABI = [
+    {
+        "inputs": [
+            {"internalType": "address", "name": "token", "type": "address"},
+            {"internalType": "address", "name": "token2", "type": "address"},
+            {"internalType": "address", "name": "hookAddress", "type": "address"}
+        ],
+        "name": "getsqrtPricex96",
+        "outputs": [{"internalType": "uint160", "name": "", "type": "uint160"}],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
+
+/**
+ * Hook fee ABI
+ * Reads the dynamic LP fee (in hundredths of a bip) the hook charges on a pool
+ */
+export const HOOK_FEE_ABI = [
+    {
+        "inputs": [
+            {
+                "name": "poolKey",
+                "type": "tuple",
+                "components": [
+                    {"name": "currency0", "type": "address"},
+                    {"name": "currency1", "type": "address"},
+                    {"name": "fee", "type": "uint24"},
+                    {"name": "tickSpacing", "type": "int24"},
+                    {"name": "hooks", "type": "address"}
+                ]
+            }
+        ],
+        "name": "getCurrentPoolFee",
+        "outputs": [{"name": "currentFee", "type": "uint24"}],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
+
+/**
+ * Uniswap V4 StateView ABI
+ * Reads slot0, active liquidity, tick bitmap words and per-tick liquidity by pool id
+ */
+export const STATE_VIEW_ABI = [
+    {
+        "inputs": [{"internalType": "bytes32", "name": "poolId", "type": "bytes32"}],
+        "name": "getSlot0",
+        "outputs": [
+            {"internalType": "uint160", "name": "sqrtPriceX96", "type": "uint160"},
+            {"internalType": "int24", "name": "tick", "type": "int24"},
+            {"internalType": "uint24", "name": "protocolFee", "type": "uint24"},
+            {"internalType": "uint24", "name": "lpFee", "type": "uint24"}
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [{"internalType": "bytes32", "name": "poolId", "type": "bytes32"}],
+        "name": "getLiquidity",
+        "outputs": [{"internalType": "uint128", "name": "liquidity", "type": "uint128"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {"internalType": "bytes32", "name": "poolId", "type": "bytes32"},
+            {"internalType": "int16", "name": "tick", "type": "int16"}
+        ],
+        "name": "getTickBitmap",
+        "outputs": [{"internalType": "uint256", "name": "tickBitmap", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {"internalType": "bytes32", "name": "poolId", "type": "bytes32"},
+            {"internalType": "int24", "name": "tick", "type": "int24"}
+        ],
+        "name": "getTickLiquidity",
+        "outputs": [
+            {"internalType": "uint128", "name": "liquidityGross", "type": "uint128"},
+            {"internalType": "int128", "name": "liquidityNet", "type": "int128"}
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
+
 // ============================================
 // MULTICALL ABIs
 // ============================================
@@ -313,6 +410,115 @@ export const POSITION_FINDER_ABI = [
     }
 ];
 
+// ============================================
+// CUSTOM ERROR ABIs
+// ============================================
+
+/**
+ * Uniswap V4 PoolManager errors, including the library errors it reverts with
+ * Hook reverts reach callers wrapped in WrappedError.
+ */
+export const POOL_MANAGER_ERRORS_ABI = [
+    "error CurrencyNotSettled()",
+    "error PoolNotInitialized()",
+    "error PoolAlreadyInitialized()",
+    "error AlreadyUnlocked()",
+    "error ManagerLocked()",
+    "error TickSpacingTooLarge(int24 tickSpacing)",
+    "error TickSpacingTooSmall(int24 tickSpacing)",
+    "error CurrenciesOutOfOrderOrEqual(address currency0, address currency1)",
+    "error UnauthorizedDynamicLPFeeUpdate()",
+    "error SwapAmountCannotBeZero()",
+    "error NonzeroNativeValue()",
+    "error MustClearExactPositiveDelta()",
+    "error InvalidSqrtPrice(uint160 sqrtPriceX96)",
+    "error InvalidTick(int24 tick)",
+    "error PriceLimitAlreadyExceeded(uint160 sqrtPriceCurrentX96, uint160 sqrtPriceLimitX96)",
+    "error PriceLimitOutOfBounds(uint160 sqrtPriceLimitX96)",
+    "error NoLiquidityToReceiveFees()",
+    "error InvalidFeeForExactOut()",
+    "error LPFeeTooLarge(uint24 fee)",
+    "error TicksMisordered(int24 tickLower, int24 tickUpper)",
+    "error TickLowerOutOfBounds(int24 tickLower)",
+    "error TickUpperOutOfBounds(int24 tickUpper)",
+    "error TickLiquidityOverflow(int24 tick)",
+    "error CannotUpdateEmptyPosition()",
+    "error SafeCastOverflow()",
+    "error NativeTransferFailed()",
+    "error ERC20TransferFailed()",
+    "error WrappedError(address target, bytes4 selector, bytes reason, bytes details)"
+];
+
+/**
+ * Errors from the V4 hook base contract and the PoolManager's hook calls
+ */
+export const HOOK_ERRORS_ABI = [
+    "error NotPoolManager()",
+    "error HookNotImplemented()",
+    "error InvalidPool()",
+    "error LockFailure()",
+    "error NotSelf()",
+    "error HookAddressNotValid(address hooks)",
+    "error InvalidHookResponse()",
+    "error HookCallFailed()",
+    "error HookDeltaExceedsSwapAmount()"
+];
+
+/**
+ * Uniswap V4 PositionManager errors
+ */
+export const POSITION_MANAGER_ERRORS_ABI = [
+    "error NotApproved(address caller)",
+    "error DeadlinePassed(uint256 deadline)",
+    "error PoolManagerMustBeLocked()",
+    "error InputLengthMismatch()",
+    "error UnsupportedAction(uint256 action)",
+    "error ContractLocked()",
+    "error DeltaNotPositive(address currency)",
+    "error DeltaNotNegative(address currency)",
+    "error InsufficientBalance()",
+    "error MaximumAmountExceeded(uint128 maximumAmount, uint128 amountRequested)",
+    "error MinimumAmountInsufficient(uint128 minimumAmount, uint128 amountReceived)",
+    "error V4TooLittleReceived(uint256 minAmountOutReceived, uint256 amountReceived)",
+    "error V4TooMuchRequested(uint256 maxAmountInRequested, uint256 amountRequested)",
+    "error NonceAlreadyUsed()",
+    "error SignatureDeadlineExpired()",
+    "error NoSelfPermit()",
+    "error Unauthorized()"
+];
+
+/**
+ * Permit2 errors
+ */
+export const PERMIT2_ERRORS_ABI = [
+    "error AllowanceExpired(uint256 deadline)",
+    "error InsufficientAllowance(uint256 amount)",
+    "error ExcessiveInvalidation()",
+    "error SignatureExpired(uint256 signatureDeadline)",
+    "error InvalidNonce()",
+    "error InvalidAmount(uint256 maxAmount)",
+    "error LengthMismatch()",
+    "error InvalidSignature()",
+    "error InvalidSigner()",
+    "error InvalidSignatureLength()",
+    "error InvalidContractSignature()"
+];
+
+/**
+ * Token, NFT and access errors the staking contract (and token transfers in
+ * general) can revert with; its own checks revert with Error(string) messages
+ */
+export const STAKING_ERRORS_ABI = [
+    "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+    "error SafeERC20FailedOperation(address token)",
+    "error ERC721InsufficientApproval(address operator, uint256 tokenId)",
+    "error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)",
+    "error ERC721NonexistentToken(uint256 tokenId)",
+    "error OwnableUnauthorizedAccount(address account)",
+    "error ReentrancyGuardReentrantCall()"
+];
+
 // ============================================
 // Note: Additional specialized ABIs
 // ============================================
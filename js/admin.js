@@ -12,6 +12,7 @@
 import { hookAddress, contractAddressLPRewardsStaking, tokenAddresses } from './config.js';
 import { showSuccessNotification, showErrorNotification, showInfoNotification } from './ui.js';
 import { connectWallet } from './wallet.js';
+import { preflightTransaction } from './contracts.js';
 
 // ============================================
 // STATE VARIABLES
@@ -291,6 +292,9 @@ export async function updateAdminFeeForPool() {
         // Create contract instance
         const hookContract = new ethers.Contract(hookAddress, HOOK_ABI, window.signer);
 
+        const populatedTx = await hookContract.populateTransaction.forceUpdateLPFee(poolKey, feeValue);
+        if (!(await preflightTransaction(populatedTx, { label: 'Update Pool Fee' }))) return;
+
         showInfoNotification('Updating Fee', 'Please confirm the transaction in your wallet');
 
         const tx = await hookContract.forceUpdateLPFee(poolKey, feeValue);
@@ -342,6 +346,9 @@ export async function updateAdminFeeForPool0xBTCETH() {
         // Create contract instance
         const hookContract = new ethers.Contract(hookAddress, HOOK_ABI, window.signer);
 
+        const populatedTx = await hookContract.populateTransaction.forceUpdateLPFee(poolKey, feeValue);
+        if (!(await preflightTransaction(populatedTx, { label: 'Update Pool Fee' }))) return;
+
         showInfoNotification('Updating Fee', 'Please confirm the transaction in your wallet');
 
         const tx = await hookContract.forceUpdateLPFee(poolKey, feeValue);
@@ -393,6 +400,9 @@ export async function updateAdminFeeForPoolB0xETH() {
         // Create contract instance
         const hookContract = new ethers.Contract(hookAddress, HOOK_ABI, window.signer);
 
+        const populatedTx = await hookContract.populateTransaction.forceUpdateLPFee(poolKey, feeValue);
+        if (!(await preflightTransaction(populatedTx, { label: 'Update Pool Fee' }))) return;
+
         showInfoNotification('Updating Fee', 'Please confirm the transaction in your wallet');
 
         const tx = await hookContract.forceUpdateLPFee(poolKey, feeValue);
@@ -444,6 +454,9 @@ export async function updateAdminFeeForPoolR0xBTC0xBTC() {
         // Create contract instance
         const hookContract = new ethers.Contract(hookAddress, HOOK_ABI, window.signer);
 
+        const populatedTx = await hookContract.populateTransaction.forceUpdateLPFee(poolKey, feeValue);
+        if (!(await preflightTransaction(populatedTx, { label: 'Update Pool Fee' }))) return;
+
         showInfoNotification('Updating Fee', 'Please confirm the transaction in your wallet');
 
         const tx = await hookContract.forceUpdateLPFee(poolKey, feeValue);
@@ -498,6 +511,9 @@ export async function addERC20ToStakingContract() {
             window.signer
         );
 
+        const populatedTx = await lpRewardsContract.populateTransaction.addRewardToken(tokenAddress);
+        if (!(await preflightTransaction(populatedTx, { label: 'Add Reward Token' }))) return;
+
         showInfoNotification('Adding Token', 'Please confirm the transaction in your wallet');
 
         const tx = await lpRewardsContract.addRewardToken(tokenAddress);
@@ -556,6 +572,9 @@ export async function removeERC20FromStakingContract() {
             window.signer
         );
 
+        const populatedTx = await lpRewardsContract.populateTransaction.removeRewardToken(tokenAddress);
+        if (!(await preflightTransaction(populatedTx, { label: 'Remove Reward Token' }))) return;
+
         showInfoNotification('Removing Token', 'Please confirm the transaction in your wallet');
 
         const tx = await lpRewardsContract.removeRewardToken(tokenAddress);
@@ -0,0 +1,314 @@
+/**
+ * @module approvals
+ * @description Token approval manager and revoke tool
+ *
+ * Handles:
+ * - Reading ERC20 allowances of every project token to every project spender
+ * - Reading Permit2 allowances (amount and expiration) for the same pairs
+ * - One-click revoke, or reducing an allowance to an exact amount
+ *
+ * Tokens and spenders come from contractsList (Base entries only), so a
+ * contract added there is picked up here without further changes.
+ */
+
+// Import dependencies
+import {
+    contractsList,
+    permit2Address,
+    MULTICALL_ADDRESS
+} from './config.js';
+import { ERC20_ABI, MULTICALL_ABI2 } from './abis.js';
+import { preflightTransaction } from './contracts.js';
+import { showSuccessNotification, showErrorNotification, showInfoNotification } from './ui.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const PERMIT2_ABI = [
+    "function allowance(address user, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)",
+    "function approve(address token, address spender, uint160 amount, uint48 expiration)",
+    "function lockdown(tuple(address token, address spender)[] approvals)"
+];
+
+// Allowances at or above this are shown as unlimited (covers uint256 and uint160 max approvals)
+const UNLIMITED_THRESHOLD = ethers.BigNumber.from(2).pow(159);
+
+// ============================================
+// STATE VARIABLES
+// ============================================
+
+/**
+ * Allowance rows from the last load; buttons refer to rows by index
+ * @type {Array<Object>}
+ */
+let approvalRows = [];
+
+// ============================================
+// READING ALLOWANCES
+// ============================================
+
+/**
+ * Project tokens and spenders on Base from contractsList
+ * Permit2 is a spender for the ERC20 approvals but not for its own allowances.
+ * @returns {{tokens: Array<Object>, spenders: Array<Object>}} Tokens and spenders
+ */
+function getApprovalTargets() {
+    const baseContracts = contractsList.filter(c => c.chain === 'base');
+    return {
+        tokens: baseContracts.filter(c => c.isToken),
+        spenders: baseContracts.filter(c => !c.isToken)
+    };
+}
+
+/**
+ * Reads all ERC20 and Permit2 allowances of the connected wallet in one Multicall3 call
+ * Only non-zero allowances are kept.
+ * @async
+ * @param {string} owner - Wallet address
+ * @returns {Promise<Array<Object>>} Allowance rows
+ */
+export async function fetchApprovals(owner) {
+    const { tokens, spenders } = getApprovalTargets();
+    const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+    const permit2Interface = new ethers.utils.Interface(PERMIT2_ABI);
+
+    const rows = [];
+    for (const token of tokens) {
+        for (const spender of spenders) {
+            rows.push({ kind: 'erc20', token, spender });
+            if (spender.address !== permit2Address) {
+                rows.push({ kind: 'permit2', token, spender });
+            }
+        }
+    }
+
+    const calls = rows.map(row => row.kind === 'erc20' ?
+        {
+            target: row.token.address,
+            allowFailure: true,
+            callData: erc20Interface.encodeFunctionData('allowance', [owner, row.spender.address])
+        } :
+        {
+            target: permit2Address,
+            allowFailure: true,
+            callData: permit2Interface.encodeFunctionData('allowance', [owner, row.token.address, row.spender.address])
+        }
+    );
+
+    const multicallContract = new ethers.Contract(MULTICALL_ADDRESS, MULTICALL_ABI2, window.provider);
+    const results = await multicallContract.callStatic.aggregate3(calls);
+    const now = Math.floor(Date.now() / 1000);
+
+    return rows.filter((row, i) => {
+        const { success, returnData } = results[i];
+        if (!success || returnData === '0x') return false;
+
+        if (row.kind === 'erc20') {
+            [row.amount] = erc20Interface.decodeFunctionResult('allowance', returnData);
+        } else {
+            const decoded = permit2Interface.decodeFunctionResult('allowance', returnData);
+            row.amount = decoded.amount;
+            row.expiration = decoded.expiration;
+            row.isExpired = decoded.expiration < now;
+        }
+        return !row.amount.isZero();
+    });
+}
+
+/**
+ * Loads and renders the connected wallet's approvals
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function loadApprovals() {
+    const container = document.getElementById('approvalsList');
+    if (!window.walletConnected || !window.userAddress) {
+        if (container) container.innerHTML = '<p style="color: #6c757d; font-style: italic;">Connect your wallet to see your token approvals.</p>';
+        return;
+    }
+
+    if (container) container.innerHTML = '<p style="color: #6c757d; font-style: italic;">Loading approvals...</p>';
+
+    try {
+        approvalRows = await fetchApprovals(window.userAddress);
+        renderApprovals();
+    } catch (error) {
+        console.error("Error loading approvals:", error);
+        showErrorNotification('Approvals', 'Could not load token approvals');
+        if (container) container.innerHTML = '<p style="color: #dc3545;">Could not load token approvals.</p>';
+    }
+}
+
+// ============================================
+// DISPLAY
+// ============================================
+
+/**
+ * Formats an allowance amount
+ * @param {Object} row - Allowance row
+ * @returns {string} Amount text
+ */
+function formatAllowance(row) {
+    if (row.amount.gte(UNLIMITED_THRESHOLD)) return 'Unlimited';
+    return `${parseFloat(ethers.utils.formatUnits(row.amount, row.token.decimals)).toLocaleString(undefined, { maximumFractionDigits: 8 })} ${row.token.symbol}`;
+}
+
+/**
+ * Renders the approval list
+ * @returns {void}
+ */
+function renderApprovals() {
+    const container = document.getElementById('approvalsList');
+    if (!container) return;
+
+    if (approvalRows.length === 0) {
+        container.innerHTML = '<p style="color: #6c757d; font-style: italic;">No active approvals to project contracts.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-wrapper">
+            <table class="periods-table">
+                <thead>
+                    <tr>
+                        <th>Token</th>
+                        <th>Spender</th>
+                        <th>Type</th>
+                        <th>Allowance</th>
+                        <th>Expires</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${approvalRows.map((row, index) => `
+                        <tr>
+                            <td>${row.token.symbol}</td>
+                            <td>${row.spender.name.trim()}<br><span style="font-size: 0.8em; color: #6c757d;">${row.spender.address}</span></td>
+                            <td>${row.kind === 'erc20' ? 'ERC20' : 'Permit2'}</td>
+                            <td>${formatAllowance(row)}</td>
+                            <td>${row.kind === 'erc20' ? 'Never' :
+                                new Date(row.expiration * 1000).toLocaleString() +
+                                (row.isExpired ? '<br><span style="color: #dc3545;">Expired</span>' : '')}</td>
+                            <td>
+                                <button class="btn-secondary" onclick="revokeApproval(${index})">Revoke</button>
+                                <div style="display: flex; gap: 5px; margin-top: 5px;">
+                                    <input type="number" id="approvalExact_${index}" class="no-max-button" placeholder="Exact amount" min="0" step="any" style="width: 120px;">
+                                    <button class="btn-secondary" onclick="setExactApproval(${index})">Reduce</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// ============================================
+// REVOKING AND REDUCING
+// ============================================
+
+/**
+ * Pre-flights, sends and waits for an approval change, then reloads the list
+ * @async
+ * @param {Object} populatedTx - Transaction from contract.populateTransaction
+ * @param {string} label - Action label for notifications
+ * @returns {Promise<void>}
+ */
+async function sendApprovalChange(populatedTx, label) {
+    if (!(await preflightTransaction(populatedTx, { label }))) return;
+
+    showInfoNotification(label, 'Confirm the transaction in your wallet');
+    const tx = await window.signer.sendTransaction(populatedTx);
+    showInfoNotification();
+    await tx.wait();
+
+    showSuccessNotification(`${label} Complete!`, 'The allowance has been updated', tx.hash);
+    await loadApprovals();
+}
+
+/**
+ * Revokes an allowance
+ * ERC20 allowances are set to zero; Permit2 allowances use Permit2's lockdown.
+ * @async
+ * @param {number} index - Row index in the approval list
+ * @returns {Promise<void>}
+ */
+export async function revokeApproval(index) {
+    const row = approvalRows[index];
+    if (!row) return;
+
+    const label = `Revoke ${row.token.symbol} ${row.kind === 'erc20' ? '' : 'Permit2 '}Approval`;
+
+    try {
+        let populatedTx;
+        if (row.kind === 'erc20') {
+            const tokenContract = new ethers.Contract(row.token.address, ERC20_ABI, window.signer);
+            populatedTx = await tokenContract.populateTransaction.approve(row.spender.address, 0);
+        } else {
+            const permit2Contract = new ethers.Contract(permit2Address, PERMIT2_ABI, window.signer);
+            populatedTx = await permit2Contract.populateTransaction.lockdown([
+                { token: row.token.address, spender: row.spender.address }
+            ]);
+        }
+
+        await sendApprovalChange(populatedTx, label);
+    } catch (error) {
+        console.error("Error revoking approval:", error);
+        showErrorNotification('Revoke Failed', error.message || 'Failed to revoke approval');
+    }
+}
+
+/**
+ * Reduces an allowance to the exact amount entered in its row
+ * Permit2 allowances keep their current expiration.
+ * @async
+ * @param {number} index - Row index in the approval list
+ * @returns {Promise<void>}
+ */
+export async function setExactApproval(index) {
+    const row = approvalRows[index];
+    const input = document.getElementById(`approvalExact_${index}`);
+    if (!row || !input) return;
+
+    let amount;
+    try {
+        amount = ethers.utils.parseUnits(input.value.trim() || '0', row.token.decimals);
+    } catch (error) {
+        alert('Please enter a valid amount');
+        return;
+    }
+
+    if (amount.gte(row.amount)) {
+        alert(`Enter an amount below the current allowance of ${formatAllowance(row)}`);
+        return;
+    }
+    if (row.kind === 'permit2' && row.isExpired) {
+        alert('This Permit2 allowance has already expired. Use Revoke to clear it.');
+        return;
+    }
+
+    const label = `Reduce ${row.token.symbol} ${row.kind === 'erc20' ? '' : 'Permit2 '}Approval`;
+
+    try {
+        let populatedTx;
+        if (row.kind === 'erc20') {
+            const tokenContract = new ethers.Contract(row.token.address, ERC20_ABI, window.signer);
+            populatedTx = await tokenContract.populateTransaction.approve(row.spender.address, amount);
+        } else {
+            const permit2Contract = new ethers.Contract(permit2Address, PERMIT2_ABI, window.signer);
+            populatedTx = await permit2Contract.populateTransaction.approve(
+                row.token.address,
+                row.spender.address,
+                amount,
+                row.expiration
+            );
+        }
+
+        await sendApprovalChange(populatedTx, label);
+    } catch (error) {
+        console.error("Error reducing approval:", error);
+        showErrorNotification('Reduce Failed', error.message || 'Failed to reduce approval');
+    }
+}
@@ -51,6 +51,9 @@ export const tokenIconsETH = {
 export const UnsiwapV4PoolCreatorAddress = "0x80D68014E12C76B60DbA69c4d33E0ceD06f602EF";
 export const USDCToken = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
 export const positionManager_address = "0x7c5f5a4bbd8fd63184577525326123b519429bdc";
+export const permit2Address = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+// Uniswap Universal Router (Permit2 signature + V4 swap in one transaction)
+export const universalRouterAddress = '0x6fF5693b99212Da76ad316178A184AB56D299b43';
 //export const contractAddress_PositionFinderPro = '0x09faDBe933dfF4C7217E7d88C551E9EA6d49eE0f';
 export const contractAddress_PositionFinderPro = '0xe75Af8215042b1919B1b1D38db72C0dE56A5aEBE';
 export const contractAddress_Swapper = '0x6c6B14B49Cb4E9771c555689C2D11aF9A7500a6f';
@@ -58,6 +61,12 @@ export const contractAddressLPRewardsStaking = '0x08f489C5017942d3b7c82C1c178877
 export const hookAddress = '0x785319f8fCE23Cd733DE94Fd7f34b74A5cAa1000';
 export const ProofOfWorkAddresss = '0xd44Ee7dAdbF50214cA7009a29D9F88BCcD0E9Ff4';
 
+// Uniswap V4 StateView (read-only access to PoolManager pool state)
+export const stateViewAddress = '0xA3c0c9b65baD0b08107Aa264b0f3dB444b867A71';
+
+// OP Stack GasPriceOracle predeploy on Base (L1 data fee for a serialized transaction)
+export const GAS_PRICE_ORACLE_ADDRESS = '0x420000000000000000000000000000000000000F';
+
 // Multicall3 address (same across multiple networks)
 export const MULTICALL_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
 
@@ -83,6 +92,25 @@ export const tokenMap = {
     "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913": "USDC",
 };
 
+// ============================================================================
+// SWAP POOLS - Uniswap V4 pools available to the swap router
+// ============================================================================
+// The swap router builds its token graph from this list, so a new pool only
+// needs an entry here to become routable. Currencies are token symbols from
+// tokenAddresses; the pool key is sorted into currency0/currency1 at runtime.
+// These are the only hooked pools the swapper can route through on Base.
+// USDC and WETH are listed in tokenAddresses for approvals and pricing, but
+// have no pool here, so they are not swappable until an entry is added.
+export const swapPools = [
+    { currencies: ['B0x', '0xBTC'], fee: 0x800000, tickSpacing: 60, hooks: hookAddress },
+    { currencies: ['ETH', '0xBTC'], fee: 0x800000, tickSpacing: 60, hooks: hookAddress },
+    { currencies: ['ETH', 'B0x'], fee: 0x800000, tickSpacing: 60, hooks: hookAddress },
+    { currencies: ['RightsTo0xBTC', '0xBTC'], fee: 0x800000, tickSpacing: 60, hooks: hookAddress },
+];
+
+// The swapper contract quotes and executes at most two pools per route
+export const MAX_ROUTE_HOPS = 2;
+
 // ============================================================================
 // TOKEN ADDRESSES - Ethereum Network
 // ============================================================================
@@ -93,6 +121,10 @@ export const tokenAddressesETH = {
     'RightsTo0xBTC': '0xbCEaA05d2C153C3E961Fbae0640f58d968d9DDaD',
 };
 
+// Ethereum mainnet Uniswap V2 router and WETH, used to quote the mainnet 0xBTC/WETH pool
+export const uniswapV2RouterETH = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D';
+export const wethAddressETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+
 // ============================================================================
 // NETWORK CONFIGURATION
 // ============================================================================
@@ -147,6 +179,31 @@ export const appSettings = {
     minUserHoldings: 0
 };
 
+// Price impact (percent) at which swap estimates show a warning / high-impact alert
+export const defaultPriceImpactThresholds = {
+    warning: 1,
+    danger: 5
+};
+
+// Swap transaction defaults: slippage mode ('auto' or 'manual'), manual tolerance,
+// minutes before a pending swap is offered for cancellation, optional private RPC,
+// blocks after which a quote is re-quoted before signing, and the output drop
+// (percent) on re-quote that asks the user to confirm again
+export const defaultSwapTransactionSettings = {
+    slippageMode: 'manual',
+    manualSlippage: '0.1%',
+    deadlineMinutes: 20,
+    privateRPC: '',
+    maxQuoteAgeBlocks: 5,
+    requoteDropThreshold: 0.5,
+    permit2Mode: 'auto'
+};
+
+// Reward token price oracles for staking APY: token address -> Chainlink-style
+// aggregator (latestRoundData, answer in USD). Tokens without one use the swap
+// quote (B0x) or CoinGecko
+export const defaultRewardPriceOracles = {};
+
 // Default contract addresses for staking rewards
 export const defaultAddresses = '["0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913","0x6B19E31C1813cD00b0d47d798601414b79A3e8AD","0xc4D4FD4F4459730d176844c170F2bB323c87Eb3B","0x4200000000000000000000000000000000000006"]';
 
@@ -232,6 +289,24 @@ export const contractsList = [
         isToken: false,
         chain: "base"
     },
+    {
+        name: "Uniswap V4 Position Manager ",
+        address: positionManager_address,
+        isToken: false,
+        chain: "base"
+    },
+    {
+        name: "Uniswap Universal Router ",
+        address: universalRouterAddress,
+        isToken: false,
+        chain: "base"
+    },
+    {
+        name: "Uniswap Permit2 ",
+        address: permit2Address,
+        isToken: false,
+        chain: "base"
+    },
     {
         name: "B0x Token ",
         address: tokenAddressesETH['B0x'],
@@ -426,6 +501,7 @@ export function createConfig(customRPC, customDataSource) {
 // - Image URLs and token icon mappings (Base & Ethereum)
 // - Contract addresses (Base network)
 // - Token addresses and mappings (Base & Ethereum)
+// - Swap router pool list
 // - Network configuration (RPC URLs, chain configs)
 // - Data source URLs
 // - Application settings and constants
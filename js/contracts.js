@@ -8,25 +8,40 @@
  * - MetaMask integration
  * - Block explorer URL generation
  * - Tick math for Uniswap V4
+ * - Transaction pre-flight: eth_call simulation with decoded reverts, gas + Base L1 data fee
  */
 
 // Import dependencies
-import { ERC20_ABI } from './abis.js';
+import {
+    ERC20_ABI,
+    POOL_MANAGER_ERRORS_ABI,
+    HOOK_ERRORS_ABI,
+    POSITION_MANAGER_ERRORS_ABI,
+    PERMIT2_ERRORS_ABI,
+    STAKING_ERRORS_ABI
+} from './abis.js';
 import {
     chainConfig,
     contractsList,
     tokenIconsBase,
     tokenIconsETH,
     tokenAddresses,
-    USDCToken
+    USDCToken,
+    GAS_PRICE_ORACLE_ADDRESS,
+    hookAddress,
+    permit2Address,
+    positionManager_address,
+    contractAddressLPRewardsStaking
 } from './config.js';
 import {
     showSuccessNotification,
     showInfoNotification,
     showErrorNotification,
+    showWarningNotification,
     showToast
 } from './ui.js';
-import { getSymbolFromAddress } from './utils.js';
+import { getSymbolFromAddress, getCoinGeckoPrices } from './utils.js';
+import { customRPC } from './settings.js';
 
 // ============================================
 // CONSTANTS
@@ -36,10 +51,29 @@ const MAX_TICK = 887220;
 const MAX_UINT160 = ethers.BigNumber.from(2).pow(160).sub(1);
 const MAX_UINT256 = (1n << 256n) - 1n;
 
+// ============================================
+// STATE VARIABLES
+// ============================================
+
+let readProvider = null;
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
+/**
+ * Gets a provider for read-only calls
+ * Uses the connected wallet's provider, otherwise one shared provider for the configured Base RPC.
+ * @returns {Provider} Ethers provider
+ */
+export function getReadProvider() {
+    if (window.walletConnected) return window.provider;
+    if (!readProvider || readProvider.connection.url !== customRPC) {
+        readProvider = new ethers.providers.JsonRpcProvider(customRPC);
+    }
+    return readProvider;
+}
+
 /**
  * Converts various value types to ethers.BigNumber
  * Handles scientific notation, strings, numbers, and existing BigNumbers
@@ -178,7 +212,7 @@ export async function checkAllowance(tokenToCheck, spenderAddress, requiredAmoun
  * @param {string} tokenToApprove - Token contract address to approve
  * @param {string} spenderAddress - Address that will spend the tokens
  * @param {string|number|ethers.BigNumber} amount - Amount to approve
- * @returns {Promise<boolean>} True if approval succeeded, false otherwise
+ * @returns {Promise<TransactionReceipt|false>} Approval receipt, or false if it failed or was cancelled
  */
 export async function approveToken(tokenToApprove, spenderAddress, amount) {
     if (!window.walletConnected) {
@@ -213,6 +247,11 @@ export async function approveToken(tokenToApprove, spenderAddress, amount) {
             alert(`Approving ${tokenSymbol} token for spending...`);
         }
 
+        const populatedTx = await tokenContract.populateTransaction.approve(spenderAddress, amount);
+        if (!(await preflightTransaction(populatedTx, { label: 'Approve Token' }))) {
+            return false;
+        }
+
         // Send approval transaction with retry for rate limiting
         const approveTx = await retryWithBackoff(async () => {
             return await tokenContract.approve(spenderAddress, amount);
@@ -220,10 +259,10 @@ export async function approveToken(tokenToApprove, spenderAddress, amount) {
         alert("Approval transaction sent! Waiting for confirmation...");
 
         // Wait for confirmation
-        await approveTx.wait();
+        const receipt = await approveTx.wait();
         alert("Token approval confirmed!");
 
-        return true;
+        return receipt;
 
     } catch (error) {
         console.error("Approval failed:", error);
@@ -253,6 +292,43 @@ export async function checkAllowance2(permit2Contract, userAddress, tokenAddress
     };
 }
 
+/**
+ * Approves a spender for an unlimited amount if the current allowance is too low
+ * @async
+ * @param {string} tokenToApprove - Token address
+ * @param {string} spenderAddress - Spender address
+ * @param {BigNumber} requiredAmount - Amount the spender must be able to pull
+ * @returns {Promise<boolean|Object>} True if already approved, the receipt once approved, or false on failure
+ */
+export async function approveIfNeeded(tokenToApprove, spenderAddress, requiredAmount) {
+    try {
+        const allowanceSufficient = await checkAllowance(tokenToApprove, spenderAddress, requiredAmount);
+
+        if (allowanceSufficient) {
+            console.log("Approval not needed - sufficient allowance exists");
+            return true;
+        }
+
+        showInfoNotification('Approve Token', 'Requesting approval for unlimited amount to avoid future approvals...');
+
+        const txReceipt = await approveToken(tokenToApprove, spenderAddress, ethers.constants.MaxUint256);
+        if (!txReceipt) return false;
+
+        showSuccessNotification(
+            'Approved Tokens!',
+            'Tokens have been approved on the contract successfully',
+            txReceipt.transactionHash
+        );
+
+        return txReceipt;
+
+    } catch (error) {
+        console.error("Approve if needed failed:", error);
+        alert(`Approval process failed: ${error.message}`);
+        return false;
+    }
+}
+
 /**
  * Approve token if needed (with USDC support)
  * @async
@@ -271,14 +347,8 @@ export async function approveIfNeededUSDC(tokenToApprove, spenderAddress, requir
         }
 
         showInfoNotification('Approve Token', 'Requesting approval for unlimited amount to avoid future approvals...');
-        const txResponse = await approveToken(tokenToApprove, spenderAddress, requiredAmount);
-
-        let txReceipt;
-        if (txResponse.wait) {
-            txReceipt = await txResponse.wait();
-        } else {
-            txReceipt = txResponse;
-        }
+        const txReceipt = await approveToken(tokenToApprove, spenderAddress, requiredAmount);
+        if (!txReceipt) return false;
 
         showSuccessNotification(
             'Approved Tokens!',
@@ -385,6 +455,16 @@ export async function approveTokensViaPermit2(signer, permit2Address, token0, to
             showInfoNotification('Approve ' + sym + ' Tokens', 'Requesting approval of ' + sym + ' tokens for Uniswap Contract...');
             console.log('Token0 needs permit approval, approving...');
 
+            const populatedTx1 = await permit2Contract.populateTransaction.approve(
+                token0,
+                positionManagerAddress,
+                MAX_UINT160,
+                expiration
+            );
+            if (!(await preflightTransaction(populatedTx1, { label: 'Approve ' + sym + ' via Permit2', signer }))) {
+                throw new Error(sym + ' Permit2 approval would fail');
+            }
+
             const tx1 = await retryWithBackoff(async () => {
                 return await permit2Contract.approve(
                     token0,
@@ -417,6 +497,16 @@ export async function approveTokensViaPermit2(signer, permit2Address, token0, to
             showInfoNotification('Approve ' + sym + ' Tokens', 'Requesting approval of ' + sym + ' tokens for Uniswap Contract...');
             console.log('Token1 needs approval, approving...');
 
+            const populatedTx2 = await permit2Contract.populateTransaction.approve(
+                token1,
+                positionManagerAddress,
+                MAX_UINT160,
+                expiration
+            );
+            if (!(await preflightTransaction(populatedTx2, { label: 'Approve ' + sym + ' via Permit2', signer }))) {
+                throw new Error(sym + ' Permit2 approval would fail');
+            }
+
             const tx2 = await retryWithBackoff(async () => {
                 return await permit2Contract.approve(
                     token1,
@@ -494,6 +584,312 @@ export function getSqrtRatioAtTick(tick) {
     return sqrtPriceX96;
 }
 
+// ============================================
+// TRANSACTION PRE-FLIGHT
+// ============================================
+
+const BASE_CHAIN_ID = 8453;
+const GAS_PRICE_ORACLE_ABI = ["function getL1Fee(bytes _data) view returns (uint256)"];
+
+const REVERT_ERRORS_INTERFACE = new ethers.utils.Interface([
+    ...POOL_MANAGER_ERRORS_ABI,
+    ...HOOK_ERRORS_ABI,
+    ...POSITION_MANAGER_ERRORS_ABI,
+    ...PERMIT2_ERRORS_ABI,
+    ...STAKING_ERRORS_ABI
+]);
+
+// Names for the contracts a WrappedError can point at
+const KNOWN_CONTRACT_NAMES = {
+    [hookAddress.toLowerCase()]: 'B0x hook',
+    [permit2Address.toLowerCase()]: 'Permit2',
+    [positionManager_address.toLowerCase()]: 'PositionManager',
+    [contractAddressLPRewardsStaking.toLowerCase()]: 'staking contract'
+};
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const PANIC_REASONS = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division by zero',
+    0x21: 'invalid enum value',
+    0x31: 'pop on empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to uninitialized function'
+};
+
+// Plain-language explanations for the errors users hit most often
+const FRIENDLY_ERROR_MESSAGES = {
+    DeadlinePassed: 'The transaction deadline passed. Please try again.',
+    MinimumAmountInsufficient: 'Price moved beyond your slippage tolerance.',
+    MaximumAmountExceeded: 'Price moved beyond your slippage tolerance.',
+    V4TooLittleReceived: 'Price moved beyond your slippage tolerance.',
+    V4TooMuchRequested: 'Price moved beyond your slippage tolerance.',
+    NotApproved: 'This wallet is not the owner or approved operator of the position.',
+    AllowanceExpired: 'The Permit2 allowance has expired. Approve the token again.',
+    InsufficientAllowance: 'The Permit2 allowance is too low. Approve the token again.',
+    ERC20InsufficientBalance: 'Insufficient token balance.',
+    ERC20InsufficientAllowance: 'Token allowance is too low. Approve the token again.',
+    ERC721InsufficientApproval: 'The NFT has not been approved for this contract.',
+    OwnableUnauthorizedAccount: 'Only the contract owner can do this.'
+};
+
+/**
+ * Finds revert data in an RPC error
+ * Wallets and RPC providers nest it differently (error.data, error.error.data,
+ * data.originalError.data, or a JSON response body).
+ * @param {*} error - Error thrown by an eth_call
+ * @returns {string|null} Hex revert data, or null if none was found
+ */
+function extractRevertData(error) {
+    if (!error || typeof error !== 'object') return null;
+
+    if (typeof error.data === 'string' && /^0x[0-9a-fA-F]*$/.test(error.data)) {
+        return error.data;
+    }
+    if (typeof error.body === 'string') {
+        try {
+            const found = extractRevertData(JSON.parse(error.body).error);
+            if (found) return found;
+        } catch (parseError) {
+            // Not a JSON-RPC body
+        }
+    }
+    for (const key of ['data', 'error', 'originalError', 'cause']) {
+        const found = extractRevertData(error[key]);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Formats decoded error arguments for display
+ * @param {Object} parsed - Result of Interface.parseError
+ * @returns {string} Comma-separated name=value pairs
+ */
+function formatErrorArgs(parsed) {
+    return parsed.errorFragment.inputs.map((input, i) => {
+        const value = parsed.args[i];
+        return `${input.name || i}=${value && value.toString ? value.toString() : value}`;
+    }).join(', ');
+}
+
+/**
+ * Decodes revert data into a readable reason
+ * Handles Error(string), Panic(uint256) and the custom errors of the PoolManager,
+ * hook, PositionManager, Permit2 and staking contract (see abis.js). WrappedError
+ * from the PoolManager is unwrapped to the underlying hook or token error.
+ * @param {string} data - Hex revert data
+ * @returns {string} Readable revert reason
+ */
+export function decodeRevertReason(data) {
+    if (!data || data === '0x') {
+        return 'Transaction reverted without a reason';
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+    try {
+        if (selector === ERROR_STRING_SELECTOR) {
+            return ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10))[0];
+        }
+        if (selector === PANIC_SELECTOR) {
+            const code = ethers.utils.defaultAbiCoder.decode(['uint256'], '0x' + data.slice(10))[0].toNumber();
+            return `Panic: ${PANIC_REASONS[code] || 'code 0x' + code.toString(16)}`;
+        }
+
+        const parsed = REVERT_ERRORS_INTERFACE.parseError(data);
+        if (parsed.name === 'WrappedError') {
+            const inner = decodeRevertReason(parsed.args.reason);
+            const target = parsed.args.target;
+            const targetName = KNOWN_CONTRACT_NAMES[target.toLowerCase()] || getSymbolFromAddress(target) || target;
+            return `${inner} (from ${targetName})`;
+        }
+
+        const args = formatErrorArgs(parsed);
+        const signature = `${parsed.name}(${args})`;
+        const friendly = FRIENDLY_ERROR_MESSAGES[parsed.name];
+        return friendly ? `${friendly} [${signature}]` : signature;
+    } catch (error) {
+        return `Unknown error ${selector}`;
+    }
+}
+
+/**
+ * Simulates a transaction with eth_call against the pending state
+ * Network failures that aren't reverts count as success, so the flow can
+ * continue and let the wallet handle them.
+ * @async
+ * @param {Object} populatedTx - Transaction from contract.populateTransaction
+ * @param {Object} [signer=window.signer] - Signer that will send the transaction
+ * @returns {Promise<{success: boolean, reason: string|null}>} Simulation result
+ */
+export async function simulateTransaction(populatedTx, signer = window.signer) {
+    const from = await signer.getAddress();
+    const callTx = ethers.providers.JsonRpcProvider.hexlifyTransaction(
+        { ...populatedTx, from },
+        { from: true }
+    );
+    // Let the node pick gas so a low hard-coded limit doesn't masquerade as a revert
+    delete callTx.gas;
+
+    try {
+        await signer.provider.send('eth_call', [callTx, 'pending']);
+        return { success: true, reason: null };
+    } catch (error) {
+        const revertData = extractRevertData(error);
+        const message = (error.message || '').toLowerCase();
+        if (revertData !== null) {
+            return { success: false, reason: decodeRevertReason(revertData) };
+        }
+        if (message.includes('revert')) {
+            return { success: false, reason: error.reason || error.message };
+        }
+
+        console.warn("Simulation unavailable, continuing:", error);
+        return { success: true, reason: null };
+    }
+}
+
+/**
+ * Gets USD prices for the tokens moved by write flows
+ * ETH/WETH and 0xBTC come from CoinGecko; B0x from the pool-derived window.usdCostB0x.
+ * Prices that aren't available (not loaded yet, or a failed fetch) are left out.
+ * @async
+ * @returns {Promise<Object<string, number>>} Price per token symbol
+ */
+async function getTokenPricesUSD() {
+    const { wethPriceUSD, oxbtcPriceUSD } = await getCoinGeckoPrices();
+    const prices = {
+        'ETH': wethPriceUSD,
+        'WETH': wethPriceUSD,
+        '0xBTC': oxbtcPriceUSD,
+        'B0x': window.usdCostB0x,
+        'USDC': 1
+    };
+    return Object.fromEntries(Object.entries(prices).filter(([, price]) => price > 0));
+}
+
+/**
+ * Sums the USD value of token amounts
+ * @async
+ * @param {Object<string, number|string>} amounts - Human-readable amount per token symbol
+ * @returns {Promise<number|null>} Total value in USD, or null if a non-zero amount has no price
+ */
+export async function getValueUSD(amounts) {
+    const prices = await getTokenPricesUSD();
+    let total = 0;
+    for (const [symbol, amount] of Object.entries(amounts)) {
+        const value = parseFloat(amount) || 0;
+        if (value === 0) continue;
+
+        const price = prices[symbol.trim()];
+        if (price === undefined) return null;
+        total += value * price;
+    }
+    return total;
+}
+
+/**
+ * Estimates the total cost of a transaction before it is signed
+ * L2 execution gas is estimateGas × gas price. On Base the L1 data fee is added,
+ * quoted by the GasPriceOracle predeploy for the serialized unsigned transaction.
+ * @async
+ * @param {Object} populatedTx - Transaction from contract.populateTransaction
+ * @param {Object} signer - Signer that will send the transaction
+ * @returns {Promise<{gasLimit: BigNumber, executionFee: BigNumber, l1Fee: BigNumber, totalFee: BigNumber, totalETH: number, totalUSD: number}>}
+ */
+export async function estimateTransactionCost(populatedTx, signer = window.signer) {
+    const provider = signer.provider;
+    const [gasLimit, gasPrice, network] = await Promise.all([
+        signer.estimateGas(populatedTx),
+        provider.getGasPrice(),
+        provider.getNetwork()
+    ]);
+    const executionFee = gasLimit.mul(gasPrice);
+
+    let l1Fee = ethers.BigNumber.from(0);
+    if (network.chainId === BASE_CHAIN_ID) {
+        const unsignedTx = ethers.utils.serializeTransaction({
+            type: 2,
+            chainId: BASE_CHAIN_ID,
+            nonce: await signer.getTransactionCount(),
+            to: populatedTx.to,
+            data: populatedTx.data || '0x',
+            value: populatedTx.value || 0,
+            gasLimit,
+            maxFeePerGas: gasPrice,
+            maxPriorityFeePerGas: gasPrice
+        });
+        const oracle = new ethers.Contract(GAS_PRICE_ORACLE_ADDRESS, GAS_PRICE_ORACLE_ABI, provider);
+        l1Fee = await oracle.getL1Fee(unsignedTx);
+    }
+
+    const totalFee = executionFee.add(l1Fee);
+    const totalETH = parseFloat(ethers.utils.formatEther(totalFee));
+    const { wethPriceUSD } = await getCoinGeckoPrices();
+
+    return {
+        gasLimit,
+        executionFee,
+        l1Fee,
+        totalFee,
+        totalETH,
+        totalUSD: totalETH * wethPriceUSD
+    };
+}
+
+/**
+ * Pre-flight step for every contract write, run before the wallet prompt
+ * Simulates the transaction first; if it would revert, the decoded reason is
+ * shown and the wallet is never opened. Otherwise shows the estimated total cost,
+ * and asks the user to confirm when gas exceeds the value moved. If the gas
+ * estimate fails the flow continues and the wallet reports the problem.
+ * @async
+ * @param {Object} populatedTx - Transaction from contract.populateTransaction
+ * @param {Object} options
+ * @param {string} options.label - Name of the action shown to the user
+ * @param {number|null} [options.valueUSD=null] - USD value moved by the transaction, if known
+ * @param {Object} [options.signer=window.signer] - Signer that will send the transaction
+ * @returns {Promise<boolean>} True to continue to the wallet, false if simulation failed or the user cancelled
+ */
+export async function preflightTransaction(populatedTx, { label, valueUSD = null, signer = window.signer }) {
+    const simulation = await simulateTransaction(populatedTx, signer);
+    if (!simulation.success) {
+        console.error(`${label} simulation failed:`, simulation.reason);
+        showErrorNotification(`${label} would fail`, simulation.reason);
+        return false;
+    }
+
+    let cost;
+    try {
+        cost = await estimateTransactionCost(populatedTx, signer);
+    } catch (error) {
+        console.warn(`Gas estimate failed for ${label}:`, error);
+        return true;
+    }
+
+    const l1Note = cost.l1Fee.gt(0) ?
+        ` (incl. ${parseFloat(ethers.utils.formatEther(cost.l1Fee)).toFixed(8)} ETH L1 data fee)` : '';
+    const costText = `~${cost.totalETH.toFixed(6)} ETH ($${cost.totalUSD.toFixed(2)})${l1Note}`;
+    console.log(`${label} estimated cost: ${costText}, gas limit ${cost.gasLimit.toString()}`);
+
+    // Without a USD value for everything moved there is nothing to compare gas against
+    if (valueUSD !== null && cost.totalUSD > valueUSD) {
+        showWarningNotification(`${label}: gas exceeds value`, `Network cost ${costText} vs $${valueUSD.toFixed(2)} moved`);
+        return confirm(
+            `${label}\n\nEstimated network cost: ${costText}\n` +
+            `Value moved: $${valueUSD.toFixed(2)}\n\n` +
+            `Gas costs more than the value of this transaction. Continue?`
+        );
+    }
+
+    showInfoNotification(`${label}: estimated network cost`, costText);
+    return true;
+}
+
 // ============================================
 // NETWORK/CHAIN MANAGEMENT
 // ============================================
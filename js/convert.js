@@ -36,6 +36,11 @@ import {
     showInfoNotification
 } from './ui.js';
 
+import {
+    preflightTransaction,
+    getValueUSD
+} from './contracts.js';
+
 // ============================================
 // CONVERT CALCULATIONS
 // ============================================
@@ -174,6 +179,12 @@ export async function depositFromV1toV2() {
         // Call approveAndCall function
         console.log("Calling approveAndCall with amount:", amountOf_0xBTC_ToGive.toString());
 
+        const populatedTx = await contract.populateTransaction.approveAndCall(spenderAddress, amountOf_0xBTC_ToGive, "0x");
+        const valueUSD = await getValueUSD({ '0xBTC': selectedValue2 });
+        if (!(await preflightTransaction(populatedTx, { label: 'Convert 0xBTC -> B0x', valueUSD, signer: signerETH }))) {
+            return false;
+        }
+
         showInfoNotification('Depositing 0xBTC -> B0x + RightsTo0xBTC', 'Please confirm transaction in the wallet');
         const tx = await contract.approveAndCall(
             spenderAddress,           // address spender
@@ -253,6 +264,12 @@ export async function withdrawFromV2toV1() {
         // Call the withdraw function
         console.log("Calling withdrawFromV2toV1 with amount:", amountOf_0xBTC_ToReceive.toString());
 
+        const populatedTx = await contract.populateTransaction.withdrawFromV2toV1(amountOf_0xBTC_ToReceive);
+        const valueUSD = await getValueUSD({ '0xBTC': selectedValue2 });
+        if (!(await preflightTransaction(populatedTx, { label: 'Convert B0x -> 0xBTC', valueUSD, signer: signerETH }))) {
+            return false;
+        }
+
         showInfoNotification('Depositing B0x + RightsTo0xBTC -> 0xBitcoin', 'Please confirm transaction in the wallet');
         const tx = await contract.withdrawFromV2toV1(amountOf_0xBTC_ToReceive);
 
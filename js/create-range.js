@@ -0,0 +1,366 @@
+/**
+ * @module create-range
+ * @description Price range picker for new liquidity positions
+ *
+ * Handles:
+ * - Full range, ±10% and ±50% presets and custom min/max prices
+ * - Snapping prices to the pool's tickSpacing grid
+ * - Showing the selected range in both token denominations
+ * - A liquidity distribution histogram of the pool with the selected range marked
+ *
+ * Full range keeps using the swapper's createPositionWith2Tokens (required for
+ * staking); any other range is minted directly through the PositionManager.
+ */
+
+// Import dependencies
+import { tokenAddresses, hookAddress } from './config.js';
+import { loadPoolStates, getLiquidityDistribution } from './quoter.js';
+import { tickToPrice, priceToTick } from './positions-ratio.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Pool new positions are created in
+const CREATE_RANGE_POOL = {
+    currencies: ['B0x', '0xBTC'],
+    fee: 0x800000,
+    tickSpacing: 60,
+    hooks: hookAddress
+};
+
+const FULL_RANGE_TICK_LOWER = -887220;
+const FULL_RANGE_TICK_UPPER = 887220;
+
+// Preset half-widths as a fraction of the current price
+const RANGE_PRESETS = {
+    narrow: 0.1,
+    wide: 0.5
+};
+
+const HISTOGRAM_BUCKETS = 40;
+
+// Histogram half-width in ticks: at least ~2x and at most ~100x either side of the price
+const HISTOGRAM_MIN_HALF_WIDTH = 6960;
+const HISTOGRAM_MAX_HALF_WIDTH = 46080;
+
+// ============================================
+// STATE VARIABLES
+// ============================================
+
+/**
+ * Range selected in the create form
+ * @type {{tickLower: number, tickUpper: number}}
+ */
+let selectedRange = { tickLower: FULL_RANGE_TICK_LOWER, tickUpper: FULL_RANGE_TICK_UPPER };
+
+/**
+ * Pool state from the last histogram load
+ * @type {Object|null}
+ */
+let rangePoolState = null;
+
+/**
+ * Chart.js instance of the liquidity histogram
+ * @type {Object|null}
+ */
+let rangeChart = null;
+
+// ============================================
+// RANGE STATE
+// ============================================
+
+/**
+ * Gets the create pool's sorted key and token symbols
+ * @returns {{poolKey: Object, symbol0: string, symbol1: string}} Pool key and token0/token1 symbols
+ */
+export function getCreateRangePool() {
+    const [symbolA, symbolB] = CREATE_RANGE_POOL.currencies;
+    const [symbol0, symbol1] = tokenAddresses[symbolA].toLowerCase() < tokenAddresses[symbolB].toLowerCase() ?
+        [symbolA, symbolB] :
+        [symbolB, symbolA];
+
+    return {
+        poolKey: {
+            currency0: tokenAddresses[symbol0],
+            currency1: tokenAddresses[symbol1],
+            fee: CREATE_RANGE_POOL.fee,
+            tickSpacing: CREATE_RANGE_POOL.tickSpacing,
+            hooks: CREATE_RANGE_POOL.hooks
+        },
+        symbol0,
+        symbol1
+    };
+}
+
+/**
+ * Gets the range selected in the create form
+ * @returns {{tickLower: number, tickUpper: number, isFullRange: boolean}} Selected ticks
+ */
+export function getCreateRange() {
+    return {
+        tickLower: selectedRange.tickLower,
+        tickUpper: selectedRange.tickUpper,
+        isFullRange: selectedRange.tickLower === FULL_RANGE_TICK_LOWER &&
+            selectedRange.tickUpper === FULL_RANGE_TICK_UPPER
+    };
+}
+
+/**
+ * Gets the current pool tick from the loaded pool state, or from the ratio module's sqrt price
+ * @returns {number|null} Current tick, or null before any price has loaded
+ */
+function getCurrentTick() {
+    if (rangePoolState) return rangePoolState.tick;
+
+    const sqrtPriceX96 = window.Current_getsqrtPricex96 ? Number(window.Current_getsqrtPricex96.toString()) : 0;
+    if (!(sqrtPriceX96 > 0)) return null;
+    return Math.floor(Math.log((sqrtPriceX96 / 2 ** 96) ** 2) / Math.log(1.0001));
+}
+
+/**
+ * Snaps a tick range onto the spacing grid and the pool limits
+ * @param {number} tickLower - Lower tick
+ * @param {number} tickUpper - Upper tick
+ * @returns {{tickLower: number, tickUpper: number}} Valid range at least one spacing wide
+ */
+function clampRange(tickLower, tickUpper) {
+    const spacing = CREATE_RANGE_POOL.tickSpacing;
+    let lower = Math.max(FULL_RANGE_TICK_LOWER, Math.min(tickLower, FULL_RANGE_TICK_UPPER - spacing));
+    let upper = Math.min(FULL_RANGE_TICK_UPPER, Math.max(tickUpper, FULL_RANGE_TICK_LOWER + spacing));
+    if (upper <= lower) upper = lower + spacing;
+    return { tickLower: lower, tickUpper: upper };
+}
+
+// ============================================
+// PRESETS AND INPUTS
+// ============================================
+
+/**
+ * Applies the preset chosen in the Price Range select
+ * Custom leaves the current range in place for editing.
+ * @returns {void}
+ */
+export function setCreateRangePreset() {
+    const presetSelect = document.getElementById('createRangePreset');
+    const preset = presetSelect ? presetSelect.value : 'full';
+
+    if (preset === 'full') {
+        selectedRange = { tickLower: FULL_RANGE_TICK_LOWER, tickUpper: FULL_RANGE_TICK_UPPER };
+    } else if (RANGE_PRESETS[preset]) {
+        const currentTick = getCurrentTick();
+        if (currentTick === null) {
+            alert('The pool price has not loaded yet, try again in a moment');
+            presetSelect.value = 'full';
+            return;
+        }
+
+        const { symbol0, symbol1 } = getCreateRangePool();
+        const currentPrice = tickToPrice(currentTick, symbol0, symbol1);
+        const width = RANGE_PRESETS[preset];
+        selectedRange = clampRange(
+            priceToTick(currentPrice * (1 - width), symbol0, symbol1, CREATE_RANGE_POOL.tickSpacing),
+            priceToTick(currentPrice * (1 + width), symbol0, symbol1, CREATE_RANGE_POOL.tickSpacing)
+        );
+    }
+
+    writeCreateRangeInputs();
+    onCreateRangeChanged();
+}
+
+/**
+ * Reads typed min/max prices, switching the preset to Custom
+ * Prices are snapped to the tick grid for the displays; the inputs themselves
+ * are only rewritten on change so typing is not interrupted.
+ * @returns {void}
+ */
+export function updateCreateRangeFromInputs() {
+    const minPrice = parseFloat(document.getElementById('createRangeMinPrice').value);
+    const maxPrice = parseFloat(document.getElementById('createRangeMaxPrice').value);
+    if (!(minPrice > 0) || !(maxPrice > minPrice)) return;
+
+    const { symbol0, symbol1 } = getCreateRangePool();
+    selectedRange = clampRange(
+        priceToTick(minPrice, symbol0, symbol1, CREATE_RANGE_POOL.tickSpacing),
+        priceToTick(maxPrice, symbol0, symbol1, CREATE_RANGE_POOL.tickSpacing)
+    );
+
+    const presetSelect = document.getElementById('createRangePreset');
+    if (presetSelect) presetSelect.value = getCreateRange().isFullRange ? 'full' : 'custom';
+
+    onCreateRangeChanged();
+}
+
+/**
+ * Rewrites the min/max inputs with the snapped prices of the selected range
+ * @returns {void}
+ */
+export function writeCreateRangeInputs() {
+    const minInput = document.getElementById('createRangeMinPrice');
+    const maxInput = document.getElementById('createRangeMaxPrice');
+    if (!minInput || !maxInput) return;
+
+    const { symbol0, symbol1 } = getCreateRangePool();
+    const range = getCreateRange();
+    minInput.value = range.isFullRange ? '' : tickToPrice(range.tickLower, symbol0, symbol1).toPrecision(6);
+    maxInput.value = range.isFullRange ? '' : tickToPrice(range.tickUpper, symbol0, symbol1).toPrecision(6);
+}
+
+/**
+ * Refreshes the displays and histogram and re-balances the create amounts for the new range
+ * @returns {void}
+ */
+function onCreateRangeChanged() {
+    updateCreateRangeDisplay();
+    renderCreateRangeChart();
+
+    const amountInputA = document.querySelectorAll('#create input[type="number"]')[0];
+    if (amountInputA && parseFloat(amountInputA.value) > 0 && typeof window.getRatioCreatePositiontokenA === 'function') {
+        window.getRatioCreatePositiontokenA();
+    }
+}
+
+// ============================================
+// DISPLAY
+// ============================================
+
+/**
+ * Formats a price for the range display
+ * @param {number} price - Price
+ * @returns {string} Formatted price
+ */
+function formatRangePrice(price) {
+    if (!isFinite(price) || price > 1e15) return '∞';
+    if (price < 1e-12) return '0';
+    return price.toPrecision(6);
+}
+
+/**
+ * Shows the selected range in both denominations, with its tick bounds and a staking note
+ * @returns {void}
+ */
+function updateCreateRangeDisplay() {
+    const display = document.getElementById('createRangeDisplay');
+    if (!display) return;
+
+    const { symbol0, symbol1 } = getCreateRangePool();
+    const range = getCreateRange();
+    const minPrice = tickToPrice(range.tickLower, symbol0, symbol1);
+    const maxPrice = tickToPrice(range.tickUpper, symbol0, symbol1);
+    const currentTick = getCurrentTick();
+
+    let status = '';
+    if (range.isFullRange) {
+        status = '<span style="color: #28a745;">Full range positions can be staked.</span>';
+    } else {
+        status = '<span style="color: #ffc107;">Only full range positions can be staked.</span>';
+        if (currentTick !== null && (currentTick < range.tickLower || currentTick >= range.tickUpper)) {
+            const onlyToken = currentTick < range.tickLower ? symbol0 : symbol1;
+            status += `<br><span style="color: #ffc107;">The current price is outside this range: it takes only ${onlyToken} and earns no fees until the price moves into it.</span>`;
+        }
+    }
+
+    display.innerHTML = `
+        <div>Min: <strong>${formatRangePrice(minPrice)}</strong> ${symbol1} per ${symbol0}
+            &nbsp;|&nbsp; Max: <strong>${formatRangePrice(maxPrice)}</strong> ${symbol1} per ${symbol0}</div>
+        <div>Min: <strong>${formatRangePrice(1 / maxPrice)}</strong> ${symbol0} per ${symbol1}
+            &nbsp;|&nbsp; Max: <strong>${formatRangePrice(1 / minPrice)}</strong> ${symbol0} per ${symbol1}</div>
+        ${currentTick !== null ? `<div>Current: ${formatRangePrice(tickToPrice(currentTick, symbol0, symbol1))} ${symbol1} per ${symbol0}</div>` : ''}
+        <div style="font-size: 0.85em; color: #6c757d;">Ticks ${range.tickLower} to ${range.tickUpper} (spacing ${CREATE_RANGE_POOL.tickSpacing})</div>
+        <div style="font-size: 0.9em;">${status}</div>
+    `;
+}
+
+/**
+ * Draws the pool's liquidity by price around the current tick, highlighting the selected range
+ * @returns {void}
+ */
+function renderCreateRangeChart() {
+    const canvas = document.getElementById('createRangeChart');
+    if (!canvas || !rangePoolState || typeof Chart === 'undefined') return;
+
+    const { symbol0, symbol1 } = getCreateRangePool();
+    const range = getCreateRange();
+    const currentTick = rangePoolState.tick;
+
+    const rangeHalfWidth = Math.max(Math.abs(range.tickLower - currentTick), Math.abs(range.tickUpper - currentTick));
+    const halfWidth = Math.min(HISTOGRAM_MAX_HALF_WIDTH, Math.max(HISTOGRAM_MIN_HALF_WIDTH, Math.ceil(rangeHalfWidth * 1.25)));
+    const buckets = getLiquidityDistribution(rangePoolState, currentTick - halfWidth, currentTick + halfWidth, HISTOGRAM_BUCKETS);
+
+    const labels = buckets.map(bucket => formatRangePrice(tickToPrice((bucket.tickLower + bucket.tickUpper) / 2, symbol0, symbol1)));
+    const data = buckets.map(bucket => Number(bucket.liquidity));
+    const colors = buckets.map(bucket => {
+        if (currentTick >= bucket.tickLower && currentTick < bucket.tickUpper) return 'rgb(255, 205, 86)';
+        if (bucket.tickUpper > range.tickLower && bucket.tickLower < range.tickUpper) return 'rgb(156, 204, 101)';
+        return 'rgba(255, 255, 255, 0.25)';
+    });
+
+    if (rangeChart) {
+        rangeChart.data.labels = labels;
+        rangeChart.data.datasets[0].data = data;
+        rangeChart.data.datasets[0].backgroundColor = colors;
+        rangeChart.update('none');
+        return;
+    }
+
+    rangeChart = new Chart(canvas.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [{
+                label: 'Active Liquidity',
+                data,
+                backgroundColor: colors,
+                barPercentage: 1,
+                categoryPercentage: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        title: (items) => `${items[0].label} ${symbol1} per ${symbol0}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: { color: '#f2f2f2', maxRotation: 45, maxTicksLimit: 8 },
+                    grid: { display: false }
+                },
+                y: {
+                    ticks: { display: false },
+                    grid: { color: 'rgba(255, 255, 255, 0.1)' }
+                }
+            }
+        }
+    });
+}
+
+// ============================================
+// LOADING
+// ============================================
+
+/**
+ * Loads the pool's tick liquidity and refreshes the range picker
+ * Called when the Create tab is opened.
+ * @async
+ * @param {boolean} forceRefresh - Ignore the pool state cache
+ * @returns {Promise<void>}
+ */
+export async function loadCreateRangePicker(forceRefresh = false) {
+    try {
+        const { poolKey } = getCreateRangePool();
+        const states = await loadPoolStates([poolKey], forceRefresh);
+        rangePoolState = states.values().next().value || null;
+    } catch (error) {
+        console.error("Error loading pool liquidity for the range picker:", error);
+    }
+
+    updateCreateRangeDisplay();
+    renderCreateRangeChart();
+}
@@ -33,6 +33,8 @@
  * Log Processing:
  * - processMintTransferLogs() - Parse mint events from Transfer logs
  * - processTransferLogs() - Parse regular Transfer events
+ * - getMintedTokenId() - Position NFT minted in a transaction receipt
+ * - getPositionHistory() - ModifyLiquidity events recorded for one position NFT
  *
  * Block Scanning:
  * - scanBlocks() - Scan block range for events
@@ -109,6 +111,27 @@ let latestSearch = false;
 // Loop counter for scan progress - persists across scanBlocks() calls
 let scanLoopCounter = 0;
 
+/**
+ * Every ModifyLiquidity event seen by the scanner, by tokenId
+ * validPositions only keeps the latest event per position; this keeps them all.
+ * @type {Object<string, Array<Object>>}
+ */
+let positionHistory = {};
+
+/**
+ * First block from which positionHistory holds every event of the pool
+ * Remote snapshots carry no history, so positions minted before them start incomplete
+ * until backfillPositionHistory() has walked back to CONFIG.START_BLOCK.
+ * @type {number|null}
+ */
+let positionHistoryFromBlock = null;
+
+/**
+ * Flag indicating if a history backfill is in progress
+ * @type {boolean}
+ */
+let isBackfillingHistory = false;
+
 // ============================================
 // GETTERS (for external access to state)
 // ============================================
@@ -120,6 +143,56 @@ export function getCurrentBlock() { return currentBlockzzzz; }
 export function isMonitoringRunning() { return isRunning; }
 export function isLatestSearchComplete() { return latestSearch; }
 export function isSearchingLogs() { return WeAreSearchingLogsRightNow; }
+export function isPositionHistoryComplete() {
+    return positionHistoryFromBlock !== null && positionHistoryFromBlock <= (CONFIG.START_BLOCK || 35937447);
+}
+
+/**
+ * Gets the ModifyLiquidity events known for a position, oldest first
+ * Combines the scanned history with the latest event kept in validPositions.
+ * @param {string} tokenId - Position NFT id
+ * @returns {Array<Object>} Events with txHash, blockNumber, logIndex, tickLower, tickUpper and liquidityDelta
+ */
+export function getPositionHistory(tokenId) {
+    const events = [...(positionHistory[tokenId] || [])];
+    const latest = validPositions.find(pos => (pos.tokenId || pos.token_id)?.toString() === tokenId.toString());
+    const latestTxHash = latest && (latest.txHash || latest.tx_hash);
+
+    if (latestTxHash && !events.some(event => event.txHash === latestTxHash)) {
+        events.push({
+            tokenId: tokenId.toString(),
+            txHash: latestTxHash,
+            blockNumber: latest.blockNumber || latest.block_number,
+            logIndex: latest.logIndex,
+            tickLower: latest.tickLower ?? latest.tick_lower,
+            tickUpper: latest.tickUpper ?? latest.tick_upper,
+            liquidityDelta: latest.liquidityDelta || latest.liquidity_delta
+        });
+    }
+
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || (a.logIndex || 0) - (b.logIndex || 0));
+}
+
+/**
+ * Records processed ModifyLiquidity events in the per-position history
+ * @param {Array<Object>} positions - Output of processModifyLiquidityLogs
+ */
+function recordPositionHistory(positions) {
+    for (const position of positions) {
+        const events = positionHistory[position.tokenId] || (positionHistory[position.tokenId] = []);
+        if (events.some(event => event.txHash === position.txHash && event.logIndex === position.logIndex)) continue;
+
+        events.push({
+            tokenId: position.tokenId,
+            txHash: position.txHash,
+            blockNumber: position.blockNumber,
+            logIndex: position.logIndex,
+            tickLower: position.tickLower,
+            tickUpper: position.tickUpper,
+            liquidityDelta: position.liquidityDelta
+        });
+    }
+}
 
 // ============================================
 // SETTERS
@@ -455,6 +528,9 @@ export async function fetchDataFromUrl() {
         // Use localStorage data - it's ahead of remote
         validPositions = localData.valid_positions || [];
         nftOwners = localData.nft_owners || {};
+        positionHistory = localData.position_history || {};
+        // Caches from before the marker was kept may be missing older events
+        positionHistoryFromBlock = localData.metadata.position_history_from_block ?? localBlock;
         currentBlockzzzz = localBlock;
 
         const cacheAge = Date.now() - new Date(localData.metadata.last_updated).getTime();
@@ -469,6 +545,16 @@ export async function fetchDataFromUrl() {
         if (remoteData.nft_owners) nftOwners = remoteData.nft_owners;
         if (remoteData.valid_positions) validPositions = remoteData.valid_positions;
         if (remoteData.metadata?.current_block) currentBlockzzzz = remoteData.metadata.current_block;
+        // Remote snapshots may not carry history; keep what this browser has scanned.
+        // Scanning resumes after remoteBlock, so the local history is only known complete from there;
+        // backfillPositionHistory() fills the gap back to the local cache and skips events it already has.
+        if (remoteData.position_history) {
+            positionHistory = remoteData.position_history;
+            positionHistoryFromBlock = remoteData.metadata?.position_history_from_block ?? remoteBlock;
+        } else {
+            positionHistory = localData?.position_history || {};
+            positionHistoryFromBlock = remoteBlock;
+        }
 
         console.log(`✓ Using remote data (block ${remoteBlock} >= localStorage block ${localBlock})`);
         console.log(`  - ${validPositions.length} valid positions`);
@@ -477,6 +563,8 @@ export async function fetchDataFromUrl() {
         // Fallback to localStorage if remote failed
         validPositions = localData.valid_positions || [];
         nftOwners = localData.nft_owners || {};
+        positionHistory = localData.position_history || {};
+        positionHistoryFromBlock = localData.metadata?.position_history_from_block ?? localBlock;
         currentBlockzzzz = localBlock || CONFIG.START_BLOCK;
 
         console.log(`✓ Fallback to localStorage (remote unavailable)`);
@@ -484,6 +572,7 @@ export async function fetchDataFromUrl() {
         loadedFromLocal = true;
     } else {
         console.log("No cached data available, starting fresh...");
+        positionHistoryFromBlock = CONFIG.START_BLOCK;
     }
 
     // Mark as complete since we've attempted to load the data
@@ -905,6 +994,26 @@ export async function multicallGetPoolAndPositionInfo(tokenIds) {
 // LOG PROCESSING FUNCTIONS
 // ============================================
 
+// keccak256("Transfer(address,address,uint256)"), shared by ERC20 and ERC721 transfers
+export const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+/**
+ * Finds the position NFT minted in a transaction receipt
+ * The mint is the PositionManager's Transfer from the zero address.
+ * @param {Object} receipt - Transaction receipt
+ * @returns {string|null} Minted tokenId, or null if the transaction minted none
+ */
+export function getMintedTokenId(receipt) {
+    const positionManager = CONFIG2.NFT_CONTRACT.toLowerCase();
+    const mintLog = receipt.logs.find(log =>
+        log.address.toLowerCase() === positionManager &&
+        log.topics[0] === TRANSFER_TOPIC &&
+        log.topics.length === 4 &&
+        BigInt(log.topics[1]) === 0n
+    );
+    return mintLog ? BigInt(mintLog.topics[3]).toString() : null;
+}
+
 /**
  * Processes mint Transfer logs (from 0x00) to extract new positions
  * @param {Array} logs - Transfer event logs
@@ -1191,7 +1300,7 @@ export async function validatePositionsFullMulticall(positionData) {
 
 
 /**
- * Configuration object for ModifyLiquidity scanning
+ * Configuration object for ModifyLiquidity and Swap log scanning
  */
 const CONFIG2 = {
     RPC_URL: "https://mainnet.base.org",
@@ -1200,11 +1309,18 @@ const CONFIG2 = {
     NFT_CONTRACT: "0x7C5f5A4bBd8fD63184577525326123B519429bDc",
     MODIFY_LIQUIDITY_TOPIC: "0xf208f4912782fd25c7f114ca3723a2d5dd6f3bcc3ac8db5af63baa85f711d5ec",
     MODIFY_LIQUIDITY_TOPIC2: "0xa2da1740db0db2cf3059413cc2b1ad1185d311ee69bbce1720459eea7c9e4bea",
+    SWAP_TOPIC: "0x40e9cecb9f5f1f1c5b9c97dec2917b7ee92e57ba5563708daca94dd84ad7112f",
     BLOCK_RANGE_SIZE: 1000,
     BATCH_SIZE: 1200,
     SLEEP_BETWEEN_BATCHES: 600
 };
 
+// Blocks per getLogs call when backfilling history; a failing chunk is retried in CONFIG2.BLOCK_RANGE_SIZE pieces
+const HISTORY_BACKFILL_RANGE_SIZE = 10000;
+
+// Save backfill progress to localStorage every this many chunks
+const HISTORY_BACKFILL_SAVE_INTERVAL = 20;
+
 
 
 
@@ -1248,7 +1364,7 @@ const TOKEN_OWNER_CHECKER_ABI = [
 /**
  * Calculate block ranges for scanning
  */
-function calculateBlockRanges(fromBlock, toBlock, rangeSize = CONFIG2.BLOCK_RANGE_SIZE) {
+export function calculateBlockRanges(fromBlock, toBlock, rangeSize = CONFIG2.BLOCK_RANGE_SIZE) {
     const ranges = [];
     for (let start = fromBlock; start <= toBlock; start += rangeSize) {
         const end = Math.min(start + rangeSize - 1, toBlock);
@@ -1260,7 +1376,7 @@ function calculateBlockRanges(fromBlock, toBlock, rangeSize = CONFIG2.BLOCK_RANG
 /**
  * Get logs from the blockchain
  */
-async function getLogs(provider, fromBlock, toBlock, topics, address) {
+export async function getLogs(provider, fromBlock, toBlock, topics, address) {
     try {
         const logs = await provider.getLogs({
             fromBlock,
@@ -1529,6 +1645,7 @@ export async function scanBlocks(fromBlock, toBlock, loopNumbers) {
 
             // Add to batch for later validation
             allPositionsToValidate.push(...positions);
+            recordPositionHistory(positions);
 
         } catch (error) {
             console.error(`Error scanning range ${start}-${end}: ${error.message}`);
@@ -1540,6 +1657,74 @@ export async function scanBlocks(fromBlock, toBlock, loopNumbers) {
 
 
 
+/**
+ * Fills in ModifyLiquidity history older than the loaded snapshot
+ * Walks back from the first block the history covers to CONFIG.START_BLOCK, newest
+ * chunk first, recording every event of the pool. Progress is saved as it goes, so
+ * an interrupted backfill resumes where it stopped and a finished one never runs again.
+ * @async
+ * @param {Function} [onProgress] - Called with the fraction (0-1) of blocks done
+ * @returns {Promise<boolean>} True once the history reaches CONFIG.START_BLOCK
+ */
+export async function backfillPositionHistory(onProgress) {
+    if (isPositionHistoryComplete()) return true;
+    if (positionHistoryFromBlock === null) return false;
+    if (isBackfillingHistory) {
+        console.log("Position history backfill already running");
+        return false;
+    }
+
+    isBackfillingHistory = true;
+    const startBlock = CONFIG.START_BLOCK || 35937447;
+    const endBlock = positionHistoryFromBlock - 1;
+    const topics = [CONFIG2.MODIFY_LIQUIDITY_TOPIC, CONFIG2.MODIFY_LIQUIDITY_TOPIC2];
+    const provider = new ethers.providers.JsonRpcProvider(CONFIG2.RPC_URL);
+    const ranges = calculateBlockRanges(startBlock, endBlock, HISTORY_BACKFILL_RANGE_SIZE).reverse();
+    console.log(`Backfilling position history from block ${endBlock} back to ${startBlock} (${ranges.length} chunks)`);
+
+    try {
+        for (let i = 0; i < ranges.length; i++) {
+            const { start, end } = ranges[i];
+            let logs;
+            try {
+                logs = await getLogs(provider, start, end, topics, CONFIG2.POOL_MANAGER_ADDRESS);
+            } catch (error) {
+                console.log(`History range ${start}-${end} failed, retrying in smaller chunks`);
+                logs = [];
+                for (const range of calculateBlockRanges(start, end)) {
+                    logs.push(...await retryWithBackoff(getLogs, provider, range.start, range.end, topics, CONFIG2.POOL_MANAGER_ADDRESS));
+                }
+            }
+
+            recordPositionHistory(processModifyLiquidityLogs(logs));
+            positionHistoryFromBlock = start;
+
+            if (onProgress) onProgress((i + 1) / ranges.length);
+            if ((i + 1) % HISTORY_BACKFILL_SAVE_INTERVAL === 0 || i === ranges.length - 1) {
+                saveDataLocally('testnet_uniswap_v4_local_data', {
+                    metadata: {
+                        last_updated: new Date().toISOString(),
+                        current_block: currentBlockzzzz,
+                        position_history_from_block: positionHistoryFromBlock,
+                        total_valid_positions: validPositions.length,
+                        total_nft_owners: Object.keys(nftOwners).length
+                    },
+                    valid_positions: validPositions,
+                    invalid_positions: invalidPositions,
+                    nft_owners: nftOwners,
+                    position_history: positionHistory
+                });
+            }
+            await sleep(100);
+        }
+    } finally {
+        isBackfillingHistory = false;
+    }
+
+    console.log(`✓ Position history complete from block ${positionHistoryFromBlock}`);
+    return true;
+}
+
 /**
  * Reset global state (useful for fresh scans)
  */
@@ -1547,6 +1732,8 @@ export function resetScanState() {
     validPositions = [];
     invalidPositions = [];
     nftOwners = {};
+    positionHistory = {};
+    positionHistoryFromBlock = CONFIG.START_BLOCK || 35937447;
     scanLoopCounter = 0;
     currentBlockzzzz = 0;
 }
@@ -1771,12 +1958,14 @@ async function finishBlocksRun(){
             metadata: {
                 last_updated: new Date().toISOString(),
                 current_block: currentBlockzzzz,
+                position_history_from_block: positionHistoryFromBlock,
                 total_valid_positions: validPositions.length,
                 total_nft_owners: Object.keys(nftOwners).length
             },
             valid_positions: validPositions,
             invalid_positions: invalidPositions,
-            nft_owners: nftOwners
+            nft_owners: nftOwners,
+            position_history: positionHistory
         });
     }
 
@@ -1921,11 +2110,13 @@ export async function runContinuous(blocksPerScan = 1000, sleepSeconds = 10) {
                     metadata: {
                         last_updated: new Date().toISOString(),
                         current_block: currentBlockzzzz,
+                        position_history_from_block: positionHistoryFromBlock,
                         total_valid_positions: validPositions.length,
                         total_nft_owners: Object.keys(nftOwners).length
                     },
                     valid_positions: validPositions,
-                    nft_owners: nftOwners
+                    nft_owners: nftOwners,
+                    position_history: positionHistory
                 });
                 console.log(`✓ Position data saved to localStorage`);
 
@@ -0,0 +1,459 @@
+/**
+ * @module dca
+ * @description Recurring dollar-cost-average purchases scheduled from the swap tab
+ *
+ * Handles:
+ * - Creating, pausing and deleting DCA schedules stored in localStorage
+ * - Executing due purchases through executeSwapFromEstimate while the dapp is open
+ * - Bounding each purchase's output by the schedule's max slippage and skipping
+ *   purchases whose price impact is above the schedule's limit
+ * - Logging every execution, skip, failure and missed interval
+ * - Exporting and importing schedules as JSON
+ *
+ * Purchases can only run while a tab with the dapp is open and the wallet is
+ * connected; each one still has to be confirmed in the wallet.
+ */
+
+// Import dependencies
+import { tokenAddresses } from './config.js';
+import {
+    showSuccessNotification,
+    showErrorNotification,
+    showWarningNotification
+} from './ui.js';
+import { saveDataLocally, loadDataLocally } from './data-loader.js';
+import { prepareSwapEstimate, executeSwapFromEstimate, getTokenDecimals } from './swaps.js';
+import { escapeHtml } from './utils.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const DCA_STORAGE_KEY = 'dcaSchedules';
+
+// How often due schedules are checked while the dapp is open
+const DCA_CHECK_INTERVAL_MS = 30000;
+
+// ============================================
+// STATE VARIABLES
+// ============================================
+
+let schedules = [];
+let schedulerTimer = null;
+let isExecuting = false;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Fills in settings added after a schedule was saved
+ * Schedules from before the separate price impact limit used max slippage for both.
+ * @param {Object} schedule - Stored or imported schedule
+ * @returns {Object} The same schedule
+ */
+function normalizeSchedule(schedule) {
+    if (schedule.maxPriceImpact === undefined) schedule.maxPriceImpact = schedule.maxSlippage;
+    schedule.log = Array.isArray(schedule.log) ? schedule.log : [];
+    return schedule;
+}
+
+/**
+ * Saves all schedules to localStorage
+ * @returns {void}
+ */
+function saveSchedules() {
+    saveDataLocally(DCA_STORAGE_KEY, schedules);
+}
+
+/**
+ * Counts the purchases a schedule has used up (executed, skipped, failed or missed)
+ * @param {Object} schedule - DCA schedule
+ * @returns {number} Used purchase slots
+ */
+function getCompletedCount(schedule) {
+    return schedule.log.length;
+}
+
+/**
+ * Formats an interval in minutes for display
+ * @param {number} minutes - Interval length
+ * @returns {string} e.g. "4 hours", "1 day"
+ */
+function formatInterval(minutes) {
+    if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'}`;
+    if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+    return `${minutes} minutes`;
+}
+
+/**
+ * Validates a schedule read from the form or an import file
+ * @param {Object} schedule - Candidate schedule
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSchedule(schedule) {
+    if (!Object.hasOwn(tokenAddresses, schedule.fromToken) || !Object.hasOwn(tokenAddresses, schedule.toToken)) {
+        return 'Unknown token';
+    }
+    if (schedule.fromToken === schedule.toToken) {
+        return 'From and To tokens must differ';
+    }
+
+    let amount;
+    try {
+        amount = ethers.utils.parseUnits(String(schedule.amountPerInterval), getTokenDecimals(schedule.fromToken));
+    } catch (error) {
+        return 'Amount per purchase is not a valid number';
+    }
+    if (amount.lte(0)) {
+        return 'Amount per purchase must be greater than 0';
+    }
+
+    if (!(Number.isInteger(schedule.intervalMinutes) && schedule.intervalMinutes >= 1)) {
+        return 'Interval must be at least 1 minute';
+    }
+    if (!(Number.isInteger(schedule.totalCount) && schedule.totalCount >= 1)) {
+        return 'Number of purchases must be a whole number of at least 1';
+    }
+    if (!(typeof schedule.maxSlippage === 'number' && schedule.maxSlippage > 0 && schedule.maxSlippage <= 50)) {
+        return 'Max slippage must be between 0 and 50%';
+    }
+    if (!(typeof schedule.maxPriceImpact === 'number' && schedule.maxPriceImpact > 0 && schedule.maxPriceImpact <= 50)) {
+        return 'Max price impact must be between 0 and 50%';
+    }
+    return null;
+}
+
+// ============================================
+// SCHEDULE MANAGEMENT
+// ============================================
+
+/**
+ * Creates a DCA schedule from the swap tab form
+ * The first purchase is due immediately.
+ * @returns {void}
+ */
+export function createDcaSchedule() {
+    const schedule = {
+        id: Date.now().toString(36),
+        fromToken: document.getElementById('dcaFromToken').value,
+        toToken: document.getElementById('dcaToToken').value,
+        amountPerInterval: document.getElementById('dcaAmount').value,
+        intervalMinutes: parseInt(document.getElementById('dcaInterval').value, 10),
+        totalCount: parseInt(document.getElementById('dcaCount').value, 10),
+        maxSlippage: parseFloat(document.getElementById('dcaSlippage').value),
+        maxPriceImpact: parseFloat(document.getElementById('dcaPriceImpact').value),
+        nextRunAt: Date.now(),
+        paused: false,
+        createdAt: Date.now(),
+        log: []
+    };
+
+    const error = validateSchedule(schedule);
+    if (error) {
+        alert(error);
+        return;
+    }
+
+    schedules.push(schedule);
+    saveSchedules();
+    renderDcaSchedules();
+    showSuccessNotification('DCA Schedule Created',
+        `${schedule.amountPerInterval} ${schedule.fromToken} → ${schedule.toToken} every ${formatInterval(schedule.intervalMinutes)}`);
+
+    checkDueSchedules();
+}
+
+/**
+ * Pauses or resumes a schedule
+ * Resuming starts the next purchase one interval from now instead of catching up.
+ * @param {string} id - Schedule id
+ * @returns {void}
+ */
+export function toggleDcaSchedule(id) {
+    const schedule = schedules.find(s => s.id === id);
+    if (!schedule) return;
+
+    schedule.paused = !schedule.paused;
+    if (!schedule.paused) {
+        schedule.nextRunAt = Date.now() + schedule.intervalMinutes * 60000;
+    }
+    saveSchedules();
+    renderDcaSchedules();
+}
+
+/**
+ * Deletes a schedule and its log
+ * @param {string} id - Schedule id
+ * @returns {void}
+ */
+export function deleteDcaSchedule(id) {
+    if (!confirm("Delete this DCA schedule and its execution log?")) return;
+
+    schedules = schedules.filter(s => s.id !== id);
+    saveSchedules();
+    renderDcaSchedules();
+}
+
+// ============================================
+// EXECUTION
+// ============================================
+
+/**
+ * Logs intervals that passed without a purchase (dapp closed or wallet disconnected)
+ * Missed purchases use up their slots so the schedule keeps its end date.
+ * @returns {number} Number of missed purchases recorded
+ */
+function recordMissedIntervals() {
+    const now = Date.now();
+    let missedTotal = 0;
+
+    for (const schedule of schedules) {
+        if (schedule.paused) continue;
+
+        const intervalMs = schedule.intervalMinutes * 60000;
+        const remaining = schedule.totalCount - getCompletedCount(schedule);
+
+        // The most recent due interval still runs now; any before it were missed
+        const missed = Math.min(remaining, Math.floor((now - schedule.nextRunAt) / intervalMs));
+        for (let i = 0; i < missed; i++) {
+            schedule.log.push({ scheduledAt: schedule.nextRunAt, status: 'missed' });
+            schedule.nextRunAt += intervalMs;
+        }
+        missedTotal += Math.max(0, missed);
+    }
+
+    if (missedTotal > 0) saveSchedules();
+    return missedTotal;
+}
+
+/**
+ * Runs one purchase of a schedule and logs the result
+ * The swap's minimum output is the quote less the schedule's max slippage. The
+ * quote's price impact must also stay within the schedule's max price impact.
+ * The estimate is kept local so a quote pending on the swap tab is not replaced.
+ * @async
+ * @param {Object} schedule - Due schedule
+ * @returns {Promise<void>}
+ */
+async function executeDcaPurchase(schedule) {
+    const entry = {
+        scheduledAt: schedule.nextRunAt,
+        executedAt: Date.now(),
+        amountIn: schedule.amountPerInterval,
+        maxSlippage: schedule.maxSlippage,
+        maxPriceImpact: schedule.maxPriceImpact
+    };
+
+    try {
+        const amountToSwap = ethers.utils.parseUnits(schedule.amountPerInterval, getTokenDecimals(schedule.fromToken));
+        const estimate = await prepareSwapEstimate(schedule.fromToken, schedule.toToken, amountToSwap);
+        const totalOutput = estimate.type === 'multi' ? estimate.totalOutput : estimate.output;
+        const slippage = schedule.maxSlippage / 100;
+
+        entry.estimatedOut = ethers.utils.formatUnits(totalOutput, getTokenDecimals(schedule.toToken));
+        entry.minOut = ethers.utils.formatUnits(
+            totalOutput.mul(Math.floor((1 - slippage) * 10000)).div(10000),
+            getTokenDecimals(schedule.toToken)
+        );
+        entry.priceImpact = estimate.priceImpact.priceImpact;
+
+        if (entry.priceImpact > schedule.maxPriceImpact) {
+            entry.status = 'skipped';
+            entry.reason = `Price impact ${entry.priceImpact.toFixed(2)}% above max price impact ${schedule.maxPriceImpact}%`;
+            showWarningNotification('DCA Purchase Skipped', entry.reason);
+        } else {
+            const receipt = await executeSwapFromEstimate(schedule.fromToken, schedule.toToken, slippage, estimate, amountToSwap);
+            if (receipt) {
+                entry.status = 'executed';
+                entry.txHash = receipt.transactionHash;
+            } else {
+                entry.status = 'cancelled';
+            }
+        }
+    } catch (error) {
+        console.error("DCA purchase failed:", error);
+        entry.status = 'failed';
+        entry.reason = error.message;
+        showErrorNotification('DCA Purchase Failed', error.message);
+    }
+
+    console.log("DCA purchase:", entry);
+    schedule.log.push(entry);
+    schedule.nextRunAt += schedule.intervalMinutes * 60000;
+    saveSchedules();
+}
+
+/**
+ * Executes every due schedule, one purchase at a time
+ * Waits for a wallet connection rather than logging purchases as failed.
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function checkDueSchedules() {
+    if (isExecuting) return;
+
+    if (recordMissedIntervals() > 0) renderDcaSchedules();
+
+    const due = schedules.filter(schedule =>
+        !schedule.paused &&
+        getCompletedCount(schedule) < schedule.totalCount &&
+        Date.now() >= schedule.nextRunAt
+    );
+    if (due.length === 0) return;
+
+    if (!window.walletConnected) {
+        const status = document.getElementById('dcaStatus');
+        if (status) status.textContent = `${due.length} DCA purchase(s) due. Connect your wallet to run them.`;
+        return;
+    }
+
+    isExecuting = true;
+    try {
+        for (const schedule of due) {
+            await executeDcaPurchase(schedule);
+            renderDcaSchedules();
+        }
+    } finally {
+        isExecuting = false;
+    }
+}
+
+/**
+ * Loads schedules, records missed intervals and starts checking for due purchases
+ * @returns {void}
+ */
+export function startDcaScheduler() {
+    schedules = (loadDataLocally(DCA_STORAGE_KEY) || []).map(normalizeSchedule);
+
+    const missed = recordMissedIntervals();
+    renderDcaSchedules();
+    if (missed > 0) {
+        showWarningNotification('Missed DCA Purchases', `${missed} purchase(s) were due while the dapp was closed`);
+        const status = document.getElementById('dcaStatus');
+        if (status) status.textContent = `${missed} purchase(s) were missed while the dapp was closed. See the logs below.`;
+    }
+
+    if (schedulerTimer) clearInterval(schedulerTimer);
+    schedulerTimer = setInterval(checkDueSchedules, DCA_CHECK_INTERVAL_MS);
+}
+
+// ============================================
+// DISPLAY
+// ============================================
+
+/**
+ * Renders one log entry of a schedule
+ * @param {Object} entry - Log entry
+ * @param {Object} schedule - Schedule the entry belongs to
+ * @returns {string} HTML
+ */
+function renderLogEntry(entry, schedule) {
+    const when = new Date(entry.executedAt || entry.scheduledAt).toLocaleString();
+    if (entry.status === 'missed') {
+        return `<li>${when}: missed (dapp closed or wallet not connected)</li>`;
+    }
+
+    const maxImpact = entry.maxPriceImpact ?? entry.maxSlippage;
+    const check = entry.priceImpact !== undefined ?
+        ` · impact ${Number(entry.priceImpact).toFixed(2)}% / max ${escapeHtml(maxImpact)}%` : '';
+    const quote = entry.estimatedOut ?
+        ` · est. ${parseFloat(entry.estimatedOut).toFixed(6)} ${schedule.toToken} (min ${parseFloat(entry.minOut).toFixed(6)})` : '';
+    const tx = /^0x[0-9a-fA-F]{64}$/.test(entry.txHash) ?
+        ` · <a href="https://basescan.org/tx/${entry.txHash}" target="_blank">tx</a>` : '';
+    const reason = entry.reason ? ` · ${escapeHtml(entry.reason)}` : '';
+
+    return `<li>${when}: ${escapeHtml(entry.status)}${quote}${check}${tx}${reason}</li>`;
+}
+
+/**
+ * Renders the schedule list
+ * @returns {void}
+ */
+export function renderDcaSchedules() {
+    const container = document.getElementById('dcaSchedulesList');
+    if (!container) return;
+
+    if (schedules.length === 0) {
+        container.innerHTML = '<p style="color: #6c757d; font-style: italic;">No DCA schedules.</p>';
+        return;
+    }
+
+    container.innerHTML = schedules.map(schedule => {
+        const completed = getCompletedCount(schedule);
+        const finished = completed >= schedule.totalCount;
+        const state = finished ? 'Finished' :
+            (schedule.paused ? 'Paused' : `Next: ${new Date(schedule.nextRunAt).toLocaleString()}`);
+
+        return `
+            <div class="info-card" style="margin-bottom: 10px;">
+                <strong>${escapeHtml(schedule.amountPerInterval)} ${schedule.fromToken} → ${schedule.toToken}</strong>
+                every ${formatInterval(schedule.intervalMinutes)} · max slippage ${schedule.maxSlippage}%
+                · max price impact ${schedule.maxPriceImpact}%
+                <div style="margin: 5px 0;">${completed}/${schedule.totalCount} purchases · ${state}</div>
+                ${finished ? '' : `<button class="btn-secondary" onclick="toggleDcaSchedule('${schedule.id}')">${schedule.paused ? 'Resume' : 'Pause'}</button>`}
+                <button class="btn-secondary" onclick="deleteDcaSchedule('${schedule.id}')">Delete</button>
+                <details style="margin-top: 5px;">
+                    <summary style="cursor: pointer;">Execution log (${schedule.log.length})</summary>
+                    <ul style="font-size: 0.85em;">${schedule.log.slice().reverse().map(entry => renderLogEntry(entry, schedule)).join('')}</ul>
+                </details>
+            </div>
+        `;
+    }).join('');
+}
+
+// ============================================
+// EXPORT / IMPORT
+// ============================================
+
+/**
+ * Downloads all schedules and their logs as JSON
+ * @returns {void}
+ */
+export function exportDcaSchedules() {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(schedules, null, 2)], { type: 'application/json' }));
+    link.download = 'dca-schedules.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Imports schedules from a JSON export, replacing schedules with the same id
+ * @async
+ * @param {File} file - Exported JSON file
+ * @returns {Promise<void>}
+ */
+export async function importDcaSchedules(file) {
+    if (!file) return;
+
+    try {
+        const imported = JSON.parse(await file.text());
+        if (!Array.isArray(imported)) {
+            throw new Error('File does not contain a schedule list');
+        }
+
+        for (const schedule of imported) {
+            normalizeSchedule(schedule);
+            const error = validateSchedule(schedule);
+            // Ids are interpolated into onclick handlers, so only the generated base-36 form is accepted
+            if (error || !/^[0-9a-z]+$/.test(schedule.id) || !(schedule.nextRunAt > 0)) {
+                throw new Error(`Invalid schedule: ${error || 'missing id or next run time'}`);
+            }
+        }
+
+        const importedIds = new Set(imported.map(schedule => schedule.id));
+        schedules = schedules.filter(schedule => !importedIds.has(schedule.id)).concat(imported);
+
+        const missed = recordMissedIntervals();
+        saveSchedules();
+        renderDcaSchedules();
+        showSuccessNotification('DCA Schedules Imported',
+            `${imported.length} schedule(s) imported${missed > 0 ? `, ${missed} missed purchase(s) logged` : ''}`);
+    } catch (error) {
+        console.error("Error importing DCA schedules:", error);
+        showErrorNotification('Import Failed', error.message);
+    }
+}
@@ -29,6 +29,7 @@ import { positionData, stakingPositionData, updatePositionInfo, updateTotalLiqIn
 import { updateStakingStats, populateStakingManagementData } from './staking.js';
 import { startCountdown } from './countdown.js';
 import { initializeMaxButtons } from './max-buttons.js';
+import { startDcaScheduler } from './dca.js';
 // ============================================
 // MAIN INITIALIZATION
 // ============================================
@@ -243,6 +244,8 @@ const validTabs = [
     'create',
     'increase',
     'decrease',
+    'position-analytics',
+    'position-viewer',
     'staking-main-page',
     'staking',
     'stake-increase',
@@ -252,6 +255,7 @@ const validTabs = [
     'staking-management',
     'testnet-faucet',
     'contract-info',
+    'approvals',
     'stats',
     'socials',
     'stats-graphs',
@@ -416,6 +420,9 @@ export function setupDOMListeners() {
 
         positionSelect.addEventListener('change', updatePositionInfo);
         positionSelect.addEventListener('change', updateTotalLiqIncrease);
+        positionSelect.addEventListener('change', () => {
+            if (document.getElementById('compoundSection')?.open) Positions.updateCompoundPreview();
+        });
         updatePositionInfo();
     }
 
@@ -878,6 +885,9 @@ document.addEventListener('DOMContentLoaded', async function () {
     // Initialize MAX buttons for all input fields
     initializeMaxButtons();
 
+    // Load DCA schedules and run due purchases while the dapp is open
+    startDcaScheduler();
+
     // Set responsive padding
     setPadding();
     window.addEventListener('resize', setPadding);
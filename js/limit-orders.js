@@ -0,0 +1,551 @@
+/**
+ * @module limit-orders
+ * @description Limit orders on the B0x/0xBTC pool as single-tick range positions
+ *
+ * Handles:
+ * - Converting a target price into a one-tickSpacing range beside the current tick
+ * - Minting the single-sided position through the V4 PositionManager (Permit2 approvals)
+ * - Tracking open, partially filled and filled (crossed) orders per wallet
+ * - One-click withdrawal of the filled side
+ *
+ * A range order holds only the sold token while price is on its near side and
+ * only the bought token once price has crossed it. If price moves back before
+ * the order is withdrawn, the position converts back.
+ */
+
+// Import dependencies
+import {
+    tokenAddresses,
+    hookAddress,
+    positionManager_address,
+    permit2Address,
+    stateViewAddress
+} from './config.js';
+import { customRPC } from './settings.js';
+import { STATE_VIEW_ABI } from './abis.js';
+import { getSqrtRatioAtTick, approveIfNeeded, approveTokensViaPermit2, preflightTransaction, getValueUSD } from './contracts.js';
+import { fetchBalances } from './utils.js';
+import { showSuccessNotification, showErrorNotification, showInfoNotification } from './ui.js';
+import { saveDataLocally, loadDataLocally, getMintedTokenId } from './data-loader.js';
+import { getPoolId } from './quoter.js';
+import { getTokenDecimals } from './swaps.js';
+import { tickToPrice, priceToTick, getAmountsForLiquidity } from './positions-ratio.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const Q96 = 1n << 96n;
+
+// Pool the limit orders are placed in
+const LIMIT_ORDER_POOL = {
+    currencies: ['B0x', '0xBTC'],
+    fee: 0x800000,
+    tickSpacing: 60,
+    hooks: hookAddress
+};
+
+// Minimum-received tolerance when withdrawing an order
+const WITHDRAW_SLIPPAGE = 0.01;
+
+const LIMIT_ORDER_STORAGE_PREFIX = 'limitOrders_';
+
+// PositionManager actions
+const MINT_POSITION = 0x02;
+const DECREASE_LIQUIDITY = 0x01;
+const SETTLE_PAIR = 0x0d;
+const TAKE_PAIR = 0x11;
+
+const positionManagerABI = [
+    {
+        "inputs": [
+            { "internalType": "bytes", "name": "unlockData", "type": "bytes" },
+            { "internalType": "uint256", "name": "deadline", "type": "uint256" }
+        ],
+        "name": "modifyLiquidities",
+        "outputs": [],
+        "stateMutability": "payable",
+        "type": "function"
+    },
+    {
+        "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }],
+        "name": "getPositionLiquidity",
+        "outputs": [{ "internalType": "uint128", "name": "liquidity", "type": "uint128" }],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Gets the sorted pool key and token symbols of the limit order pool
+ * @returns {{poolKey: Object, symbol0: string, symbol1: string}} Pool info
+ */
+function getLimitOrderPool() {
+    const [symbolA, symbolB] = LIMIT_ORDER_POOL.currencies;
+    const [symbol0, symbol1] = tokenAddresses[symbolA].toLowerCase() < tokenAddresses[symbolB].toLowerCase() ?
+        [symbolA, symbolB] :
+        [symbolB, symbolA];
+
+    return {
+        poolKey: {
+            currency0: tokenAddresses[symbol0],
+            currency1: tokenAddresses[symbol1],
+            fee: LIMIT_ORDER_POOL.fee,
+            tickSpacing: LIMIT_ORDER_POOL.tickSpacing,
+            hooks: LIMIT_ORDER_POOL.hooks
+        },
+        symbol0,
+        symbol1
+    };
+}
+
+/**
+ * Gets the localStorage key for a wallet's limit orders
+ * @param {string} address - Wallet address
+ * @returns {string} Storage key
+ */
+function getStorageKey(address) {
+    return LIMIT_ORDER_STORAGE_PREFIX + address.toLowerCase();
+}
+
+/**
+ * Loads the connected wallet's saved limit orders
+ * @returns {Array} Orders
+ */
+function loadOrders() {
+    if (!window.userAddress) return [];
+    return loadDataLocally(getStorageKey(window.userAddress)) || [];
+}
+
+/**
+ * Saves the connected wallet's limit orders
+ * @param {Array} orders - Orders
+ * @returns {void}
+ */
+function saveOrders(orders) {
+    saveDataLocally(getStorageKey(window.userAddress), orders);
+}
+
+/**
+ * Reads the current sqrt price and tick of the limit order pool
+ * @async
+ * @param {Object} poolKey - Pool key
+ * @returns {Promise<{sqrtPriceX96: bigint, tick: number}>} Pool slot0
+ */
+async function getPoolSlot0(poolKey) {
+    const provider = new ethers.providers.JsonRpcProvider(customRPC);
+    const stateView = new ethers.Contract(stateViewAddress, STATE_VIEW_ABI, provider);
+    const slot0 = await stateView.getSlot0(getPoolId(poolKey));
+    return { sqrtPriceX96: BigInt(slot0.sqrtPriceX96.toString()), tick: slot0.tick };
+}
+
+// ============================================
+// ORDER PLANNING
+// ============================================
+
+/**
+ * Plans a limit order range from a target price
+ * Selling token0 fills as price rises through a range above the current tick;
+ * selling token1 fills as price falls through a range below it.
+ * @param {string} sellToken - Symbol of the token being sold
+ * @param {number} targetPrice - Target price in token1 per token0
+ * @param {number} currentTick - Current pool tick
+ * @returns {Object} Plan with ticks and fill prices, or { error }
+ */
+export function planLimitOrder(sellToken, targetPrice, currentTick) {
+    const { symbol0, symbol1 } = getLimitOrderPool();
+    const spacing = LIMIT_ORDER_POOL.tickSpacing;
+
+    if (!(targetPrice > 0)) {
+        return { error: 'Enter a target price' };
+    }
+
+    const alignedTick = priceToTick(targetPrice, symbol0, symbol1, spacing);
+    const sellsToken0 = sellToken === symbol0;
+    const tickLower = sellsToken0 ? alignedTick : alignedTick - spacing;
+    const tickUpper = tickLower + spacing;
+
+    // The position must sit entirely on one side of the current tick to hold only the sold token
+    if (sellsToken0 && currentTick >= tickLower) {
+        return { error: `Selling ${symbol0} needs a target above the current price` };
+    }
+    if (!sellsToken0 && currentTick < tickUpper) {
+        return { error: `Selling ${symbol1} needs a target below the current price` };
+    }
+
+    return {
+        sellToken,
+        buyToken: sellsToken0 ? symbol1 : symbol0,
+        tickLower,
+        tickUpper,
+        priceLower: tickToPrice(tickLower, symbol0, symbol1),
+        priceUpper: tickToPrice(tickUpper, symbol0, symbol1)
+    };
+}
+
+/**
+ * Updates the limit order preview with the current price and planned range
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function updateLimitOrderPreview() {
+    const preview = document.getElementById('limitOrderPreview');
+    if (!preview) return;
+
+    const { poolKey, symbol0, symbol1 } = getLimitOrderPool();
+    const sellToken = document.getElementById('limitOrderSellToken').value;
+    const targetPrice = parseFloat(document.getElementById('limitOrderPrice').value);
+
+    try {
+        const { tick } = await getPoolSlot0(poolKey);
+        const currentPrice = tickToPrice(tick, symbol0, symbol1);
+        let html = `<p style="margin: 5px 0;">Current price: ${currentPrice.toPrecision(6)} ${symbol1} per ${symbol0}</p>`;
+
+        const plan = planLimitOrder(sellToken, targetPrice, tick);
+        if (plan.error) {
+            html += `<p style="margin: 5px 0; color: #dc3545;">${plan.error}</p>`;
+        } else {
+            html += `<p style="margin: 5px 0;">Fills between ${plan.priceLower.toPrecision(6)} and ${plan.priceUpper.toPrecision(6)}
+                ${symbol1} per ${symbol0} (ticks ${plan.tickLower} to ${plan.tickUpper})</p>`;
+        }
+        preview.innerHTML = html;
+    } catch (error) {
+        console.error("Error updating limit order preview:", error);
+        preview.innerHTML = '<p style="margin: 5px 0; color: #dc3545;">Could not load the pool price</p>';
+    }
+}
+
+// ============================================
+// PLACING ORDERS
+// ============================================
+
+/**
+ * Places a limit order by minting a one-tickSpacing single-sided position
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function placeLimitOrder() {
+    if (!window.walletConnected) {
+        await window.connectWallet();
+    }
+
+    const button = document.getElementById('placeLimitOrderBtn');
+    const { poolKey, symbol0, symbol1 } = getLimitOrderPool();
+    const sellToken = document.getElementById('limitOrderSellToken').value;
+    const amountInput = document.getElementById('limitOrderAmount').value;
+    const targetPrice = parseFloat(document.getElementById('limitOrderPrice').value);
+
+    let amount;
+    try {
+        amount = ethers.utils.parseUnits(amountInput || '0', getTokenDecimals(sellToken));
+    } catch (error) {
+        alert("Enter a valid amount");
+        return;
+    }
+    if (amount.lte(0)) {
+        alert("Enter an amount to sell");
+        return;
+    }
+
+    button.disabled = true;
+    button.innerHTML = '<span class="spinner"></span> Approve transactions in wallet...';
+
+    try {
+        const { tick } = await getPoolSlot0(poolKey);
+        const plan = planLimitOrder(sellToken, targetPrice, tick);
+        if (plan.error) {
+            alert(plan.error);
+            return;
+        }
+
+        const sqrtA = getSqrtRatioAtTick(plan.tickLower);
+        const sqrtB = getSqrtRatioAtTick(plan.tickUpper);
+        // Two wei are held back so the PositionManager's rounding up stays within the amount
+        const usable = BigInt(amount.toString()) - 2n;
+        const sellsToken0 = sellToken === symbol0;
+        const liquidity = sellsToken0 ?
+            usable * sqrtA * sqrtB / Q96 / (sqrtB - sqrtA) :
+            usable * Q96 / (sqrtB - sqrtA);
+
+        const amount0Max = sellsToken0 ? amount : ethers.BigNumber.from(0);
+        const amount1Max = sellsToken0 ? ethers.BigNumber.from(0) : amount;
+
+        if (!(await approveIfNeeded(tokenAddresses[sellToken], permit2Address, amount))) {
+            throw new Error('Token approval failed or was cancelled');
+        }
+        await approveTokensViaPermit2(window.signer, permit2Address, poolKey.currency0, poolKey.currency1,
+            positionManager_address, amount0Max, amount1Max);
+
+        const abiCoder = ethers.utils.defaultAbiCoder;
+        const actions = ethers.utils.concat([
+            ethers.utils.hexZeroPad(MINT_POSITION, 1),
+            ethers.utils.hexZeroPad(SETTLE_PAIR, 1)
+        ]);
+        const params = [
+            abiCoder.encode(
+                ["tuple(address,address,uint24,int24,address)", "int24", "int24", "uint256", "uint128", "uint128", "address", "bytes"],
+                [
+                    [poolKey.currency0, poolKey.currency1, poolKey.fee, poolKey.tickSpacing, poolKey.hooks],
+                    plan.tickLower,
+                    plan.tickUpper,
+                    liquidity.toString(),
+                    amount0Max,
+                    amount1Max,
+                    window.userAddress,
+                    "0x"
+                ]
+            ),
+            abiCoder.encode(["address", "address"], [poolKey.currency0, poolKey.currency1])
+        ];
+        const callData = abiCoder.encode(["bytes", "bytes[]"], [actions, params]);
+        const deadline = Math.floor(Date.now() / 1000) + 160;
+
+        const positionManagerContract = new ethers.Contract(positionManager_address, positionManagerABI, window.signer);
+
+        const valueUSD = await getValueUSD({ [sellToken]: amountInput });
+        const populatedTx = await positionManagerContract.populateTransaction.modifyLiquidities(callData, deadline);
+        if (!(await preflightTransaction(populatedTx, { label: 'Place Limit Order', valueUSD }))) {
+            return;
+        }
+
+        showInfoNotification('Confirm Limit Order', 'Confirm the limit order transaction in your wallet');
+        const tx = await positionManagerContract.modifyLiquidities(callData, deadline);
+        showInfoNotification();
+        const receipt = await tx.wait();
+
+        const tokenId = getMintedTokenId(receipt);
+        if (!tokenId) {
+            throw new Error("Limit order minted but its position id was not found in the receipt");
+        }
+
+        const orders = loadOrders();
+        orders.push({
+            tokenId,
+            sellToken,
+            buyToken: plan.buyToken,
+            amount: amountInput,
+            targetPrice,
+            tickLower: plan.tickLower,
+            tickUpper: plan.tickUpper,
+            crossed: false,
+            createdAt: Math.floor(Date.now() / 1000),
+            txHash: tx.hash
+        });
+        saveOrders(orders);
+
+        showSuccessNotification('Limit Order Placed!', `Selling ${amountInput} ${sellToken} for ${plan.buyToken}`, tx.hash);
+        fetchBalances();
+        await refreshLimitOrders();
+    } catch (error) {
+        console.error("Error placing limit order:", error);
+        showErrorNotification('Limit Order Failed', error.message || 'Failed to place limit order');
+    } finally {
+        button.disabled = false;
+        button.innerHTML = 'Place Limit Order';
+    }
+}
+
+// ============================================
+// TRACKING
+// ============================================
+
+/**
+ * Works out how far an order has filled at the current tick
+ * @param {Object} order - Saved order
+ * @param {number} tick - Current pool tick
+ * @param {string} symbol0 - Token0 symbol
+ * @returns {string} 'open', 'partial' or 'filled'
+ */
+function getOrderFillState(order, tick, symbol0) {
+    const sellsToken0 = order.sellToken === symbol0;
+    if (tick >= order.tickLower && tick < order.tickUpper) return 'partial';
+
+    const aboveRange = tick >= order.tickUpper;
+    return aboveRange === sellsToken0 ? 'filled' : 'open';
+}
+
+/**
+ * Refreshes order states from the pool and renders the order list
+ * Orders whose position has no liquidity left are dropped.
+ * @async
+ * @returns {Promise<Array>} Orders with current state
+ */
+export async function refreshLimitOrders() {
+    const container = document.getElementById('limitOrdersList');
+    if (!window.userAddress) {
+        if (container) container.innerHTML = '<p style="color: #6c757d; font-style: italic;">Connect your wallet to see your limit orders.</p>';
+        return [];
+    }
+
+    const { poolKey, symbol0, symbol1 } = getLimitOrderPool();
+    let orders = loadOrders();
+
+    try {
+        const provider = new ethers.providers.JsonRpcProvider(customRPC);
+        const positionManagerContract = new ethers.Contract(positionManager_address, positionManagerABI, provider);
+        const [{ sqrtPriceX96, tick }, liquidities] = await Promise.all([
+            getPoolSlot0(poolKey),
+            Promise.all(orders.map(order => positionManagerContract.getPositionLiquidity(order.tokenId)))
+        ]);
+
+        orders = orders.filter((order, i) => {
+            order.liquidity = BigInt(liquidities[i].toString());
+            return order.liquidity > 0n;
+        });
+
+        for (const order of orders) {
+            order.state = getOrderFillState(order, tick, symbol0);
+            if (order.state === 'filled') order.crossed = true;
+
+            const amounts = getAmountsForLiquidity(order.liquidity, sqrtPriceX96, order.tickLower, order.tickUpper);
+            order.amount0 = ethers.utils.formatUnits(amounts.amount0.toString(), getTokenDecimals(symbol0));
+            order.amount1 = ethers.utils.formatUnits(amounts.amount1.toString(), getTokenDecimals(symbol1));
+        }
+
+        saveOrders(orders.map(({ liquidity, state, amount0, amount1, ...saved }) => saved));
+        renderLimitOrders(orders, symbol0, symbol1);
+    } catch (error) {
+        console.error("Error refreshing limit orders:", error);
+        showErrorNotification('Limit Orders', 'Could not load limit order status');
+    }
+
+    return orders;
+}
+
+/**
+ * Renders the limit order list
+ * @param {Array} orders - Orders with current state
+ * @param {string} symbol0 - Token0 symbol
+ * @param {string} symbol1 - Token1 symbol
+ * @returns {void}
+ */
+function renderLimitOrders(orders, symbol0, symbol1) {
+    const container = document.getElementById('limitOrdersList');
+    if (!container) return;
+
+    if (orders.length === 0) {
+        container.innerHTML = '<p style="color: #6c757d; font-style: italic;">No open limit orders.</p>';
+        return;
+    }
+
+    const stateLabels = {
+        open: 'Open',
+        partial: 'Partially filled',
+        filled: '✅ Filled'
+    };
+
+    container.innerHTML = `
+        <div class="table-wrapper">
+            <table class="periods-table">
+                <thead>
+                    <tr>
+                        <th>Order</th>
+                        <th>Fill Range (${symbol1} per ${symbol0})</th>
+                        <th>Holding Now</th>
+                        <th>Status</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${orders.map(order => `
+                        <tr>
+                            <td>#${order.tokenId}: Sell ${order.amount} ${order.sellToken} → ${order.buyToken}</td>
+                            <td>${tickToPrice(order.tickLower, symbol0, symbol1).toPrecision(6)} – ${tickToPrice(order.tickUpper, symbol0, symbol1).toPrecision(6)}</td>
+                            <td>${parseFloat(order.amount0).toFixed(6)} ${symbol0}<br>${parseFloat(order.amount1).toFixed(6)} ${symbol1}</td>
+                            <td>${stateLabels[order.state]}${order.crossed && order.state !== 'filled' ?
+                                '<br><span style="color: #dc3545;">Price crossed back — withdraw to lock in fills</span>' : ''}</td>
+                            <td><button class="btn-secondary" onclick="withdrawLimitOrder('${order.tokenId}')">
+                                ${order.state === 'filled' ? `Withdraw ${order.buyToken}` : 'Cancel &amp; Withdraw'}</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// ============================================
+// WITHDRAWING
+// ============================================
+
+/**
+ * Withdraws all liquidity of a limit order position to the wallet
+ * Filled orders return the bought token; open orders are cancelled and
+ * return whatever the position currently holds.
+ * @async
+ * @param {string} tokenId - Position NFT id
+ * @returns {Promise<void>}
+ */
+export async function withdrawLimitOrder(tokenId) {
+    if (!window.walletConnected) {
+        await window.connectWallet();
+    }
+
+    const { poolKey, symbol0, symbol1 } = getLimitOrderPool();
+    const orders = loadOrders();
+    const order = orders.find(o => o.tokenId === tokenId);
+    if (!order) return;
+
+    try {
+        const positionManagerContract = new ethers.Contract(positionManager_address, positionManagerABI, window.signer);
+        const [liquidity, { sqrtPriceX96, tick }] = await Promise.all([
+            positionManagerContract.getPositionLiquidity(tokenId),
+            getPoolSlot0(poolKey)
+        ]);
+
+        if (getOrderFillState(order, tick, symbol0) !== 'filled' &&
+            !confirm(`Limit order #${tokenId} has not fully filled. Cancel it and withdraw what it holds now?`)) {
+            return;
+        }
+
+        const amounts = getAmountsForLiquidity(BigInt(liquidity.toString()), sqrtPriceX96, order.tickLower, order.tickUpper);
+        const slippageBps = BigInt(Math.floor(WITHDRAW_SLIPPAGE * 10000));
+        const amount0Min = amounts.amount0 * (10000n - slippageBps) / 10000n;
+        const amount1Min = amounts.amount1 * (10000n - slippageBps) / 10000n;
+
+        const abiCoder = ethers.utils.defaultAbiCoder;
+        const actions = ethers.utils.concat([
+            ethers.utils.hexZeroPad(DECREASE_LIQUIDITY, 1),
+            ethers.utils.hexZeroPad(TAKE_PAIR, 1)
+        ]);
+        const params = [
+            abiCoder.encode(
+                ["uint256", "uint256", "uint128", "uint128", "bytes"],
+                [tokenId, liquidity, amount0Min.toString(), amount1Min.toString(), "0x"]
+            ),
+            abiCoder.encode(
+                ["address", "address", "address"],
+                [poolKey.currency0, poolKey.currency1, window.userAddress]
+            )
+        ];
+        const callData = abiCoder.encode(["bytes", "bytes[]"], [actions, params]);
+        const deadline = Math.floor(Date.now() / 1000) + 160;
+
+        const valueUSD = await getValueUSD({
+            [symbol0]: ethers.utils.formatUnits(amounts.amount0.toString(), getTokenDecimals(symbol0)),
+            [symbol1]: ethers.utils.formatUnits(amounts.amount1.toString(), getTokenDecimals(symbol1))
+        });
+        const populatedTx = await positionManagerContract.populateTransaction.modifyLiquidities(callData, deadline);
+        if (!(await preflightTransaction(populatedTx, { label: 'Withdraw Limit Order', valueUSD }))) {
+            return;
+        }
+
+        showInfoNotification('Confirm Withdrawal', 'Confirm the limit order withdrawal in your wallet');
+        const tx = await positionManagerContract.modifyLiquidities(callData, deadline);
+        showInfoNotification();
+        await tx.wait();
+
+        saveOrders(orders.filter(o => o.tokenId !== tokenId));
+        showSuccessNotification('Limit Order Withdrawn!', `Order #${tokenId} closed`, tx.hash);
+
+        fetchBalances();
+        await refreshLimitOrders();
+    } catch (error) {
+        console.error("Error withdrawing limit order:", error);
+        showErrorNotification('Withdrawal Failed', error.message || 'Failed to withdraw limit order');
+    }
+}
@@ -35,8 +35,18 @@ import * as DataLoader from './data-loader.js';
 import * as Staking from './staking.js';
 import * as Positions from './positions.js';
 import * as PositionsRatio from './positions-ratio.js';  // NEW: Ratio calculations
+import * as CreateRange from './create-range.js';  // NEW: Price range picker for new positions
+import * as PositionAnalytics from './position-analytics.js';  // NEW: Per-position IL, fees and PnL
+import * as PositionViewer from './position-viewer.js';  // NEW: Any-address viewer and NFT transfers
 import * as MaxButtons from './max-buttons.js';  // NEW: MAX button functionality
 import * as Swaps from './swaps.js';
+import * as Quoter from './quoter.js';  // NEW: Local V4 swap quoting
+import * as SwapHistory from './swap-history.js';  // NEW: Swap history from on-chain logs
+import * as RewardsLedger from './rewards-ledger.js';  // NEW: Staking reward claims and tax export
+import * as RewardPlanner from './reward-planner.js';  // NEW: Reward period planner and calendar
+import * as LimitOrders from './limit-orders.js';  // NEW: Single-tick range limit orders
+import * as DCA from './dca.js';  // NEW: Recurring DCA purchases
+import * as Approvals from './approvals.js';  // NEW: Token approval manager
 import * as Convert from './convert.js';  // NEW: Convert functionality
 import * as MinerInfo from './miner-info.js';  // NEW: Mining stats and rich lists
 import * as Admin from './admin.js';
@@ -64,7 +74,17 @@ window.Contracts = Contracts;
 window.DataLoader = DataLoader;
 window.Staking = Staking;
 window.Positions = Positions;
+window.CreateRange = CreateRange;
+window.PositionAnalytics = PositionAnalytics;
+window.PositionViewer = PositionViewer;
 window.Swaps = Swaps;
+window.Quoter = Quoter;
+window.SwapHistory = SwapHistory;
+window.RewardsLedger = RewardsLedger;
+window.RewardPlanner = RewardPlanner;
+window.LimitOrders = LimitOrders;
+window.DCA = DCA;
+window.Approvals = Approvals;
 window.Convert = Convert;
 window.MinerInfo = MinerInfo;
 window.Admin = Admin;
@@ -409,6 +429,13 @@ window.saveBACKUPCustomDataSource_Testnet = Settings.saveBACKUPCustomDataSource_
 window.restoreDefaultBACKUPCustomDataSource = Settings.restoreDefaultBACKUPCustomDataSource;
 window.saveMinStaking = Settings.saveMinStaking;
 window.saveMinUserHoldings = Settings.saveMinUserHoldings;
+window.savePriceImpactThresholds = Settings.savePriceImpactThresholds;
+window.restoreDefaultPriceImpactThresholds = Settings.restoreDefaultPriceImpactThresholds;
+window.saveRewardPriceOracles = Settings.saveRewardPriceOracles;
+window.restoreDefaultRewardPriceOracles = Settings.restoreDefaultRewardPriceOracles;
+window.saveLocalQuoteVerification = Settings.saveLocalQuoteVerification;
+window.saveSwapSlippage = Settings.saveSwapSlippage;
+window.saveSwapTransactionSettings = Settings.saveSwapTransactionSettings;
 window.setupUserSelectionTracking = Settings.setupUserSelectionTracking;
 window.CONFIG = Settings.CONFIG;
 
@@ -458,11 +485,21 @@ window.updateStakingValues = Staking.updateStakingValues;
 window.collectRewards = Staking.collectRewards;
 window.depositNFTStake = Staking.depositNFTStake;
 window.GetRewardAPY = Staking.GetRewardAPY;
+window.getRewardTokenPricesUSD = Staking.getRewardTokenPricesUSD;
+window.updateAPYBreakdown = Staking.updateAPYBreakdown;
 window.getRewardStats = Staking.getRewardStats;
 window.startRewardPeriod = Staking.startRewardPeriod;
 window.addRewardToken = Staking.addRewardToken;
 window.fetchAllUniswapFees = Staking.fetchAllUniswapFees;
 window.decreaseLiquidityStaking = Staking.decreaseLiquidityStaking;
+window.collectStakedPositionFees = Staking.collectStakedPositionFees;
+window.updateStakedPositionFees = Staking.updateStakedPositionFees;
+window.getPositionRewardBreakdown = Staking.getPositionRewardBreakdown;
+window.updatePositionRewardsBreakdown = Staking.updatePositionRewardsBreakdown;
+window.loadBatchStakingLists = Staking.loadBatchStakingLists;
+window.batchStakeNFTs = Staking.batchStakeNFTs;
+window.batchUnstakeNFTs = Staking.batchUnstakeNFTs;
+window.resumeBatchStaking = Staking.resumeBatchStaking;
 window.increaseLiquidityStaking = Staking.increaseLiquidityStaking;
 window.populateStakingManagementData = Staking.populateStakingManagementData;
 
@@ -473,11 +510,17 @@ window.resetTotalStakedAmounts = Positions.resetTotalStakedAmounts;
 window.getAllPositionsData = Positions.getAllPositionsData;
 window.increaseLiquidity = Positions.increaseLiquidity;
 window.decreaseLiquidity = Positions.decreaseLiquidity;
+window.collectFees = Positions.collectFees;
+window.compoundFees = Positions.compoundFees;
+window.updateCompoundPreview = Positions.updateCompoundPreview;
 window.updatePositionInfo = Positions.updatePositionInfo;
 window.updateStakingDepositPositionInfo = Positions.updateStakingDepositPositionInfo;
 window.updateTotalLiqIncrease = Positions.updateTotalLiqIncrease;
 window.updateDecreasePositionInfo = Positions.updateDecreasePositionInfo;
 window.updatePercentage = Positions.updatePercentage;
+window.rebalanceRange = Positions.rebalanceRange;
+window.updateRebalancePreview = Positions.updateRebalancePreview;
+window.setDefaultRebalanceRange = Positions.setDefaultRebalanceRange;
 window.loadPositionsIntoDappSelections = Positions.loadPositionsIntoDappSelections;
 window.showPositionsLoadingState = Positions.showPositionsLoadingState;
 window.setIsInitialPositionLoad = Positions.setIsInitialPositionLoad;
@@ -497,6 +540,52 @@ window.findAllRoutes = Swaps.findAllRoutes;
 window.getSwapOfTwoTokens = Swaps.getSwapOfTwoTokens;
 window.executeSwapFromEstimate = Swaps.executeSwapFromEstimate;
 window.executeOptimizedMultiRouteSwap = Swaps.executeOptimizedMultiRouteSwap;
+window.getExactOutputEstimate = Swaps.getExactOutputEstimate;
+window.setSwapMode = Swaps.setSwapMode;
+window.verifyLocalQuotes = Quoter.verifyLocalQuotes;
+window.loadSwapHistory = SwapHistory.loadSwapHistory;
+window.exportSwapHistoryCSV = SwapHistory.exportSwapHistoryCSV;
+
+// Rewards ledger module
+window.loadRewardsLedger = RewardsLedger.loadRewardsLedger;
+window.exportRewardsLedgerCSV = RewardsLedger.exportRewardsLedgerCSV;
+
+// Reward planner module
+window.updateRewardPeriodPreview = RewardPlanner.updateRewardPeriodPreview;
+window.loadRewardCalendar = RewardPlanner.loadRewardCalendar;
+
+// Create range picker module
+window.setCreateRangePreset = CreateRange.setCreateRangePreset;
+window.updateCreateRangeFromInputs = CreateRange.updateCreateRangeFromInputs;
+window.writeCreateRangeInputs = CreateRange.writeCreateRangeInputs;
+window.loadCreateRangePicker = CreateRange.loadCreateRangePicker;
+
+// Position analytics module
+window.loadPositionAnalytics = PositionAnalytics.loadPositionAnalytics;
+window.showPositionAnalytics = PositionAnalytics.showPositionAnalytics;
+
+// Position viewer module
+window.viewPositionsOfAddress = PositionViewer.viewPositionsOfAddress;
+window.loadTransferPositions = PositionViewer.loadTransferPositions;
+window.transferPositionNFT = PositionViewer.transferPositionNFT;
+
+// Limit orders module
+window.placeLimitOrder = LimitOrders.placeLimitOrder;
+window.refreshLimitOrders = LimitOrders.refreshLimitOrders;
+window.withdrawLimitOrder = LimitOrders.withdrawLimitOrder;
+window.updateLimitOrderPreview = LimitOrders.updateLimitOrderPreview;
+
+// DCA module
+window.createDcaSchedule = DCA.createDcaSchedule;
+window.toggleDcaSchedule = DCA.toggleDcaSchedule;
+window.deleteDcaSchedule = DCA.deleteDcaSchedule;
+window.exportDcaSchedules = DCA.exportDcaSchedules;
+window.importDcaSchedules = DCA.importDcaSchedules;
+
+// Approvals module
+window.loadApprovals = Approvals.loadApprovals;
+window.revokeApproval = Approvals.revokeApproval;
+window.setExactApproval = Approvals.setExactApproval;
 
 // Convert module
 window.getConvertTotal = Convert.getConvertTotal;
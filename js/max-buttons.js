@@ -373,7 +373,7 @@ export function initializeMaxButtons() {
     console.log('Initializing MAX buttons...');
 
     // Create section
-    const createInputs = document.querySelectorAll('#create input[type="number"]');
+    const createInputs = document.querySelectorAll('#create input[type="number"]:not(.no-max-button)');
     createInputs.forEach(input => {
         if (!input.parentElement.querySelector('.max-button')) {
             addMaxButtonToField(input, 'AUTO');
@@ -397,7 +397,7 @@ export function initializeMaxButtons() {
     });
 
     // Swap section
-    const swapInputs = document.querySelectorAll('#swap input[type="number"]');
+    const swapInputs = document.querySelectorAll('#swap input[type="number"]:not(.no-max-button)');
     swapInputs.forEach(input => {
         if (!input.parentElement.querySelector('.max-button')) {
             addMaxButtonToField(input, 'AUTO');
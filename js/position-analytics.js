@@ -0,0 +1,476 @@
+/**
+ * @module position-analytics
+ * @description Per-position analytics: entry value, impermanent loss, fees and PnL
+ *
+ * Handles:
+ * - Rebuilding each position NFT's deposits and withdrawals from its ModifyLiquidity history
+ * - Reading the token amounts of every step from the transaction receipts (PoolManager transfers)
+ * - Splitting each step into principal and fees with the pool price at that block
+ * - Impermanent loss against holding the deposited tokens, and net PnL in 0xBTC and USD
+ *
+ * Past steps are valued at the pool price of the block before them when the RPC serves
+ * historical state. Otherwise the mint is valued at the price implied by its amounts and
+ * later steps at the current price; results built that way are marked approximate (≈).
+ */
+
+// Import dependencies
+import { tokenAddresses, hookAddress, stateViewAddress } from './config.js';
+import { STATE_VIEW_ABI } from './abis.js';
+import { customRPC } from './settings.js';
+import { tokenAddressesDecimals } from './utils.js';
+import { getValueUSD, getSqrtRatioAtTick } from './contracts.js';
+import {
+    getPositionHistory,
+    isPositionHistoryComplete,
+    backfillPositionHistory,
+    getMintedTokenId,
+    TRANSFER_TOPIC,
+    CONFIG2
+} from './data-loader.js';
+import { positionData, rangePositionData, stakingPositionData } from './positions.js';
+import { getAmountsForLiquidity } from './positions-ratio.js';
+import { getPoolId } from './quoter.js';
+import { showErrorNotification } from './ui.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const Q96 = 1n << 96n;
+
+// ============================================
+// STATE VARIABLES
+// ============================================
+
+/**
+ * Transaction receipts by hash (history never changes, so these are kept for the session)
+ * @type {Map<string, Object>}
+ */
+const receiptCache = new Map();
+
+/**
+ * Historical sqrt prices by `${poolId}_${blockNumber}`; null when the RPC could not serve it
+ * @type {Map<string, bigint|null>}
+ */
+const sqrtPriceCache = new Map();
+
+// ============================================
+// CHAIN READS
+// ============================================
+
+/**
+ * Provider for history reads: the wallet's when connected, otherwise the configured RPC
+ * @returns {Object} ethers provider
+ */
+function getAnalyticsProvider() {
+    return window.walletConnected ? window.provider : new ethers.providers.JsonRpcProvider(customRPC);
+}
+
+/**
+ * Gets a transaction receipt, cached
+ * @async
+ * @param {Object} provider - ethers provider
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<Object>} Receipt
+ */
+async function getReceipt(provider, txHash) {
+    if (!receiptCache.has(txHash)) {
+        receiptCache.set(txHash, await provider.getTransactionReceipt(txHash));
+    }
+    return receiptCache.get(txHash);
+}
+
+/**
+ * Reads a pool's sqrt price at a block through StateView
+ * @async
+ * @param {Object} provider - ethers provider
+ * @param {string} poolId - Pool id
+ * @param {number|string} blockTag - Block number, or 'latest'
+ * @returns {Promise<bigint|null>} Sqrt price, or null if the RPC has no state for that block
+ */
+async function getSqrtPriceAtBlock(provider, poolId, blockTag) {
+    const key = `${poolId}_${blockTag}`;
+    if (blockTag !== 'latest' && sqrtPriceCache.has(key)) return sqrtPriceCache.get(key);
+
+    let sqrtPriceX96 = null;
+    try {
+        const stateView = new ethers.Contract(stateViewAddress, STATE_VIEW_ABI, provider);
+        const slot0 = await stateView.getSlot0(poolId, { blockTag });
+        sqrtPriceX96 = BigInt(slot0.sqrtPriceX96.toString());
+    } catch (error) {
+        console.warn(`No pool state at block ${blockTag}:`, error.message);
+    }
+
+    if (blockTag !== 'latest') sqrtPriceCache.set(key, sqrtPriceX96);
+    return sqrtPriceX96;
+}
+
+/**
+ * Sums a transaction's pool token transfers into and out of the PoolManager
+ * @param {Object} receipt - Transaction receipt
+ * @param {Object} poolKey - Pool key
+ * @returns {{in0: bigint, in1: bigint, out0: bigint, out1: bigint}} Raw token flows
+ */
+function getPoolManagerFlows(receipt, poolKey) {
+    const poolManager = CONFIG2.POOL_MANAGER_ADDRESS.toLowerCase();
+    const currency0 = poolKey.currency0.toLowerCase();
+    const currency1 = poolKey.currency1.toLowerCase();
+    const flows = { in0: 0n, in1: 0n, out0: 0n, out1: 0n };
+
+    for (const log of receipt.logs) {
+        if (log.topics[0] !== TRANSFER_TOPIC || log.topics.length !== 3) continue;
+        const token = log.address.toLowerCase();
+        if (token !== currency0 && token !== currency1) continue;
+
+        const from = ('0x' + log.topics[1].slice(26)).toLowerCase();
+        const to = ('0x' + log.topics[2].slice(26)).toLowerCase();
+        const amount = BigInt(log.data);
+        const side = token === currency0 ? '0' : '1';
+
+        if (to === poolManager) flows['in' + side] += amount;
+        if (from === poolManager) flows['out' + side] += amount;
+    }
+
+    return flows;
+}
+
+/**
+ * Checks whether a receipt contains the mint of a position NFT
+ * @param {Object} receipt - Transaction receipt
+ * @param {string} tokenId - Position NFT id
+ * @returns {boolean} True if the NFT was minted in this transaction
+ */
+function isMintReceipt(receipt, tokenId) {
+    return getMintedTokenId(receipt) === tokenId.toString();
+}
+
+// ============================================
+// ANALYTICS
+// ============================================
+
+/**
+ * Values token amounts in token1 at a sqrt price
+ * @param {bigint} amount0 - Token0 amount
+ * @param {bigint} amount1 - Token1 amount
+ * @param {bigint} sqrtPriceX96 - Sqrt price
+ * @returns {bigint} Value in raw token1 units
+ */
+function valueInToken1(amount0, amount1, sqrtPriceX96) {
+    return amount0 * sqrtPriceX96 * sqrtPriceX96 / Q96 / Q96 + amount1;
+}
+
+/**
+ * Clamps a bigint at zero
+ * @param {bigint} value - Value
+ * @returns {bigint} Value, or 0n if negative
+ */
+function positive(value) {
+    return value > 0n ? value : 0n;
+}
+
+/**
+ * Gets the pool key of a position
+ * Staked positions do not carry one; staking only runs on the dynamic-fee hook pool.
+ * @param {Object} position - Position from the position maps
+ * @returns {Object} Pool key
+ */
+function getAnalyticsPoolKey(position) {
+    return position.poolKey || {
+        currency0: tokenAddresses[position.tokenA],
+        currency1: tokenAddresses[position.tokenB],
+        fee: 0x800000,
+        tickSpacing: 60,
+        hooks: hookAddress
+    };
+}
+
+/**
+ * Builds entry value, current value, impermanent loss, fees and PnL for one position
+ * Values are in the pool's token1 (0xBTC for B0x/0xBTC).
+ * @async
+ * @param {Object} position - Position from positionData, rangePositionData or stakingPositionData
+ * @returns {Promise<Object>} Analytics, or { error } when no history is known
+ */
+export async function analyzePosition(position) {
+    const tokenId = position.id.split('_').pop();
+    const history = getPositionHistory(tokenId);
+    if (history.length === 0) {
+        return { error: 'No liquidity history has been scanned for this position yet' };
+    }
+
+    const provider = getAnalyticsProvider();
+    const poolKey = getAnalyticsPoolKey(position);
+    const poolId = getPoolId(poolKey);
+    const symbol0 = position.tokenA;
+    const symbol1 = position.tokenB;
+    const decimals0 = tokenAddressesDecimals[symbol0];
+    const decimals1 = tokenAddressesDecimals[symbol1];
+
+    const currentSqrtPrice = await getSqrtPriceAtBlock(provider, poolId, 'latest');
+    if (currentSqrtPrice === null) {
+        return { error: 'Could not read the current pool price' };
+    }
+
+    // Group events by transaction; one transaction can touch the position more than once
+    const steps = [];
+    for (const event of history) {
+        const last = steps[steps.length - 1];
+        if (last && last.txHash === event.txHash) {
+            last.liquidityDelta += BigInt(event.liquidityDelta);
+        } else {
+            steps.push({ ...event, liquidityDelta: BigInt(event.liquidityDelta) });
+        }
+    }
+
+    let approximate = false;
+    let entry = null;
+    let depositedValue = 0n;
+    let withdrawnValue = 0n;
+    let fees0 = 0n;
+    let fees1 = 0n;
+    let feesValue = 0n;
+    let hold0 = 0n;
+    let hold1 = 0n;
+
+    for (const step of steps) {
+        const receipt = await getReceipt(provider, step.txHash);
+        const flows = getPoolManagerFlows(receipt, poolKey);
+        const isMint = isMintReceipt(receipt, tokenId);
+        const tickLower = Number(step.tickLower);
+        const tickUpper = Number(step.tickUpper);
+
+        let sqrtPriceX96 = await getSqrtPriceAtBlock(provider, poolId, step.blockNumber - 1);
+        if (sqrtPriceX96 === null) {
+            approximate = true;
+            // A two-sided mint's amounts pin the price: amount1 = L * (sqrtP - sqrtA)
+            const impliedByMint = isMint && step.liquidityDelta > 0n && flows.in0 > 0n && flows.in1 > 0n;
+            sqrtPriceX96 = impliedByMint ?
+                getSqrtRatioAtTick(tickLower) + flows.in1 * Q96 / step.liquidityDelta :
+                currentSqrtPrice;
+        }
+
+        const magnitude = step.liquidityDelta < 0n ? -step.liquidityDelta : step.liquidityDelta;
+        const principal = magnitude > 0n ?
+            getAmountsForLiquidity(magnitude, sqrtPriceX96, tickLower, tickUpper) :
+            { amount0: 0n, amount1: 0n };
+
+        let stepFees0, stepFees1;
+        if (step.liquidityDelta > 0n) {
+            // Fees accrued so far are credited against an increase, lowering what is paid in
+            const paid0 = positive(flows.in0 - flows.out0);
+            const paid1 = positive(flows.in1 - flows.out1);
+            stepFees0 = positive(principal.amount0 - paid0);
+            stepFees1 = positive(principal.amount1 - paid1);
+            depositedValue += valueInToken1(paid0, paid1, sqrtPriceX96);
+            hold0 += principal.amount0;
+            hold1 += principal.amount1;
+
+            if (isMint) {
+                entry = {
+                    amount0: paid0,
+                    amount1: paid1,
+                    value: valueInToken1(paid0, paid1, sqrtPriceX96),
+                    blockNumber: step.blockNumber,
+                    txHash: step.txHash
+                };
+            }
+        } else {
+            const received0 = positive(flows.out0 - flows.in0);
+            const received1 = positive(flows.out1 - flows.in1);
+            stepFees0 = positive(received0 - principal.amount0);
+            stepFees1 = positive(received1 - principal.amount1);
+            withdrawnValue += valueInToken1(received0, received1, sqrtPriceX96);
+            hold0 = positive(hold0 - principal.amount0);
+            hold1 = positive(hold1 - principal.amount1);
+        }
+
+        fees0 += stepFees0;
+        fees1 += stepFees1;
+        feesValue += valueInToken1(stepFees0, stepFees1, sqrtPriceX96);
+    }
+
+    const current0 = BigInt(ethers.utils.parseUnits(position.currentTokenA.toString(), decimals0).toString());
+    const current1 = BigInt(ethers.utils.parseUnits(position.currentTokenB.toString(), decimals1).toString());
+    const uncollected0 = BigInt(ethers.utils.parseUnits((position.unclaimedFeesTokenA || 0).toString(), decimals0).toString());
+    const uncollected1 = BigInt(ethers.utils.parseUnits((position.unclaimedFeesTokenB || 0).toString(), decimals1).toString());
+
+    const currentValue = valueInToken1(current0, current1, currentSqrtPrice);
+    const uncollectedValue = valueInToken1(uncollected0, uncollected1, currentSqrtPrice);
+    const holdValue = valueInToken1(hold0, hold1, currentSqrtPrice);
+    const impermanentLoss = currentValue - holdValue;
+    // Everything paid in against everything taken out plus what the position holds now
+    const pnl = currentValue + uncollectedValue + withdrawnValue - depositedValue;
+
+    const usdPerToken1 = await getValueUSD({ [symbol1]: '1' });
+    const toNumber = (value) => parseFloat(ethers.utils.formatUnits(value.toString(), decimals1));
+
+    return {
+        symbol0,
+        symbol1,
+        decimals0,
+        decimals1,
+        stepCount: steps.length,
+        approximate,
+        entry,
+        current: { amount0: current0, amount1: current1, value: currentValue },
+        uncollected: { amount0: uncollected0, amount1: uncollected1, value: uncollectedValue },
+        feesCollected: { amount0: fees0, amount1: fees1, value: feesValue },
+        impermanentLoss: {
+            value: impermanentLoss,
+            percent: holdValue > 0n ? toNumber(impermanentLoss) / toNumber(holdValue) * 100 : 0
+        },
+        pnl: {
+            value: pnl,
+            usd: usdPerToken1 === null ? null : toNumber(pnl) * usdPerToken1
+        },
+        usdPerToken1
+    };
+}
+
+// ============================================
+// DISPLAY
+// ============================================
+
+/**
+ * Every position of the connected wallet: unstaked full range, other ranges and staked
+ * @returns {Array<Object>} Positions
+ */
+function getAnalyticsPositions() {
+    return [
+        ...Object.values(positionData),
+        ...Object.values(rangePositionData),
+        ...Object.values(stakingPositionData)
+    ];
+}
+
+/**
+ * Fills the analytics position selector and shows the selected position
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function loadPositionAnalytics() {
+    const positionSelect = document.getElementById('analyticsPositionSelect');
+    const container = document.getElementById('analyticsResult');
+    if (!positionSelect || !container) return;
+
+    if (!window.walletConnected) {
+        positionSelect.innerHTML = '<option value="">Connect Wallet to see positions</option>';
+        container.innerHTML = '';
+        return;
+    }
+
+    const previous = positionSelect.value;
+    const positions = getAnalyticsPositions();
+    positionSelect.innerHTML = '';
+
+    if (positions.length === 0) {
+        positionSelect.innerHTML = '<option value="">No positions found</option>';
+        container.innerHTML = '';
+        return;
+    }
+
+    positions.forEach(position => {
+        const option = document.createElement('option');
+        option.value = position.id;
+        option.textContent = `${position.pool} - Position #${position.id.split('_').pop()}` +
+            (position.id.startsWith('stake_') ? ' (Staked)' : '');
+        positionSelect.appendChild(option);
+    });
+
+    if (positions.some(position => position.id === previous)) {
+        positionSelect.value = previous;
+    }
+
+    await showPositionAnalytics();
+}
+
+/**
+ * Formats a signed raw token amount
+ * @param {bigint} value - Raw amount
+ * @param {number|string} decimals - Token decimals
+ * @returns {string} Formatted amount
+ */
+function formatAmount(value, decimals) {
+    return parseFloat(ethers.utils.formatUnits(value.toString(), decimals)).toLocaleString(undefined, { maximumFractionDigits: 6 });
+}
+
+/**
+ * Colours a signed value green or red
+ * @param {bigint|number} value - Signed value
+ * @param {string} text - Text to colour
+ * @returns {string} HTML
+ */
+function signed(value, text) {
+    const isNegative = typeof value === 'bigint' ? value < 0n : value < 0;
+    return `<span style="color: ${isNegative ? '#dc3545' : '#28a745'};">${isNegative ? '' : '+'}${text}</span>`;
+}
+
+/**
+ * Analyzes and renders the position selected in the analytics tab
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function showPositionAnalytics() {
+    const positionSelect = document.getElementById('analyticsPositionSelect');
+    const container = document.getElementById('analyticsResult');
+    if (!positionSelect || !container) return;
+
+    const position = getAnalyticsPositions().find(p => p.id === positionSelect.value);
+    if (!position) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = '<p style="color: #6c757d; font-style: italic;">Reading position history...</p>';
+
+    let result;
+    try {
+        result = await analyzePosition(position);
+        if ((result.error || !result.entry) && !isPositionHistoryComplete()) {
+            // The mint predates the loaded snapshot; read the older history once, then retry
+            const backfilled = await backfillPositionHistory((fraction) => {
+                container.innerHTML = `<p style="color: #6c757d; font-style: italic;">Reading older liquidity history (one time only)... ${Math.floor(fraction * 100)}%</p>`;
+            });
+            if (backfilled) result = await analyzePosition(position);
+        }
+    } catch (error) {
+        console.error("Error analyzing position:", error);
+        showErrorNotification('Position Analytics', 'Could not read the position history');
+        container.innerHTML = '<p style="color: #dc3545;">Could not read the position history.</p>';
+        return;
+    }
+
+    if (result.error) {
+        container.innerHTML = `<p style="color: #6c757d; font-style: italic;">${result.error}.</p>`;
+        return;
+    }
+
+    const { symbol0, symbol1, decimals0, decimals1 } = result;
+    const approx = result.approximate ? '≈ ' : '';
+    const value = (amount) => `${approx}${formatAmount(amount, decimals1)} ${symbol1}`;
+    const pair = (amounts) => `${formatAmount(amounts.amount0, decimals0)} ${symbol0} & ${formatAmount(amounts.amount1, decimals1)} ${symbol1}`;
+    const pnlUSD = result.pnl.usd === null ? 'USD price unavailable' :
+        `${result.pnl.usd < 0 ? '-' : ''}$${Math.abs(result.pnl.usd).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+    container.innerHTML = `
+        <div class="info-card">
+            <h3>Position #${position.id.split('_').pop()}</h3>
+            <p><strong>Entry:</strong> ${result.entry ?
+                `${pair(result.entry)} = ${value(result.entry.value)} (block ${result.entry.blockNumber})` :
+                'No entry value available: the mint is not in the scanned history yet'}</p>
+            <p><strong>Current Value:</strong> ${pair(result.current)} = ${formatAmount(result.current.value, decimals1)} ${symbol1}</p>
+            <p><strong>Impermanent Loss vs Holding:</strong> ${result.entry ? signed(result.impermanentLoss.value,
+                `${approx}${formatAmount(result.impermanentLoss.value, decimals1)} ${symbol1} (${result.impermanentLoss.percent.toFixed(2)}%)`) :
+                'Unavailable without an entry value'}</p>
+            <p><strong>Uncollected Fees:</strong> ${pair(result.uncollected)} = ${formatAmount(result.uncollected.value, decimals1)} ${symbol1}</p>
+            <p><strong>Fees Collected:</strong> ${pair(result.feesCollected)} = ${value(result.feesCollected.value)}</p>
+            <p><strong>Net PnL:</strong> ${result.entry ? `${signed(result.pnl.value, value(result.pnl.value))}
+                (${result.pnl.usd === null ? pnlUSD : signed(result.pnl.usd, pnlUSD)})` :
+                'Unavailable without an entry value'}</p>
+            <p style="font-size: 0.85em; color: #6c757d;">Built from ${result.stepCount} liquidity transaction(s).
+                ${result.usdPerToken1 === null ? `No current ${symbol1} USD price is available.` :
+                    `USD uses the current ${symbol1} price ($${result.usdPerToken1.toLocaleString(undefined, { maximumFractionDigits: 2 })}).`}
+                ${result.approximate ? 'Some past steps could not be priced at their block and use an estimated price (≈).' : ''}</p>
+        </div>
+    `;
+}
@@ -0,0 +1,272 @@
+/**
+ * @module position-viewer
+ * @description Read-only position viewer for any address and position NFT transfers
+ *
+ * Handles:
+ * - Viewing the unstaked and staked positions of any address, with no wallet needed
+ * - Safe transfers of the connected wallet's position NFTs, refusing recipients
+ *   that are contracts unable to receive ERC721 tokens
+ */
+
+// Import dependencies
+import { positionManager_address, contractAddressLPRewardsStaking } from './config.js';
+import { customRPC } from './settings.js';
+import {
+    fetchPositionsOfAddress,
+    positionData,
+    rangePositionData,
+    getTokenIDsOwnedByMetamask
+} from './positions.js';
+import { tickToPrice } from './positions-ratio.js';
+import { preflightTransaction } from './contracts.js';
+import { showSuccessNotification, showErrorNotification, showInfoNotification } from './ui.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const POSITION_NFT_ABI = [
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "function safeTransferFrom(address from, address to, uint256 tokenId)"
+];
+
+const ERC721_RECEIVER_ABI = [
+    "function onERC721Received(address operator, address from, uint256 tokenId, bytes data) returns (bytes4)"
+];
+
+// bytes4(keccak256("onERC721Received(address,address,uint256,bytes)"))
+const ERC721_RECEIVED_SELECTOR = '0x150b7a02';
+
+const FULL_RANGE_TICK = 887220;
+
+// ============================================
+// VIEWING POSITIONS
+// ============================================
+
+/**
+ * Loads and renders the positions of the address entered in the viewer
+ * Nothing is written to the connected wallet's position state.
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function viewPositionsOfAddress() {
+    const input = document.getElementById('viewerAddress');
+    const container = document.getElementById('viewerResult');
+    const address = input?.value.trim();
+
+    if (!address || !ethers.utils.isAddress(address)) {
+        alert('Please enter a valid address');
+        return;
+    }
+
+    if (container) container.innerHTML = '<p style="color: #6c757d; font-style: italic;">Loading positions...</p>';
+
+    try {
+        const result = await fetchPositionsOfAddress(ethers.utils.getAddress(address));
+        renderViewedPositions(address, result);
+    } catch (error) {
+        console.error("Error viewing positions:", error);
+        showErrorNotification('Position Viewer', 'Could not load positions for this address');
+        if (container) container.innerHTML = '<p style="color: #dc3545;">Could not load positions for this address.</p>';
+    }
+}
+
+/**
+ * Formats a position's price range
+ * @param {Object} position - Position entry
+ * @returns {string} Range text
+ */
+function formatPositionRange(position) {
+    if (position.tickLower === undefined || (position.tickLower === -FULL_RANGE_TICK && position.tickUpper === FULL_RANGE_TICK)) {
+        return 'Full range';
+    }
+    const minPrice = tickToPrice(position.tickLower, position.tokenA, position.tokenB);
+    const maxPrice = tickToPrice(position.tickUpper, position.tokenA, position.tokenB);
+    return `${minPrice.toPrecision(6)} - ${maxPrice.toPrecision(6)} ${position.tokenB} per ${position.tokenA}`;
+}
+
+/**
+ * Builds the table rows for a group of positions
+ * @param {Array<Object>} positions - Position entries
+ * @param {boolean} isStaked - Whether the positions are staked
+ * @returns {string} Row HTML
+ */
+function positionRows(positions, isStaked) {
+    return positions.map(position => `
+        <tr>
+            <td>#${position.id.split('_').pop()}</td>
+            <td>${isStaked ? 'Staked' : 'Wallet'}</td>
+            <td>${position.pool}</td>
+            <td>${formatPositionRange(position)}</td>
+            <td>${parseFloat(position.currentTokenA).toFixed(4)} ${position.tokenA}<br>${parseFloat(position.currentTokenB).toFixed(4)} ${position.tokenB}</td>
+            <td>${isStaked ? `Penalty: ${parseFloat(position.PenaltyForWithdraw).toFixed(3)}%` :
+                `${parseFloat(position.unclaimedFeesTokenA).toFixed(4)} ${position.tokenA}<br>${parseFloat(position.unclaimedFeesTokenB).toFixed(4)} ${position.tokenB}`}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Renders the positions read for an address
+ * @param {string} address - Address that was viewed
+ * @param {Object} result - Result of fetchPositionsOfAddress
+ * @returns {void}
+ */
+function renderViewedPositions(address, result) {
+    const container = document.getElementById('viewerResult');
+    if (!container) return;
+
+    const unstaked = [...Object.values(result.positions), ...Object.values(result.rangePositions)];
+    const staked = Object.values(result.stakingPositions);
+
+    if (unstaked.length === 0 && staked.length === 0) {
+        container.innerHTML = `<p style="color: #6c757d; font-style: italic;">No positions found for ${address}.</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <p>${unstaked.length} wallet-held and ${staked.length} staked position${staked.length === 1 ? '' : 's'} for <strong>${address}</strong></p>
+        <div class="table-wrapper">
+            <table class="periods-table">
+                <thead>
+                    <tr>
+                        <th>ID</th>
+                        <th>Held</th>
+                        <th>Pool</th>
+                        <th>Range</th>
+                        <th>Liquidity</th>
+                        <th>Unclaimed Fees</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${positionRows(unstaked, false)}
+                    ${positionRows(staked, true)}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// ============================================
+// TRANSFERRING POSITIONS
+// ============================================
+
+/**
+ * Fills the transfer select with the connected wallet's unstaked positions
+ * @returns {void}
+ */
+export function loadTransferPositions() {
+    const select = document.getElementById('transferPositionSelect');
+    if (!select) return;
+
+    const positions = [...Object.values(positionData), ...Object.values(rangePositionData)];
+    if (!window.walletConnected) {
+        select.innerHTML = '<option value="">Connect Wallet to see positions</option>';
+    } else if (positions.length === 0) {
+        select.innerHTML = '<option value="">No wallet-held positions (unstake a position to transfer it)</option>';
+    } else {
+        select.innerHTML = positions.map(position =>
+            `<option value="${position.id.split('_')[1]}">#${position.id.split('_')[1]} - ${position.pool} (${formatPositionRange(position)})</option>`
+        ).join('');
+    }
+}
+
+/**
+ * Checks that a recipient can hold a position NFT
+ * Addresses without code always can. Contracts (including delegated accounts) must
+ * answer onERC721Received with its selector, or safeTransferFrom would revert.
+ * @async
+ * @param {string} recipient - Recipient address
+ * @param {string} tokenId - Position token ID
+ * @returns {Promise<{ok: boolean, reason?: string}>} Whether the recipient can receive it
+ */
+export async function checkERC721Recipient(recipient, tokenId) {
+    const provider = window.walletConnected ? window.provider : new ethers.providers.JsonRpcProvider(customRPC);
+    const code = await provider.getCode(recipient);
+    if (code === '0x') return { ok: true };
+
+    try {
+        const receiver = new ethers.Contract(recipient, ERC721_RECEIVER_ABI, provider);
+        const selector = await receiver.callStatic.onERC721Received(
+            positionManager_address,
+            window.userAddress,
+            tokenId,
+            '0x',
+            { from: positionManager_address }
+        );
+        if (selector === ERC721_RECEIVED_SELECTOR) return { ok: true };
+        return { ok: false, reason: 'The recipient is a contract that does not accept ERC721 tokens' };
+    } catch (error) {
+        return { ok: false, reason: 'The recipient is a contract that cannot receive ERC721 tokens' };
+    }
+}
+
+/**
+ * Safely transfers the selected position NFT to the entered recipient
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function transferPositionNFT() {
+    if (!window.walletConnected) {
+        await window.connectWallet();
+    }
+
+    const tokenId = document.getElementById('transferPositionSelect')?.value;
+    const recipientInput = document.getElementById('transferRecipient')?.value.trim();
+
+    if (!tokenId) {
+        alert('Select a position to transfer');
+        return;
+    }
+    if (!recipientInput || !ethers.utils.isAddress(recipientInput)) {
+        alert('Please enter a valid recipient address');
+        return;
+    }
+
+    const recipient = ethers.utils.getAddress(recipientInput);
+    if (recipient === ethers.constants.AddressZero) {
+        alert('Transfers to the zero address would burn the position');
+        return;
+    }
+    if (recipient.toLowerCase() === window.userAddress.toLowerCase()) {
+        alert('The recipient is your connected wallet');
+        return;
+    }
+    if (recipient.toLowerCase() === contractAddressLPRewardsStaking.toLowerCase()) {
+        alert('To stake a position use the Stake tab; sending it to the staking contract directly does not stake it');
+        return;
+    }
+
+    try {
+        const recipientCheck = await checkERC721Recipient(recipient, tokenId);
+        if (!recipientCheck.ok) {
+            showErrorNotification('Transfer Blocked', recipientCheck.reason);
+            return;
+        }
+
+        if (!confirm(`Transfer position #${tokenId} to ${recipient}?\n\nThis cannot be undone; the recipient will own the position and its fees.`)) {
+            return;
+        }
+
+        const positionManager = new ethers.Contract(positionManager_address, POSITION_NFT_ABI, window.signer);
+        const owner = await positionManager.ownerOf(tokenId);
+        if (owner.toLowerCase() !== window.userAddress.toLowerCase()) {
+            alert('This position is no longer held by your wallet');
+            return;
+        }
+
+        const populatedTx = await positionManager.populateTransaction.safeTransferFrom(window.userAddress, recipient, tokenId);
+        if (!(await preflightTransaction(populatedTx, { label: 'Transfer Position' }))) return;
+
+        showInfoNotification('Confirm Transfer', 'Confirm the position transfer in your wallet');
+        const tx = await window.signer.sendTransaction(populatedTx);
+        showInfoNotification();
+        await tx.wait();
+
+        showSuccessNotification('Position Transferred!', `Position #${tokenId} sent to ${recipient}`, tx.hash);
+        await getTokenIDsOwnedByMetamask(true);
+        loadTransferPositions();
+    } catch (error) {
+        console.error("Error transferring position:", error);
+        showErrorNotification('Transfer Failed', error.message || 'Failed to transfer position');
+    }
+}
@@ -8,17 +8,21 @@
  * - Token ratio calculations for stake increase operations
  * - Optimal amount calculations with wallet balance checks
  * - Token A and Token B priority calculations
+ * - Range math for concentrated positions (amounts, liquidity, rebalance swap size)
+ * - Create amounts for the range selected in the create form's range picker
  */
 
 // Import dependencies
 import { tokenAddresses, hookAddress, contractAddress_Swapper } from './config.js';
 import { connectWallet } from './wallet.js';
-import { positionData, stakingPositionData, updateTotalLiqIncrease, getTokenIDsOwnedByMetamask, loadPositionsIntoDappSelections } from './positions.js';
+import { positionData, stakingPositionData, updateTotalLiqIncrease, getTokenIDsOwnedByMetamask, loadPositionsIntoDappSelections, mintRangePosition } from './positions.js';
+import { getCreateRange, getCreateRangePool } from './create-range.js';
 import { updateTotalLiqIncreaseSTAKING } from './staking.js';
 import { customRPC } from './settings.js';
-import { getEstimate } from './swaps.js';
-import { showSuccessNotification, showInfoNotification } from './ui.js';
-import { fetchBalances } from './utils.js';
+import { getEstimate, getTokenDecimals } from './swaps.js';
+import { showSuccessNotification, showInfoNotification, showErrorNotification } from './ui.js';
+import { fetchBalances, tokenAddressesDecimals } from './utils.js';
+import { preflightTransaction, getValueUSD, getSqrtRatioAtTick } from './contracts.js';
 // Note: Using window.checkAdminAccess instead of direct import to avoid circular dependency
 
 // Create aliases for commonly used addresses
@@ -904,6 +908,101 @@ async function handleMaxButtonClickStakeIncrease(tokenSymbol, inputElement) {
 // CREATE POSITION RATIO FUNCTIONS
 // ============================================
 
+/**
+ * Gets the price ratio for the range selected in the create form, in the units of ratioz
+ * Full range uses the pool ratio. Any other range takes the tokens in the ratio one unit
+ * of liquidity needs at the current price, so the ratio moves with the range.
+ * @returns {{ratioz: bigint|BigNumber, singleSidedToken: string|null}} Ratio, or the only token an out-of-range range takes
+ */
+function getCreateRangeRatio() {
+    const range = getCreateRange();
+    if (range.isFullRange) {
+        return { ratioz: getRatioz(), singleSidedToken: null };
+    }
+
+    const { symbol0, symbol1 } = getCreateRangePool();
+    const sqrtPriceX96 = BigInt(getCurrentSqrtPricex96().toString());
+    const { amount0, amount1 } = getAmountsForLiquidity(10n ** 24n, sqrtPriceX96, range.tickLower, range.tickUpper);
+
+    if (amount0 === 0n) return { ratioz: 0n, singleSidedToken: symbol1 };
+    if (amount1 === 0n) return { ratioz: 0n, singleSidedToken: symbol0 };
+    return { ratioz: amount1 * (10n ** 18n) / amount0, singleSidedToken: null };
+}
+
+/**
+ * Fills the create amounts for a range that takes only one token
+ * The other token is set to 0 and the deposited token is capped at the wallet balance.
+ * @param {string} depositSymbol - The only token the range takes
+ * @param {boolean} useMax - Fill the deposited token with the whole wallet balance
+ * @returns {void}
+ */
+function setSingleSidedCreateAmounts(depositSymbol, useMax) {
+    const tokenASelect = document.querySelector('#create .form-group:nth-child(1) select');
+    const tokenBSelect = document.querySelector('#create .form-group:nth-child(2) select');
+    const createInputs = document.querySelectorAll('#create input[type="number"]');
+    const walletBalances = getWalletBalances();
+
+    [[tokenASelect.value, createInputs[0]], [tokenBSelect.value, createInputs[1]]].forEach(([symbol, input]) => {
+        if (!input) return;
+        const walletAmount = walletBalances[symbol] || '0';
+
+        if (symbol !== depositSymbol) {
+            input.value = '0';
+        } else if (useMax) {
+            input.value = walletAmount;
+        } else if (parseFloat(input.value) > parseFloat(walletAmount)) {
+            alert(`Too much ${symbol} - you don't have enough, lower the amount!`);
+            input.value = walletAmount;
+        }
+    });
+}
+
+/**
+ * Creates a position in the range selected in the create form through the PositionManager
+ * Both amounts are offered as maximums; the liquidity is what the limiting side allows,
+ * and anything the range does not use stays in the wallet.
+ * @async
+ * @param {{tickLower: number, tickUpper: number}} range - Selected range
+ * @param {Object<string, bigint>} amountsBySymbol - Entered amounts by token symbol
+ * @param {number} decimalValueSlippage - Slippage as a fraction
+ * @returns {Promise<void>}
+ */
+async function createRangePosition(range, amountsBySymbol, decimalValueSlippage) {
+    const { poolKey, symbol0, symbol1 } = getCreateRangePool();
+    const amount0 = amountsBySymbol[symbol0] || 0n;
+    const amount1 = amountsBySymbol[symbol1] || 0n;
+    const walletBalances = getWalletBalances();
+
+    if (amount0 === 0n && amount1 === 0n) {
+        alert("Enter an amount to deposit");
+        return;
+    }
+    for (const [symbol, amount] of [[symbol0, amount0], [symbol1, amount1]]) {
+        const walletAmount = ethers.utils.parseUnits(walletBalances[symbol] || '0', tokenAddressesDecimals[symbol]);
+        if (amount > BigInt(walletAmount.toString())) {
+            alert(`Too much ${symbol} - you don't have enough, lower the amount!`);
+            return;
+        }
+    }
+
+    try {
+        const newTokenId = await mintRangePosition(poolKey, [symbol0, symbol1], range, amount0, amount1, {
+            label: 'Create Range Position',
+            confirmTitle: 'Confirm Create Position',
+            successTitle: 'Create Position!',
+            slippage: decimalValueSlippage
+        });
+        if (newTokenId === null) return;
+
+        fetchBalances();
+        await getTokenIDsOwnedByMetamask(true);
+        await loadPositionsIntoDappSelections();
+    } catch (error) {
+        console.error(`Error creating range position:`, error);
+        showErrorNotification('Create Position Failed', error.message || 'Failed to create position');
+    }
+}
+
 /**
  * Calculate ratio when Token B input changes in create position section
  * Updates Token A based on Token B value and current price ratio
@@ -945,7 +1044,11 @@ async function getRatioCreatePositiontokenB() {
 
     await throttledGetSqrtRtAndPriceRatio();
 
-    const ratioz = getRatioz();
+    const { ratioz, singleSidedToken } = getCreateRangeRatio();
+    if (singleSidedToken) {
+        setSingleSidedCreateAmounts(singleSidedToken, false);
+        return;
+    }
     let amountToDeposit, amountWith8Decimals0xBTC;
 
     if (tokenBinputAddress === Address_ZEROXBTC_TESTNETCONTRACT) {
@@ -1068,7 +1171,11 @@ async function getRatioCreatePositiontokenA() {
 
     await throttledGetSqrtRtAndPriceRatio();
 
-    const ratioz = getRatioz();
+    const { ratioz, singleSidedToken } = getCreateRangeRatio();
+    if (singleSidedToken) {
+        setSingleSidedCreateAmounts(singleSidedToken, false);
+        return;
+    }
     let amountToDeposit, amountWith8Decimals0xBTC;
 
     if (tokenAinputAddress === Address_ZEROXBTC_TESTNETCONTRACT) {
@@ -1650,7 +1757,11 @@ export async function getMaxCreatePosition() {
     var amountWith8Decimals0xBTC = 0n;
     let liquiditySalt = 0;
 
-    const ratioz = getRatioz();
+    const { ratioz, singleSidedToken } = getCreateRangeRatio();
+    if (singleSidedToken) {
+        setSingleSidedCreateAmounts(singleSidedToken, true);
+        return;
+    }
 
     if (tokenAinputAddress == Address_ZEROXBTC_TESTNETCONTRACT) {
         // TokenB is 0xBTC, calculate how much TokenA (B0x) is needed
@@ -1938,6 +2049,10 @@ async function approveIfNeeded(tokenToApprove, spenderAddress, requiredAmount) {
 
     if (currentAllowance.lt(requiredAmount)) {
         console.log(`Approving ${tokenToApprove} for ${spenderAddress}`);
+        const populatedTx = await tokenContract.populateTransaction.approve(spenderAddress, ethers.constants.MaxUint256);
+        if (!(await preflightTransaction(populatedTx, { label: 'Approve Token' }))) {
+            throw new Error('Token approval would fail');
+        }
         const approveTx = await retryWithBackoffRatio(async () => {
             return await tokenContract.approve(spenderAddress, ethers.constants.MaxUint256);
         });
@@ -2020,6 +2135,17 @@ export async function getCreatePosition() {
     let amountOut = 0;
     await throttledGetSqrtRtAndPriceRatio();
 
+    // Ranges other than full are minted directly through the PositionManager
+    const createRange = getCreateRange();
+    if (!createRange.isFullRange) {
+        await createRangePosition(createRange, {
+            [selectedOptionA.value]: BigInt(amountAtoCreate.toString()),
+            [selectedOptionB.value]: BigInt(amountBtoCreate.toString())
+        }, decimalValueSlippage);
+        enableButton('getCreatePositionBtn', 'Create Position');
+        return;
+    }
+
     const ratioz = getRatioz();
     const walletBalances = getWalletBalances();
 
@@ -2143,6 +2269,25 @@ export async function getCreatePosition() {
         console.log("Slippage = ", slippage);
         console.log("Slippage % = ", (slippage / 100), "%");
 
+        const valueUSD = await getValueUSD({
+            'B0x': ethers.utils.formatUnits(amountToDepositBN, 18),
+            '0xBTC': ethers.utils.formatUnits(amountToDepositBN2, 8)
+        });
+        const populatedTx = await tokenSwapperContract.populateTransaction.createPositionWith2Tokens(
+            tokenAddress,
+            Address_ZEROXBTC_TESTNETCONTRACT,
+            amountToDepositBN,
+            amountToDepositBN2,
+            getCurrentSqrtPricex96(),
+            slippage,
+            HookAddress,
+            window.userAddress
+        );
+        if (!(await preflightTransaction(populatedTx, { label: 'Create Position', valueUSD }))) {
+            enableButton('getCreatePositionBtn', 'Create Position');
+            return;
+        }
+
         showInfoNotification('Confirm Create Position', 'Confirm the create position transaction in your wallet');
         const tx = await tokenSwapperContract.createPositionWith2Tokens(
             tokenAddress,
@@ -2185,6 +2330,115 @@ export async function getCreatePosition() {
     }
 }
 
+// ============================================
+// RANGE RATIO FUNCTIONS
+// ============================================
+
+const Q96 = 1n << 96n;
+
+/**
+ * Converts a tick to a human price of token0 in token1
+ * @param {number} tick - Pool tick
+ * @param {string} symbol0 - Token0 symbol
+ * @param {string} symbol1 - Token1 symbol
+ * @returns {number} Price in token1 per token0
+ */
+export function tickToPrice(tick, symbol0, symbol1) {
+    return Math.pow(1.0001, tick) * Math.pow(10, getTokenDecimals(symbol0) - getTokenDecimals(symbol1));
+}
+
+/**
+ * Converts a human price of token0 in token1 to the nearest tick on the spacing grid
+ * @param {number} price - Price in token1 per token0
+ * @param {string} symbol0 - Token0 symbol
+ * @param {string} symbol1 - Token1 symbol
+ * @param {number} tickSpacing - Pool tick spacing
+ * @returns {number} Aligned tick
+ */
+export function priceToTick(price, symbol0, symbol1, tickSpacing) {
+    const rawPrice = price * Math.pow(10, getTokenDecimals(symbol1) - getTokenDecimals(symbol0));
+    const tick = Math.log(rawPrice) / Math.log(1.0001);
+    return Math.round(tick / tickSpacing) * tickSpacing;
+}
+
+/**
+ * Computes the token amounts held by a position at a given price
+ * @param {bigint} liquidity - Position liquidity
+ * @param {bigint} sqrtPriceX96 - Current sqrt price
+ * @param {number} tickLower - Lower tick
+ * @param {number} tickUpper - Upper tick
+ * @returns {{amount0: bigint, amount1: bigint}} Token amounts
+ */
+export function getAmountsForLiquidity(liquidity, sqrtPriceX96, tickLower, tickUpper) {
+    const sqrtA = getSqrtRatioAtTick(tickLower);
+    const sqrtB = getSqrtRatioAtTick(tickUpper);
+    const sqrtP = sqrtPriceX96 < sqrtA ? sqrtA : (sqrtPriceX96 > sqrtB ? sqrtB : sqrtPriceX96);
+
+    return {
+        amount0: liquidity * Q96 * (sqrtB - sqrtP) / sqrtB / sqrtP,
+        amount1: liquidity * (sqrtP - sqrtA) / Q96
+    };
+}
+
+/**
+ * Computes the largest liquidity a range can take from the given amounts
+ * @param {bigint} sqrtPriceX96 - Current sqrt price
+ * @param {number} tickLower - Lower tick
+ * @param {number} tickUpper - Upper tick
+ * @param {bigint} amount0 - Available token0
+ * @param {bigint} amount1 - Available token1
+ * @returns {bigint} Liquidity
+ */
+export function getLiquidityForAmounts(sqrtPriceX96, tickLower, tickUpper, amount0, amount1) {
+    const sqrtA = getSqrtRatioAtTick(tickLower);
+    const sqrtB = getSqrtRatioAtTick(tickUpper);
+    const liquidity0 = (lower) => amount0 * lower * sqrtB / Q96 / (sqrtB - lower);
+    const liquidity1 = (upper) => amount1 * Q96 / (upper - sqrtA);
+
+    if (sqrtPriceX96 <= sqrtA) return liquidity0(sqrtA);
+    if (sqrtPriceX96 >= sqrtB) return liquidity1(sqrtB);
+
+    const fromAmount0 = liquidity0(sqrtPriceX96);
+    const fromAmount1 = liquidity1(sqrtPriceX96);
+    return fromAmount0 < fromAmount1 ? fromAmount0 : fromAmount1;
+}
+
+/**
+ * Plans how to fit token amounts into a range at the current price
+ * Works out which side is in excess for the range's token ratio and how much
+ * of it to swap so both sides are used. The swap size ignores swap fees and
+ * price impact; the mint takes whatever fits and the rest stays in the wallet.
+ * @param {bigint} amount0 - Available token0
+ * @param {bigint} amount1 - Available token1
+ * @param {bigint} sqrtPriceX96 - Current sqrt price
+ * @param {number} tickLower - Lower tick of the new range
+ * @param {number} tickUpper - Upper tick of the new range
+ * @returns {{swapZeroForOne: boolean|null, swapAmount: bigint, target0: bigint, target1: bigint}} Swap plan and target amounts
+ */
+export function getRangeRebalancePlan(amount0, amount1, sqrtPriceX96, tickLower, tickUpper) {
+    // Amounts one unit of liquidity needs, valued in token1 at the current price
+    const unit = getAmountsForLiquidity(10n ** 18n, sqrtPriceX96, tickLower, tickUpper);
+    const toToken1 = (amount) => amount * sqrtPriceX96 * sqrtPriceX96 / Q96 / Q96;
+    const fromToken1 = (value) => value * Q96 * Q96 / sqrtPriceX96 / sqrtPriceX96;
+
+    const unitValue = toToken1(unit.amount0) + unit.amount1;
+    const totalValue = toToken1(amount0) + amount1;
+    if (unitValue === 0n || totalValue === 0n) {
+        return { swapZeroForOne: null, swapAmount: 0n, target0: amount0, target1: amount1 };
+    }
+
+    const target1 = totalValue * unit.amount1 / unitValue;
+    const target0 = fromToken1(totalValue - target1);
+
+    if (amount1 > target1) {
+        return { swapZeroForOne: false, swapAmount: amount1 - target1, target0, target1 };
+    }
+    if (amount0 > target0) {
+        return { swapZeroForOne: true, swapAmount: amount0 - target0, target0, target1 };
+    }
+    return { swapZeroForOne: null, swapAmount: 0n, target0, target1 };
+}
+
 // ============================================
 // WINDOW EXPORTS (for compatibility)
 // ============================================
@@ -7,11 +7,13 @@
  * - Liquidity increases/decreases
  * - Position data fetching
  * - Fee collection
+ * - Moving a position to a new tick range (rebalance)
  */
 
 // Import dependencies
 import {
     positionManager_address,
+    permit2Address,
     contractAddress_PositionFinderPro,
     contractAddress_Swapper,
     tokenAddresses,
@@ -20,16 +22,31 @@ import {
 } from './config.js';
 import { showSuccessNotification, showErrorNotification, showInfoNotification, hideLoadingWidget, showLoadingWidget, updateLoadingStatusWidget, setLoadingProgress } from './ui.js';
 import { POSITION_FINDER_ABI } from './abis.js';
-import { getSqrtRatioAtTick, approveTokensViaPermit2, toBigNumber } from './contracts.js';
+import { getSqrtRatioAtTick, approveTokensViaPermit2, toBigNumber, preflightTransaction, getValueUSD } from './contracts.js';
 import { getSymbolFromAddress, tokenAddressesDecimals, fetchBalances } from './utils.js';
-import { getNFTOwners, isSearchingLogs } from './data-loader.js';
+import { getNFTOwners, isSearchingLogs, getMintedTokenId } from './data-loader.js';
+import { customRPC } from './settings.js';
 import { updateStakingValues, totalLiquidityInStakingContract } from './staking.js';
+import {
+    getSqrtRtAndPriceRatio,
+    Current_getsqrtPricex96,
+    getAmountsForLiquidity,
+    getLiquidityForAmounts,
+    getRangeRebalancePlan,
+    tickToPrice,
+    priceToTick,
+    getMaxAmountsWithProperLimiting,
+    ratioz
+} from './positions-ratio.js';
+import { prepareSwapEstimate, executeSwapFromEstimate } from './swaps.js';
 // ============================================
 // STATE VARIABLES
 // ============================================
 
 export let positionData = {};
 export let stakingPositionData = {};
+// Unstaked positions with a range other than full range (only the rebalance flow uses these)
+export let rangePositionData = {};
 export let userSelectedPosition = null;
 
 // Cache tracking for position fetches
@@ -70,7 +87,6 @@ export function setIsInitialPositionLoad(value) { isInitialPositionLoad = value;
 let tokenAddress = tokenAddresses["B0x"];
 let Address_ZEROXBTC_TESTNETCONTRACT = tokenAddresses["0xBTC"];
 let HookAddress = hookAddress;
-let permit2Address = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
 //let Current_getsqrtPricex96 = toBigNumber(0);
 let nftOwners = {};
 // APYFINAL is now stored on window object (set in staking.js)
@@ -457,6 +473,11 @@ async function approveIfNeeded(tokenToApprove, spenderAddress, requiredAmount) {
     if (currentAllowance.lt(requiredAmount)) {
         console.log(`Approving ${tokenToApprove} for ${spenderAddress}`);
 
+        const populatedTx = await tokenContract.populateTransaction.approve(spenderAddress, ethers.constants.MaxUint256);
+        if (!(await preflightTransaction(populatedTx, { label: 'Approve Token' }))) {
+            throw new Error('Token approval would fail');
+        }
+
         // Send approve transaction with retry
         const approveTx = await retryWithBackoffPositions(async () => {
             return await tokenContract.approve(spenderAddress, ethers.constants.MaxUint256);
@@ -522,7 +543,7 @@ export async function getTokenIDsOwnedByMetamask(forceRefresh = false) {
 
 /**
  * Gets all token IDs owned by a specific user address
- * Uses multicall to batch RPC requests for efficiency
+ * Loads them as the dapp's own positions, so only the connected wallet is passed here.
  * @async
  * @param {string} ADDRESSTOSEARCHOF - User address to search for
  * @returns {Promise<void>}
@@ -534,6 +555,7 @@ async function getTokenIDsOwnedByUser(ADDRESSTOSEARCHOF) {
     // Clear position data at the start
     positionData = {};
     stakingPositionData = {};
+    rangePositionData = {};
     console.log("Cleared all position data for new account");
 
     if (!window.walletConnected) {
@@ -541,6 +563,63 @@ async function getTokenIDsOwnedByUser(ADDRESSTOSEARCHOF) {
         return;
     }
 
+    const result = await fetchPositionsOfAddress(ADDRESSTOSEARCHOF);
+    positionData = result.positions;
+    stakingPositionData = result.stakingPositions;
+    rangePositionData = result.rangePositions;
+
+    await loadPositionsIntoDappSelections();
+
+    // Update staking values display with total staked amounts
+    console.log("RUNNING updateStakingValues");
+    if (result.stakedCurrency0 && result.stakedCurrency1) {
+        const tokenASymbol = getSymbolFromAddress(result.stakedCurrency0);
+        const decimalsTokenA = tokenAddressesDecimals[tokenASymbol];
+        const tokenBSymbol = getSymbolFromAddress(result.stakedCurrency1);
+        const decimalsTokenB = tokenAddressesDecimals[tokenBSymbol];
+
+        // Format the BigNumbers to human-readable units
+        const formattedTokenA = ethers.utils.formatUnits(result.totalStakedToken0, decimalsTokenA);
+        const formattedTokenB = ethers.utils.formatUnits(result.totalStakedToken1, decimalsTokenB);
+
+        // Apply toFixed for consistent decimal places
+        const formattedTokenAWithDecimals = parseFloat(formattedTokenA).toFixed(6);
+        const formattedTokenBWithDecimals = parseFloat(formattedTokenB).toFixed(6);
+
+        // Store globally for tab switching
+        totalStakedAmounts.token0 = formattedTokenAWithDecimals;
+        totalStakedAmounts.token1 = formattedTokenBWithDecimals;
+        totalStakedAmounts.token0Symbol = tokenASymbol;
+        totalStakedAmounts.token1Symbol = tokenBSymbol;
+
+        const apy = (window.APYFINAL || 0).toFixed(2);
+
+        // Update the staking values in the UI
+        updateStakingValues([formattedTokenAWithDecimals, formattedTokenBWithDecimals], apy);
+    } else {
+        // No staked positions - reset amounts to 0
+        totalStakedAmounts.token0 = '0';
+        totalStakedAmounts.token1 = '0';
+        const apy = (window.APYFINAL || 0).toFixed(2);
+        updateStakingValues([0, 0], apy);
+    }
+
+    hideLoadingWidget();
+}
+
+/**
+ * Reads the positions of any address without touching the connected wallet's state
+ * Unstaked positions come from the scanned NFT owners, staked ones from the staking contract.
+ * Reads go through the wallet provider when connected, otherwise through the configured RPC.
+ * @async
+ * @param {string} ADDRESSTOSEARCHOF - Address whose positions to read
+ * @returns {Promise<Object>} Full-range, staked and other-range position maps plus staked totals
+ */
+export async function fetchPositionsOfAddress(ADDRESSTOSEARCHOF) {
+    const positions = {};
+    const stakingPositions = {};
+    const rangePositions = {};
+
     // Multicall3 ABI for batching calls
     const MULTICALL3_ABI = [{
         "inputs": [{
@@ -637,7 +716,8 @@ async function getTokenIDsOwnedByUser(ADDRESSTOSEARCHOF) {
     ];
 
     const MULTICALL_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
-    const multicallContract = new ethers.Contract(MULTICALL_ADDRESS, MULTICALL3_ABI, window.signer);
+    const readProvider = window.walletConnected ? window.provider : new ethers.providers.JsonRpcProvider(customRPC);
+    const multicallContract = new ethers.Contract(MULTICALL_ADDRESS, MULTICALL3_ABI, readProvider);
     const positionFinderInterface = new ethers.utils.Interface(positionFinderABI);
 
     const minStaking = document.getElementById('minStaking')?.value || 0;
@@ -670,9 +750,9 @@ async function getTokenIDsOwnedByUser(ADDRESSTOSEARCHOF) {
 
     // Get user token IDs from nftOwners mapping for unstaked positions
     const userTokenIds = [];
-    console.log(`Searching for NFTs owned by: ${window.userAddress}`);
+    console.log(`Searching for NFTs owned by: ${ADDRESSTOSEARCHOF}`);
     for (const [tokenId, owner] of Object.entries(nftOwners)) {
-        if (owner.toLowerCase() === window.userAddress.toLowerCase()) {
+        if (owner.toLowerCase() === ADDRESSTOSEARCHOF.toLowerCase()) {
             userTokenIds.push(parseInt(tokenId));
         }
     }
@@ -692,7 +772,7 @@ async function getTokenIDsOwnedByUser(ADDRESSTOSEARCHOF) {
     calls.push({
         target: contractAddress_PositionFinderPro,
         allowFailure: true,
-        callData: positionFinderInterface.encodeFunctionData('getMaxStakedIDforUser', [window.userAddress])
+        callData: positionFinderInterface.encodeFunctionData('getMaxStakedIDforUser', [ADDRESSTOSEARCHOF])
     });
 
     // Call 2: getIDSofStakedTokensForUserwithMinimum (first 50 staked positions)
@@ -716,7 +796,7 @@ async function getTokenIDsOwnedByUser(ADDRESSTOSEARCHOF) {
             target: contractAddress_PositionFinderPro,
             allowFailure: true,
             callData: positionFinderInterface.encodeFunctionData('findUserTokenIdswithMinimumIndividual', [
-                window.userAddress,
+                ADDRESSTOSEARCHOF,
                 unstakedBatch,
                 CONFIG.TARGET_POOL_KEY.currency0,
                 CONFIG.TARGET_POOL_KEY.currency1,
@@ -904,7 +984,7 @@ async function getTokenIDsOwnedByUser(ADDRESSTOSEARCHOF) {
 
             console.log(`Staked position ${tokenId}: TokenA=${formattedToken1} ${tokenASymbol}, TokenB=${formattedToken2} ${tokenBSymbol}, Liquidity=${liquidity[i].toString()}`);
 
-            stakingPositionData[idNameID] = {
+            stakingPositions[idNameID] = {
                 id: idNameID,
                 pool: poolNamepool,
                 feeTier: "Dynamic Fee",
@@ -966,7 +1046,7 @@ async function getTokenIDsOwnedByUser(ADDRESSTOSEARCHOF) {
                 target: contractAddress_PositionFinderPro,
                 allowFailure: true,
                 callData: positionFinderInterface.encodeFunctionData('findUserTokenIdswithMinimumIndividual', [
-                    window.userAddress,
+                    ADDRESSTOSEARCHOF,
                     batch,
                     CONFIG.TARGET_POOL_KEY.currency0,
                     CONFIG.TARGET_POOL_KEY.currency1,
@@ -1039,66 +1119,51 @@ async function getTokenIDsOwnedByUser(ADDRESSTOSEARCHOF) {
             const formattedToken1FEESOWED = ethers.utils.formatUnits(feesOwedToken1[i], decimalsTokenA);
             const formattedToken2FEESOWED = ethers.utils.formatUnits(feesOwedToken2[i], decimalsTokenB);
 
-            // Only include full-range positions
+            const position = {
+                id: idNameID,
+                pool: poolNamepool,
+                feeTier: feeVariable,
+                tokenA: tokenASymbol,
+                tokenB: tokenBSymbol,
+                currentLiquidity: parseFloat(unstakedLiquidity[i].toString()),
+                currentTokenA: formattedToken1,
+                currentTokenB: formattedToken2,
+                unclaimedFeesTokenA: formattedToken1FEESOWED,
+                unclaimedFeesTokenB: formattedToken2FEESOWED,
+                tokenAIcon: tokenASymbol ? tokenASymbol[0] : "?",
+                tokenBIcon: tokenBSymbol ? tokenBSymbol[0] : "?",
+                tickLower: decodedInfo.tickLower,
+                tickUpper: decodedInfo.tickUpper,
+                poolKey: {
+                    currency0: poolKey.currency0,
+                    currency1: poolKey.currency1,
+                    fee: poolKey.fee,
+                    tickSpacing: poolKey.tickSpacing,
+                    hooks: poolKey.hooks
+                }
+            };
+
+            // Increase, decrease and staking work on full-range positions; other ranges can only be rebalanced
             console.log(`Position ${tokenId}: tickLower=${decodedInfo.tickLower}, tickUpper=${decodedInfo.tickUpper}, isFullRange=${decodedInfo.tickUpper == 887220 && decodedInfo.tickLower == -887220}`);
             if (decodedInfo.tickUpper == 887220 && decodedInfo.tickLower == -887220) {
-                positionData[idNameID] = {
-                    id: idNameID,
-                    pool: poolNamepool,
-                    feeTier: feeVariable,
-                    tokenA: tokenASymbol,
-                    tokenB: tokenBSymbol,
-                    currentLiquidity: parseFloat(unstakedLiquidity[i].toString()),
-                    currentTokenA: formattedToken1,
-                    currentTokenB: formattedToken2,
-                    unclaimedFeesTokenA: formattedToken1FEESOWED,
-                    unclaimedFeesTokenB: formattedToken2FEESOWED,
-                    tokenAIcon: tokenASymbol ? tokenASymbol[0] : "?",
-                    tokenBIcon: tokenBSymbol ? tokenBSymbol[0] : "?"
-                };
+                positions[idNameID] = position;
+            } else if (!unstakedLiquidity[i].isZero()) {
+                rangePositions[idNameID] = position;
             }
         } catch (positionError) {
             console.error(`Error processing position ${tokenId}:`, positionError);
         }
     }
 
-    await loadPositionsIntoDappSelections();
-
-    // Update staking values display with total staked amounts
-    console.log("RUNNING updateStakingValues");
-    if (PoolKeyCurrency0.length > 0 && PoolKeyCurrency1.length > 0) {
-        const tokenASymbol = getSymbolFromAddress(PoolKeyCurrency0[0]);
-        const decimalsTokenA = tokenAddressesDecimals[tokenASymbol];
-        const tokenBSymbol = getSymbolFromAddress(PoolKeyCurrency1[0]);
-        const decimalsTokenB = tokenAddressesDecimals[tokenBSymbol];
-
-        // Format the BigNumbers to human-readable units
-        const formattedTokenA = ethers.utils.formatUnits(totalStakedToken0, decimalsTokenA);
-        const formattedTokenB = ethers.utils.formatUnits(totalStakedToken1, decimalsTokenB);
-
-        // Apply toFixed for consistent decimal places
-        const formattedTokenAWithDecimals = parseFloat(formattedTokenA).toFixed(6);
-        const formattedTokenBWithDecimals = parseFloat(formattedTokenB).toFixed(6);
-
-        // Store globally for tab switching
-        totalStakedAmounts.token0 = formattedTokenAWithDecimals;
-        totalStakedAmounts.token1 = formattedTokenBWithDecimals;
-        totalStakedAmounts.token0Symbol = tokenASymbol;
-        totalStakedAmounts.token1Symbol = tokenBSymbol;
-
-        const apy = (window.APYFINAL || 0).toFixed(2);
-
-        // Update the staking values in the UI
-        updateStakingValues([formattedTokenAWithDecimals, formattedTokenBWithDecimals], apy);
-    } else {
-        // No staked positions - reset amounts to 0
-        totalStakedAmounts.token0 = '0';
-        totalStakedAmounts.token1 = '0';
-        const apy = (window.APYFINAL || 0).toFixed(2);
-        updateStakingValues([0, 0], apy);
-    }
-
-    hideLoadingWidget();
+    return {
+        positions,
+        stakingPositions,
+        rangePositions,
+        totalStakedToken0,
+        totalStakedToken1,
+        stakedCurrency0: PoolKeyCurrency0[0],
+        stakedCurrency1: PoolKeyCurrency1[0]
+    };
 }
 
 /**
@@ -1191,55 +1256,6 @@ export async function increaseLiquidity() {
         uncalimedFees0xBTC = ethers.utils.parseUnits(position.unclaimedFeesTokenB.toString(), 8);
     }
 
-    const tokenSwapperABI = [
-        {
-            "inputs": [
-                { "internalType": "address", "name": "tokenA", "type": "address" },
-                { "internalType": "address", "name": "tokenB", "type": "address" },
-                { "internalType": "address", "name": "hookAddress", "type": "address" },
-                { "internalType": "uint256", "name": "amountA", "type": "uint256" },
-                { "internalType": "uint256", "name": "amountB", "type": "uint256" },
-                { "internalType": "uint256", "name": "tokenID", "type": "uint256" },
-                { "internalType": "uint256", "name": "fees0", "type": "uint256" },
-                { "internalType": "uint256", "name": "fees1", "type": "uint256" }
-            ],
-            "name": "increaseLiqTwoTokens",
-            "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }],
-            "stateMutability": "payable",
-            "type": "function"
-        },
-        {
-            "inputs": [
-                { "internalType": "uint160", "name": "sqrtPriceX96", "type": "uint160" },
-                { "internalType": "uint160", "name": "sqrtPriceAX96", "type": "uint160" },
-                { "internalType": "uint160", "name": "sqrtPriceBX96", "type": "uint160" },
-                { "internalType": "uint256", "name": "amount0", "type": "uint256" },
-                { "internalType": "uint256", "name": "amount1", "type": "uint256" }
-            ],
-            "name": "getLiquidityForAmounts",
-            "outputs": [{ "internalType": "uint128", "name": "liquidity", "type": "uint128" }],
-            "stateMutability": "pure",
-            "type": "function"
-        }
-    ];
-
-    const positionManagerABI = [
-        {
-            "inputs": [
-                { "internalType": "bytes", "name": "unlockData", "type": "bytes" },
-                { "internalType": "uint256", "name": "deadline", "type": "uint256" }
-            ],
-            "name": "modifyLiquidities",
-            "outputs": [],
-            "stateMutability": "payable",
-            "type": "function"
-        }
-    ];
-
-    const [token0, token1] = tokenAddress < Address_ZEROXBTC_TESTNETCONTRACT
-        ? [tokenAddress, Address_ZEROXBTC_TESTNETCONTRACT]
-        : [Address_ZEROXBTC_TESTNETCONTRACT, tokenAddress];
-
     const [amount0, amount1] = tokenAddress < Address_ZEROXBTC_TESTNETCONTRACT
         ? [amountInB0x, amountIn0xBTC]
         : [amountIn0xBTC, amountInB0x];
@@ -1248,120 +1264,126 @@ export async function increaseLiquidity() {
         ? [uncalimedFeesB0x, uncalimedFees0xBTC]
         : [uncalimedFees0xBTC, uncalimedFeesB0x];
 
-    const tokenSwapperContract = new ethers.Contract(
-        contractAddress_Swapper,
-        tokenSwapperABI,
-        window.signer
-    );
+    try {
+        const valueUSD = await getValueUSD({ [tokenAValue]: tokenAAmount, [tokenBValue]: tokenBAmount });
+        const tx = await sendIncreaseLiquidity(positionID, amount0, amount1, fees0a, fees1a, {
+            label: 'Increase Liquidity',
+            confirmTitle: 'Confirm Increase Liquidity',
+            valueUSD
+        });
+        if (!tx) {
+            enableButton('increaseLiquidityBtn', 'Increase Liquidity');
+            return;
+        }
 
-    const positionManagerContract = new ethers.Contract(
-        positionManager_address,
-        positionManagerABI,
-        window.signer
-    );
+        showSuccessNotification('Increase Liquidity Complete!', 'Transaction confirmed on blockchain', tx.hash);
 
-    const abiCoder = ethers.utils.defaultAbiCoder;
-    let liquidityDelta = 0;
+        enableButton('increaseLiquidityBtn', 'Increase Liquidity');
+        alert("Successfully increased liquidity of position");
 
-    try {
-        const afterFees0 = amount0.sub(fees0a);
-        const afterFees1 = amount1.sub(fees1a);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        fetchBalances();
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        await getTokenIDsOwnedByMetamask(true); // Force refresh after liquidity change
+    } catch (error) {
+        console.error(`Error increasing liquidity:`, error);
+        showErrorNotification('Operation Failed', error.message || 'Failed to increase liquidity');
+        enableButton('increaseLiquidityBtn', 'Increase Liquidity');
+    }
+}
 
-        await approveIfNeeded(token0, permit2Address, afterFees0);
-        await approveIfNeeded(token1, permit2Address, afterFees1);
-        await approveTokensViaPermit2(window.signer, permit2Address, token0, token1, positionManager_address, afterFees0, afterFees1);
+/**
+ * Adds liquidity to a full-range position through the PositionManager
+ * Fees owed to the position are credited by the increase, so only the amounts above
+ * the fees are approved; when the fees cover more than is added, the rest is closed
+ * back to the wallet.
+ * @async
+ * @param {string} positionID - Position token ID
+ * @param {BigNumber} amount0 - Token0 to add, fees included
+ * @param {BigNumber} amount1 - Token1 to add, fees included
+ * @param {BigNumber} fees0 - Token0 fees owed to the position
+ * @param {BigNumber} fees1 - Token1 fees owed to the position
+ * @param {Object} [options] - Labels, value and limits
+ * @param {string} [options.label] - Pre-flight label
+ * @param {string} [options.confirmTitle] - Notification title while the wallet is open
+ * @param {number} [options.valueUSD] - USD value for the pre-flight summary
+ * @param {BigNumber} [options.amount0Max] - Most token0 the PositionManager may take (defaults to amount0)
+ * @param {BigNumber} [options.amount1Max] - Most token1 the PositionManager may take (defaults to amount1)
+ * @returns {Promise<Object|null>} Confirmed transaction, or null if cancelled at pre-flight
+ */
+async function sendIncreaseLiquidity(positionID, amount0, amount1, fees0, fees1, options = {}) {
+    const {
+        label = 'Increase Liquidity',
+        confirmTitle = 'Confirm Increase Liquidity',
+        valueUSD,
+        amount0Max = amount0,
+        amount1Max = amount1
+    } = options;
 
-        console.log("Approved tokens via Permit2");
+    const tokenSwapperABI = [
+        "function getLiquidityForAmounts(uint160 sqrtPriceX96, uint160 sqrtPriceAX96, uint160 sqrtPriceBX96, uint256 amount0, uint256 amount1) pure returns (uint128 liquidity)"
+    ];
+    const positionManagerABI = ["function modifyLiquidities(bytes unlockData, uint256 deadline) payable"];
 
-        const tickLower = -887220;
-        const tickUpper = 887220;
+    const [token0, token1] = tokenAddress < Address_ZEROXBTC_TESTNETCONTRACT
+        ? [tokenAddress, Address_ZEROXBTC_TESTNETCONTRACT]
+        : [Address_ZEROXBTC_TESTNETCONTRACT, tokenAddress];
 
-        const sqrtRatioAX96 = getSqrtRatioAtTick(tickLower);
-        const sqrtRatioBX96 = getSqrtRatioAtTick(tickUpper);
-        const sqrtPricex96 = window.Current_getsqrtPricex96;
+    const tokenSwapperContract = new ethers.Contract(contractAddress_Swapper, tokenSwapperABI, window.signer);
+    const positionManagerContract = new ethers.Contract(positionManager_address, positionManagerABI, window.signer);
 
-        const result = await tokenSwapperContract.getLiquidityForAmounts(sqrtPricex96, sqrtRatioAX96, sqrtRatioBX96, amount0, amount1);
-        liquidityDelta = result;
-        console.log("Liquidity delta:", liquidityDelta.toString());
-    } catch (error) {
-        console.error(`Error approving tokens:`, error);
-        enableButton('increaseLiquidityBtn', 'Increase Liquidity');
-        return;
-    }
+    const afterFees0 = amount0Max.sub(fees0);
+    const afterFees1 = amount1Max.sub(fees1);
 
-    let params = new Array(2);
+    await approveIfNeeded(token0, permit2Address, afterFees0);
+    await approveIfNeeded(token1, permit2Address, afterFees1);
+    await approveTokensViaPermit2(window.signer, permit2Address, token0, token1, positionManager_address, afterFees0, afterFees1);
 
-    params[0] = abiCoder.encode(
-        ["uint256", "int128", "uint256", "uint256", "bytes"],
-        [positionID, liquidityDelta, amount0, amount1, "0x"]
-    );
+    console.log("Approved tokens via Permit2");
 
-    const currency0 = token0;
-    const currency1 = token1;
+    const sqrtRatioAX96 = getSqrtRatioAtTick(-887220);
+    const sqrtRatioBX96 = getSqrtRatioAtTick(887220);
+    const liquidityDelta = await tokenSwapperContract.getLiquidityForAmounts(
+        window.Current_getsqrtPricex96, sqrtRatioAX96, sqrtRatioBX96, amount0, amount1);
+    console.log("Liquidity delta:", liquidityDelta.toString());
 
-    params[1] = abiCoder.encode(
-        ["address", "address"],
-        [currency0, currency1]
+    const abiCoder = ethers.utils.defaultAbiCoder;
+    const increaseParams = abiCoder.encode(
+        ["uint256", "int128", "uint256", "uint256", "bytes"],
+        [positionID, liquidityDelta, amount0Max, amount1Max, "0x"]
     );
 
     let actions = ethers.utils.concat([
         ethers.utils.hexZeroPad(0x00, 1), // INCREASE_LIQUIDITY
         ethers.utils.hexZeroPad(0x0d, 1)  // SETTLE_PAIR
     ]);
+    let params = [increaseParams, abiCoder.encode(["address", "address"], [token0, token1])];
 
-    const remainingFees0 = fees0a > amount0 ? fees0a - amount0 : 0;
-    const remainingFees1 = fees1a > amount1 ? fees1a - amount1 : 0;
-
-    if (remainingFees0 > 0 || remainingFees1 > 0) {
-        params = new Array(3);
-
+    if (fees0.gt(amount0) || fees1.gt(amount1)) {
         actions = ethers.utils.concat([
             ethers.utils.hexZeroPad(0x00, 1), // INCREASE_LIQUIDITY
             ethers.utils.hexZeroPad(0x12, 1), // CLOSE_CURRENCY
             ethers.utils.hexZeroPad(0x12, 1)  // CLOSE_CURRENCY
         ]);
-
-        params[0] = abiCoder.encode(
-            ["uint256", "int128", "uint256", "uint256", "bytes"],
-            [positionID, liquidityDelta, amount0, amount1, "0x"]
-        );
-
-        params[1] = abiCoder.encode(["address"], [token0]);
-        params[2] = abiCoder.encode(["address"], [token1]);
+        params = [increaseParams, abiCoder.encode(["address"], [token0]), abiCoder.encode(["address"], [token1])];
     }
 
-    const currentTimestamp = Math.floor(Date.now() / 1000);
-    const deadline = currentTimestamp + 160;
-
-    const callData = abiCoder.encode(
-        ["bytes", "bytes[]"],
-        [actions, params]
-    );
-
-    showInfoNotification('Confirm Increase Liquidity', 'Confirm the increase liquidity transaction in your wallet');
+    const deadline = Math.floor(Date.now() / 1000) + 160;
+    const callData = abiCoder.encode(["bytes", "bytes[]"], [actions, params]);
 
-    try {
-        const tx = await positionManagerContract.modifyLiquidities(callData, deadline);
-        showInfoNotification();
-
-        console.log("Transaction sent:", tx.hash);
-        const receipt = await tx.wait();
-        console.log("Transaction confirmed:", receipt.transactionHash);
-
-        showSuccessNotification('Increase Liquidity Complete!', 'Transaction confirmed on blockchain', tx.hash);
+    const populatedTx = await positionManagerContract.populateTransaction.modifyLiquidities(callData, deadline);
+    if (!(await preflightTransaction(populatedTx, { label, valueUSD }))) {
+        return null;
+    }
 
-        enableButton('increaseLiquidityBtn', 'Increase Liquidity');
-        alert("Successfully increased liquidity of position");
+    showInfoNotification(confirmTitle, 'Confirm the increase liquidity transaction in your wallet');
+    const tx = await positionManagerContract.modifyLiquidities(callData, deadline);
+    showInfoNotification();
 
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        fetchBalances();
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        await getTokenIDsOwnedByMetamask(true); // Force refresh after liquidity change
-    } catch (error) {
-        console.error(`Error increasing liquidity:`, error);
-        showErrorNotification('Operation Failed', error.message || 'Failed to increase liquidity');
-        enableButton('increaseLiquidityBtn', 'Increase Liquidity');
-    }
+    console.log("Transaction sent:", tx.hash);
+    const receipt = await tx.wait();
+    console.log("Transaction confirmed:", receipt.transactionHash);
+    return tx;
 }
 
 /**
@@ -1568,6 +1590,13 @@ export async function decreaseLiquidity() {
             [actions, params]
         );
 
+        const valueUSD = await getValueUSD({ [tokenAValue]: tokenAAmount, [tokenBValue]: tokenBAmount });
+        const populatedTx = await positionManagerContract.populateTransaction.modifyLiquidities(callData, deadline);
+        if (!(await preflightTransaction(populatedTx, { label: 'Decrease Liquidity', valueUSD }))) {
+            enableButton('decreaseLiquidityBtn', 'Decrease Liquidity and Claim Fees');
+            return;
+        }
+
         alert("Decreasing Liquidity now! Approve Transaction!");
         showInfoNotification('Confirm Decrease Liquidity', 'Confirm the decrease in liquidity transaction in your wallet');
 
@@ -1597,6 +1626,797 @@ export async function decreaseLiquidity() {
     console.log("Done with decrease liquidity");
 }
 
+/**
+ * Sends a position's accrued swap fees to the wallet without changing its liquidity
+ * Decreasing by zero liquidity credits the fees owed, and TAKE_PAIR sends them to the wallet.
+ * @async
+ * @param {Object} position - Unstaked position with a pool key
+ * @param {string} label - Pre-flight label
+ * @param {string} confirmTitle - Notification title while the wallet is open
+ * @returns {Promise<Object|null>} Confirmed transaction, or null if cancelled at pre-flight
+ */
+async function sendCollectFees(position, label, confirmTitle) {
+    const positionID = position.id.split('_')[1];
+    const { poolKey } = position;
+
+    const positionManagerABI = ["function modifyLiquidities(bytes unlockData, uint256 deadline) payable"];
+    const positionManagerContract = new ethers.Contract(positionManager_address, positionManagerABI, window.signer);
+
+    const abiCoder = ethers.utils.defaultAbiCoder;
+    const actions = ethers.utils.concat([
+        ethers.utils.hexZeroPad(0x01, 1), // DECREASE_LIQUIDITY
+        ethers.utils.hexZeroPad(0x11, 1)  // TAKE_PAIR
+    ]);
+    const params = [
+        abiCoder.encode(["uint256", "uint256", "uint128", "uint128", "bytes"], [positionID, 0, 0, 0, "0x"]),
+        abiCoder.encode(["address", "address", "address"], [poolKey.currency0, poolKey.currency1, window.userAddress])
+    ];
+    const callData = abiCoder.encode(["bytes", "bytes[]"], [actions, params]);
+    const deadline = Math.floor(Date.now() / 1000) + 160;
+
+    const valueUSD = await getValueUSD({
+        [position.tokenA]: position.unclaimedFeesTokenA.toString(),
+        [position.tokenB]: position.unclaimedFeesTokenB.toString()
+    });
+    const populatedTx = await positionManagerContract.populateTransaction.modifyLiquidities(callData, deadline);
+    if (!(await preflightTransaction(populatedTx, { label, valueUSD }))) {
+        return null;
+    }
+
+    showInfoNotification(confirmTitle, 'Confirm collecting your position fees in your wallet');
+    const tx = await positionManagerContract.modifyLiquidities(callData, deadline);
+    showInfoNotification();
+    await tx.wait();
+    return tx;
+}
+
+/**
+ * Collects the accrued swap fees of the selected position without changing its liquidity
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function collectFees() {
+    if (!window.walletConnected) {
+        await window.connectWallet();
+    }
+
+    const positionSelect = document.querySelector('#decrease select');
+    const position = positionData[positionSelect?.value];
+    if (!position) {
+        alert('Select a position to collect fees from');
+        return;
+    }
+
+    const feesA = parseFloat(position.unclaimedFeesTokenA) || 0;
+    const feesB = parseFloat(position.unclaimedFeesTokenB) || 0;
+    if (feesA <= 0 && feesB <= 0) {
+        alert('This position has no unclaimed fees to collect');
+        return;
+    }
+
+    disableButtonWithSpinner('collectFeesBtn');
+
+    try {
+        const tx = await sendCollectFees(position, 'Collect Fees', 'Confirm Collect Fees');
+        enableButton('collectFeesBtn', 'Collect Fees Only');
+        if (!tx) return;
+
+        showSuccessNotification('Fees Collected!', `${feesA.toFixed(6)} ${position.tokenA} & ${feesB.toFixed(6)} ${position.tokenB} sent to your wallet`, tx.hash);
+
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        fetchBalances();
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        getTokenIDsOwnedByMetamask(true); // Force refresh so the fees reset to zero
+    } catch (error) {
+        enableButton('collectFeesBtn', 'Collect Fees Only');
+        console.error(`Error collecting fees:`, error);
+        showErrorNotification('Collect Fees Failed', error.message || 'Failed to collect fees');
+    }
+}
+
+// ============================================
+// RANGE REBALANCE
+// ============================================
+
+// Default width when re-ranging a full-range position: ±20% around the current price
+const REBALANCE_DEFAULT_WIDTH = 0.2;
+
+/**
+ * Gets the position selected in the rebalance form
+ * @returns {Object|undefined} Position from positionData or rangePositionData
+ */
+function getRebalancePosition() {
+    const positionSelect = document.getElementById('rebalancePositionSelect');
+    if (!positionSelect) return undefined;
+    return positionData[positionSelect.value] || rangePositionData[positionSelect.value];
+}
+
+/**
+ * Reads the current pool sqrt price through the ratio module
+ * @async
+ * @returns {Promise<bigint>} Current sqrt price
+ */
+async function getCurrentPoolSqrtPrice() {
+    await getSqrtRtAndPriceRatio("RebalanceRange");
+    return BigInt(Current_getsqrtPricex96.toString());
+}
+
+/**
+ * Reads the new range from the rebalance form
+ * @param {Object} position - Selected position
+ * @returns {{tickLower: number, tickUpper: number}|{error: string}} Aligned ticks, or { error }
+ */
+function readRebalanceRange(position) {
+    const minPrice = parseFloat(document.getElementById('rebalanceMinPrice').value);
+    const maxPrice = parseFloat(document.getElementById('rebalanceMaxPrice').value);
+    if (!(minPrice > 0) || !(maxPrice > minPrice)) {
+        return { error: 'Enter a minimum price above 0 and a maximum price above the minimum' };
+    }
+
+    const tickSpacing = parseInt(position.poolKey.tickSpacing.toString(), 10);
+    const tickLower = priceToTick(minPrice, position.tokenA, position.tokenB, tickSpacing);
+    const tickUpper = priceToTick(maxPrice, position.tokenA, position.tokenB, tickSpacing);
+    if (tickLower >= tickUpper) {
+        return { error: 'The range is narrower than one tick spacing; widen it' };
+    }
+    if (tickLower < -887220 || tickUpper > 887220) {
+        return { error: 'The range is outside the pool price limits' };
+    }
+    if (tickLower === position.tickLower && tickUpper === position.tickUpper) {
+        return { error: 'The new range is the same as the current range' };
+    }
+    return { tickLower, tickUpper };
+}
+
+/**
+ * Fills the rebalance position selector with unstaked positions of every range
+ * @returns {void}
+ */
+function populateRebalancePositions() {
+    const positionSelect = document.getElementById('rebalancePositionSelect');
+    if (!positionSelect) return;
+
+    const previous = positionSelect.value;
+    const positions = [...Object.values(positionData), ...Object.values(rangePositionData)];
+    positionSelect.innerHTML = '';
+
+    if (positions.length === 0) {
+        positionSelect.innerHTML = '<option value="">No positions to rebalance</option>';
+        return;
+    }
+
+    positions.forEach(position => {
+        const option = document.createElement('option');
+        option.value = position.id;
+        const isFullRange = position.tickLower === -887220 && position.tickUpper === 887220;
+        option.textContent = `${position.pool} - Position #${position.id.split('_')[1]} - ` +
+            (isFullRange ? 'Full Range' : `Ticks ${position.tickLower} to ${position.tickUpper}`);
+        positionSelect.appendChild(option);
+    });
+
+    if (positions.some(position => position.id === previous)) {
+        positionSelect.value = previous;
+    } else {
+        setDefaultRebalanceRange();
+    }
+}
+
+/**
+ * Sets the new range inputs to the selected position's width re-centred on the current price
+ * Full-range positions default to ±20% around the current price.
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function setDefaultRebalanceRange() {
+    const position = getRebalancePosition();
+    if (!position) return;
+
+    try {
+        const sqrtPriceX96 = await getCurrentPoolSqrtPrice();
+        const currentPrice = Number(sqrtPriceX96) ** 2 / 2 ** 192 *
+            Math.pow(10, tokenAddressesDecimals[position.tokenA] - tokenAddressesDecimals[position.tokenB]);
+
+        let minPrice = currentPrice * (1 - REBALANCE_DEFAULT_WIDTH);
+        let maxPrice = currentPrice * (1 + REBALANCE_DEFAULT_WIDTH);
+
+        const isFullRange = position.tickLower === -887220 && position.tickUpper === 887220;
+        if (!isFullRange) {
+            const halfWidth = Math.pow(1.0001, (position.tickUpper - position.tickLower) / 2);
+            minPrice = currentPrice / halfWidth;
+            maxPrice = currentPrice * halfWidth;
+        }
+
+        document.getElementById('rebalanceMinPrice').value = minPrice.toPrecision(6);
+        document.getElementById('rebalanceMaxPrice').value = maxPrice.toPrecision(6);
+    } catch (error) {
+        console.error("Error setting default rebalance range:", error);
+    }
+
+    await updateRebalancePreview();
+}
+
+/**
+ * Previews a rebalance: what is withdrawn, the swap of the excess side and the new position
+ * The swap is sized at the current price before swap fees and price impact.
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function updateRebalancePreview() {
+    const preview = document.getElementById('rebalancePreview');
+    if (!preview) return;
+
+    const position = getRebalancePosition();
+    if (!position) {
+        preview.innerHTML = '<p style="color: #6c757d; font-style: italic;">Select a position to rebalance.</p>';
+        return;
+    }
+
+    const symbol0 = position.tokenA;
+    const symbol1 = position.tokenB;
+    document.querySelectorAll('.rebalancePriceUnit').forEach(el => {
+        el.textContent = `${symbol1} per ${symbol0}`;
+    });
+
+    try {
+        const sqrtPriceX96 = await getCurrentPoolSqrtPrice();
+        const decimals0 = tokenAddressesDecimals[symbol0];
+        const decimals1 = tokenAddressesDecimals[symbol1];
+        const format = (amount, decimals) => parseFloat(ethers.utils.formatUnits(amount.toString(), decimals)).toFixed(6);
+
+        const withdrawn0 = BigInt(ethers.utils.parseUnits(position.currentTokenA, decimals0).add(
+            ethers.utils.parseUnits(position.unclaimedFeesTokenA, decimals0)).toString());
+        const withdrawn1 = BigInt(ethers.utils.parseUnits(position.currentTokenB, decimals1).add(
+            ethers.utils.parseUnits(position.unclaimedFeesTokenB, decimals1)).toString());
+
+        const currentTick = Math.floor(Math.log(Number(sqrtPriceX96) ** 2 / 2 ** 192) / Math.log(1.0001));
+        const inRange = currentTick >= position.tickLower && currentTick < position.tickUpper;
+
+        let html = `<p style="margin: 5px 0;">Current price: ${tickToPrice(currentTick, symbol0, symbol1).toPrecision(6)} ${symbol1} per ${symbol0}
+            — position is ${inRange ? 'in range' : '<span style="color: #dc3545;">out of range</span>'}</p>`;
+        html += `<p style="margin: 5px 0;"><strong>1. Withdraw & collect fees:</strong> ${format(withdrawn0, decimals0)} ${symbol0} + ${format(withdrawn1, decimals1)} ${symbol1}</p>`;
+
+        const range = readRebalanceRange(position);
+        if (range.error) {
+            preview.innerHTML = html + `<p style="margin: 5px 0; color: #dc3545;">${range.error}</p>`;
+            return;
+        }
+
+        let amount0 = withdrawn0;
+        let amount1 = withdrawn1;
+        const swapExcess = document.getElementById('rebalanceSwapExcess').checked;
+
+        if (swapExcess) {
+            const plan = getRangeRebalancePlan(withdrawn0, withdrawn1, sqrtPriceX96, range.tickLower, range.tickUpper);
+            if (plan.swapZeroForOne === null) {
+                html += '<p style="margin: 5px 0;"><strong>2. Swap:</strong> not needed</p>';
+            } else {
+                const [fromSymbol, toSymbol, fromDecimals] = plan.swapZeroForOne ?
+                    [symbol0, symbol1, decimals0] : [symbol1, symbol0, decimals1];
+                html += `<p style="margin: 5px 0;"><strong>2. Swap:</strong> ~${format(plan.swapAmount, fromDecimals)} ${fromSymbol} → ${toSymbol}</p>`;
+                amount0 = plan.target0;
+                amount1 = plan.target1;
+            }
+        } else {
+            html += '<p style="margin: 5px 0;"><strong>2. Swap:</strong> skipped</p>';
+        }
+
+        const liquidity = getLiquidityForAmounts(sqrtPriceX96, range.tickLower, range.tickUpper, amount0, amount1);
+        const deposited = getAmountsForLiquidity(liquidity, sqrtPriceX96, range.tickLower, range.tickUpper);
+        const leftover0 = amount0 > deposited.amount0 ? amount0 - deposited.amount0 : 0n;
+        const leftover1 = amount1 > deposited.amount1 ? amount1 - deposited.amount1 : 0n;
+
+        html += `<p style="margin: 5px 0;"><strong>3. New position:</strong> ${format(deposited.amount0, decimals0)} ${symbol0} + ${format(deposited.amount1, decimals1)} ${symbol1}
+            between ${tickToPrice(range.tickLower, symbol0, symbol1).toPrecision(6)} and ${tickToPrice(range.tickUpper, symbol0, symbol1).toPrecision(6)}
+            (ticks ${range.tickLower} to ${range.tickUpper})</p>`;
+        if (leftover0 > 0n || leftover1 > 0n) {
+            html += `<p style="margin: 5px 0;">Stays in wallet: ${format(leftover0, decimals0)} ${symbol0} + ${format(leftover1, decimals1)} ${symbol1}</p>`;
+        }
+        if (swapExcess) {
+            html += '<p style="margin: 5px 0; font-size: 0.9em; color: #6c757d;">Estimated before swap fees and price impact.</p>';
+        }
+        preview.innerHTML = html;
+    } catch (error) {
+        console.error("Error updating rebalance preview:", error);
+        preview.innerHTML = '<p style="margin: 5px 0; color: #dc3545;">Could not load the pool price</p>';
+    }
+}
+
+/**
+ * Reads wallet balances of a pool's two tokens
+ * @async
+ * @param {Object} poolKey - Pool key
+ * @returns {Promise<{amount0: bigint, amount1: bigint}>} Balances
+ */
+async function getPoolTokenBalances(poolKey) {
+    const erc20ABI = ["function balanceOf(address account) view returns (uint256)"];
+    const [balance0, balance1] = await Promise.all([poolKey.currency0, poolKey.currency1].map(currency =>
+        retryWithBackoffPositions(() => new ethers.Contract(currency, erc20ABI, window.provider).balanceOf(window.userAddress))
+    ));
+    return { amount0: BigInt(balance0.toString()), amount1: BigInt(balance1.toString()) };
+}
+
+/**
+ * Removes all liquidity of a position and collects its fees to the wallet
+ * @async
+ * @param {Object} position - Position to withdraw
+ * @param {number} decimalValueSlippage - Slippage tolerance
+ * @returns {Promise<boolean>} True if withdrawn, false if cancelled at pre-flight
+ */
+async function withdrawForRebalance(position, decimalValueSlippage) {
+    const positionID = position.id.split('_')[1];
+    const { poolKey } = position;
+
+    const positionManagerABI = [
+        "function modifyLiquidities(bytes unlockData, uint256 deadline) payable",
+        "function getPositionLiquidity(uint256 tokenId) view returns (uint128 liquidity)"
+    ];
+    const positionManagerContract = new ethers.Contract(positionManager_address, positionManagerABI, window.signer);
+
+    const liquidity = await positionManagerContract.getPositionLiquidity(positionID);
+    const sqrtPriceX96 = await getCurrentPoolSqrtPrice();
+    const expected = getAmountsForLiquidity(BigInt(liquidity.toString()), sqrtPriceX96, position.tickLower, position.tickUpper);
+    const slippageBps = BigInt(Math.floor(decimalValueSlippage * 10000));
+
+    const abiCoder = ethers.utils.defaultAbiCoder;
+    const actions = ethers.utils.concat([
+        ethers.utils.hexZeroPad(0x01, 1), // DECREASE_LIQUIDITY
+        ethers.utils.hexZeroPad(0x11, 1)  // TAKE_PAIR
+    ]);
+    const params = [
+        abiCoder.encode(
+            ["uint256", "uint256", "uint128", "uint128", "bytes"],
+            [
+                positionID,
+                liquidity,
+                (expected.amount0 * (10000n - slippageBps) / 10000n).toString(),
+                (expected.amount1 * (10000n - slippageBps) / 10000n).toString(),
+                "0x"
+            ]
+        ),
+        abiCoder.encode(["address", "address", "address"], [poolKey.currency0, poolKey.currency1, window.userAddress])
+    ];
+    const callData = abiCoder.encode(["bytes", "bytes[]"], [actions, params]);
+    const deadline = Math.floor(Date.now() / 1000) + 160;
+
+    const valueUSD = await getValueUSD({
+        [position.tokenA]: ethers.utils.formatUnits(expected.amount0.toString(), tokenAddressesDecimals[position.tokenA]),
+        [position.tokenB]: ethers.utils.formatUnits(expected.amount1.toString(), tokenAddressesDecimals[position.tokenB])
+    });
+    const populatedTx = await positionManagerContract.populateTransaction.modifyLiquidities(callData, deadline);
+    if (!(await preflightTransaction(populatedTx, { label: 'Rebalance: Withdraw Position', valueUSD }))) {
+        return false;
+    }
+
+    showInfoNotification('Rebalance 1/3', 'Confirm removing the old position in your wallet');
+    const tx = await positionManagerContract.modifyLiquidities(callData, deadline);
+    showInfoNotification();
+    await tx.wait();
+    showSuccessNotification('Old Position Withdrawn', 'Liquidity and fees collected to your wallet', tx.hash);
+    return true;
+}
+
+/**
+ * Mints a position in a tick range from the given token amounts through the PositionManager
+ * Used by the rebalance flow and by custom-range creates. With a slippage fraction the
+ * liquidity is scaled down by it, so the mint still fits the amounts after a small price move.
+ * @async
+ * @param {Object} poolKey - Sorted pool key
+ * @param {Array<string>} symbols - Token0 and token1 symbols
+ * @param {{tickLower: number, tickUpper: number}} range - Range to mint
+ * @param {bigint} amount0 - Token0 available for the position
+ * @param {bigint} amount1 - Token1 available for the position
+ * @param {Object} [options] - Labels and slippage
+ * @param {string} [options.label] - Pre-flight label
+ * @param {string} [options.confirmTitle] - Notification title while the wallet is open
+ * @param {string} [options.successTitle] - Notification title once minted
+ * @param {number} [options.slippage] - Liquidity held back as a fraction (e.g. 0.005)
+ * @returns {Promise<string|null>} New position id, or null if cancelled at pre-flight
+ * @throws {Error} If a token approval fails or is rejected
+ */
+export async function mintRangePosition(poolKey, symbols, range, amount0, amount1, options = {}) {
+    const {
+        label = 'Mint Position',
+        confirmTitle = 'Confirm Mint',
+        successTitle = 'Position Created!',
+        slippage = 0
+    } = options;
+    const [symbol0, symbol1] = symbols;
+    const sqrtPriceX96 = await getCurrentPoolSqrtPrice();
+
+    // Two wei are held back on each side so the PositionManager's rounding up stays within the amounts
+    const usable0 = amount0 > 2n ? amount0 - 2n : 0n;
+    const usable1 = amount1 > 2n ? amount1 - 2n : 0n;
+    const maxLiquidity = getLiquidityForAmounts(sqrtPriceX96, range.tickLower, range.tickUpper, usable0, usable1);
+    const liquidity = maxLiquidity * BigInt(Math.floor((1 - slippage) * 10000)) / 10000n;
+    if (liquidity === 0n) {
+        throw new Error("Not enough tokens to mint the range");
+    }
+
+    const amount0Max = ethers.BigNumber.from(amount0.toString());
+    const amount1Max = ethers.BigNumber.from(amount1.toString());
+
+    if (!(await approveIfNeeded(poolKey.currency0, permit2Address, amount0Max)) ||
+        !(await approveIfNeeded(poolKey.currency1, permit2Address, amount1Max))) {
+        throw new Error('Token approval failed or was cancelled');
+    }
+    await approveTokensViaPermit2(window.signer, permit2Address, poolKey.currency0, poolKey.currency1,
+        positionManager_address, amount0Max, amount1Max);
+
+    const abiCoder = ethers.utils.defaultAbiCoder;
+    const actions = ethers.utils.concat([
+        ethers.utils.hexZeroPad(0x02, 1), // MINT_POSITION
+        ethers.utils.hexZeroPad(0x0d, 1)  // SETTLE_PAIR
+    ]);
+    const params = [
+        abiCoder.encode(
+            ["tuple(address,address,uint24,int24,address)", "int24", "int24", "uint256", "uint128", "uint128", "address", "bytes"],
+            [
+                [poolKey.currency0, poolKey.currency1, poolKey.fee, poolKey.tickSpacing, poolKey.hooks],
+                range.tickLower,
+                range.tickUpper,
+                liquidity.toString(),
+                amount0Max,
+                amount1Max,
+                window.userAddress,
+                "0x"
+            ]
+        ),
+        abiCoder.encode(["address", "address"], [poolKey.currency0, poolKey.currency1])
+    ];
+    const callData = abiCoder.encode(["bytes", "bytes[]"], [actions, params]);
+    const deadline = Math.floor(Date.now() / 1000) + 160;
+
+    const positionManagerContract = new ethers.Contract(
+        positionManager_address,
+        ["function modifyLiquidities(bytes unlockData, uint256 deadline) payable"],
+        window.signer
+    );
+
+    const valueUSD = await getValueUSD({
+        [symbol0]: ethers.utils.formatUnits(amount0Max, tokenAddressesDecimals[symbol0]),
+        [symbol1]: ethers.utils.formatUnits(amount1Max, tokenAddressesDecimals[symbol1])
+    });
+    const populatedTx = await positionManagerContract.populateTransaction.modifyLiquidities(callData, deadline);
+    if (!(await preflightTransaction(populatedTx, { label, valueUSD }))) {
+        return null;
+    }
+
+    showInfoNotification(confirmTitle, 'Confirm minting the range in your wallet');
+    const tx = await positionManagerContract.modifyLiquidities(callData, deadline);
+    showInfoNotification();
+    const receipt = await tx.wait();
+
+    const newTokenId = getMintedTokenId(receipt) || '?';
+    showSuccessNotification(successTitle, `New position #${newTokenId} minted`, tx.hash);
+    return newTokenId;
+}
+
+/**
+ * Moves the selected position to a new tick range
+ * Removes all liquidity and collects fees, optionally swaps the excess side
+ * through the swap router, then mints the new range from the withdrawn tokens.
+ * Each step is its own transaction; anything not used by the new position stays in the wallet.
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function rebalanceRange() {
+    if (!window.walletConnected) {
+        await window.connectWallet();
+    }
+
+    const position = getRebalancePosition();
+    if (!position) {
+        alert("Select a position to rebalance");
+        return;
+    }
+    const range = readRebalanceRange(position);
+    if (range.error) {
+        alert(range.error);
+        return;
+    }
+
+    const swapExcess = document.getElementById('rebalanceSwapExcess').checked;
+    const selectSlippageValue = document.getElementById('slippageToleranceRebalance').value;
+    const decimalValueSlippage = parseFloat(selectSlippageValue.replace('%', '')) / 100;
+
+    if (!confirm(`Rebalance position #${position.id.split('_')[1]} to ticks ${range.tickLower} – ${range.tickUpper}?\n\n` +
+        `1. Remove all liquidity and collect fees\n` +
+        (swapExcess ? `2. Swap the excess token\n` : '') +
+        `${swapExcess ? 3 : 2}. Mint the new range\n\n` +
+        `Each step is a separate transaction.`)) {
+        return;
+    }
+
+    disableButtonWithSpinner('rebalanceRangeBtn');
+    const symbol0 = position.tokenA;
+    const symbol1 = position.tokenB;
+    let withdrawn = false;
+
+    try {
+        const balancesBefore = await getPoolTokenBalances(position.poolKey);
+
+        if (!(await withdrawForRebalance(position, decimalValueSlippage))) {
+            return;
+        }
+        withdrawn = true;
+
+        let balancesAfter = await getPoolTokenBalances(position.poolKey);
+        let amount0 = balancesAfter.amount0 - balancesBefore.amount0;
+        let amount1 = balancesAfter.amount1 - balancesBefore.amount1;
+
+        if (swapExcess) {
+            const sqrtPriceX96 = await getCurrentPoolSqrtPrice();
+            const plan = getRangeRebalancePlan(amount0, amount1, sqrtPriceX96, range.tickLower, range.tickUpper);
+
+            if (plan.swapZeroForOne !== null && plan.swapAmount > 0n) {
+                const [fromToken, toToken] = plan.swapZeroForOne ? [symbol0, symbol1] : [symbol1, symbol0];
+                showInfoNotification('Rebalance 2/3', `Swapping excess ${fromToken} for ${toToken}`);
+
+                const swapAmount = ethers.BigNumber.from(plan.swapAmount.toString());
+                const estimate = await prepareSwapEstimate(fromToken, toToken, swapAmount);
+                const receipt = await executeSwapFromEstimate(fromToken, toToken, decimalValueSlippage, estimate, swapAmount);
+                if (!receipt) {
+                    showInfoNotification('Swap Skipped', 'Minting the new range with the withdrawn amounts');
+                }
+
+                balancesAfter = await getPoolTokenBalances(position.poolKey);
+                amount0 = balancesAfter.amount0 - balancesBefore.amount0;
+                amount1 = balancesAfter.amount1 - balancesBefore.amount1;
+            }
+        }
+
+        await mintRangePosition(position.poolKey, [symbol0, symbol1], range,
+            amount0 > 0n ? amount0 : 0n, amount1 > 0n ? amount1 : 0n, {
+                label: 'Rebalance: Mint New Range',
+                confirmTitle: 'Rebalance 3/3',
+                successTitle: 'Range Rebalanced!'
+            });
+    } catch (error) {
+        console.error("Error rebalancing range:", error);
+        showErrorNotification('Rebalance Failed', withdrawn ?
+            `${error.message || 'Failed to mint the new range'}. The withdrawn tokens are in your wallet; create the new position from the Create Position tab.` :
+            error.message || 'Failed to rebalance position');
+    } finally {
+        enableButton('rebalanceRangeBtn', 'Rebalance Range');
+        if (withdrawn) {
+            fetchBalances();
+            await getTokenIDsOwnedByMetamask(true);
+        }
+    }
+}
+
+// ============================================
+// COMPOUND FEES
+// ============================================
+
+/**
+ * Gets the position selected in the increase form
+ * @returns {Object|undefined} Position from positionData
+ */
+function getCompoundPosition() {
+    const positionSelect = document.querySelector('#increase select');
+    return positionSelect ? positionData[positionSelect.value] : undefined;
+}
+
+/**
+ * Fits available token amounts to the pool ratio for a full-range increase
+ * @param {Object} position - Position being compounded
+ * @param {bigint} amount0 - Available token0
+ * @param {bigint} amount1 - Available token1
+ * @returns {{amount0: bigint, amount1: bigint}} Amounts the increase can take
+ */
+function fitCompoundAmounts(position, amount0, amount1) {
+    const symbol0 = position.tokenA;
+    const symbol1 = position.tokenB;
+    const available = {
+        [symbol0]: ethers.utils.formatUnits(amount0.toString(), tokenAddressesDecimals[symbol0]),
+        [symbol1]: ethers.utils.formatUnits(amount1.toString(), tokenAddressesDecimals[symbol1])
+    };
+
+    const result = getMaxAmountsWithProperLimiting(symbol0, symbol1, available, ratioz, 'B0x', null, false);
+    const fitted = {
+        B0x: BigInt(result.amountToDeposit.toString()),
+        '0xBTC': BigInt(result.amountWith8Decimals0xBTC.toString())
+    };
+
+    // The ratio maths rounds, so never ask for more than is available
+    return {
+        amount0: fitted[symbol0] < amount0 ? fitted[symbol0] : amount0,
+        amount1: fitted[symbol1] < amount1 ? fitted[symbol1] : amount1
+    };
+}
+
+/**
+ * Plans a compound of a position's fees at the current price
+ * @param {Object} position - Position being compounded
+ * @param {bigint} sqrtPriceX96 - Current sqrt price
+ * @returns {Object} Fees, swap plan, amounts re-added and the expected liquidity delta
+ */
+function planCompound(position, sqrtPriceX96) {
+    const fees0 = BigInt(ethers.utils.parseUnits(position.unclaimedFeesTokenA.toString(), tokenAddressesDecimals[position.tokenA]).toString());
+    const fees1 = BigInt(ethers.utils.parseUnits(position.unclaimedFeesTokenB.toString(), tokenAddressesDecimals[position.tokenB]).toString());
+
+    const swap = getRangeRebalancePlan(fees0, fees1, sqrtPriceX96, -887220, 887220);
+    const afterSwap0 = swap.swapZeroForOne === null ? fees0 : swap.target0;
+    const afterSwap1 = swap.swapZeroForOne === null ? fees1 : swap.target1;
+    const deposit = fitCompoundAmounts(position, afterSwap0, afterSwap1);
+    const liquidityDelta = getLiquidityForAmounts(sqrtPriceX96, -887220, 887220, deposit.amount0, deposit.amount1);
+
+    return { fees0, fees1, swap, deposit, liquidityDelta };
+}
+
+/**
+ * Previews a compound of the selected position: fees collected, the swap and the liquidity added
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function updateCompoundPreview() {
+    const preview = document.getElementById('compoundPreview');
+    if (!preview) return;
+
+    const position = getCompoundPosition();
+    if (!position) {
+        preview.innerHTML = '<p style="color: #6c757d; font-style: italic;">Select a position to compound.</p>';
+        return;
+    }
+    if (!(parseFloat(position.unclaimedFeesTokenA) > 0) && !(parseFloat(position.unclaimedFeesTokenB) > 0)) {
+        preview.innerHTML = '<p style="color: #6c757d; font-style: italic;">This position has no fees to compound yet.</p>';
+        return;
+    }
+
+    try {
+        const sqrtPriceX96 = await getCurrentPoolSqrtPrice();
+        const plan = planCompound(position, sqrtPriceX96);
+        const symbol0 = position.tokenA;
+        const symbol1 = position.tokenB;
+        const decimals0 = tokenAddressesDecimals[symbol0];
+        const decimals1 = tokenAddressesDecimals[symbol1];
+        const format = (amount, decimals) => parseFloat(ethers.utils.formatUnits(amount.toString(), decimals)).toFixed(6);
+
+        let html = `<p style="margin: 5px 0;"><strong>1. Collect fees:</strong> ${format(plan.fees0, decimals0)} ${symbol0} + ${format(plan.fees1, decimals1)} ${symbol1}</p>`;
+        if (plan.swap.swapZeroForOne === null) {
+            html += '<p style="margin: 5px 0;"><strong>2. Swap:</strong> not needed</p>';
+        } else {
+            const [fromSymbol, toSymbol, fromDecimals] = plan.swap.swapZeroForOne ?
+                [symbol0, symbol1, decimals0] : [symbol1, symbol0, decimals1];
+            html += `<p style="margin: 5px 0;"><strong>2. Swap:</strong> ~${format(plan.swap.swapAmount, fromDecimals)} ${fromSymbol} → ${toSymbol}</p>`;
+        }
+
+        const share = position.currentLiquidity > 0 ? Number(plan.liquidityDelta) / position.currentLiquidity * 100 : 0;
+        html += `<p style="margin: 5px 0;"><strong>3. Add to position #${position.id.split('_')[1]}:</strong> ${format(plan.deposit.amount0, decimals0)} ${symbol0} + ${format(plan.deposit.amount1, decimals1)} ${symbol1}</p>`;
+        html += `<p style="margin: 5px 0;">Expected liquidity delta: <strong>+${plan.liquidityDelta.toString()}</strong> (+${share.toFixed(4)}%)</p>`;
+        html += '<p style="margin: 5px 0; font-size: 0.9em; color: #6c757d;">Estimated before swap fees and price impact; anything not added stays in your wallet.</p>';
+        preview.innerHTML = html;
+    } catch (error) {
+        console.error("Error updating compound preview:", error);
+        preview.innerHTML = '<p style="margin: 5px 0; color: #dc3545;">Could not load the pool price</p>';
+    }
+}
+
+/**
+ * Compounds the selected position's fees back into it
+ * Collects the fees, swaps the surplus side to the pool ratio through the swap router,
+ * then increases liquidity on the same token ID with what was collected.
+ * Each step is its own transaction; anything not added stays in the wallet.
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function compoundFees() {
+    if (!window.walletConnected) {
+        await window.connectWallet();
+    }
+
+    const position = getCompoundPosition();
+    if (!position) {
+        alert("Select a position to compound");
+        return;
+    }
+    if (!(parseFloat(position.unclaimedFeesTokenA) > 0) && !(parseFloat(position.unclaimedFeesTokenB) > 0)) {
+        alert("This position has no fees to compound yet");
+        return;
+    }
+
+    const selectSlippageValue = document.getElementById('slippageToleranceIncreaseLiquidity').value;
+    const decimalValueSlippage = parseFloat(selectSlippageValue.replace('%', '')) / 100;
+    const positionID = position.id.split('_')[1];
+    const symbol0 = position.tokenA;
+    const symbol1 = position.tokenB;
+
+    let plan;
+    try {
+        plan = planCompound(position, await getCurrentPoolSqrtPrice());
+    } catch (error) {
+        console.error("Error planning compound:", error);
+        showErrorNotification('Compound Failed', 'Could not load the pool price');
+        return;
+    }
+
+    const needsSwap = plan.swap.swapZeroForOne !== null && plan.swap.swapAmount > 0n;
+    if (!confirm(`Compound the fees of position #${positionID}?\n\n` +
+        `1. Collect fees\n` +
+        (needsSwap ? `2. Swap the surplus ${plan.swap.swapZeroForOne ? symbol0 : symbol1}\n` : '') +
+        `${needsSwap ? 3 : 2}. Increase liquidity on #${positionID}\n\n` +
+        `Expected liquidity delta: +${plan.liquidityDelta.toString()}\n\n` +
+        `Each step is a separate transaction.`)) {
+        return;
+    }
+
+    disableButtonWithSpinner('compoundFeesBtn');
+    let collected = false;
+
+    try {
+        const balancesBefore = await getPoolTokenBalances(position.poolKey);
+
+        if (!(await sendCollectFees(position, 'Compound: Collect Fees', 'Compound 1/3'))) {
+            return;
+        }
+        collected = true;
+
+        let balancesAfter = await getPoolTokenBalances(position.poolKey);
+        let amount0 = balancesAfter.amount0 - balancesBefore.amount0;
+        let amount1 = balancesAfter.amount1 - balancesBefore.amount1;
+
+        const sqrtPriceX96 = await getCurrentPoolSqrtPrice();
+        const swap = getRangeRebalancePlan(amount0, amount1, sqrtPriceX96, -887220, 887220);
+        if (swap.swapZeroForOne !== null && swap.swapAmount > 0n) {
+            const [fromToken, toToken] = swap.swapZeroForOne ? [symbol0, symbol1] : [symbol1, symbol0];
+            showInfoNotification('Compound 2/3', `Swapping surplus ${fromToken} for ${toToken}`);
+
+            const swapAmount = ethers.BigNumber.from(swap.swapAmount.toString());
+            const estimate = await prepareSwapEstimate(fromToken, toToken, swapAmount);
+            const receipt = await executeSwapFromEstimate(fromToken, toToken, decimalValueSlippage, estimate, swapAmount);
+            if (!receipt) {
+                showInfoNotification('Swap Skipped', 'Adding the collected fees at the current ratio');
+            }
+
+            balancesAfter = await getPoolTokenBalances(position.poolKey);
+            amount0 = balancesAfter.amount0 - balancesBefore.amount0;
+            amount1 = balancesAfter.amount1 - balancesBefore.amount1;
+            await getCurrentPoolSqrtPrice();
+        }
+
+        const deposit = fitCompoundAmounts(position, amount0 > 0n ? amount0 : 0n, amount1 > 0n ? amount1 : 0n);
+        if (deposit.amount0 <= 2n || deposit.amount1 <= 2n) {
+            throw new Error("Not enough collected to add liquidity");
+        }
+
+        // Two wei are held back for the liquidity maths so the PositionManager's rounding up stays within the maximums
+        const zero = ethers.BigNumber.from(0);
+        const valueUSD = await getValueUSD({
+            [symbol0]: ethers.utils.formatUnits(deposit.amount0.toString(), tokenAddressesDecimals[symbol0]),
+            [symbol1]: ethers.utils.formatUnits(deposit.amount1.toString(), tokenAddressesDecimals[symbol1])
+        });
+        const tx = await sendIncreaseLiquidity(
+            positionID,
+            ethers.BigNumber.from((deposit.amount0 - 2n).toString()),
+            ethers.BigNumber.from((deposit.amount1 - 2n).toString()),
+            zero,
+            zero,
+            {
+                label: 'Compound: Increase Liquidity',
+                confirmTitle: 'Compound 3/3',
+                valueUSD,
+                amount0Max: ethers.BigNumber.from(deposit.amount0.toString()),
+                amount1Max: ethers.BigNumber.from(deposit.amount1.toString())
+            }
+        );
+        if (tx) {
+            showSuccessNotification('Fees Compounded!', `Position #${positionID} increased with its collected fees`, tx.hash);
+        }
+    } catch (error) {
+        console.error("Error compounding fees:", error);
+        showErrorNotification('Compound Failed', collected ?
+            `${error.message || 'Failed to increase liquidity'}. The collected fees are in your wallet; add them from the Increase Liquidity form.` :
+            error.message || 'Failed to compound fees');
+    } finally {
+        enableButton('compoundFeesBtn', 'Compound Fees');
+        if (collected) {
+            fetchBalances();
+            await getTokenIDsOwnedByMetamask(true);
+        }
+    }
+}
+
 // ============================================
 // POSITION INFO UPDATES
 // ============================================
@@ -2142,6 +2962,8 @@ export async function loadPositionsIntoDappSelections() {
         enableButton('decreaseLiquidityStakedBtn', 'Decrease Liquidity of Staked Position');
     }
 
+    populateRebalancePositions();
+
     // ========================================
     // ENSURE INITIAL LOAD FLAG IS CLEARED AND UPDATE ALL INFO CARDS
     // ========================================
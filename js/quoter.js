@@ -0,0 +1,713 @@
+/**
+ * @module quoter
+ * @description Local Uniswap V4 swap quoting
+ *
+ * Handles:
+ * - Loading pool state (sqrtPrice, liquidity, initialized ticks, hook fee) in batched multicalls
+ * - Simulating exact-input swaps tick by tick with V4 swap math
+ * - Chaining hops to quote whole routes
+ * - Fine-grained split optimization without extra RPC round trips
+ * - Active liquidity by price bucket for the range picker's histogram
+ * - Verifying local quotes against the swapper contract
+ */
+
+// Import dependencies
+import {
+    contractAddress_Swapper,
+    tokenAddresses,
+    MULTICALL_ADDRESS,
+    stateViewAddress
+} from './config.js';
+import {
+    STATE_VIEW_ABI,
+    HOOK_FEE_ABI,
+    SPLIT_ROUTE_ABI,
+    MULTICALL_ABI2
+} from './abis.js';
+import { getSqrtRatioAtTick, getReadProvider } from './contracts.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const Q96 = 1n << 96n;
+const MAX_UINT160 = (1n << 160n) - 1n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+// Fees are expressed in hundredths of a bip (1,000,000 = 100%)
+const PIPS_DENOMINATOR = 1000000n;
+
+// Widest tick accepted by getSqrtRatioAtTick; swaps stop here like at a price limit
+const MAX_USABLE_TICK = 887220;
+
+// Calls per multicall batch when loading pool state
+const STATE_BATCH_SIZE = 100;
+
+// Reuse loaded pool state for this long (quotes refresh on the reload countdown)
+const POOL_STATE_CACHE_MS = 12000;
+
+// Number of chunks the split optimizer allocates between routes (0.1% each)
+const LOCAL_SPLIT_STEPS = 1000;
+
+// ============================================
+// STATE VARIABLES
+// ============================================
+
+// poolId -> { state, loadedAt }
+const poolStateCache = new Map();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Converts an ethers BigNumber (or numeric string) to a native bigint
+ * @param {BigNumber|string|number} value - Value to convert
+ * @returns {bigint} Converted value
+ */
+function toBigInt(value) {
+    return BigInt(value.toString());
+}
+
+/**
+ * Multiplies then divides, rounding down
+ * @param {bigint} a - Multiplicand
+ * @param {bigint} b - Multiplier
+ * @param {bigint} denominator - Divisor
+ * @returns {bigint} floor(a * b / denominator)
+ */
+function mulDiv(a, b, denominator) {
+    return (a * b) / denominator;
+}
+
+/**
+ * Multiplies then divides, rounding up
+ * @param {bigint} a - Multiplicand
+ * @param {bigint} b - Multiplier
+ * @param {bigint} denominator - Divisor
+ * @returns {bigint} ceil(a * b / denominator)
+ */
+function mulDivRoundingUp(a, b, denominator) {
+    const product = a * b;
+    return product / denominator + (product % denominator === 0n ? 0n : 1n);
+}
+
+/**
+ * Divides, rounding up
+ * @param {bigint} a - Dividend
+ * @param {bigint} b - Divisor
+ * @returns {bigint} ceil(a / b)
+ */
+function divRoundingUp(a, b) {
+    return a / b + (a % b === 0n ? 0n : 1n);
+}
+
+/**
+ * Floor division for ticks (rounds toward negative infinity like Solidity's compress)
+ * @param {number} tick - Tick
+ * @param {number} tickSpacing - Pool tick spacing
+ * @returns {number} Compressed tick
+ */
+function compressTick(tick, tickSpacing) {
+    return Math.floor(tick / tickSpacing);
+}
+
+/**
+ * Computes the V4 pool id for a pool key
+ * @param {Object} poolKey - Sorted pool key
+ * @returns {string} bytes32 pool id
+ */
+export function getPoolId(poolKey) {
+    return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+        ['address', 'address', 'uint24', 'int24', 'address'],
+        [poolKey.currency0, poolKey.currency1, poolKey.fee, poolKey.tickSpacing, poolKey.hooks]
+    ));
+}
+
+/**
+ * Runs multicall batches and returns all results in order
+ * @async
+ * @param {Contract} multicallContract - Multicall3 contract
+ * @param {Array} calls - aggregate3 calls
+ * @returns {Promise<Array>} Results
+ */
+async function aggregateInBatches(multicallContract, calls) {
+    const results = [];
+    for (let i = 0; i < calls.length; i += STATE_BATCH_SIZE) {
+        const batch = calls.slice(i, i + STATE_BATCH_SIZE);
+        results.push(...await multicallContract.callStatic.aggregate3(batch));
+    }
+    return results;
+}
+
+// ============================================
+// SQRT PRICE MATH
+// ============================================
+
+/**
+ * Amount of currency0 between two prices
+ * @param {bigint} sqrtPriceA - First sqrt price
+ * @param {bigint} sqrtPriceB - Second sqrt price
+ * @param {bigint} liquidity - Active liquidity
+ * @param {boolean} roundUp - Round up (amounts in) or down (amounts out)
+ * @returns {bigint} Amount of currency0
+ */
+function getAmount0Delta(sqrtPriceA, sqrtPriceB, liquidity, roundUp) {
+    if (sqrtPriceA > sqrtPriceB) [sqrtPriceA, sqrtPriceB] = [sqrtPriceB, sqrtPriceA];
+
+    const numerator1 = liquidity << 96n;
+    const numerator2 = sqrtPriceB - sqrtPriceA;
+
+    return roundUp ?
+        divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtPriceB), sqrtPriceA) :
+        mulDiv(numerator1, numerator2, sqrtPriceB) / sqrtPriceA;
+}
+
+/**
+ * Amount of currency1 between two prices
+ * @param {bigint} sqrtPriceA - First sqrt price
+ * @param {bigint} sqrtPriceB - Second sqrt price
+ * @param {bigint} liquidity - Active liquidity
+ * @param {boolean} roundUp - Round up (amounts in) or down (amounts out)
+ * @returns {bigint} Amount of currency1
+ */
+function getAmount1Delta(sqrtPriceA, sqrtPriceB, liquidity, roundUp) {
+    if (sqrtPriceA > sqrtPriceB) [sqrtPriceA, sqrtPriceB] = [sqrtPriceB, sqrtPriceA];
+
+    return roundUp ?
+        mulDivRoundingUp(liquidity, sqrtPriceB - sqrtPriceA, Q96) :
+        mulDiv(liquidity, sqrtPriceB - sqrtPriceA, Q96);
+}
+
+/**
+ * Price after adding an input amount, matching SqrtPriceMath.getNextSqrtPriceFromInput
+ * @param {bigint} sqrtPrice - Starting sqrt price
+ * @param {bigint} liquidity - Active liquidity
+ * @param {bigint} amountIn - Input amount (after fee)
+ * @param {boolean} zeroForOne - Swap direction
+ * @returns {bigint} Next sqrt price
+ */
+function getNextSqrtPriceFromInput(sqrtPrice, liquidity, amountIn, zeroForOne) {
+    if (amountIn === 0n) return sqrtPrice;
+
+    if (zeroForOne) {
+        const numerator1 = liquidity << 96n;
+        const product = amountIn * sqrtPrice;
+
+        // Solidity falls back to a less precise formula when the product overflows
+        if (product <= MAX_UINT256) {
+            const denominator = numerator1 + product;
+            if (denominator <= MAX_UINT256) {
+                return mulDivRoundingUp(numerator1, sqrtPrice, denominator);
+            }
+        }
+        return divRoundingUp(numerator1, numerator1 / sqrtPrice + amountIn);
+    }
+
+    const quotient = amountIn <= MAX_UINT160 ?
+        (amountIn << 96n) / liquidity :
+        mulDiv(amountIn, Q96, liquidity);
+
+    return sqrtPrice + quotient;
+}
+
+/**
+ * Largest tick whose sqrt price is at or below the given sqrt price
+ * @param {bigint} sqrtPrice - Sqrt price
+ * @returns {number} Tick
+ */
+function getTickAtSqrtPrice(sqrtPrice) {
+    let low = -MAX_USABLE_TICK;
+    let high = MAX_USABLE_TICK;
+
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (getSqrtRatioAtTick(mid) <= sqrtPrice) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+// ============================================
+// SWAP SIMULATION
+// ============================================
+
+/**
+ * One exact-input swap step within a single tick range, matching SwapMath.computeSwapStep
+ * @param {bigint} sqrtPriceCurrent - Current sqrt price
+ * @param {bigint} sqrtPriceTarget - Price the step may not pass
+ * @param {bigint} liquidity - Active liquidity
+ * @param {bigint} amountRemaining - Input left to swap (including fee)
+ * @param {bigint} feePips - Swap fee in pips
+ * @returns {{sqrtPriceNext: bigint, amountIn: bigint, amountOut: bigint, feeAmount: bigint}}
+ */
+function computeSwapStep(sqrtPriceCurrent, sqrtPriceTarget, liquidity, amountRemaining, feePips) {
+    const zeroForOne = sqrtPriceCurrent >= sqrtPriceTarget;
+    const amountRemainingLessFee = mulDiv(amountRemaining, PIPS_DENOMINATOR - feePips, PIPS_DENOMINATOR);
+
+    let amountIn = zeroForOne ?
+        getAmount0Delta(sqrtPriceTarget, sqrtPriceCurrent, liquidity, true) :
+        getAmount1Delta(sqrtPriceCurrent, sqrtPriceTarget, liquidity, true);
+
+    let sqrtPriceNext;
+    let feeAmount;
+    if (amountRemainingLessFee >= amountIn) {
+        sqrtPriceNext = sqrtPriceTarget;
+        feeAmount = feePips === PIPS_DENOMINATOR ?
+            amountIn :
+            mulDivRoundingUp(amountIn, feePips, PIPS_DENOMINATOR - feePips);
+    } else {
+        amountIn = amountRemainingLessFee;
+        sqrtPriceNext = getNextSqrtPriceFromInput(sqrtPriceCurrent, liquidity, amountRemainingLessFee, zeroForOne);
+        feeAmount = amountRemaining - amountIn;
+    }
+
+    const amountOut = zeroForOne ?
+        getAmount1Delta(sqrtPriceNext, sqrtPriceCurrent, liquidity, false) :
+        getAmount0Delta(sqrtPriceCurrent, sqrtPriceNext, liquidity, false);
+
+    return { sqrtPriceNext, amountIn, amountOut, feeAmount };
+}
+
+/**
+ * Next initialized tick in the direction of the swap, bounded to one bitmap word
+ * like TickBitmap.nextInitializedTickWithinOneWord
+ * @param {Object} poolState - Loaded pool state
+ * @param {number} tick - Current tick
+ * @param {boolean} zeroForOne - Swap direction (searches lte when true)
+ * @returns {{tickNext: number, initialized: boolean}}
+ */
+function nextInitializedTickWithinOneWord(poolState, tick, zeroForOne) {
+    const { tickSpacing, initializedTicks } = poolState;
+    const compressed = compressTick(tick, tickSpacing);
+
+    if (zeroForOne) {
+        const wordStart = (compressed >> 8) * 256;
+        for (let i = initializedTicks.length - 1; i >= 0; i--) {
+            const candidate = initializedTicks[i] / tickSpacing;
+            if (candidate > compressed) continue;
+            if (candidate >= wordStart) return { tickNext: candidate * tickSpacing, initialized: true };
+            break;
+        }
+        return { tickNext: wordStart * tickSpacing, initialized: false };
+    }
+
+    const start = compressed + 1;
+    const wordEnd = (start >> 8) * 256 + 255;
+    for (const initializedTick of initializedTicks) {
+        const candidate = initializedTick / tickSpacing;
+        if (candidate < start) continue;
+        if (candidate <= wordEnd) return { tickNext: candidate * tickSpacing, initialized: true };
+        break;
+    }
+    return { tickNext: wordEnd * tickSpacing, initialized: false };
+}
+
+/**
+ * Simulates an exact-input swap against a loaded pool, matching Pool.swap
+ * @param {Object} poolState - Loaded pool state
+ * @param {boolean} zeroForOne - True to sell currency0 for currency1
+ * @param {bigint} amountIn - Input amount
+ * @returns {{amountOut: bigint, amountInRemaining: bigint, feeAmount: bigint, sqrtPriceX96: bigint, tick: number}}
+ */
+export function simulateExactInputSwap(poolState, zeroForOne, amountIn) {
+    const protocolFee = zeroForOne ? poolState.protocolFee % 4096n : poolState.protocolFee >> 12n;
+    const feePips = protocolFee === 0n ?
+        poolState.fee :
+        protocolFee + poolState.fee - (protocolFee * poolState.fee) / PIPS_DENOMINATOR;
+
+    const sqrtPriceLimit = getSqrtRatioAtTick(zeroForOne ? -MAX_USABLE_TICK : MAX_USABLE_TICK);
+
+    let sqrtPriceX96 = poolState.sqrtPriceX96;
+    let tick = poolState.tick;
+    let liquidity = poolState.liquidity;
+    let amountRemaining = amountIn;
+    let amountOut = 0n;
+    let feeAmount = 0n;
+
+    while (amountRemaining > 0n && sqrtPriceX96 !== sqrtPriceLimit) {
+        const sqrtPriceStart = sqrtPriceX96;
+        let { tickNext, initialized } = nextInitializedTickWithinOneWord(poolState, tick, zeroForOne);
+        tickNext = Math.max(-MAX_USABLE_TICK, Math.min(MAX_USABLE_TICK, tickNext));
+
+        const sqrtPriceNextTick = getSqrtRatioAtTick(tickNext);
+        const sqrtPriceTarget = zeroForOne ?
+            (sqrtPriceNextTick < sqrtPriceLimit ? sqrtPriceLimit : sqrtPriceNextTick) :
+            (sqrtPriceNextTick > sqrtPriceLimit ? sqrtPriceLimit : sqrtPriceNextTick);
+
+        const step = computeSwapStep(sqrtPriceX96, sqrtPriceTarget, liquidity, amountRemaining, feePips);
+        sqrtPriceX96 = step.sqrtPriceNext;
+        amountRemaining -= step.amountIn + step.feeAmount;
+        amountOut += step.amountOut;
+        feeAmount += step.feeAmount;
+
+        if (sqrtPriceX96 === sqrtPriceNextTick) {
+            if (initialized) {
+                const liquidityNet = poolState.ticks.get(tickNext) || 0n;
+                liquidity += zeroForOne ? -liquidityNet : liquidityNet;
+            }
+            tick = zeroForOne ? tickNext - 1 : tickNext;
+        } else if (sqrtPriceX96 !== sqrtPriceStart) {
+            tick = getTickAtSqrtPrice(sqrtPriceX96);
+        }
+    }
+
+    return { amountOut, amountInRemaining: amountRemaining, feeAmount, sqrtPriceX96, tick };
+}
+
+// ============================================
+// POOL STATE LOADING
+// ============================================
+
+/**
+ * Loads pool state for local quoting
+ * Reads slot0, liquidity and the hook fee, then every tick bitmap word in the
+ * usable range, then liquidityNet for each initialized tick. Results are cached
+ * for POOL_STATE_CACHE_MS.
+ * @async
+ * @param {Array<Object>} poolKeys - Sorted pool keys
+ * @param {boolean} forceRefresh - Ignore the cache
+ * @returns {Promise<Map<string, Object>>} Pool states by pool id
+ */
+export async function loadPoolStates(poolKeys, forceRefresh = false) {
+    const states = new Map();
+    const toLoad = [];
+    const now = Date.now();
+
+    for (const poolKey of poolKeys) {
+        const poolId = getPoolId(poolKey);
+        if (states.has(poolId) || toLoad.some(p => p.poolId === poolId)) continue;
+
+        const cached = poolStateCache.get(poolId);
+        if (!forceRefresh && cached && now - cached.loadedAt < POOL_STATE_CACHE_MS) {
+            states.set(poolId, cached.state);
+        } else {
+            toLoad.push({ poolId, poolKey });
+        }
+    }
+
+    if (toLoad.length === 0) return states;
+
+    const multicallContract = new ethers.Contract(MULTICALL_ADDRESS, MULTICALL_ABI2, getReadProvider());
+    const stateInterface = new ethers.utils.Interface(STATE_VIEW_ABI);
+    const feeInterface = new ethers.utils.Interface(HOOK_FEE_ABI);
+
+    // Round 1: slot0, liquidity, hook fee and all bitmap words
+    const calls = [];
+    const plans = toLoad.map(({ poolId, poolKey }) => {
+        const plan = { poolId, poolKey, baseIndex: calls.length, words: [] };
+
+        calls.push({ target: stateViewAddress, allowFailure: false, callData: stateInterface.encodeFunctionData("getSlot0", [poolId]) });
+        calls.push({ target: stateViewAddress, allowFailure: false, callData: stateInterface.encodeFunctionData("getLiquidity", [poolId]) });
+        calls.push({ target: poolKey.hooks, allowFailure: true, callData: feeInterface.encodeFunctionData("getCurrentPoolFee", [poolKey]) });
+
+        const minWord = compressTick(-MAX_USABLE_TICK, poolKey.tickSpacing) >> 8;
+        const maxWord = compressTick(MAX_USABLE_TICK, poolKey.tickSpacing) >> 8;
+        for (let word = minWord; word <= maxWord; word++) {
+            plan.words.push(word);
+            calls.push({ target: stateViewAddress, allowFailure: false, callData: stateInterface.encodeFunctionData("getTickBitmap", [poolId, word]) });
+        }
+        return plan;
+    });
+
+    const results = await aggregateInBatches(multicallContract, calls);
+
+    // Round 2: liquidityNet for every initialized tick
+    const tickCalls = [];
+    const tickLookups = [];
+    for (const plan of plans) {
+        const [sqrtPriceX96, tick, protocolFee, lpFee] = stateInterface.decodeFunctionResult("getSlot0", results[plan.baseIndex].returnData);
+        const [liquidity] = stateInterface.decodeFunctionResult("getLiquidity", results[plan.baseIndex + 1].returnData);
+        const feeResult = results[plan.baseIndex + 2];
+        const fee = feeResult.success ?
+            feeInterface.decodeFunctionResult("getCurrentPoolFee", feeResult.returnData)[0] :
+            lpFee;
+
+        plan.state = {
+            poolId: plan.poolId,
+            poolKey: plan.poolKey,
+            tickSpacing: plan.poolKey.tickSpacing,
+            sqrtPriceX96: toBigInt(sqrtPriceX96),
+            tick: Number(tick),
+            liquidity: toBigInt(liquidity),
+            protocolFee: BigInt(protocolFee),
+            fee: BigInt(fee),
+            ticks: new Map(),
+            initializedTicks: []
+        };
+
+        plan.words.forEach((word, i) => {
+            const [bitmap] = stateInterface.decodeFunctionResult("getTickBitmap", results[plan.baseIndex + 3 + i].returnData);
+            let bits = toBigInt(bitmap);
+            for (let bit = 0; bits > 0n; bit++, bits >>= 1n) {
+                if (bits & 1n) {
+                    plan.state.initializedTicks.push((word * 256 + bit) * plan.poolKey.tickSpacing);
+                }
+            }
+        });
+
+        for (const initializedTick of plan.state.initializedTicks) {
+            tickLookups.push({ state: plan.state, tick: initializedTick });
+            tickCalls.push({ target: stateViewAddress, allowFailure: false, callData: stateInterface.encodeFunctionData("getTickLiquidity", [plan.poolId, initializedTick]) });
+        }
+    }
+
+    const tickResults = await aggregateInBatches(multicallContract, tickCalls);
+    tickLookups.forEach(({ state, tick }, i) => {
+        const [, liquidityNet] = stateInterface.decodeFunctionResult("getTickLiquidity", tickResults[i].returnData);
+        state.ticks.set(tick, toBigInt(liquidityNet));
+    });
+
+    const loadedAt = Date.now();
+    for (const plan of plans) {
+        plan.state.initializedTicks.sort((a, b) => a - b);
+        poolStateCache.set(plan.poolId, { state: plan.state, loadedAt });
+        states.set(plan.poolId, plan.state);
+    }
+
+    console.log(`Loaded state for ${plans.length} pools (${tickCalls.length} initialized ticks)`);
+    return states;
+}
+
+/**
+ * Loads pool state for every pool used by a set of routes
+ * @async
+ * @param {Array} routes - Routes from findAllRoutes
+ * @param {boolean} forceRefresh - Ignore the cache
+ * @returns {Promise<Map<string, Object>>} Pool states by pool id
+ */
+export async function loadRoutePoolStates(routes, forceRefresh = false) {
+    return await loadPoolStates(routes.flatMap(route => route.poolKeys), forceRefresh);
+}
+
+/**
+ * Clears cached pool state (e.g. after a swap moves the price)
+ */
+export function clearPoolStateCache() {
+    poolStateCache.clear();
+}
+
+// ============================================
+// LIQUIDITY DISTRIBUTION
+// ============================================
+
+/**
+ * Active liquidity at a tick, walked out from the current tick through liquidityNet
+ * @param {Object} poolState - State from loadPoolStates
+ * @param {number} tick - Tick to measure at
+ * @returns {bigint} Active liquidity
+ */
+function getLiquidityAtTick(poolState, tick) {
+    let liquidity = poolState.liquidity;
+
+    if (tick > poolState.tick) {
+        for (const initializedTick of poolState.initializedTicks) {
+            if (initializedTick <= poolState.tick) continue;
+            if (initializedTick > tick) break;
+            liquidity += poolState.ticks.get(initializedTick) || 0n;
+        }
+    } else {
+        for (let i = poolState.initializedTicks.length - 1; i >= 0; i--) {
+            const initializedTick = poolState.initializedTicks[i];
+            if (initializedTick > poolState.tick) continue;
+            if (initializedTick <= tick) break;
+            liquidity -= poolState.ticks.get(initializedTick) || 0n;
+        }
+    }
+
+    return liquidity > 0n ? liquidity : 0n;
+}
+
+/**
+ * Splits a tick range into equal buckets and reads the active liquidity of each
+ * Each bucket is measured at its midpoint tick.
+ * @param {Object} poolState - State from loadPoolStates
+ * @param {number} tickFrom - First tick of the window
+ * @param {number} tickTo - Last tick of the window
+ * @param {number} bucketCount - Number of buckets
+ * @returns {Array<{tickLower: number, tickUpper: number, liquidity: bigint}>} Buckets in tick order
+ */
+export function getLiquidityDistribution(poolState, tickFrom, tickTo, bucketCount) {
+    const width = (tickTo - tickFrom) / bucketCount;
+    const buckets = [];
+
+    for (let i = 0; i < bucketCount; i++) {
+        const tickLower = Math.round(tickFrom + i * width);
+        const tickUpper = Math.round(tickFrom + (i + 1) * width);
+        buckets.push({
+            tickLower,
+            tickUpper,
+            liquidity: getLiquidityAtTick(poolState, Math.floor((tickLower + tickUpper) / 2))
+        });
+    }
+
+    return buckets;
+}
+
+// ============================================
+// ROUTE QUOTING
+// ============================================
+
+/**
+ * Quotes a route locally by chaining exact-input swaps through its pools
+ * @param {Object} route - Route from findAllRoutes
+ * @param {BigNumber|bigint} amountIn - Input amount
+ * @param {Map<string, Object>} poolStates - States from loadPoolStates
+ * @returns {BigNumber|null} Output amount, or null if liquidity runs out
+ */
+export function quoteRouteLocally(route, amountIn, poolStates) {
+    let amount = toBigInt(amountIn);
+
+    for (let i = 0; i < route.poolKeys.length; i++) {
+        const poolKey = route.poolKeys[i];
+        const poolState = poolStates.get(getPoolId(poolKey));
+        if (!poolState) {
+            throw new Error(`Pool state not loaded for ${route.path[i]} → ${route.path[i + 1]}`);
+        }
+
+        const zeroForOne = tokenAddresses[route.path[i]].toLowerCase() === poolKey.currency0.toLowerCase();
+        const result = simulateExactInputSwap(poolState, zeroForOne, amount);
+        if (result.amountInRemaining > 0n) return null;
+
+        amount = result.amountOut;
+    }
+
+    return ethers.BigNumber.from(amount.toString());
+}
+
+/**
+ * Finds the best split of an input amount across routes using local quotes
+ * Allocates LOCAL_SPLIT_STEPS equal chunks one at a time to the route with the
+ * largest marginal output. Output is concave in input, so this reaches the
+ * optimum at chunk resolution. Routes are simulated independently, like the
+ * on-chain split search.
+ * @param {Array} routes - Candidate routes
+ * @param {BigNumber} totalAmountIn - Total input amount
+ * @param {Map<string, Object>} poolStates - States from loadPoolStates
+ * @returns {Object|null} { routes, splits, amounts, outputs, totalOutput } for routes that receive input
+ */
+export function optimizeSplitLocally(routes, totalAmountIn, poolStates) {
+    const total = toBigInt(totalAmountIn);
+    const steps = BigInt(LOCAL_SPLIT_STEPS);
+    const amountForSteps = (n) => total * BigInt(n) / steps;
+
+    const allocatedSteps = routes.map(() => 0);
+    const currentOutputs = routes.map(() => 0n);
+    const nextOutputs = routes.map(route => {
+        const output = quoteRouteLocally(route, amountForSteps(1), poolStates);
+        return output ? toBigInt(output) : null;
+    });
+
+    for (let step = 0; step < LOCAL_SPLIT_STEPS; step++) {
+        let bestIndex = -1;
+        let bestGain = -1n;
+        nextOutputs.forEach((next, i) => {
+            if (next === null) return;
+            const gain = next - currentOutputs[i];
+            if (gain > bestGain) {
+                bestGain = gain;
+                bestIndex = i;
+            }
+        });
+
+        if (bestIndex === -1) return null;
+
+        allocatedSteps[bestIndex]++;
+        currentOutputs[bestIndex] = nextOutputs[bestIndex];
+        const next = allocatedSteps[bestIndex] < LOCAL_SPLIT_STEPS ?
+            quoteRouteLocally(routes[bestIndex], amountForSteps(allocatedSteps[bestIndex] + 1), poolStates) :
+            null;
+        nextOutputs[bestIndex] = next ? toBigInt(next) : null;
+    }
+
+    // Keep routes that received input; the largest leg absorbs rounding so amounts sum exactly
+    const used = routes
+        .map((route, i) => ({ route, steps: allocatedSteps[i], amount: amountForSteps(allocatedSteps[i]) }))
+        .filter(leg => leg.steps > 0);
+    const allocated = used.reduce((sum, leg) => sum + leg.amount, 0n);
+    const largest = used.reduce((a, b) => (b.amount > a.amount ? b : a));
+    largest.amount += total - allocated;
+
+    const outputs = [];
+    for (const leg of used) {
+        const output = quoteRouteLocally(leg.route, leg.amount, poolStates);
+        if (!output) return null;
+        outputs.push(output);
+    }
+
+    return {
+        routes: used.map(leg => leg.route),
+        splits: used.map(leg => Number(leg.amount * 10000n / total) / 100),
+        amounts: used.map(leg => ethers.BigNumber.from(leg.amount.toString())),
+        outputs,
+        totalOutput: outputs.reduce((sum, output) => sum.add(output), ethers.BigNumber.from(0))
+    };
+}
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+/**
+ * Compares local quotes against on-chain quotes already fetched for the same amounts
+ * @param {Array} routes - Routes that were quoted
+ * @param {Array<BigNumber>} amounts - Input amount per route
+ * @param {Array<BigNumber|null>} onChainOutputs - On-chain output per route
+ * @param {Map<string, Object>} poolStates - States from loadPoolStates
+ * @returns {Array<Object>} { route, amountIn, local, onChain, diffBps } per route
+ */
+export function compareLocalQuotes(routes, amounts, onChainOutputs, poolStates) {
+    return routes.map((route, i) => {
+        const local = quoteRouteLocally(route, amounts[i], poolStates);
+        const onChain = onChainOutputs[i];
+        const diffBps = local && onChain && !onChain.isZero() ?
+            local.sub(onChain).mul(10000).div(onChain).toNumber() :
+            null;
+
+        return { route, amountIn: amounts[i], local, onChain, diffBps };
+    });
+}
+
+/**
+ * Quotes every route for a pair locally and on-chain and logs the differences
+ * @async
+ * @param {Array} routes - Routes from findAllRoutes
+ * @param {BigNumber} amountIn - Input amount
+ * @returns {Promise<Array<Object>>} Comparison from compareLocalQuotes
+ */
+export async function verifyLocalQuotes(routes, amountIn) {
+    const poolStates = await loadRoutePoolStates(routes, true);
+
+    const multicallContract = new ethers.Contract(MULTICALL_ADDRESS, MULTICALL_ABI2, getReadProvider());
+    const contractInterface = new ethers.utils.Interface(SPLIT_ROUTE_ABI);
+
+    const calls = routes.map(route => {
+        const tokenIn = tokenAddresses[route.path[0]];
+        const tokenOut = tokenAddresses[route.path[route.path.length - 1]];
+        const callData = route.isSingleHop ?
+            contractInterface.encodeFunctionData("getOutput", [route.tokenA, route.tokenB, tokenIn, route.hookAddress, amountIn]) :
+            contractInterface.encodeFunctionData("getOutputMultiHop", [
+                route.pool1TokenA, route.pool1TokenB, route.pool2TokenA, route.pool2TokenB,
+                tokenIn, tokenOut, route.hook1Address, route.hook2Address, amountIn
+            ]);
+        return { target: contractAddress_Swapper, allowFailure: true, callData };
+    });
+
+    const results = await multicallContract.callStatic.aggregate3(calls);
+    const onChainOutputs = results.map((result, i) => result.success ?
+        contractInterface.decodeFunctionResult(routes[i].isSingleHop ? "getOutput" : "getOutputMultiHop", result.returnData)[0] :
+        null);
+
+    const comparison = compareLocalQuotes(routes, routes.map(() => amountIn), onChainOutputs, poolStates);
+    console.table(comparison.map(c => ({
+        route: c.route.name,
+        local: c.local ? c.local.toString() : 'no liquidity',
+        onChain: c.onChain ? c.onChain.toString() : 'failed',
+        diffBps: c.diffBps
+    })));
+
+    return comparison;
+}
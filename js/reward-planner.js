@@ -0,0 +1,422 @@
+/**
+ * @module reward-planner
+ * @description Reward period planner and calendar for staking management
+ *
+ * Handles:
+ * - Previewing a reward period before setRewardParams is called: the token's
+ *   contract balance, resulting reward rate and duration, and projected APY
+ * - A calendar of past and active reward periods built from the staking contract's
+ *   setRewardParams calls, with the earliest time each token's next period can start
+ *
+ * The staking contract emits no event when a period starts, so the calendar reads
+ * setRewardParams calls with trace_filter. That needs a configured RPC with the trace
+ * API; the default Base RPC does not have it.
+ */
+
+// Import dependencies
+import { contractAddressLPRewardsStaking } from './config.js';
+import { CONFIG, customRPC } from './settings.js';
+import { simulateTransaction, getReadProvider } from './contracts.js';
+import { showErrorNotification } from './ui.js';
+import { escapeHtml } from './utils.js';
+import {
+    calculateBlockRanges,
+    retryWithBackoff,
+    saveDataLocally,
+    loadDataLocally,
+    sleep
+} from './data-loader.js';
+import { Rewardduration, totalStakedValueUSD, getRewardTokenPricesUSD } from './staking.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+const REWARD_TOKEN_ABI = [
+    "function balanceOf(address account) view returns (uint256)",
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)"
+];
+
+const SET_REWARD_PARAMS_ABI = ["function setRewardParams(address token)"];
+const setRewardParamsInterface = new ethers.utils.Interface(SET_REWARD_PARAMS_ABI);
+const SET_REWARD_PARAMS_SELECTOR = setRewardParamsInterface.getSighash('setRewardParams');
+
+// Blocks per trace_filter call; a failing chunk is retried in CONFIG2.BLOCK_RANGE_SIZE pieces
+const CALENDAR_RANGE_SIZE = 10000;
+const CALENDAR_STORAGE_KEY = 'rewardPeriodCalendar';
+const TX_EXPLORER_URL = 'https://basescan.org/tx/';
+
+// ============================================
+// STATE VARIABLES
+// ============================================
+
+let isScanningCalendar = false;
+
+// ============================================
+// PERIOD PLANNING
+// ============================================
+
+/**
+ * Builds the reward period that setRewardParams would start for a token now
+ * The contract's token balance, less what the current period still has to pay out,
+ * is spread over the reward duration. Rewards already earned but not yet claimed
+ * are also held in the balance, so the real rate can come out lower.
+ * @async
+ * @param {string} tokenAddress - Reward token address
+ * @returns {Promise<Object>} Plan with balance, rate, dates and projected APY
+ */
+export async function getRewardPeriodPlan(tokenAddress) {
+    const stats = window.rewardStatsCache.data;
+    const provider = getReadProvider();
+    const token = new ethers.Contract(tokenAddress, REWARD_TOKEN_ABI, provider);
+    const index = stats ? stats.rewardAddressesStaking.findIndex(address => address.toLowerCase() === tokenAddress.toLowerCase()) : -1;
+
+    const [balance, symbol, decimals] = await Promise.all([
+        token.balanceOf(contractAddressLPRewardsStaking),
+        index !== -1 ? stats.rewardtokenSymbols[index] : token.symbol(),
+        index !== -1 ? stats.rewardtokenDecimals[index] : token.decimals()
+    ]);
+
+    const now = Math.floor(Date.now() / 1000);
+    const currentEndsAt = index !== -1 ? parseFloat(stats.rewardtokenPeriodEndsAt[index].toString()) : 0;
+    const currentRate = index !== -1 ? ethers.BigNumber.from(stats.rewardtokenRewardRate[index]) : ethers.BigNumber.from(0);
+    const committed = currentEndsAt > now ? currentRate.mul(currentEndsAt - now) : ethers.BigNumber.from(0);
+    const available = balance.gt(committed) ? balance.sub(committed) : ethers.BigNumber.from(0);
+
+    const duration = Rewardduration;
+    const rate = duration > 0 ? available.div(duration) : ethers.BigNumber.from(0);
+    const ratePerSecond = parseFloat(ethers.utils.formatUnits(rate, decimals));
+
+    const breakdown = (window.rewardAPYBreakdown || []).find(entry => entry.address.toLowerCase() === tokenAddress.toLowerCase());
+    const price = breakdown ?
+        { priceUSD: breakdown.priceUSD, source: breakdown.source } :
+        (await getRewardTokenPricesUSD([tokenAddress], 0))[tokenAddress.toLowerCase()];
+
+    const yearlyUSD = ratePerSecond * SECONDS_PER_YEAR * price.priceUSD;
+    const apy = totalStakedValueUSD > 0 ? yearlyUSD / totalStakedValueUSD * 100 : 0;
+    const currentTokenAPY = breakdown?.active ? breakdown.apy : 0;
+
+    let simulation = null;
+    if (window.walletConnected) {
+        simulation = await simulateTransaction({
+            to: contractAddressLPRewardsStaking,
+            data: setRewardParamsInterface.encodeFunctionData('setRewardParams', [tokenAddress])
+        });
+    }
+
+    return {
+        tokenAddress,
+        symbol,
+        decimals,
+        balance: ethers.utils.formatUnits(balance, decimals),
+        committed: ethers.utils.formatUnits(committed, decimals),
+        available: ethers.utils.formatUnits(available, decimals),
+        ratePerSecond,
+        duration,
+        startsAt: now,
+        endsAt: now + duration,
+        priceUSD: price.priceUSD,
+        priceSource: price.source,
+        apy,
+        totalAPYAfter: (window.APYFINAL || 0) - currentTokenAPY + apy,
+        simulation
+    };
+}
+
+/**
+ * Formats a reward period plan as plain text for confirmation dialogs
+ * @param {Object} plan - From getRewardPeriodPlan
+ * @returns {string} Summary text
+ */
+export function formatRewardPeriodPlan(plan) {
+    return `Token: ${plan.symbol}\n` +
+        `Contract balance: ${parseFloat(plan.balance).toFixed(6)} ${plan.symbol}\n` +
+        `Distributed this period: ~${parseFloat(plan.available).toFixed(6)} ${plan.symbol}\n` +
+        `Reward rate: ~${(plan.ratePerSecond * 86400).toPrecision(6)} ${plan.symbol}/day\n` +
+        `Duration: ${(plan.duration / 86400).toFixed(1)} days (ends ${new Date(plan.endsAt * 1000).toLocaleDateString()})\n` +
+        `Projected APY: ${plan.apy.toFixed(2)}% for ${plan.symbol}, ${plan.totalAPYAfter.toFixed(2)}% total`;
+}
+
+/**
+ * Renders the plan for the reward token selected in Start Reward Period
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function updateRewardPeriodPreview() {
+    const container = document.getElementById('rewardPeriodPreview');
+    const tokenAddress = document.getElementById('selectedRewardToken')?.value;
+    if (!container) return;
+
+    if (!tokenAddress) {
+        container.innerHTML = '';
+        return;
+    }
+    if (!window.rewardStatsCache.data) {
+        container.innerHTML = '<p style="color: #6c757d; font-style: italic;">Loading reward stats...</p>';
+        return;
+    }
+
+    container.innerHTML = '<p style="color: #6c757d; font-style: italic;">Planning reward period...</p>';
+    try {
+        const plan = await getRewardPeriodPlan(tokenAddress);
+        const simulationText = !plan.simulation ? 'Connect wallet to simulate' :
+            plan.simulation.success ? '<span style="color: #28a745;">Would succeed</span>' :
+            `<span style="color: #dc3545;">Would fail: ${escapeHtml(plan.simulation.reason)}</span>`;
+
+        const symbol = escapeHtml(plan.symbol);
+
+        container.innerHTML = `
+            <p><strong>Contract Balance:</strong> ${parseFloat(plan.balance).toFixed(6)} ${symbol}</p>
+            ${parseFloat(plan.committed) > 0 ? `<p><strong>Still Owed by Current Period:</strong> ${parseFloat(plan.committed).toFixed(6)} ${symbol}</p>` : ''}
+            <p><strong>Distributed This Period:</strong> ~${parseFloat(plan.available).toFixed(6)} ${symbol}</p>
+            <p><strong>Reward Rate:</strong> ~${(plan.ratePerSecond * 86400).toPrecision(6)} ${symbol}/day</p>
+            <p><strong>Duration:</strong> ${(plan.duration / 86400).toFixed(1)} days, ${new Date(plan.startsAt * 1000).toLocaleDateString()} to ${new Date(plan.endsAt * 1000).toLocaleDateString()}</p>
+            <p><strong>Projected APY:</strong> ${plan.apy.toFixed(2)}% (${symbol} at $${plan.priceUSD.toPrecision(4)}, ${plan.priceSource}); total ${plan.totalAPYAfter.toFixed(2)}% at current staked liquidity</p>
+            <p><strong>Simulation:</strong> ${simulationText}</p>
+            <p style="font-size: 0.85em; opacity: 0.8;">Rewards already earned but not yet claimed are part of the balance, so the actual rate may be lower.</p>
+        `;
+    } catch (error) {
+        console.error("Error planning reward period:", error);
+        container.innerHTML = '<p style="color: #dc3545;">Could not plan this reward period.</p>';
+    }
+}
+
+// ============================================
+// PERIOD CALENDAR
+// ============================================
+
+/**
+ * Gets the setRewardParams calls to the staking contract in a block range
+ * Reads call traces, so calls made through a multisig or other contract are found too.
+ * @async
+ * @param {Provider} provider - Provider for an RPC with trace_filter
+ * @param {number} start - First block
+ * @param {number} end - Last block
+ * @returns {Promise<Array>} Successful setRewardParams call traces
+ */
+async function getRewardParamsTraces(provider, start, end) {
+    const filter = (fromBlock, toBlock) => provider.send('trace_filter', [{
+        fromBlock: ethers.utils.hexValue(fromBlock),
+        toBlock: ethers.utils.hexValue(toBlock),
+        toAddress: [contractAddressLPRewardsStaking]
+    }]);
+
+    let traces;
+    try {
+        traces = await filter(start, end);
+    } catch (error) {
+        console.log(`Trace range ${start}-${end} failed, retrying in smaller chunks`);
+        traces = [];
+        for (const range of calculateBlockRanges(start, end)) {
+            traces.push(...await retryWithBackoff(filter, range.start, range.end));
+        }
+    }
+
+    return (traces || []).filter(trace =>
+        trace.type === 'call' &&
+        !trace.error &&
+        trace.action.to?.toLowerCase() === contractAddressLPRewardsStaking.toLowerCase() &&
+        trace.action.input?.slice(0, 10) === SET_REWARD_PARAMS_SELECTOR
+    );
+}
+
+/**
+ * Sorts period starts newest first, in place
+ * @param {Array} starts - Period starts
+ * @returns {Array} The same array
+ */
+function sortStarts(starts) {
+    return starts.sort((a, b) => b.blockNumber - a.blockNumber || b.startedAt - a.startedAt);
+}
+
+/**
+ * Scans new blocks for setRewardParams calls and refreshes the calendar
+ * Each call marks the start of a period for the token in its calldata. Calls are
+ * read with trace_filter on the configured RPC; without trace support the scan stops
+ * and says so.
+ * @async
+ * @returns {Promise<Array>} Known period starts, newest first
+ */
+export async function loadRewardCalendar() {
+    if (isScanningCalendar) {
+        console.log("Reward calendar scan already running");
+        return;
+    }
+
+    isScanningCalendar = true;
+    const calendar = loadDataLocally(CALENDAR_STORAGE_KEY) || {
+        lastScannedBlock: (CONFIG.START_BLOCK || 35937447) - 1,
+        starts: []
+    };
+    sortStarts(calendar.starts);
+    renderRewardCalendar(calendar.starts);
+
+    try {
+        const provider = new ethers.providers.JsonRpcProvider(customRPC);
+        const latestBlock = await provider.getBlockNumber();
+
+        try {
+            await provider.send('trace_filter', [{
+                fromBlock: ethers.utils.hexValue(latestBlock),
+                toBlock: ethers.utils.hexValue(latestBlock),
+                toAddress: [contractAddressLPRewardsStaking]
+            }]);
+        } catch (error) {
+            console.warn("RPC does not support trace_filter:", error);
+            setCalendarStatus('Your RPC does not support trace_filter, which the calendar needs to find setRewardParams calls. Set an RPC with the trace API in Settings.');
+            return calendar.starts;
+        }
+
+        const knownTxs = new Set(calendar.starts.map(start => `${start.txHash}:${start.token.toLowerCase()}`));
+        const ranges = calculateBlockRanges(calendar.lastScannedBlock + 1, latestBlock, CALENDAR_RANGE_SIZE);
+        for (let i = 0; i < ranges.length; i++) {
+            const { start, end } = ranges[i];
+            setCalendarStatus(`Scanning blocks ${start} to ${end} (${i + 1}/${ranges.length})...`);
+
+            const traces = await retryWithBackoff(getRewardParamsTraces, provider, start, end);
+            await sleep(100);
+
+            for (const trace of traces) {
+                const [token] = setRewardParamsInterface.decodeFunctionData('setRewardParams', trace.action.input);
+                const key = `${trace.transactionHash}:${token.toLowerCase()}`;
+                if (knownTxs.has(key)) continue;
+                knownTxs.add(key);
+
+                const block = await retryWithBackoff(() => provider.getBlock(trace.blockNumber));
+                calendar.starts.push({
+                    token,
+                    txHash: trace.transactionHash,
+                    blockNumber: trace.blockNumber,
+                    startedAt: block.timestamp
+                });
+            }
+
+            calendar.lastScannedBlock = end;
+            sortStarts(calendar.starts);
+            saveDataLocally(CALENDAR_STORAGE_KEY, calendar);
+        }
+
+        setCalendarStatus(`Up to date as of block ${calendar.lastScannedBlock}.`);
+    } catch (error) {
+        console.error("Error loading reward calendar:", error);
+        sortStarts(calendar.starts);
+        saveDataLocally(CALENDAR_STORAGE_KEY, calendar);
+        setCalendarStatus(`Scan stopped at block ${calendar.lastScannedBlock}. Refresh to resume.`);
+        showErrorNotification('Reward Calendar', 'Could not finish scanning for reward periods');
+    } finally {
+        isScanningCalendar = false;
+    }
+
+    renderRewardCalendar(calendar.starts);
+    return calendar.starts;
+}
+
+/**
+ * Updates the calendar status line
+ * @param {string} message - Status text (HTML)
+ * @returns {void}
+ */
+function setCalendarStatus(message) {
+    const status = document.getElementById('rewardCalendarStatus');
+    if (status) status.innerHTML = message;
+}
+
+/**
+ * Builds calendar entries from period starts and the current reward stats
+ * A token's latest period ends when the contract says it does; earlier ones are
+ * assumed to have run the reward duration or until the next start. Each token also
+ * gets an entry for the earliest time its next period could begin; nothing is
+ * known about when it actually will.
+ * @param {Array} starts - Period starts from loadRewardCalendar, in any order
+ * @returns {Array<Object>} Entries with symbol, start, end, status and txHash
+ */
+function buildCalendarEntries(starts) {
+    const stats = window.rewardStatsCache.data;
+    const now = Math.floor(Date.now() / 1000);
+    const tokens = stats ? stats.rewardAddressesStaking.map((address, i) => ({
+        address,
+        symbol: stats.rewardtokenSymbols[i],
+        endsAt: parseFloat(stats.rewardtokenPeriodEndsAt[i].toString())
+    })) : [];
+    const findToken = address => tokens.find(token => token.address.toLowerCase() === address.toLowerCase());
+
+    const entries = [];
+    const nextStart = {};
+    // Walked newest first, so the first start seen for a token is its latest
+    for (const start of sortStarts([...starts])) {
+        const key = start.token.toLowerCase();
+        const token = findToken(start.token);
+        const isLatest = !(key in nextStart);
+        let endsAt = start.startedAt + Rewardduration;
+        if (isLatest && token && token.endsAt >= start.startedAt) endsAt = token.endsAt;
+        if (!isLatest) endsAt = Math.min(endsAt, nextStart[key]);
+        nextStart[key] = start.startedAt;
+
+        entries.push({
+            symbol: token?.symbol || start.token.slice(0, 10),
+            startsAt: start.startedAt,
+            endsAt,
+            status: endsAt > now ? 'Active' : 'Ended',
+            txHash: start.txHash
+        });
+    }
+
+    for (const token of tokens) {
+        entries.push({
+            symbol: token.symbol,
+            startsAt: Math.max(token.endsAt, now),
+            endsAt: null,
+            status: token.endsAt > now ? 'Earliest possible next period' : 'Ready to start',
+            txHash: null
+        });
+    }
+
+    return entries.sort((a, b) => b.startsAt - a.startsAt);
+}
+
+/**
+ * Renders the reward period calendar
+ * @param {Array} starts - Period starts
+ * @returns {void}
+ */
+export function renderRewardCalendar(starts = loadDataLocally(CALENDAR_STORAGE_KEY)?.starts || []) {
+    const container = document.getElementById('rewardCalendar');
+    if (!container) return;
+
+    const entries = buildCalendarEntries(starts);
+    if (entries.length === 0) {
+        container.innerHTML = '<p style="color: #6c757d; font-style: italic;">No reward periods found.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-wrapper">
+            <table class="periods-table">
+                <thead>
+                    <tr>
+                        <th>Token</th>
+                        <th>Status</th>
+                        <th>Start</th>
+                        <th>End</th>
+                        <th>Tx</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => `
+                        <tr>
+                            <td>${escapeHtml(entry.symbol)}</td>
+                            <td>${entry.status}</td>
+                            <td>${entry.status === 'Ready to start' ? 'Any time' :
+                                `${entry.endsAt === null ? 'Not before ' : ''}${new Date(entry.startsAt * 1000).toLocaleDateString()}`}</td>
+                            <td>${entry.endsAt === null ? '-' : new Date(entry.endsAt * 1000).toLocaleDateString()}</td>
+                            <td>${entry.txHash ? `<a href="${TX_EXPLORER_URL}${entry.txHash}" target="_blank">${entry.txHash.slice(0, 10)}...</a>` : '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
@@ -0,0 +1,488 @@
+/**
+ * @module rewards-ledger
+ * @description Staking rewards claim history and tax export
+ *
+ * Handles:
+ * - Scanning reward claims (getRewardForTokens) paid by the staking contract to the connected wallet
+ * - Valuing each claim in USD at the time it was paid; claims without a price there are left unvalued
+ * - Incremental localStorage cache per wallet (only new blocks are scanned)
+ * - CSV export with date, token, amount, USD value and tx hash
+ */
+
+// Import dependencies
+import { contractAddressLPRewardsStaking, tokenAddresses } from './config.js';
+import { CONFIG, customDataSource, customBACKUPDataSource } from './settings.js';
+import { showErrorNotification, showInfoNotification } from './ui.js';
+import {
+    CONFIG2,
+    calculateBlockRanges,
+    getLogs,
+    retryWithBackoff,
+    saveDataLocally,
+    loadDataLocally,
+    sleep,
+    TRANSFER_TOPIC
+} from './data-loader.js';
+import { fetchPriceData } from './charts.js';
+import { escapeHtml } from './utils.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Blocks per getLogs call; a failing chunk is retried in CONFIG2.BLOCK_RANGE_SIZE pieces
+const LEDGER_RANGE_SIZE = 10000;
+
+// Save scan progress to localStorage every this many chunks
+const LEDGER_SAVE_INTERVAL = 20;
+
+const LEDGER_STORAGE_PREFIX = 'rewardsLedger_';
+const TX_EXPLORER_URL = 'https://basescan.org/tx/';
+
+// Staking calls that pay rewards; the contract emits no reward event, so claims are told apart by calldata
+const CLAIM_SELECTORS = [
+    ethers.utils.id('getRewardForTokens(address[])').slice(0, 10)
+];
+
+// Bumped when what counts as a claim or how it is priced changes; older caches are rescanned
+const LEDGER_VERSION = 2;
+
+const STABLECOIN_SYMBOLS = ['USDC', 'DAI'];
+
+const COINGECKO_API_URL = 'https://api.coingecko.com/api/v3/coins/';
+
+// Tokens CoinGecko lists by id rather than by Base contract
+const COINGECKO_IDS = {
+    [tokenAddresses['WETH'].toLowerCase()]: 'weth',
+    [tokenAddresses['0xBTC'].toLowerCase()]: 'oxbitcoin'
+};
+
+// A historical price further than this from the claim is not used
+const MAX_PRICE_DISTANCE = 24 * 60 * 60;
+
+const ERC20_METADATA_ABI = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)"
+];
+
+// ============================================
+// STATE VARIABLES
+// ============================================
+
+let isScanningLedger = false;
+
+/**
+ * CoinGecko price points by `${token}_${day}`, kept for the session
+ * @type {Map<string, Array<Array<number>>>}
+ */
+const historicalPriceCache = new Map();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Gets the localStorage key for a wallet's rewards ledger
+ * @param {string} address - Wallet address
+ * @returns {string} Storage key
+ */
+function getStorageKey(address) {
+    return LEDGER_STORAGE_PREFIX + address.toLowerCase();
+}
+
+/**
+ * Updates the rewards ledger status line
+ * @param {string} message - Status text (HTML)
+ * @returns {void}
+ */
+function setLedgerStatus(message) {
+    const status = document.getElementById('rewardsLedgerStatus');
+    if (status) status.innerHTML = message;
+}
+
+/**
+ * Reads a reward token's symbol and decimals, caching them for the scan
+ * @async
+ * @param {Provider} provider - Ethers provider
+ * @param {string} address - Token address
+ * @param {Object} cache - Address → { symbol, decimals }
+ * @returns {Promise<{symbol: string, decimals: number}>} Token metadata
+ */
+async function getTokenMetadata(provider, address, cache) {
+    const key = address.toLowerCase();
+    if (!cache[key]) {
+        const token = new ethers.Contract(address, ERC20_METADATA_ABI, provider);
+        const [symbol, decimals] = await Promise.all([
+            retryWithBackoff(() => token.symbol()),
+            retryWithBackoff(() => token.decimals())
+        ]);
+        cache[key] = { symbol, decimals };
+    }
+    return cache[key];
+}
+
+// ============================================
+// HISTORICAL PRICES
+// ============================================
+
+/**
+ * Finds the B0x USD price closest to a timestamp in the chart price series
+ * @param {{prices: Array<number>, timestamps: Array<number>}} series - From fetchPriceData
+ * @param {number} timestamp - Unix seconds
+ * @returns {number|null} Price in USD, or null if no point is close enough
+ */
+function getSeriesPriceAt(series, timestamp) {
+    const { prices, timestamps } = series;
+    if (!timestamps || timestamps.length === 0) return null;
+
+    let low = 0;
+    let high = timestamps.length - 1;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (timestamps[mid] < timestamp) low = mid + 1;
+        else high = mid;
+    }
+    if (low > 0 && timestamp - timestamps[low - 1] < timestamps[low] - timestamp) low--;
+    return Math.abs(timestamps[low] - timestamp) <= MAX_PRICE_DISTANCE ? prices[low] : null;
+}
+
+/**
+ * Gets a token's CoinGecko USD price closest to a timestamp
+ * Reads the market chart for the UTC day of the claim; WETH and 0xBTC by id,
+ * other tokens by their Base contract.
+ * @async
+ * @param {Object} claim - Claim with symbol, token and timestamp
+ * @returns {Promise<number|null>} Price in USD, or null if CoinGecko has none for that day
+ */
+async function getCoinGeckoPriceAt(claim) {
+    const day = Math.floor(claim.timestamp / 86400);
+    const cacheKey = `${claim.token.toLowerCase()}_${day}`;
+
+    if (!historicalPriceCache.has(cacheKey)) {
+        const coin = COINGECKO_IDS[claim.token.toLowerCase()] || `base/contract/${claim.token.toLowerCase()}`;
+        const from = day * 86400 - MAX_PRICE_DISTANCE;
+        const to = (day + 1) * 86400 + MAX_PRICE_DISTANCE;
+        try {
+            const response = await fetch(`${COINGECKO_API_URL}${coin}/market_chart/range?vs_currency=usd&from=${from}&to=${to}`);
+            if (!response.ok) {
+                throw new Error(`CoinGecko API returned ${response.status}`);
+            }
+            historicalPriceCache.set(cacheKey, (await response.json()).prices || []);
+        } catch (error) {
+            console.error(`Error fetching ${claim.symbol} price history:`, error);
+            // Not cached, so a later scan tries again
+            return null;
+        }
+    }
+
+    const points = historicalPriceCache.get(cacheKey);
+    let closest = null;
+    for (const [time, price] of points) {
+        const distance = Math.abs(time / 1000 - claim.timestamp);
+        if (distance <= MAX_PRICE_DISTANCE && (!closest || distance < closest.distance)) {
+            closest = { distance, price };
+        }
+    }
+    return closest ? closest.price : null;
+}
+
+/**
+ * Values a claim in USD at the time it was paid
+ * B0x uses the chart price series, stablecoins count as $1 and every other token
+ * uses CoinGecko's price history. Nothing falls back to today's price.
+ * @async
+ * @param {Object} claim - Claim with symbol, token, amount and timestamp
+ * @param {Object|null} series - B0x price series, or null if it couldn't be loaded
+ * @returns {Promise<{priceUSD: number|null, priceSource: string}>} Price used, null when unknown
+ */
+async function priceClaim(claim, series) {
+    if (claim.token.toLowerCase() === tokenAddresses['B0x'].toLowerCase()) {
+        const price = series ? getSeriesPriceAt(series, claim.timestamp) : null;
+        return price !== null ?
+            { priceUSD: price, priceSource: 'B0x price history' } :
+            { priceUSD: null, priceSource: 'No price at claim time' };
+    }
+    if (STABLECOIN_SYMBOLS.includes(claim.symbol)) {
+        return { priceUSD: 1, priceSource: 'Stablecoin' };
+    }
+    const price = await getCoinGeckoPriceAt(claim);
+    return price !== null ?
+        { priceUSD: price, priceSource: 'CoinGecko price history' } :
+        { priceUSD: null, priceSource: 'No price at claim time' };
+}
+
+// ============================================
+// SCANNING
+// ============================================
+
+/**
+ * Fetches reward Transfer logs for a block range, splitting it if the RPC rejects the size
+ * @async
+ * @param {Provider} provider - Ethers provider
+ * @param {number} start - First block
+ * @param {number} end - Last block
+ * @param {Array} topics - Log topic filter
+ * @returns {Promise<Array>} Logs found
+ */
+async function getRewardLogs(provider, start, end, topics) {
+    try {
+        return await getLogs(provider, start, end, topics);
+    } catch (error) {
+        console.log(`Reward log range ${start}-${end} failed, retrying in smaller chunks`);
+        const logs = [];
+        for (const range of calculateBlockRanges(start, end)) {
+            logs.push(...await retryWithBackoff(getLogs, provider, range.start, range.end, topics));
+        }
+        return logs;
+    }
+}
+
+/**
+ * Scans new blocks for rewards paid to the connected wallet and refreshes the ledger
+ * Rewards are paid as ERC20 transfers from the staking contract, so the reward tokens'
+ * Transfer logs to the wallet are the claim records. Only transfers made by a
+ * getRewardForTokens call sent straight to the staking contract count; claims routed
+ * through another contract (a smart wallet or multicall) are not recognized.
+ * @async
+ * @returns {Promise<Array>} All known claims, newest first
+ */
+export async function loadRewardsLedger() {
+    const userAddress = window.userAddress;
+    if (!userAddress) {
+        setLedgerStatus('Connect your wallet to see your reward claims.');
+        return [];
+    }
+    if (isScanningLedger) {
+        console.log("Rewards ledger scan already running");
+        return getCachedRewardsLedger();
+    }
+
+    isScanningLedger = true;
+    const storageKey = getStorageKey(userAddress);
+    let ledger = loadDataLocally(storageKey);
+    if (!ledger || ledger.version !== LEDGER_VERSION) {
+        // Older caches counted any non-liquidity transfer and priced some claims at today's price
+        ledger = {
+            version: LEDGER_VERSION,
+            lastScannedBlock: (CONFIG.START_BLOCK || 35937447) - 1,
+            claims: []
+        };
+    }
+    renderRewardsLedger(ledger.claims);
+
+    try {
+        const provider = new ethers.providers.JsonRpcProvider(CONFIG2.RPC_URL);
+        const latestBlock = await provider.getBlockNumber();
+        const knownLogs = new Set(ledger.claims.map(claim => `${claim.txHash}:${claim.logIndex}`));
+        const tokenMetadata = {};
+        const topics = [
+            TRANSFER_TOPIC,
+            ethers.utils.hexZeroPad(contractAddressLPRewardsStaking, 32).toLowerCase(),
+            ethers.utils.hexZeroPad(userAddress, 32).toLowerCase()
+        ];
+
+        const ranges = calculateBlockRanges(ledger.lastScannedBlock + 1, latestBlock, LEDGER_RANGE_SIZE);
+        console.log(`Scanning ${ranges.length} block ranges for rewards paid to ${userAddress}`);
+
+        const newClaims = [];
+        const claimTxs = {};
+        for (let i = 0; i < ranges.length; i++) {
+            const { start, end } = ranges[i];
+            setLedgerStatus(`Scanning blocks ${start} to ${end} (${i + 1}/${ranges.length})...`);
+
+            const logs = await retryWithBackoff(getRewardLogs, provider, start, end, topics);
+            await sleep(100);
+
+            for (const log of logs) {
+                // ERC721 Transfers index the token id as a fourth topic
+                if (log.topics.length !== 3 || knownLogs.has(`${log.transactionHash}:${log.logIndex}`)) continue;
+
+                if (!(log.transactionHash in claimTxs)) {
+                    const tx = await retryWithBackoff(() => provider.getTransaction(log.transactionHash));
+                    claimTxs[log.transactionHash] = !!tx && !!tx.to &&
+                        tx.to.toLowerCase() === contractAddressLPRewardsStaking.toLowerCase() &&
+                        CLAIM_SELECTORS.includes(tx.data.slice(0, 10));
+                }
+                if (!claimTxs[log.transactionHash]) continue;
+
+                const block = await retryWithBackoff(() => provider.getBlock(log.blockNumber));
+                const { symbol, decimals } = await getTokenMetadata(provider, log.address, tokenMetadata);
+                newClaims.push({
+                    txHash: log.transactionHash,
+                    logIndex: log.logIndex,
+                    blockNumber: log.blockNumber,
+                    timestamp: block.timestamp,
+                    token: log.address,
+                    symbol,
+                    amount: ethers.utils.formatUnits(ethers.BigNumber.from(log.data), decimals)
+                });
+                knownLogs.add(`${log.transactionHash}:${log.logIndex}`);
+            }
+
+            // Progress only moves once the claims found so far are priced and stored
+            if (i % LEDGER_SAVE_INTERVAL === 0 || i === ranges.length - 1) {
+                await addPricedClaims(ledger, newClaims.splice(0));
+                ledger.lastScannedBlock = end;
+                saveDataLocally(storageKey, ledger);
+            }
+        }
+
+        setLedgerStatus(`Up to date as of block ${ledger.lastScannedBlock}.`);
+    } catch (error) {
+        console.error("Error loading rewards ledger:", error);
+        saveDataLocally(storageKey, ledger);
+        setLedgerStatus(`Scan stopped at block ${ledger.lastScannedBlock}. Refresh to resume.`);
+        showErrorNotification('Rewards History', 'Could not finish scanning for reward claims');
+    } finally {
+        isScanningLedger = false;
+    }
+
+    renderRewardsLedger(ledger.claims);
+    return ledger.claims;
+}
+
+/**
+ * Prices newly found claims and adds them to the ledger
+ * @async
+ * @param {Object} ledger - Ledger being scanned
+ * @param {Array} claims - Unpriced claims
+ * @returns {Promise<void>}
+ */
+async function addPricedClaims(ledger, claims) {
+    if (claims.length === 0) return;
+
+    let series = null;
+    try {
+        series = await fetchPriceData(customDataSource, customBACKUPDataSource);
+    } catch (error) {
+        console.error("Error loading B0x price history:", error);
+    }
+
+    for (const claim of claims) {
+        const { priceUSD, priceSource } = await priceClaim(claim, series);
+        ledger.claims.push({
+            ...claim,
+            priceUSD,
+            valueUSD: priceUSD === null ? null : parseFloat(claim.amount) * priceUSD,
+            priceSource
+        });
+    }
+    ledger.claims.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+    renderRewardsLedger(ledger.claims);
+}
+
+/**
+ * Gets the cached claims of the connected wallet without scanning
+ * @returns {Array} Cached claims, newest first
+ */
+export function getCachedRewardsLedger() {
+    if (!window.userAddress) return [];
+    return loadDataLocally(getStorageKey(window.userAddress))?.claims || [];
+}
+
+/**
+ * Picks up a just-confirmed claim in the ledger
+ * Only rescans wallets that have been scanned before, so the first full scan
+ * always starts from the panel.
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function refreshRewardsLedgerAfterClaim() {
+    if (!window.userAddress || !loadDataLocally(getStorageKey(window.userAddress))) return;
+    await loadRewardsLedger();
+}
+
+// ============================================
+// DISPLAY
+// ============================================
+
+/**
+ * Renders the rewards ledger table with USD totals
+ * @param {Array} claims - Claims, newest first
+ * @returns {void}
+ */
+export function renderRewardsLedger(claims) {
+    const container = document.getElementById('rewardsLedgerTable');
+    if (!container) return;
+
+    if (claims.length === 0) {
+        container.innerHTML = '<p style="color: #6c757d; font-style: italic;">No reward claims found for this wallet.</p>';
+        return;
+    }
+
+    const valued = claims.filter(claim => claim.valueUSD !== null);
+    const unvalued = claims.length - valued.length;
+    const totalUSD = valued.reduce((sum, claim) => sum + claim.valueUSD, 0);
+    container.innerHTML = `
+        <p>${claims.length} reward payment${claims.length === 1 ? '' : 's'} worth <strong>$${totalUSD.toFixed(2)}</strong> when received${unvalued > 0 ?
+            ` (${unvalued} without a price at claim time not included)` : ''}</p>
+        <div class="table-wrapper">
+            <table class="periods-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Token</th>
+                        <th>Amount</th>
+                        <th>USD Value</th>
+                        <th>Price Source</th>
+                        <th>Tx</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${claims.map(claim => `
+                        <tr>
+                            <td>${new Date(claim.timestamp * 1000).toLocaleString()}</td>
+                            <td>${escapeHtml(claim.symbol)}</td>
+                            <td>${parseFloat(claim.amount).toFixed(6)}</td>
+                            <td>${claim.valueUSD === null ? '—' : `$${claim.valueUSD.toFixed(2)}`}</td>
+                            <td>${claim.priceSource}</td>
+                            <td><a href="${TX_EXPLORER_URL}${claim.txHash}" target="_blank">${claim.txHash.slice(0, 10)}...</a></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// ============================================
+// CSV EXPORT
+// ============================================
+
+/**
+ * Downloads the cached reward claims of the connected wallet as CSV
+ * One row per token received, oldest first, valued in USD when received.
+ * Claims without a price at claim time have empty USD cells.
+ * @returns {void}
+ */
+export function exportRewardsLedgerCSV() {
+    const claims = getCachedRewardsLedger();
+    if (claims.length === 0) {
+        showInfoNotification('Nothing to export', 'Load your reward claim history first');
+        return;
+    }
+
+    const header = ['Date (UTC)', 'Token', 'Token Address', 'Amount', 'USD Price', 'USD Value', 'Price Source', 'Tx Hash'];
+    const rows = [...claims].reverse().map(claim => [
+        new Date(claim.timestamp * 1000).toISOString(),
+        claim.symbol,
+        claim.token,
+        claim.amount,
+        claim.priceUSD ?? '',
+        claim.valueUSD === null ? '' : claim.valueUSD.toFixed(2),
+        claim.priceSource,
+        claim.txHash
+    ]);
+
+    const csv = [header, ...rows]
+        .map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    link.download = `staking-rewards-${window.userAddress.slice(0, 8)}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
@@ -7,6 +7,10 @@
  * - Data source URLs (primary and backup)
  * - Staking reward contract addresses
  * - Minimum staking and holdings thresholds
+ * - Swap price impact warning thresholds
+ * - Local swap quote verification toggle
+ * - Swap transaction settings (slippage mode, deadline, private RPC)
+ * - Reward token price oracles for staking APY
  * - User selection tracking for positions
  */
 
@@ -18,7 +22,10 @@ import {
     defaultBACKUPDataSource_Testnet,
     defaultAddresses,
     appSettings,
-    contractAddressLPRewardsStaking
+    contractAddressLPRewardsStaking,
+    defaultPriceImpactThresholds,
+    defaultSwapTransactionSettings,
+    defaultRewardPriceOracles
 } from './config.js';
 
 import { showToast, showSuccessNotification, showErrorNotification } from './ui.js';
@@ -71,6 +78,30 @@ export let userSelectedPosition = null;
  */
 export let autoFetchRewardTokens = true;
 
+/**
+ * Price impact percentages at which swap estimates warn the user
+ * @type {{warning: number, danger: number}}
+ */
+export let priceImpactThresholds = { ...defaultPriceImpactThresholds };
+
+/**
+ * Compare local swap quotes against on-chain quotes on every estimate
+ * @type {boolean}
+ */
+export let localQuoteVerification = false;
+
+/**
+ * Swap transaction settings
+ * @type {{slippageMode: string, manualSlippage: string, deadlineMinutes: number, privateRPC: string, maxQuoteAgeBlocks: number, requoteDropThreshold: number, permit2Mode: string}}
+ */
+export let swapTransactionSettings = { ...defaultSwapTransactionSettings };
+
+/**
+ * Price oracle per reward token address, used for staking APY
+ * @type {Object<string, string>}
+ */
+export let rewardPriceOracles = { ...defaultRewardPriceOracles };
+
 /**
  * Cache duration for reward tokens (24 hours in milliseconds)
  * @constant {number}
@@ -132,6 +163,10 @@ export function setCustomBACKUPDataSource(value) { customBACKUPDataSource = valu
 export function setUserSelectedPosition(value) { userSelectedPosition = value; }
 export function setHasUserMadeSelection(value) { hasUserMadeSelection = value; }
 export function setAutoFetchRewardTokens(value) { autoFetchRewardTokens = value; }
+export function setPriceImpactThresholds(value) { priceImpactThresholds = value; }
+export function setLocalQuoteVerification(value) { localQuoteVerification = value; }
+export function setSwapTransactionSettings(value) { swapTransactionSettings = value; }
+export function setRewardPriceOracles(value) { rewardPriceOracles = value; }
 
 // ============================================
 // AUTO-FETCH TOGGLE MANAGEMENT
@@ -674,6 +709,217 @@ export function saveMinUserHoldings() {
     showToast(`Minimum user holdings set to ${value} tokens`);
 }
 
+// ============================================
+// PRICE IMPACT THRESHOLDS
+// ============================================
+
+/**
+ * Saves swap price impact warning thresholds to localStorage
+ * @returns {void}
+ */
+export function savePriceImpactThresholds() {
+    const warningInput = document.getElementById('priceImpactWarning');
+    const dangerInput = document.getElementById('priceImpactDanger');
+    if (!warningInput || !dangerInput) return;
+
+    const warning = parseFloat(warningInput.value);
+    const danger = parseFloat(dangerInput.value);
+
+    if (isNaN(warning) || isNaN(danger) || warning < 0 || danger < 0) {
+        showToast('Please enter valid positive percentages', true);
+        return;
+    }
+
+    if (danger < warning) {
+        showToast('High impact threshold must be at least the warning threshold', true);
+        return;
+    }
+
+    priceImpactThresholds = { warning, danger };
+    localStorage.setItem('priceImpactThresholds', JSON.stringify(priceImpactThresholds));
+
+    showSuccessMessage('priceImpactSuccess');
+    showToast(`Price impact warnings set to ${warning}% / ${danger}%`);
+}
+
+/**
+ * Restores default swap price impact warning thresholds
+ * @returns {void}
+ */
+export function restoreDefaultPriceImpactThresholds() {
+    const warningInput = document.getElementById('priceImpactWarning');
+    const dangerInput = document.getElementById('priceImpactDanger');
+    if (warningInput) warningInput.value = defaultPriceImpactThresholds.warning;
+    if (dangerInput) dangerInput.value = defaultPriceImpactThresholds.danger;
+
+    console.log('Price impact thresholds restored to defaults');
+    savePriceImpactThresholds();
+}
+
+/**
+ * Saves the local quote verification toggle to localStorage
+ * @param {boolean} enabled - Whether local quotes are checked against on-chain quotes
+ */
+export function saveLocalQuoteVerification(enabled) {
+    localQuoteVerification = enabled;
+    localStorage.setItem('localQuoteVerification', JSON.stringify(enabled));
+    console.log('Local quote verification setting saved:', enabled);
+}
+
+// ============================================
+// SWAP TRANSACTION SETTINGS
+// ============================================
+
+/**
+ * Saves the swap slippage selection ("Auto" or a manual percentage) to localStorage
+ * @param {string} value - Selected option of the swap slippage dropdown
+ * @returns {void}
+ */
+export function saveSwapSlippage(value) {
+    if (value === 'Auto') {
+        swapTransactionSettings.slippageMode = 'auto';
+    } else {
+        swapTransactionSettings.slippageMode = 'manual';
+        swapTransactionSettings.manualSlippage = value;
+    }
+
+    localStorage.setItem('swapTransactionSettings', JSON.stringify(swapTransactionSettings));
+    console.log('Swap slippage saved:', value);
+}
+
+/**
+ * Saves swap deadline, private RPC, quote refresh limits and token approval mode
+ * from the swap tab's transaction settings panel
+ * @returns {void}
+ */
+export function saveSwapTransactionSettings() {
+    const deadlineInput = document.getElementById('swapDeadlineMinutes');
+    const privateRPCInput = document.getElementById('privateSwapRPC');
+    const quoteAgeInput = document.getElementById('maxQuoteAgeBlocks');
+    const dropThresholdInput = document.getElementById('requoteDropThreshold');
+    const permit2ModeSelect = document.getElementById('swapPermit2Mode');
+    if (!deadlineInput || !privateRPCInput || !quoteAgeInput || !dropThresholdInput || !permit2ModeSelect) return;
+
+    const deadlineMinutes = parseFloat(deadlineInput.value);
+    if (isNaN(deadlineMinutes) || deadlineMinutes <= 0) {
+        showToast('Please enter a deadline greater than 0 minutes', true);
+        return;
+    }
+
+    const privateRPC = privateRPCInput.value.trim();
+    if (privateRPC && !/^https?:\/\//.test(privateRPC)) {
+        showToast('Private RPC must be an http(s) URL', true);
+        return;
+    }
+
+    const maxQuoteAgeBlocks = parseInt(quoteAgeInput.value, 10);
+    if (isNaN(maxQuoteAgeBlocks) || maxQuoteAgeBlocks < 0) {
+        showToast('Please enter a quote age of 0 or more blocks', true);
+        return;
+    }
+
+    const requoteDropThreshold = parseFloat(dropThresholdInput.value);
+    if (isNaN(requoteDropThreshold) || requoteDropThreshold < 0) {
+        showToast('Please enter a re-quote threshold of 0% or more', true);
+        return;
+    }
+
+    swapTransactionSettings.deadlineMinutes = deadlineMinutes;
+    swapTransactionSettings.privateRPC = privateRPC;
+    swapTransactionSettings.maxQuoteAgeBlocks = maxQuoteAgeBlocks;
+    swapTransactionSettings.requoteDropThreshold = requoteDropThreshold;
+    swapTransactionSettings.permit2Mode = permit2ModeSelect.value;
+    localStorage.setItem('swapTransactionSettings', JSON.stringify(swapTransactionSettings));
+
+    showSuccessMessage('swapTxSettingsSuccess');
+    showToast('Swap transaction settings saved');
+}
+
+/**
+ * Writes swap transaction settings into the swap tab's form fields
+ * @returns {void}
+ */
+function populateSwapTransactionSettings() {
+    const slippageSelect = document.getElementById('slippageToleranceSwap');
+    const deadlineInput = document.getElementById('swapDeadlineMinutes');
+    const privateRPCInput = document.getElementById('privateSwapRPC');
+    const quoteAgeInput = document.getElementById('maxQuoteAgeBlocks');
+    const dropThresholdInput = document.getElementById('requoteDropThreshold');
+    const permit2ModeSelect = document.getElementById('swapPermit2Mode');
+
+    if (slippageSelect) {
+        slippageSelect.value = swapTransactionSettings.slippageMode === 'auto' ?
+            'Auto' :
+            swapTransactionSettings.manualSlippage;
+
+        if (!slippageSelect.hasAttribute('data-change-listener')) {
+            slippageSelect.addEventListener('change', function(e) {
+                saveSwapSlippage(e.target.value);
+            });
+            slippageSelect.setAttribute('data-change-listener', 'true');
+        }
+    }
+    if (deadlineInput) deadlineInput.value = swapTransactionSettings.deadlineMinutes;
+    if (privateRPCInput) privateRPCInput.value = swapTransactionSettings.privateRPC;
+    if (quoteAgeInput) quoteAgeInput.value = swapTransactionSettings.maxQuoteAgeBlocks;
+    if (dropThresholdInput) dropThresholdInput.value = swapTransactionSettings.requoteDropThreshold;
+    if (permit2ModeSelect) permit2ModeSelect.value = swapTransactionSettings.permit2Mode;
+}
+
+// ============================================
+// REWARD PRICE ORACLES
+// ============================================
+
+/**
+ * Saves reward token price oracles to localStorage
+ * Expects a JSON object mapping reward token addresses to aggregator addresses.
+ * @returns {void}
+ */
+export function saveRewardPriceOracles() {
+    const oraclesInput = document.getElementById('rewardPriceOracles');
+    if (!oraclesInput) return;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(oraclesInput.value.trim() || '{}');
+    } catch (error) {
+        showToast('Price oracles must be a JSON object', true);
+        return;
+    }
+
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        showToast('Price oracles must be a JSON object', true);
+        return;
+    }
+
+    const oracles = {};
+    for (const [token, oracle] of Object.entries(parsed)) {
+        if (!ethers.utils.isAddress(token) || !ethers.utils.isAddress(oracle)) {
+            showToast(`Invalid address in price oracles: ${token}`, true);
+            return;
+        }
+        oracles[ethers.utils.getAddress(token)] = ethers.utils.getAddress(oracle);
+    }
+
+    rewardPriceOracles = oracles;
+    localStorage.setItem('rewardPriceOracles', JSON.stringify(rewardPriceOracles));
+
+    showSuccessMessage('rewardPriceOraclesSuccess');
+    showToast(`${Object.keys(oracles).length} reward price oracle(s) saved`);
+}
+
+/**
+ * Restores the default reward token price oracles
+ * @returns {void}
+ */
+export function restoreDefaultRewardPriceOracles() {
+    const oraclesInput = document.getElementById('rewardPriceOracles');
+    if (oraclesInput) oraclesInput.value = JSON.stringify(defaultRewardPriceOracles, null, 2);
+
+    console.log('Reward price oracles restored to defaults');
+    saveRewardPriceOracles();
+}
+
 // ============================================
 // LOAD SETTINGS (INITIALIZATION)
 // ============================================
@@ -801,6 +1047,63 @@ export function loadSettings() {
         if (backupElement) backupElement.value = customBACKUPDataSource;
     }
 
+    // Load price impact thresholds
+    const savedImpactThresholds = localStorage.getItem('priceImpactThresholds');
+    if (savedImpactThresholds) {
+        try {
+            priceImpactThresholds = { ...defaultPriceImpactThresholds, ...JSON.parse(savedImpactThresholds) };
+        } catch (error) {
+            console.error('Error loading price impact thresholds:', error);
+            priceImpactThresholds = { ...defaultPriceImpactThresholds };
+        }
+    }
+
+    const impactWarningElement = document.getElementById('priceImpactWarning');
+    const impactDangerElement = document.getElementById('priceImpactDanger');
+    if (impactWarningElement) impactWarningElement.value = priceImpactThresholds.warning;
+    if (impactDangerElement) impactDangerElement.value = priceImpactThresholds.danger;
+
+    // Load swap transaction settings
+    const savedSwapTxSettings = localStorage.getItem('swapTransactionSettings');
+    if (savedSwapTxSettings) {
+        try {
+            swapTransactionSettings = { ...defaultSwapTransactionSettings, ...JSON.parse(savedSwapTxSettings) };
+        } catch (error) {
+            console.error('Error loading swap transaction settings:', error);
+            swapTransactionSettings = { ...defaultSwapTransactionSettings };
+        }
+    }
+    populateSwapTransactionSettings();
+
+    // Load reward price oracles
+    const savedPriceOracles = localStorage.getItem('rewardPriceOracles');
+    if (savedPriceOracles) {
+        try {
+            rewardPriceOracles = JSON.parse(savedPriceOracles);
+        } catch (error) {
+            console.error('Error loading reward price oracles:', error);
+            rewardPriceOracles = { ...defaultRewardPriceOracles };
+        }
+    }
+
+    const priceOraclesElement = document.getElementById('rewardPriceOracles');
+    if (priceOraclesElement) priceOraclesElement.value = JSON.stringify(rewardPriceOracles, null, 2);
+
+    // Load local quote verification toggle
+    const savedQuoteVerification = localStorage.getItem('localQuoteVerification');
+    localQuoteVerification = savedQuoteVerification !== null ? JSON.parse(savedQuoteVerification) : false;
+
+    const quoteVerificationElement = document.getElementById('toggleQuoteVerification');
+    if (quoteVerificationElement) {
+        quoteVerificationElement.checked = localQuoteVerification;
+        if (!quoteVerificationElement.hasAttribute('data-change-listener')) {
+            quoteVerificationElement.addEventListener('change', function(e) {
+                saveLocalQuoteVerification(e.target.checked);
+            });
+            quoteVerificationElement.setAttribute('data-change-listener', 'true');
+        }
+    }
+
     // Load auto-fetch toggle state
     const savedAutoFetch = loadAutoFetchToggle();
     const toggle1Element = document.getElementById('toggle1');
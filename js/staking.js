@@ -28,7 +28,7 @@ import { positionData, stakingPositionData } from './positions.js';
 
 import {
 
-    customRPC, currentSettingsAddresses
+    customRPC, currentSettingsAddresses, rewardPriceOracles
 } from './settings.js';
 
 import {
@@ -51,9 +51,18 @@ import {
     getSqrtRatioAtTick,
     approveTokensViaPermit2,
     toBigNumber,
-    approveIfNeededUSDC
+    approveIfNeededUSDC,
+    preflightTransaction,
+    getValueUSD
 } from './contracts.js';
 import { getNFTOwners } from './data-loader.js';
+import { refreshRewardsLedgerAfterClaim } from './rewards-ledger.js';
+import {
+    getRewardPeriodPlan,
+    formatRewardPeriodPlan,
+    updateRewardPeriodPreview,
+    renderRewardCalendar
+} from './reward-planner.js';
 
 // ============================================
 // STATE VARIABLES
@@ -64,6 +73,7 @@ if (typeof window.APYFINAL === 'undefined') window.APYFINAL = 0;
 
 export let totalLiquidityInStakingContract = 0;
 export let Rewardduration = 0;
+export let totalStakedValueUSD = 0;
 
 // Mock data arrays
 let mockRewardTokens = [];
@@ -76,8 +86,6 @@ const REWARD_STATS_COOLDOWN = 60000; // 60 seconds
 let first3 = 0;
 
 // Price tracking
-let wethTo0xBTCRate = 0;
-let lastWETHto0xBTCRateUpdate = 0;
 let lastWETHto0xBTCRateUpdate2 = 0;
 
 // From positions.js (needed)
@@ -198,6 +206,11 @@ async function approveIfNeeded(tokenToApprove, spenderAddress, requiredAmount) {
     if (currentAllowance.lt(requiredAmount)) {
         console.log(`Approving ${tokenToApprove} for ${spenderAddress}`);
 
+        const populatedTx = await tokenContract.populateTransaction.approve(spenderAddress, ethers.constants.MaxUint256);
+        if (!(await preflightTransaction(populatedTx, { label: 'Approve Token' }))) {
+            throw new Error('Token approval would fail');
+        }
+
         // Send approve transaction with retry
         const approveTx = await retryWithBackoff(async () => {
             return await tokenContract.approve(spenderAddress, ethers.constants.MaxUint256);
@@ -289,6 +302,7 @@ export function updateStakingStats() {
         <div class="stat-card">
             <div class="stat-value" id="APYPercentage">Loading...</div>
             <div class="stat-label">Your Current APY</div>
+            <div class="stat-label" id="APYBreakdown"></div>
         </div>
     `;
 
@@ -341,6 +355,9 @@ element1.textContent = `${amount1.toFixed(2)} ${tokenName1}`;
         console.log("WINDOW APY FINAL IS: 3! :",window.APYFINAL);
         apyElement.textContent = `${window.APYFINAL.toFixed(2)}%`;
     }
+
+    updateAPYBreakdown();
+    updatePositionRewardsBreakdown();
 }
 
 /**
@@ -415,6 +432,29 @@ export function populateStakingManagementData() {
 // REWARD COLLECTION
 // ============================================
 
+/**
+ * Sums the USD value of owed rewards for the given reward tokens
+ * Reads the last reward stats; returns null if they haven't been loaded.
+ * @async
+ * @param {Array<string>|string} rewardTokens - Reward token addresses being claimed
+ * @returns {Promise<number|null>} Owed rewards in USD
+ */
+async function getOwedRewardsValueUSD(rewardTokens) {
+    const stats = window.rewardStatsCache.data;
+    if (!stats || !stats.rewardsOwed) return null;
+
+    const claimed = Array.isArray(rewardTokens) ? rewardTokens.map(addr => addr.toLowerCase()) : null;
+    const amounts = {};
+    stats.rewardAddressesStaking.forEach((rewardAddress, i) => {
+        if (claimed && !claimed.includes(rewardAddress.toLowerCase())) return;
+        const symbol = stats.rewardtokenSymbols[i];
+        const owed = parseFloat(ethers.utils.formatUnits(stats.rewardsOwed[i], stats.rewardtokenDecimals[i]));
+        amounts[symbol] = (amounts[symbol] || 0) + owed;
+    });
+
+    return await getValueUSD(amounts);
+}
+
 /**
  * Collects staking rewards for specified tokens
  * @async
@@ -458,6 +498,12 @@ export async function collectRewards() {
             window.signer
         );
 
+        const valueUSD = await getOwedRewardsValueUSD(tokenAddresses1);
+        const populatedTx = await LPStakingContract.populateTransaction.getRewardForTokens(tokenAddresses1);
+        if (!(await preflightTransaction(populatedTx, { label: 'Collect Rewards', valueUSD }))) {
+            return;
+        }
+
         showInfoNotification('Collecting Rewards', 'Submitting reward collection transaction...');
 
         const rewardTx = await LPStakingContract.getRewardForTokens(tokenAddresses1);
@@ -476,6 +522,7 @@ export async function collectRewards() {
         // Refresh balances and stats
         if (window.fetchBalances) await window.fetchBalances();
         if (window.getRewardStats) await getRewardStats();
+        refreshRewardsLedgerAfterClaim().catch(error => console.error("Error refreshing rewards ledger:", error));
 
     } catch (error) {
         console.error("Error collecting rewards:", error);
@@ -557,6 +604,19 @@ export async function depositNFTStake() {
     );
 
     try {
+        const valueUSD = await getValueUSD({
+            [position.tokenA]: position.currentTokenA,
+            [position.tokenB]: position.currentTokenB
+        });
+        const populatedApproveTx = await positionManagerContract.populateTransaction.approve(
+            contractAddressLPRewardsStaking,
+            positionID
+        );
+        if (!(await preflightTransaction(populatedApproveTx, { label: 'Approve NFT for Staking', valueUSD }))) {
+            enableButton('depositNFTStakeBtn', 'Deposit NFT');
+            return;
+        }
+
         showInfoNotificationCentered('Approve the NFT', 'Approve NFT TokenID: ' + positionID + ' for Staking');
 
         console.log(`Approving NFT token ${positionID}...`);
@@ -576,6 +636,12 @@ export async function depositNFTStake() {
         await new Promise(resolve => setTimeout(resolve, 2000));
 
         // Step 2: Stake the NFT
+        const populatedStakeTx = await LPStakingContract.populateTransaction.stakeUniswapV3NFT(positionID);
+        if (!(await preflightTransaction(populatedStakeTx, { label: 'Stake NFT', valueUSD }))) {
+            enableButton('depositNFTStakeBtn', 'Deposit NFT');
+            return;
+        }
+
         console.log(`Staking NFT token ${positionID}...`);
         const stakeTx = await LPStakingContract.stakeUniswapV3NFT(positionID);
 
@@ -649,6 +715,16 @@ export async function withdrawNFTStake() {
     try {
         console.log(`Withdrawing this NFT token ${id}...`);
 
+        const valueUSD = await getValueUSD({
+            [positionStaking.tokenA]: positionStaking.currentTokenA,
+            [positionStaking.tokenB]: positionStaking.currentTokenB
+        });
+        const populatedTx = await LPStakingContract.populateTransaction.withdraw(id);
+        if (!(await preflightTransaction(populatedTx, { label: 'Withdraw Staked NFT', valueUSD }))) {
+            enableButton('withdrawNFTStakeBtn', 'Withdraw NFT from Staking');
+            return;
+        }
+
         showInfoNotification('Withdrawing NFT tokenID ' + id, 'Please confirm transaction in the wallet');
 
         const stakeTx = await LPStakingContract.withdraw(id);
@@ -675,42 +751,429 @@ export async function withdrawNFTStake() {
     }
 }
 
+// ============================================
+// BATCH STAKING
+// ============================================
+
+const BATCH_STAKING_ABI = [
+    "function stakeUniswapV3NFT(uint256 tokenId)",
+    "function withdraw(uint256 tokenId) returns (bool)"
+];
+
+const BATCH_POSITION_MANAGER_ABI = [
+    "function approve(address to, uint256 tokenId)",
+    "function getApproved(uint256 tokenId) view returns (address)",
+    "function isApprovedForAll(address owner, address operator) view returns (bool)",
+    "function multicall(bytes[] data) payable returns (bytes[] results)"
+];
+
+// Current or last batch: { type: 'stake'|'unstake', items: [{ tokenId, label, amounts, status, txHash, error }] }
+let batchStakingJob = null;
+let isRunningBatchStaking = false;
+
+/**
+ * Fills the batch stake and unstake checkbox lists
+ * @returns {void}
+ */
+export function loadBatchStakingLists() {
+    const stakeList = document.getElementById('batchStakeList');
+    const unstakeList = document.getElementById('batchUnstakeList');
+    if (!stakeList || !unstakeList) return;
+
+    const checkboxes = (positions, name, extra) => positions.length === 0 ?
+        '<p style="color: #6c757d; font-style: italic;">None</p>' :
+        positions.map(position => `
+            <label style="display: block;">
+                <input type="checkbox" name="${name}" value="${position.id.split('_').pop()}">
+                #${position.id.split('_').pop()} - ${parseFloat(position.currentTokenA).toFixed(4)} ${position.tokenA} /
+                ${parseFloat(position.currentTokenB).toFixed(4)} ${position.tokenB}${extra(position)}
+            </label>
+        `).join('');
+
+    stakeList.innerHTML = checkboxes(Object.values(positionData), 'batchStake', () => '');
+    unstakeList.innerHTML = checkboxes(Object.values(stakingPositionData), 'batchUnstake',
+        position => ` (penalty ${parseFloat(position.PenaltyForWithdraw).toFixed(3)}%)`);
+    renderBatchStakingProgress();
+}
+
+/**
+ * Creates a batch job from the checked positions
+ * @param {string} type - 'stake' or 'unstake'
+ * @returns {Object|null} Job, or null if nothing is checked
+ */
+function createBatchStakingJob(type) {
+    const name = type === 'stake' ? 'batchStake' : 'batchUnstake';
+    const source = type === 'stake' ? positionData : stakingPositionData;
+    const checked = [...document.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+
+    const items = Object.values(source)
+        .filter(position => checked.includes(position.id.split('_').pop()))
+        .map(position => ({
+            tokenId: position.id.split('_').pop(),
+            penalty: position.PenaltyForWithdraw,
+            amounts: {
+                [position.tokenA]: position.currentTokenA,
+                [position.tokenB]: position.currentTokenB
+            },
+            status: 'pending',
+            txHash: null,
+            error: null
+        }));
+
+    return items.length > 0 ? { type, items } : null;
+}
+
+/**
+ * Stakes every checked wallet position
+ * Approvals go out as one PositionManager multicall; stakes follow one transaction per NFT.
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function batchStakeNFTs() {
+    if (!window.walletConnected) {
+        await window.connectWallet();
+    }
+
+    const job = createBatchStakingJob('stake');
+    if (!job) {
+        alert('Select at least one position to stake');
+        return;
+    }
+    if (!confirm(`Stake ${job.items.length} position NFT(s)?\n\nWithdrawal penalty is 20% to instant withdraw down to 3% after 15 days. 1% after 45 days. It is tracked per NFT, so multiple NFTs will have different withdraw Penalties.`)) {
+        return;
+    }
+
+    batchStakingJob = job;
+    await runBatchStakingJob();
+}
+
+/**
+ * Unstakes every checked staked position, one transaction per NFT
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function batchUnstakeNFTs() {
+    if (!window.walletConnected) {
+        await window.connectWallet();
+    }
+
+    const job = createBatchStakingJob('unstake');
+    if (!job) {
+        alert('Select at least one staked position to withdraw');
+        return;
+    }
+    const penalties = job.items.map(item => `#${item.tokenId}: ${parseFloat(item.penalty).toFixed(3)}% penalty`).join('\n');
+    if (!confirm(`Withdraw ${job.items.length} NFT(s) from staking?\n\n${penalties}`)) {
+        return;
+    }
+
+    batchStakingJob = job;
+    await runBatchStakingJob();
+}
+
+/**
+ * Resumes the last batch from its first failed item
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function resumeBatchStaking() {
+    if (!batchStakingJob || !batchStakingJob.items.some(item => item.status === 'failed')) {
+        alert('There is no failed batch to resume');
+        return;
+    }
+    batchStakingJob.items.forEach(item => {
+        if (item.status === 'failed') {
+            item.status = 'pending';
+            item.error = null;
+        }
+    });
+    await runBatchStakingJob();
+}
+
+/**
+ * Approves the staking contract for every pending NFT that isn't approved yet
+ * @async
+ * @param {Array<Object>} items - Pending stake items
+ * @returns {Promise<boolean>} False if the approval was cancelled or failed
+ */
+async function approveBatchStake(items) {
+    const positionManager = new ethers.Contract(positionManager_address, BATCH_POSITION_MANAGER_ABI, window.signer);
+    if (await positionManager.isApprovedForAll(window.userAddress, contractAddressLPRewardsStaking)) return true;
+
+    const unapproved = [];
+    for (const item of items) {
+        const approved = await positionManager.getApproved(item.tokenId);
+        if (approved.toLowerCase() !== contractAddressLPRewardsStaking.toLowerCase()) unapproved.push(item);
+    }
+    if (unapproved.length === 0) return true;
+
+    const approveCalls = unapproved.map(item =>
+        positionManager.interface.encodeFunctionData('approve', [contractAddressLPRewardsStaking, item.tokenId])
+    );
+    const populatedTx = unapproved.length === 1 ?
+        await positionManager.populateTransaction.approve(contractAddressLPRewardsStaking, unapproved[0].tokenId) :
+        await positionManager.populateTransaction.multicall(approveCalls);
+    if (!(await preflightTransaction(populatedTx, { label: `Approve ${unapproved.length} NFT(s) for Staking` }))) {
+        return false;
+    }
+
+    showInfoNotificationCentered('Approve the NFTs', `Approve ${unapproved.length} NFT(s) for staking in one transaction`);
+    const tx = await window.signer.sendTransaction(populatedTx);
+    await tx.wait();
+    showSuccessNotificationCentered('Approved NFT Transfers!', 'Now confirm each Stake transaction in your wallet');
+    return true;
+}
+
+/**
+ * Sends the pending items of the current batch in order
+ * Stops at the first failure so the batch can be resumed from that item.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function runBatchStakingJob() {
+    if (isRunningBatchStaking) return;
+    isRunningBatchStaking = true;
+
+    const job = batchStakingJob;
+    const buttonId = job.type === 'stake' ? 'batchStakeBtn' : 'batchUnstakeBtn';
+    const buttonText = job.type === 'stake' ? 'Stake Selected' : 'Unstake Selected';
+    const label = job.type === 'stake' ? 'Stake NFT' : 'Withdraw Staked NFT';
+    disableButtonWithSpinner(buttonId);
+
+    const stakingContract = new ethers.Contract(contractAddressLPRewardsStaking, BATCH_STAKING_ABI, window.signer);
+    const pending = job.items.filter(item => item.status === 'pending');
+    let current = null;
+
+    try {
+        current = pending[0];
+        if (job.type === 'stake' && !(await approveBatchStake(pending))) {
+            pending[0].status = 'failed';
+            pending[0].error = 'NFT approval was not sent';
+            return;
+        }
+
+        for (const item of pending) {
+            current = item;
+            item.status = 'sending';
+            renderBatchStakingProgress();
+
+            const valueUSD = await getValueUSD(item.amounts);
+            const populatedTx = job.type === 'stake' ?
+                await stakingContract.populateTransaction.stakeUniswapV3NFT(item.tokenId) :
+                await stakingContract.populateTransaction.withdraw(item.tokenId);
+            if (!(await preflightTransaction(populatedTx, { label: `${label} #${item.tokenId}`, valueUSD }))) {
+                item.status = 'failed';
+                item.error = 'Cancelled or would fail';
+                return;
+            }
+
+            const tx = await window.signer.sendTransaction(populatedTx);
+            item.txHash = tx.hash;
+            renderBatchStakingProgress();
+            await tx.wait();
+            item.status = 'done';
+            renderBatchStakingProgress();
+        }
+        current = null;
+
+        showSuccessNotification('Batch Complete!', `${job.items.length} NFT(s) ${job.type === 'stake' ? 'staked' : 'withdrawn'}`);
+    } catch (error) {
+        console.error("Error in batch staking:", error);
+        if (current) {
+            current.status = 'failed';
+            current.error = error.message || 'Transaction failed';
+        }
+        showErrorNotification('Batch Stopped', error.message || 'A batch transaction failed');
+    } finally {
+        isRunningBatchStaking = false;
+        enableButton(buttonId, buttonText);
+        renderBatchStakingProgress();
+
+        if (job.items.some(item => item.status === 'done')) {
+            if (window.fetchBalances) await window.fetchBalances();
+            if (window.getTokenIDsOwnedByMetamask) await window.getTokenIDsOwnedByMetamask(true);
+            await getRewardStats();
+            loadBatchStakingLists();
+        }
+    }
+}
+
+/**
+ * Renders the combined progress of the current batch
+ * @returns {void}
+ */
+function renderBatchStakingProgress() {
+    const container = document.getElementById('batchStakingProgress');
+    if (!container) return;
+
+    const job = batchStakingJob;
+    if (!job) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const done = job.items.filter(item => item.status === 'done').length;
+    const failed = job.items.some(item => item.status === 'failed');
+    const statusText = { pending: 'Waiting', sending: 'Sending...', done: 'Done', failed: 'Failed' };
+
+    container.innerHTML = `
+        <p><strong>${job.type === 'stake' ? 'Staking' : 'Unstaking'}: ${done}/${job.items.length} complete</strong></p>
+        <div style="background: #e9ecef; border-radius: 4px; height: 8px; margin-bottom: 10px;">
+            <div style="background: #28a745; border-radius: 4px; height: 8px; width: ${done / job.items.length * 100}%;"></div>
+        </div>
+        ${job.items.map(item => `
+            <div>
+                #${item.tokenId}: ${statusText[item.status]}
+                ${item.txHash ? `<a href="https://basescan.org/tx/${item.txHash}" target="_blank">${item.txHash.slice(0, 10)}...</a>` : ''}
+                ${item.error ? `<span style="color: #dc3545;">${item.error}</span>` : ''}
+            </div>
+        `).join('')}
+        ${failed && !isRunningBatchStaking ? '<button class="btn-warning" onclick="resumeBatchStaking()">Resume from Failed NFT</button>' : ''}
+    `;
+}
+
+// ============================================
+// REWARD TOKEN PRICING
+// ============================================
+
+const PRICE_ORACLE_ABI = [
+    "function decimals() view returns (uint8)",
+    "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)"
+];
+
+// Oracle answers older than this are ignored in favour of the next price source
+const PRICE_ORACLE_MAX_AGE = 24 * 60 * 60;
+
+const COINGECKO_TOKEN_PRICE_URL = 'https://api.coingecko.com/api/v3/simple/token_price/base';
+const TOKEN_PRICE_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+
+// CoinGecko prices by lowercase contract address
+let tokenPriceCache = { timestamp: 0, prices: {} };
+
+/**
+ * Reads a USD price from a Chainlink-style aggregator
+ * @async
+ * @param {string} oracleAddress - Aggregator address
+ * @returns {Promise<number|null>} Price in USD, or null if unavailable or stale
+ */
+async function getOraclePriceUSD(oracleAddress) {
+    try {
+        const provider = window.walletConnected ? window.provider : new ethers.providers.JsonRpcProvider(customRPC);
+        const oracle = new ethers.Contract(oracleAddress, PRICE_ORACLE_ABI, provider);
+        const [decimals, roundData] = await Promise.all([oracle.decimals(), oracle.latestRoundData()]);
+
+        const age = Math.floor(Date.now() / 1000) - roundData.updatedAt.toNumber();
+        if (roundData.answer.lte(0) || age > PRICE_ORACLE_MAX_AGE) {
+            console.warn(`Price oracle ${oracleAddress} answer is invalid or stale`);
+            return null;
+        }
+        return parseFloat(ethers.utils.formatUnits(roundData.answer, decimals));
+    } catch (error) {
+        console.error(`Error reading price oracle ${oracleAddress}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Fetches CoinGecko USD prices for Base tokens by contract address
+ * @async
+ * @param {Array<string>} addresses - Token addresses
+ * @returns {Promise<Object<string, number>>} Price per lowercase address (missing if unknown)
+ */
+async function getCoinGeckoTokenPricesUSD(addresses) {
+    const wanted = addresses.map(address => address.toLowerCase());
+    const fresh = Date.now() - tokenPriceCache.timestamp < TOKEN_PRICE_CACHE_DURATION;
+    if (fresh && wanted.every(address => address in tokenPriceCache.prices)) {
+        return tokenPriceCache.prices;
+    }
+    if (wanted.length === 0) return {};
+
+    try {
+        const response = await fetch(`${COINGECKO_TOKEN_PRICE_URL}?contract_addresses=${wanted.join(',')}&vs_currencies=usd`);
+        if (!response.ok) {
+            throw new Error(`CoinGecko API returned ${response.status}`);
+        }
+
+        const data = await response.json();
+        const prices = {};
+        for (const address of wanted) {
+            // Cache misses as null so unlisted tokens aren't refetched every run
+            prices[address] = data[address]?.usd ?? null;
+        }
+        tokenPriceCache = { timestamp: Date.now(), prices };
+    } catch (error) {
+        console.error('Error fetching CoinGecko token prices:', error);
+    }
+    return tokenPriceCache.prices;
+}
+
+/**
+ * Prices reward tokens in USD
+ * A configured price oracle wins; otherwise B0x uses the swap quote against 0xBTC,
+ * WETH and 0xBTC use CoinGecko's ids and any other token CoinGecko's Base contract prices.
+ * @async
+ * @param {Array<string>} rewardTokenAddresses - Reward token addresses
+ * @param {number} b0xTo0xBTCRate - 0xBTC received per B0x from the swap quote
+ * @returns {Promise<Object<string, {priceUSD: number, source: string}>>} Price per lowercase address
+ */
+export async function getRewardTokenPricesUSD(rewardTokenAddresses, b0xTo0xBTCRate) {
+    const { wethPriceUSD, oxbtcPriceUSD } = await getCoinGeckoPrices();
+    const oracles = Object.fromEntries(
+        Object.entries(rewardPriceOracles).map(([token, oracle]) => [token.toLowerCase(), oracle])
+    );
+
+    const known = {
+        [tokenAddresses['WETH'].toLowerCase()]: { priceUSD: wethPriceUSD, source: 'CoinGecko' },
+        [tokenAddresses['0xBTC'].toLowerCase()]: { priceUSD: oxbtcPriceUSD, source: 'CoinGecko' },
+        [tokenAddresses['B0x'].toLowerCase()]: { priceUSD: b0xTo0xBTCRate * oxbtcPriceUSD, source: 'Swap quote' }
+    };
+
+    const addresses = rewardTokenAddresses.map(address => address.toLowerCase());
+    const unknown = addresses.filter(address => !oracles[address] && !known[address]);
+    const coinGeckoPrices = await getCoinGeckoTokenPricesUSD(unknown);
+
+    const prices = {};
+    for (const address of addresses) {
+        if (oracles[address]) {
+            const oraclePrice = await getOraclePriceUSD(oracles[address]);
+            if (oraclePrice !== null) {
+                prices[address] = { priceUSD: oraclePrice, source: 'Oracle' };
+                continue;
+            }
+        }
+        if (known[address]) {
+            prices[address] = known[address];
+        } else if (coinGeckoPrices[address]) {
+            prices[address] = { priceUSD: coinGeckoPrices[address], source: 'CoinGecko' };
+        } else {
+            prices[address] = { priceUSD: 0, source: 'No price' };
+        }
+    }
+    return prices;
+}
+
 // ============================================
 // APY CALCULATION
 // ============================================
 
 /**
  * Calculates reward APY for staking
+ * Every reward token with an active period is priced in USD and its yearly
+ * emissions compared with the USD value staked. The per-token result is kept
+ * in window.rewardAPYBreakdown and window.APYFINAL holds the total.
  * @async
  * @param {Array<string>} _tokenAddresses - Reward token addresses
  * @param {Array<string>} _rewardRate - Reward rates
  * @param {string} zeroXBTC_In_Staking - Amount of 0xBTC staked
+ * @param {*} [tokenSwapperResult=null] - B0x to 0xBTC swap quote for 1 B0x
+ * @param {{symbols: Array<string>, decimals: Array<number>, periodEndsAt: Array<*>}} [rewardTokenInfo={}] - Per-token details from getRewardOwedStats
  * @returns {Promise<number>} Calculated APY
  */
 
         const amountToSwap = BigInt(10 ** 18);
     let amountOut_Saved = 0;
     let result = 0;
-export async function GetRewardAPY(_tokenAddresses, _rewardRate, zeroXBTC_In_Staking, tokenSwapperResult = null) {
-    let total_rewardRate_WETH = 0;
-    let total_rewardRate_0xBTC = 0;
-    let total_rewardRate_B0x = 0;
-
-    if (_tokenAddresses) {
-        for (let x = 0; x < _tokenAddresses.length; x++) {
-            const tknAdd = _tokenAddresses[x];
-            if (tknAdd === tokenAddresses['WETH']) {
-                total_rewardRate_WETH = _rewardRate[x];
-            }
-            if (tknAdd === tokenAddresses['0xBTC']) {
-                total_rewardRate_0xBTC = _rewardRate[x];
-            }
-            if (tknAdd === tokenAddresses['B0x']) {
-                total_rewardRate_B0x = _rewardRate[x];
-            }
-        }
-    }
-
+export async function GetRewardAPY(_tokenAddresses, _rewardRate, zeroXBTC_In_Staking, tokenSwapperResult = null, rewardTokenInfo = {}) {
     // Use the tokenSwapper result from multicall if provided and timing allows
     if (tokenSwapperResult && lastWETHto0xBTCRateUpdate2 < Date.now() - 120000) {
         result = tokenSwapperResult;
@@ -740,61 +1203,62 @@ export async function GetRewardAPY(_tokenAddresses, _rewardRate, zeroXBTC_In_Sta
     const exchangeRate = amountOutNumber / amountToSwapNumber;
     console.log("exchange rate = ", exchangeRate);
 
-    const total_rewardRate_B0x_proper = total_rewardRate_B0x / (10 ** 18);
-    const total_rewardRate_B0x_0xBTC_Yearly = HowManySecondsINyear * total_rewardRate_B0x_proper * exchangeRate;
-    console.log("total_rewardRate_B0x_0xBTC_Yearly: ", total_rewardRate_B0x_0xBTC_Yearly);
-console.log("total_rewardRate_B0x_0xBTC_Yearly: ",total_rewardRate_B0x_0xBTC_Yearly);
-    const total_rewardRate_0xBTC_Yearly = HowManySecondsINyear * total_rewardRate_0xBTC / 10 ** 8;
-    console.log("total_rewardRate_0xBTC_Yearly", total_rewardRate_0xBTC_Yearly);
-
-    // Fetch prices from CoinGecko with 5-minute cache
-    let wethPriceUSD = 0;
-    let oxbtcPriceUSD = 0;
-
-    if (lastWETHto0xBTCRateUpdate < Date.now() - 300000) { // 5 minutes
-        try {
-            const priceData = await getCoinGeckoPrices();
-            wethPriceUSD = priceData.wethPriceUSD;
-            oxbtcPriceUSD = priceData.oxbtcPriceUSD;
-
-            wethTo0xBTCRate = wethPriceUSD / oxbtcPriceUSD;
+    const tokenList = _tokenAddresses || [];
+    const prices = await getRewardTokenPricesUSD(tokenList, exchangeRate);
+    const { oxbtcPriceUSD } = await getCoinGeckoPrices();
 
-            console.log("WETH price USD: ", wethPriceUSD);
-            console.log("0xBTC price USD: ", oxbtcPriceUSD);
-            console.log("WETH to 0xBTC rate: ", wethTo0xBTCRate);
-
-            lastWETHto0xBTCRateUpdate = Date.now();
-
-            const b0xwidget = document.getElementById('b0x-widget');
-            if (b0xwidget) {
-                b0xwidget.style.display = "flex";
-            }
-
-        } catch (error) {
-            console.error("Error fetching CoinGecko prices:", error);
-            lastWETHto0xBTCRateUpdate = Date.now() - 60000;
-        }
+    const b0xwidget = document.getElementById('b0x-widget');
+    if (b0xwidget) {
+        b0xwidget.style.display = "flex";
     }
 
-    const total_rewardRate_WETH_proper = total_rewardRate_WETH / (10 ** 18);
-    const total_rewardRate_WETH_0xBTC_Yearly = HowManySecondsINyear * total_rewardRate_WETH_proper * wethTo0xBTCRate;
-    console.log("total_rewardRate_WETH_0xBTC_Yearly", total_rewardRate_WETH_0xBTC_Yearly);
-
-    const total_0xBTC_gained_Yearly = total_rewardRate_WETH_0xBTC_Yearly + total_rewardRate_0xBTC_Yearly + total_rewardRate_B0x_0xBTC_Yearly;
-    console.log("add them all together we get: ", total_0xBTC_gained_Yearly);
-
     const total0xbtcStaked = (zeroXBTC_In_Staking * 2) / 10 ** 8;
-    console.log("total 0xBTC staked in both pools", total0xbtcStaked);
+    const totalStakedUSD = total0xbtcStaked * oxbtcPriceUSD;
+    totalStakedValueUSD = totalStakedUSD;
+    console.log("total 0xBTC staked in both pools", total0xbtcStaked, "USD:", totalStakedUSD);
+
+    const now = Math.floor(Date.now() / 1000);
+    const breakdown = tokenList.map((address, x) => {
+        const symbol = rewardTokenInfo.symbols?.[x] || getSymbolFromAddress(address);
+        const decimals = rewardTokenInfo.decimals?.[x] ?? tokenAddressesDecimals[symbol] ?? 18;
+        const periodEndsAt = rewardTokenInfo.periodEndsAt?.[x];
+        const active = periodEndsAt === undefined || parseFloat(periodEndsAt.toString()) > now;
+
+        const ratePerSecond = parseFloat(ethers.utils.formatUnits(_rewardRate[x], decimals));
+        const { priceUSD, source } = prices[address.toLowerCase()];
+        const yearlyUSD = active ? HowManySecondsINyear * ratePerSecond * priceUSD : 0;
+        const apy = totalStakedUSD > 0 ? yearlyUSD / totalStakedUSD * 100 : 0;
+
+        return { address, symbol, priceUSD, source, yearlyUSD, apy, active };
+    });
+    console.log("Reward APY breakdown: ", breakdown);
+
+    window.rewardAPYBreakdown = breakdown;
 
     // Set APY on window object for global access
-    window.APYFINAL = total_0xBTC_gained_Yearly / total0xbtcStaked * 100;
+    window.APYFINAL = breakdown.reduce((sum, token) => sum + token.apy, 0);
     console.log("APY info total gained yearly / total staked * 100", window.APYFINAL);
 
     firstRewardsAPYRun = firstRewardsAPYRun + 1;
+    updateAPYBreakdown();
 
     return window.APYFINAL;
 }
 
+/**
+ * Renders the per-token APY breakdown under the staking APY
+ * @returns {void}
+ */
+export function updateAPYBreakdown() {
+    const container = document.getElementById('APYBreakdown');
+    if (!container) return;
+
+    const breakdown = (window.rewardAPYBreakdown || []).filter(token => token.active);
+    container.innerHTML = breakdown.map(token =>
+        `<div>${token.symbol}: ${token.apy.toFixed(2)}% <span style="opacity: 0.7;">(${token.priceUSD > 0 ? `$${token.priceUSD.toPrecision(4)}, ` : ''}${token.source})</span></div>`
+    ).join('');
+}
+
 /**
  * Gets reward statistics from staking contract
  * @async
@@ -822,6 +1286,19 @@ export async function startRewardPeriod() {
     const inputtedTokenAddress = document.getElementById("selectedRewardToken").value;
     console.log("INPUTED ADDRESS = ", inputtedTokenAddress);
 
+    if (!inputtedTokenAddress) {
+        alert("Select a reward token first");
+        return;
+    }
+
+    try {
+        const plan = await getRewardPeriodPlan(inputtedTokenAddress);
+        if (!confirm("Start this reward period?\n\n" + formatRewardPeriodPlan(plan))) return;
+    } catch (error) {
+        console.error("Error planning reward period:", error);
+        if (!confirm("Could not preview this reward period. Start it anyway?")) return;
+    }
+
     const startRewardABI = [{
         "inputs": [
             {
@@ -843,10 +1320,14 @@ export async function startRewardPeriod() {
     );
 
     try {
+        const populatedTx = await LPRewardsStakingContract.populateTransaction.setRewardParams(inputtedTokenAddress);
+        if (!(await preflightTransaction(populatedTx, { label: 'Start Reward Period' }))) return;
+
         const tx = await LPRewardsStakingContract.setRewardParams(inputtedTokenAddress);
         console.log("Transaction sent:", tx.hash);
         const receipt = await tx.wait();
         console.log("setRewardParams Transaction Confirmed!");
+        showSuccessNotification('Reward Period Started!', 'The new reward period is live', tx.hash);
     } catch (e) {
         if (e.message && e.message.includes("Reward must be positive")) {
             const symbol = mockRewardTokens.find(token => token.address === inputtedTokenAddress)?.symbol;
@@ -899,6 +1380,9 @@ export async function addRewardToken() {
         window.signer
     );
 
+    const populatedTx = await LPRewardsStakingContract.populateTransaction.addRewardToken(inputtedTokenAddress);
+    if (!(await preflightTransaction(populatedTx, { label: 'Add Reward Token' }))) return;
+
     const tx = await LPRewardsStakingContract.addRewardToken(inputtedTokenAddress);
     console.log("Transaction sent:", tx.hash);
     const receipt = await tx.wait();
@@ -1474,7 +1958,11 @@ export async function getRewardStats() {
     console.log("totalLiquidityInStakingContract: ", totalLiquidityInStakingContract.toString());
     populateStakingManagementData();
 
-    await GetRewardAPY(rewardAddressesStaking, rewardtokenRewardRate, total0xBTCinContract, tokenSwapperResult);
+    await GetRewardAPY(rewardAddressesStaking, rewardtokenRewardRate, total0xBTCinContract, tokenSwapperResult, {
+        symbols: rewardtokenSymbols,
+        decimals: rewardtokenDecimals,
+        periodEndsAt: rewardtokenPeriodEndsAt
+    });
 
     // Calculate hashrate using data from SUPER COMBINED MULTICALL (already in window.rewardStatsCache)
     if (window.calculateAndDisplayHashrate) {
@@ -1508,6 +1996,11 @@ export async function getRewardStats() {
         userAddress: window.userAddress  // Track which address this cache is for
     };
 
+    updatePositionRewardsBreakdown();
+    // Both read window.rewardStatsCache, so they run once this cycle's stats are in it
+    updateRewardPeriodPreview();
+    renderRewardCalendar();
+
     
 }
 
@@ -1687,6 +2180,13 @@ export async function decreaseLiquidityStaking() {
         console.log("decLiqStaking min amount0: ", amount0remove.toString());
         console.log("decLiqStaking min amount1: ", amount1remove.toString());
 
+        const valueUSD = await getValueUSD({
+            [position.tokenA]: parseFloat(position.currentTokenA) * decreasePercentageNumber / 100,
+            [position.tokenB]: parseFloat(position.currentTokenB) * decreasePercentageNumber / 100
+        });
+        const populatedTx = await LPrewardsStakingContracts.populateTransaction.decreaseLiquidityOfPosition(positionID, percentagedivby10000000000000, amount0remove, amount1remove);
+        if (!(await preflightTransaction(populatedTx, { label: 'Decrease Staked Liquidity', valueUSD }))) return;
+
         alert("Decreasing Liquidity now! Approve Transaction!");
 
         showInfoNotification('Decreasing Liquidity on Staked ID: ' + positionID, 'Please confirm transaction in the wallet');
@@ -1852,6 +2352,16 @@ export async function increaseLiquidityStaking() {
 
         const slippageBPS = Math.floor(numberValueSlippage * 100);
 
+        const valueUSD = await getValueUSD({
+            'B0x': ethers.utils.formatUnits(amountInB0x, 18),
+            '0xBTC': ethers.utils.formatUnits(amountIn0xBTC, 8)
+        });
+        const populatedTx = await LPRewarsdStakingContract.populateTransaction.increaseLiquidityOfPosition(window.userAddress, amount0, amount1, positionID, sqrtPricex96, slippageBPS);
+        if (!(await preflightTransaction(populatedTx, { label: 'Increase Staked Liquidity', valueUSD }))) {
+            enableButton('increaseLiquidityStakedBtn', 'Increase Staked Position Liquidity');
+            return;
+        }
+
         showInfoNotification('Increasing Liquidity on Staked ID: ' + positionID, 'Please confirm transaction in the wallet');
 
         const tx = await LPRewarsdStakingContract.increaseLiquidityOfPosition(window.userAddress, amount0, amount1, positionID, sqrtPricex96, slippageBPS);
@@ -2115,6 +2625,7 @@ export function updateStakeDecreasePositionInfo() {
             <p><strong>Total Liquidity:</strong> ${parseFloat(position.currentTokenA).toFixed(4)} ${position.tokenA} & ${parseFloat(position.currentTokenB).toFixed(4)} ${position.tokenB}</p>
 
             <p><strong>APY:</strong> ${position.apy}</p>
+            <p><strong>Uncollected Swap Fees:</strong> <span id="stakedFeesClaimable">Loading...</span></p>
             <p style="font-weight: bold; font-size: 2em; color: red;"><strong>Penalty for Early Stake Withdrawl:</strong> ${parseFloatz} %</p>
         `;
     }
@@ -2145,6 +2656,8 @@ export function updateStakeDecreasePositionInfo() {
         console.log(`Set tokenBLabel to: ${position.tokenB}`);
     }
 
+    updateStakedPositionFees();
+
     // Recalculate amounts with current percentage
     const slider = document.querySelector('#stake-decrease .slider');
     if (slider) {
@@ -2215,6 +2728,300 @@ export function updateStakePercentage(value) {
     }
 }
 
+// ============================================================================
+// STAKED POSITION FEES
+// ============================================================================
+
+const STAKED_FEES_ABI = [
+    "function findUserTokenIdswithMinimumIndividual(address user, uint256[] tokenIds, address Token0, address Token1, address HookAddress, uint256 minTokenA) view returns (uint256[] ownedTokens, uint256[] amountTokenA, uint256[] amountTokenB, uint128[] positionLiquidity, int128[] feesOwedTokenA, int128[] feesOwedTokenB, tuple(address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks)[] poolKeyz, uint256[] poolInfo)",
+    "function getUniswapALL(uint256[] tokenIds) returns (uint256 successCount, uint256 failureCount)"
+];
+
+/**
+ * Reads the swap fees owed to NFTs held by the staking contract
+ * The staking contract owns staked NFTs, so fees are looked up with it as the owner.
+ * @async
+ * @param {Array<string|number>} tokenIds - Staked token IDs
+ * @returns {Promise<{tokenA: string, tokenB: string, feesA: ethers.BigNumber, feesB: ethers.BigNumber}|null>} Summed fees, or null if none found
+ */
+export async function getStakedPositionFees(tokenIds) {
+    if (tokenIds.length === 0) return null;
+
+    const positionFinder = new ethers.Contract(contractAddress_PositionFinderPro, STAKED_FEES_ABI, window.provider);
+    const [token0, token1] = tokenAddresses['B0x'].toLowerCase() < tokenAddresses['0xBTC'].toLowerCase()
+        ? [tokenAddresses['B0x'], tokenAddresses['0xBTC']]
+        : [tokenAddresses['0xBTC'], tokenAddresses['B0x']];
+
+    const result = await positionFinder.findUserTokenIdswithMinimumIndividual(
+        contractAddressLPRewardsStaking,
+        tokenIds,
+        token0,
+        token1,
+        hookAddress,
+        0
+    );
+    if (result.ownedTokens.length === 0) return null;
+
+    return {
+        tokenA: getSymbolFromAddress(result.poolKeyz[0].currency0),
+        tokenB: getSymbolFromAddress(result.poolKeyz[0].currency1),
+        feesA: result.feesOwedTokenA.reduce((sum, fee) => sum.add(fee), ethers.BigNumber.from(0)),
+        feesB: result.feesOwedTokenB.reduce((sum, fee) => sum.add(fee), ethers.BigNumber.from(0))
+    };
+}
+
+/**
+ * Formats summed staked fees for display
+ * @param {Object} fees - Result of getStakedPositionFees
+ * @returns {string} Fee text
+ */
+function formatStakedFees(fees) {
+    const amountA = parseFloat(ethers.utils.formatUnits(fees.feesA, tokenAddressesDecimals[fees.tokenA])).toFixed(6);
+    const amountB = parseFloat(ethers.utils.formatUnits(fees.feesB, tokenAddressesDecimals[fees.tokenB])).toFixed(6);
+    return `${amountA} ${fees.tokenA} & ${amountB} ${fees.tokenB}`;
+}
+
+/**
+ * Shows the uncollected swap fees of the selected staked position
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function updateStakedPositionFees() {
+    const feesSpan = document.getElementById('stakedFeesClaimable');
+    const positionSelect = document.querySelector('#stake-decrease select');
+    const position = stakingPositionData[positionSelect?.value];
+    if (!feesSpan) return;
+
+    if (!position) {
+        feesSpan.textContent = '-';
+        return;
+    }
+
+    try {
+        const fees = await getStakedPositionFees([position.id.split('_')[2]]);
+        feesSpan.textContent = fees ? formatStakedFees(fees) : '-';
+    } catch (error) {
+        console.error("Error reading staked position fees:", error);
+        feesSpan.textContent = 'Unavailable';
+    }
+}
+
+/**
+ * Collects the swap fees of the selected staked position
+ * The staking contract keeps staked NFTs, so it cannot pay fees to the staker directly;
+ * its getUniswapALL path collects them into the reward pool, claimable with Collect Rewards.
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function collectStakedPositionFees() {
+    if (!window.walletConnected) {
+        await window.connectWallet();
+    }
+
+    const positionSelect = document.querySelector('#stake-decrease select');
+    const position = stakingPositionData[positionSelect?.value];
+    if (!position) {
+        alert('Select a staked position to collect fees from');
+        return;
+    }
+
+    const tokenId = position.id.split('_')[2];
+    disableButtonWithSpinner('collectStakedFeesBtn');
+
+    try {
+        const fees = await getStakedPositionFees([tokenId]);
+        if (!fees || (fees.feesA.isZero() && fees.feesB.isZero())) {
+            alert('This staked position has no uncollected fees');
+            enableButton('collectStakedFeesBtn', 'Collect Fees into Staking Rewards');
+            return;
+        }
+
+        const feeCollectorContract = new ethers.Contract(contractAddress_PositionFinderPro, STAKED_FEES_ABI, window.signer);
+        const valueUSD = await getValueUSD({
+            [fees.tokenA]: ethers.utils.formatUnits(fees.feesA, tokenAddressesDecimals[fees.tokenA]),
+            [fees.tokenB]: ethers.utils.formatUnits(fees.feesB, tokenAddressesDecimals[fees.tokenB])
+        });
+        const populatedTx = await feeCollectorContract.populateTransaction.getUniswapALL([tokenId]);
+        if (!(await preflightTransaction(populatedTx, { label: 'Collect Staked Position Fees', valueUSD }))) {
+            enableButton('collectStakedFeesBtn', 'Collect Fees into Staking Rewards');
+            return;
+        }
+
+        showInfoNotification('Confirm Collect Fees', 'Confirm collecting the staked position fees in your wallet');
+        const tx = await feeCollectorContract.getUniswapALL([tokenId]);
+        showInfoNotification();
+        await tx.wait();
+
+        enableButton('collectStakedFeesBtn', 'Collect Fees into Staking Rewards');
+        showSuccessNotification('Fees Collected!', `${formatStakedFees(fees)} added to staking rewards`, tx.hash);
+
+        await updateStakedPositionFees();
+        await getRewardStats();
+    } catch (error) {
+        enableButton('collectStakedFeesBtn', 'Collect Fees into Staking Rewards');
+        console.error("Error collecting staked position fees:", error);
+        showErrorNotification('Collect Fees Failed', error.message || 'Failed to collect staked position fees');
+    }
+}
+
+// ============================================================================
+// PER-POSITION REWARDS
+// ============================================================================
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+const REWARD_PROJECTION_HORIZONS = {
+    daily: SECONDS_PER_DAY,
+    weekly: 7 * SECONDS_PER_DAY,
+    monthly: 30 * SECONDS_PER_DAY
+};
+
+/**
+ * Projects the rewards a share of the staking pool earns over a horizon
+ * Rewards stop at the end of the token's current period, so the horizon is capped there.
+ * @param {number} ratePerSecond - Pool-wide reward rate in whole tokens per second
+ * @param {number} share - Share of total staked liquidity (0-1)
+ * @param {number} secondsLeft - Seconds until the reward period ends
+ * @param {number} horizon - Projection horizon in seconds
+ * @returns {number} Projected reward in whole tokens
+ */
+function projectReward(ratePerSecond, share, secondsLeft, horizon) {
+    return ratePerSecond * share * Math.min(horizon, Math.max(0, secondsLeft));
+}
+
+/**
+ * Computes a staked position's share of the pool and its rewards per reward token
+ * The contract tracks owed rewards per account, not per NFT, so a position's earned
+ * amount is the account's owed rewards split by the position's share of its staked liquidity.
+ * @param {Object} position - Entry of stakingPositionData
+ * @param {Object} [stats] - Reward stats from getRewardStats (defaults to the cache)
+ * @returns {{share: number, rewards: Array<Object>}|null} Breakdown, or null if stats are not loaded
+ */
+export function getPositionRewardBreakdown(position, stats = window.rewardStatsCache.data) {
+    if (!position || !stats || !stats.rewardAddressesStaking) return null;
+
+    const positionLiq = parseFloat(position.currentLiquidity);
+    const totalLiq = parseFloat(totalLiquidityInStakingContract.toString());
+    const userLiq = Object.values(stakingPositionData)
+        .reduce((sum, staked) => sum + parseFloat(staked.currentLiquidity), 0);
+
+    const share = totalLiq > 0 ? positionLiq / totalLiq : 0;
+    const shareOfUser = userLiq > 0 ? positionLiq / userLiq : 0;
+    const now = Math.floor(Date.now() / 1000);
+
+    const rewards = stats.rewardAddressesStaking.map((address, i) => {
+        const decimals = stats.rewardtokenDecimals[i];
+        const ratePerSecond = parseFloat(ethers.utils.formatUnits(stats.rewardtokenRewardRate[i], decimals));
+        const owed = parseFloat(ethers.utils.formatUnits(stats.rewardsOwed[i], decimals));
+        const secondsLeft = Math.max(0, parseFloat(stats.rewardtokenPeriodEndsAt[i].toString()) - now);
+
+        return {
+            address,
+            symbol: stats.rewardtokenSymbols[i],
+            earned: owed * shareOfUser,
+            daily: projectReward(ratePerSecond, share, secondsLeft, REWARD_PROJECTION_HORIZONS.daily),
+            weekly: projectReward(ratePerSecond, share, secondsLeft, REWARD_PROJECTION_HORIZONS.weekly),
+            monthly: projectReward(ratePerSecond, share, secondsLeft, REWARD_PROJECTION_HORIZONS.monthly),
+            restOfPeriod: projectReward(ratePerSecond, share, secondsLeft, secondsLeft),
+            secondsLeft
+        };
+    }).filter(reward => reward.earned > 0 || reward.secondsLeft > 0);
+
+    return { share, rewards };
+}
+
+/**
+ * Formats a reward amount, dropping decimals for large amounts
+ * @param {number} amount - Amount in whole tokens
+ * @returns {string} Formatted amount
+ */
+function formatRewardAmount(amount) {
+    if (amount === 0) return '0';
+    if (amount > 50) return amount.toFixed(2);
+    return amount.toPrecision(4);
+}
+
+/**
+ * Formats the time left in a reward period against the period length
+ * @param {number} secondsLeft - Seconds until the period ends
+ * @returns {string} Time left text
+ */
+function formatPeriodLeft(secondsLeft) {
+    if (secondsLeft <= 0) return 'Period ended';
+    const daysLeft = (secondsLeft / SECONDS_PER_DAY).toFixed(1);
+    if (!Rewardduration) return `${daysLeft} days left`;
+    return `${daysLeft} of ${(Rewardduration / SECONDS_PER_DAY).toFixed(0)} days left`;
+}
+
+/**
+ * Renders the reward breakdown of every staked position
+ * @returns {void}
+ */
+export function updatePositionRewardsBreakdown() {
+    const container = document.getElementById('positionRewardsBreakdown');
+    if (!container) return;
+
+    const positions = Object.values(stakingPositionData);
+    if (!window.walletConnected || positions.length === 0) {
+        container.innerHTML = '<p style="color: #6c757d; font-style: italic;">No staked positions.</p>';
+        return;
+    }
+    if (!window.rewardStatsCache.data) {
+        container.innerHTML = '<p style="color: #6c757d; font-style: italic;">Loading reward stats...</p>';
+        return;
+    }
+
+    const rows = positions.map(position => {
+        const breakdown = getPositionRewardBreakdown(position);
+        const tokenId = position.id.split('_').pop();
+        if (!breakdown || breakdown.rewards.length === 0) {
+            return `
+                <tr>
+                    <td>#${tokenId}</td>
+                    <td>${breakdown ? (breakdown.share * 100).toFixed(4) : '0'}%</td>
+                    <td colspan="7" style="font-style: italic;">No active reward periods</td>
+                </tr>
+            `;
+        }
+        return breakdown.rewards.map((reward, i) => `
+            <tr>
+                ${i === 0 ? `<td rowspan="${breakdown.rewards.length}">#${tokenId}</td>
+                <td rowspan="${breakdown.rewards.length}">${(breakdown.share * 100).toFixed(4)}%</td>` : ''}
+                <td>${reward.symbol}</td>
+                <td>${formatRewardAmount(reward.earned)}</td>
+                <td>${formatRewardAmount(reward.daily)}</td>
+                <td>${formatRewardAmount(reward.weekly)}</td>
+                <td>${formatRewardAmount(reward.monthly)}</td>
+                <td>${formatRewardAmount(reward.restOfPeriod)}</td>
+                <td>${formatPeriodLeft(reward.secondsLeft)}</td>
+            </tr>
+        `).join('');
+    }).join('');
+
+    container.innerHTML = `
+        <div class="table-wrapper">
+            <table class="periods-table">
+                <thead>
+                    <tr>
+                        <th>ID</th>
+                        <th>Pool Share</th>
+                        <th>Token</th>
+                        <th>Earned (est.)</th>
+                        <th>Daily</th>
+                        <th>Weekly</th>
+                        <th>30 Days</th>
+                        <th>Rest of Period</th>
+                        <th>Period</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
 // ============================================================================
 // FETCH ALL UNISWAP FEES
 // ============================================================================
@@ -2262,7 +3069,18 @@ export async function fetchAllUniswapFees() {
             return { successCount: 0, failureCount: 0 };
         }
 
-        if (statusSpan) statusSpan.textContent = `Found ${stakedTokenIds.length} staked NFTs. Fetching fees...`;
+        // Show what the sweep will collect before sending it
+        let claimableText = '';
+        try {
+            const fees = await getStakedPositionFees(stakedTokenIds);
+            if (fees) claimableText = formatStakedFees(fees);
+        } catch (error) {
+            console.warn("Could not read staked fees:", error);
+        }
+
+        if (statusSpan) statusSpan.textContent = claimableText
+            ? `Found ${stakedTokenIds.length} staked NFTs with ${claimableText} claimable. Fetching fees...`
+            : `Found ${stakedTokenIds.length} staked NFTs. Fetching fees...`;
 
         // ABI for getUniswapALL function
         const getUniswapALLABI = [{
@@ -2284,6 +3102,12 @@ export async function fetchAllUniswapFees() {
             window.signer
         );
 
+        const populatedTx = await feeCollectorContract.populateTransaction.getUniswapALL(stakedTokenIds);
+        if (!(await preflightTransaction(populatedTx, { label: 'Fetch Uniswap Fees' }))) {
+            if (statusSpan) statusSpan.textContent = 'Fee collection would fail; see notification.';
+            return { successCount: 0, failureCount: 0 };
+        }
+
         showInfoNotification('Fetching Uniswap Fees', `Collecting fees from ${stakedTokenIds.length} staked NFT positions...`);
 
         // Call getUniswapALL with all staked token IDs
@@ -2315,7 +3139,8 @@ export async function fetchAllUniswapFees() {
             successCount = stakedTokenIds.length;
         }
 
-        const resultMessage = `✅ Fees collected! Success: ${successCount}, Failures: ${failureCount}`;
+        const resultMessage = `✅ Fees collected! Success: ${successCount}, Failures: ${failureCount}` +
+            (claimableText ? `<br>Claimed into staking rewards: ${claimableText}` : '');
         if (statusSpan) statusSpan.innerHTML = resultMessage;
 
         showSuccessNotification('Fees Collected!', `Successfully processed ${stakedTokenIds.length} NFT positions`, tx.hash);
@@ -0,0 +1,435 @@
+/**
+ * @module swap-history
+ * @description "My Swaps" history built from on-chain Swap logs
+ *
+ * Handles:
+ * - Scanning PoolManager Swap events from the swapper contract and the Universal
+ *   Router (Permit2 and exact-output swaps) in block chunks
+ * - Keeping swaps whose transaction was sent by the connected wallet
+ * - Incremental localStorage cache per wallet (only new blocks are scanned)
+ * - Rendering pair, amounts, effective price, fees and tx link
+ * - CSV export
+ */
+
+// Import dependencies
+import {
+    contractAddress_Swapper,
+    universalRouterAddress,
+    tokenAddresses,
+    swapPools
+} from './config.js';
+import { CONFIG } from './settings.js';
+import { tokenAddressesDecimals } from './utils.js';
+import { showErrorNotification, showInfoNotification } from './ui.js';
+import {
+    CONFIG2,
+    calculateBlockRanges,
+    getLogs,
+    retryWithBackoff,
+    saveDataLocally,
+    loadDataLocally,
+    sleep
+} from './data-loader.js';
+import { getPoolId } from './quoter.js';
+import { getPoolKey } from './swaps.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Blocks per getLogs call; a failing chunk is retried in CONFIG2.BLOCK_RANGE_SIZE pieces
+const SWAP_HISTORY_RANGE_SIZE = 10000;
+
+// Save scan progress to localStorage every this many chunks
+const SWAP_HISTORY_SAVE_INTERVAL = 20;
+
+// Fees are expressed in hundredths of a bip (1,000,000 = 100%)
+const FEE_DENOMINATOR = 1000000;
+
+const SWAP_HISTORY_STORAGE_PREFIX = 'swapHistory_';
+
+// Bumped when the scanned senders change; older caches are rescanned from the start
+const SWAP_HISTORY_VERSION = 2;
+const TX_EXPLORER_URL = 'https://basescan.org/tx/';
+
+// ============================================
+// STATE VARIABLES
+// ============================================
+
+let isScanningSwapHistory = false;
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Gets the localStorage key for a wallet's swap history
+ * @param {string} address - Wallet address
+ * @returns {string} Storage key
+ */
+function getStorageKey(address) {
+    return SWAP_HISTORY_STORAGE_PREFIX + address.toLowerCase();
+}
+
+/**
+ * Maps lowercase token addresses to symbols
+ * @returns {Object} Address → symbol
+ */
+function getSymbolsByAddress() {
+    const symbols = {};
+    for (const [symbol, address] of Object.entries(tokenAddresses)) {
+        symbols[address.toLowerCase()] = symbol;
+    }
+    return symbols;
+}
+
+/**
+ * Maps pool ids of the configured swap pools to their token symbols
+ * @returns {Object} poolId → { symbol0, symbol1 }
+ */
+function getSwapPoolsById() {
+    const symbols = getSymbolsByAddress();
+    const pools = {};
+    for (const pool of swapPools) {
+        const poolKey = getPoolKey(pool);
+        pools[getPoolId(poolKey).toLowerCase()] = {
+            symbol0: symbols[poolKey.currency0.toLowerCase()],
+            symbol1: symbols[poolKey.currency1.toLowerCase()]
+        };
+    }
+    return pools;
+}
+
+/**
+ * Formats a token amount for display and storage
+ * @param {BigNumber} amount - Raw amount
+ * @param {string} symbol - Token symbol
+ * @returns {string} Decimal string
+ */
+function formatTokenAmount(amount, symbol) {
+    return ethers.utils.formatUnits(amount, parseInt(tokenAddressesDecimals[symbol] || '18', 10));
+}
+
+/**
+ * Updates the swap history status line
+ * @param {string} message - Status text (HTML)
+ * @returns {void}
+ */
+function setSwapHistoryStatus(message) {
+    const status = document.getElementById('swapHistoryStatus');
+    if (status) status.innerHTML = message;
+}
+
+// ============================================
+// LOG DECODING
+// ============================================
+
+/**
+ * Builds a swap record from the Swap logs of one transaction
+ * Swap amounts are deltas from the router's side: negative is paid into a
+ * pool, positive is received. Intermediate tokens of multi-hop routes net out.
+ * @param {Array} logs - Swap logs of the transaction
+ * @param {Object} receipt - Transaction receipt
+ * @param {number} timestamp - Block timestamp in seconds
+ * @param {Object} poolsById - From getSwapPoolsById
+ * @returns {Object|null} Swap record, or null if the logs can't be attributed
+ */
+function decodeSwapTransaction(logs, receipt, timestamp, poolsById) {
+    const deltas = {};
+    const poolFees = {};
+    const add = (totals, symbol, amount) => {
+        totals[symbol] = (totals[symbol] || ethers.BigNumber.from(0)).add(amount);
+    };
+
+    for (const log of logs) {
+        const pool = poolsById[log.topics[1].toLowerCase()];
+        if (!pool) continue;
+
+        const [amount0, amount1, , , , fee] = ethers.utils.defaultAbiCoder.decode(
+            ['int128', 'int128', 'uint160', 'uint128', 'int24', 'uint24'],
+            log.data
+        );
+        add(deltas, pool.symbol0, amount0);
+        add(deltas, pool.symbol1, amount1);
+
+        // The LP fee is taken from the input side of each hop
+        const [inputSymbol, inputAmount] = amount0.lt(0) ? [pool.symbol0, amount0.abs()] : [pool.symbol1, amount1.abs()];
+        add(poolFees, inputSymbol, inputAmount.mul(fee).div(FEE_DENOMINATOR));
+    }
+
+    const symbols = Object.keys(deltas);
+    if (symbols.length === 0) return null;
+
+    const tokenIn = symbols.reduce((a, b) => deltas[b].lt(deltas[a]) ? b : a);
+    const tokenOut = symbols.reduce((a, b) => deltas[b].gt(deltas[a]) ? b : a);
+    if (!deltas[tokenIn].lt(0) || !deltas[tokenOut].gt(0)) return null;
+
+    const amountIn = formatTokenAmount(deltas[tokenIn].abs(), tokenIn);
+    const amountOut = formatTokenAmount(deltas[tokenOut], tokenOut);
+
+    const formattedFees = {};
+    for (const [symbol, amount] of Object.entries(poolFees)) {
+        formattedFees[symbol] = formatTokenAmount(amount, symbol);
+    }
+
+    return {
+        txHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        timestamp,
+        tokenIn,
+        tokenOut,
+        amountIn,
+        amountOut,
+        effectivePrice: parseFloat(amountOut) / parseFloat(amountIn),
+        poolFees: formattedFees,
+        gasFeeETH: ethers.utils.formatEther(receipt.gasUsed.mul(receipt.effectiveGasPrice))
+    };
+}
+
+// ============================================
+// SCANNING
+// ============================================
+
+/**
+ * Fetches router Swap logs for a block range, splitting it if the RPC rejects the size
+ * @async
+ * @param {Provider} provider - Ethers provider
+ * @param {number} start - First block
+ * @param {number} end - Last block
+ * @param {Array} topics - Log topic filter
+ * @returns {Promise<Array>} Logs found
+ */
+async function getSwapLogs(provider, start, end, topics) {
+    try {
+        return await getLogs(provider, start, end, topics, CONFIG2.POOL_MANAGER_ADDRESS);
+    } catch (error) {
+        console.log(`Swap log range ${start}-${end} failed, retrying in smaller chunks`);
+        const logs = [];
+        for (const range of calculateBlockRanges(start, end)) {
+            logs.push(...await retryWithBackoff(getLogs, provider, range.start, range.end, topics, CONFIG2.POOL_MANAGER_ADDRESS));
+        }
+        return logs;
+    }
+}
+
+/**
+ * Scans new blocks for swaps by the connected wallet and refreshes the panel
+ * Swap logs only name the router as sender, so each candidate transaction is
+ * kept only if its receipt shows the wallet sent it. Progress is cached per
+ * wallet, so only blocks after the last scan are read.
+ * @async
+ * @returns {Promise<Array>} All known swaps, newest first
+ */
+export async function loadSwapHistory() {
+    const userAddress = window.userAddress;
+    if (!userAddress) {
+        setSwapHistoryStatus('Connect your wallet to see your swaps.');
+        return [];
+    }
+    if (isScanningSwapHistory) {
+        console.log("Swap history scan already running");
+        return getCachedSwapHistory();
+    }
+
+    isScanningSwapHistory = true;
+    const storageKey = getStorageKey(userAddress);
+    const startBlock = (CONFIG.START_BLOCK || 35937447) - 1;
+    const history = loadDataLocally(storageKey) || {
+        lastScannedBlock: startBlock,
+        swaps: []
+    };
+    if (history.version !== SWAP_HISTORY_VERSION) {
+        // Caches from before Universal Router swaps were scanned; known swaps are kept
+        history.version = SWAP_HISTORY_VERSION;
+        history.lastScannedBlock = startBlock;
+    }
+    renderSwapHistory(history.swaps);
+
+    try {
+        const provider = new ethers.providers.JsonRpcProvider(CONFIG2.RPC_URL);
+        const latestBlock = await provider.getBlockNumber();
+        const poolsById = getSwapPoolsById();
+        const knownTxs = new Set(history.swaps.map(swap => swap.txHash));
+        const topics = [
+            CONFIG2.SWAP_TOPIC,
+            Object.keys(poolsById),
+            [contractAddress_Swapper, universalRouterAddress].map(address => ethers.utils.hexZeroPad(address, 32).toLowerCase())
+        ];
+
+        const ranges = calculateBlockRanges(history.lastScannedBlock + 1, latestBlock, SWAP_HISTORY_RANGE_SIZE);
+        console.log(`Scanning ${ranges.length} block ranges for swaps by ${userAddress}`);
+
+        for (let i = 0; i < ranges.length; i++) {
+            const { start, end } = ranges[i];
+            setSwapHistoryStatus(`Scanning blocks ${start} to ${end} (${i + 1}/${ranges.length})...`);
+
+            const logs = await retryWithBackoff(getSwapLogs, provider, start, end, topics);
+            await sleep(100);
+
+            const logsByTx = {};
+            for (const log of logs) {
+                if (knownTxs.has(log.transactionHash)) continue;
+                (logsByTx[log.transactionHash] ||= []).push(log);
+            }
+
+            let found = false;
+            for (const [txHash, txLogs] of Object.entries(logsByTx)) {
+                const receipt = await retryWithBackoff(() => provider.getTransactionReceipt(txHash));
+                if (!receipt || receipt.from.toLowerCase() !== userAddress.toLowerCase()) continue;
+
+                const block = await retryWithBackoff(() => provider.getBlock(receipt.blockNumber));
+                const swap = decodeSwapTransaction(txLogs, receipt, block.timestamp, poolsById);
+                if (!swap) continue;
+
+                history.swaps.push(swap);
+                knownTxs.add(txHash);
+                found = true;
+            }
+
+            history.lastScannedBlock = end;
+            if (found || i % SWAP_HISTORY_SAVE_INTERVAL === 0 || i === ranges.length - 1) {
+                history.swaps.sort((a, b) => b.blockNumber - a.blockNumber);
+                saveDataLocally(storageKey, history);
+            }
+            if (found) renderSwapHistory(history.swaps);
+        }
+
+        setSwapHistoryStatus(`Up to date as of block ${history.lastScannedBlock}.`);
+    } catch (error) {
+        console.error("Error loading swap history:", error);
+        saveDataLocally(storageKey, history);
+        setSwapHistoryStatus(`Scan stopped at block ${history.lastScannedBlock}. Refresh to resume.`);
+        showErrorNotification('Swap History', 'Could not finish scanning for swaps');
+    } finally {
+        isScanningSwapHistory = false;
+    }
+
+    renderSwapHistory(history.swaps);
+    return history.swaps;
+}
+
+/**
+ * Gets the cached swaps of the connected wallet without scanning
+ * @returns {Array} Cached swaps, newest first
+ */
+export function getCachedSwapHistory() {
+    if (!window.userAddress) return [];
+    return loadDataLocally(getStorageKey(window.userAddress))?.swaps || [];
+}
+
+/**
+ * Picks up a just-confirmed swap in the history panel
+ * Only rescans wallets that have been scanned before, so the first full scan
+ * always starts from the panel.
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function refreshSwapHistoryAfterSwap() {
+    if (!window.userAddress || !loadDataLocally(getStorageKey(window.userAddress))) return;
+    await loadSwapHistory();
+}
+
+// ============================================
+// DISPLAY
+// ============================================
+
+/**
+ * Formats pool fees paid as "amount SYMBOL" pairs
+ * @param {Object} poolFees - Symbol → decimal string
+ * @returns {string} Formatted fees
+ */
+function formatPoolFees(poolFees) {
+    return Object.entries(poolFees)
+        .map(([symbol, amount]) => `${parseFloat(amount).toFixed(6)} ${symbol}`)
+        .join(' + ');
+}
+
+/**
+ * Renders the swap history table
+ * @param {Array} swaps - Swaps, newest first
+ * @returns {void}
+ */
+export function renderSwapHistory(swaps) {
+    const container = document.getElementById('swapHistoryTable');
+    if (!container) return;
+
+    if (swaps.length === 0) {
+        container.innerHTML = '<p style="color: #6c757d; font-style: italic;">No swaps found for this wallet.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="table-wrapper">
+            <table class="periods-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Pair</th>
+                        <th>Sent</th>
+                        <th>Received</th>
+                        <th>Effective Price</th>
+                        <th>Fees Paid</th>
+                        <th>Tx</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${swaps.map(swap => `
+                        <tr>
+                            <td>${new Date(swap.timestamp * 1000).toLocaleString()}</td>
+                            <td>${swap.tokenIn} → ${swap.tokenOut}</td>
+                            <td>${parseFloat(swap.amountIn).toFixed(6)} ${swap.tokenIn}</td>
+                            <td>${parseFloat(swap.amountOut).toFixed(6)} ${swap.tokenOut}</td>
+                            <td>${swap.effectivePrice.toPrecision(6)} ${swap.tokenOut}/${swap.tokenIn}</td>
+                            <td>${formatPoolFees(swap.poolFees)}<br>
+                                <span style="font-size: 0.85em;">Gas: ${parseFloat(swap.gasFeeETH).toFixed(8)} ETH</span></td>
+                            <td><a href="${TX_EXPLORER_URL}${swap.txHash}" target="_blank">${swap.txHash.slice(0, 10)}...</a></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// ============================================
+// CSV EXPORT
+// ============================================
+
+/**
+ * Downloads the cached swap history of the connected wallet as CSV
+ * @returns {void}
+ */
+export function exportSwapHistoryCSV() {
+    const swaps = getCachedSwapHistory();
+    if (swaps.length === 0) {
+        showInfoNotification('Nothing to export', 'Load your swap history first');
+        return;
+    }
+
+    const header = ['Date (UTC)', 'Block', 'Tx Hash', 'Token In', 'Amount In', 'Token Out', 'Amount Out',
+        'Effective Price (Out/In)', 'Pool Fees', 'Gas Fee (ETH)'];
+    const rows = swaps.map(swap => [
+        new Date(swap.timestamp * 1000).toISOString(),
+        swap.blockNumber,
+        swap.txHash,
+        swap.tokenIn,
+        swap.amountIn,
+        swap.tokenOut,
+        swap.amountOut,
+        swap.effectivePrice,
+        Object.entries(swap.poolFees).map(([symbol, amount]) => `${amount} ${symbol}`).join(' + '),
+        swap.gasFeeETH
+    ]);
+
+    const csv = [header, ...rows]
+        .map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    link.download = `swap-history-${window.userAddress.slice(0, 8)}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
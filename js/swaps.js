@@ -4,10 +4,14 @@
  *
  * Handles:
  * - Token swap estimation
- * - Route discovery (single-hop and multi-hop)
+ * - Route discovery over the configured pool graph
  * - Swap execution
- * - Slippage protection
- * - Multi-route optimization
+ * - Slippage protection (manual or auto), swap deadlines and private RPC submission
+ *   (deadlines are enforced on-chain only for Universal Router swaps)
+ * - Permit2 signature swaps through the Universal Router (no separate approval)
+ * - Exact-output swaps through the Universal Router, bounded by a maximum input
+ * - Multi-route optimization (split search via the local quoter)
+ * - Price impact breakdown per hop and per split leg
  */
 
 // Import dependencies
@@ -15,18 +19,32 @@ import {
     contractAddress_Swapper,
     tokenAddresses,
     MULTICALL_ADDRESS,
-    hookAddress
+    hookAddress,
+    swapPools,
+    MAX_ROUTE_HOPS,
+    tokenAddressesETH,
+    permit2Address,
+    universalRouterAddress,
+    uniswapV2RouterETH,
+    wethAddressETH
 } from './config.js';
 import {
-    customRPC
+    customRPC,
+    customDataSource,
+    customBACKUPDataSource,
+    priceImpactThresholds,
+    localQuoteVerification,
+    swapTransactionSettings,
+    customRPC_ETH
 } from './settings.js';
 
 import {
     showSuccessNotification,
     showErrorNotification,
-    showInfoNotification
+    showInfoNotification,
+    showWarningNotification
 } from './ui.js';
-import { SPLIT_ROUTE_ABI, MULTICALL_ABI2 } from './abis.js';
+import { SPLIT_ROUTE_ABI, MULTICALL_ABI2, POOL_PRICE_ABI, HOOK_FEE_ABI } from './abis.js';
 import {
     getSymbolFromAddress,
     formatBalance,
@@ -35,9 +53,21 @@ import {
 } from './utils.js';
 import {
     checkAllowance,
-    approveToken
+    checkAllowance2,
+    approveIfNeeded,
+    preflightTransaction,
+    getValueUSD,
+    getReadProvider
 } from './contracts.js';
-import { switchToBase } from './wallet.js';
+import { switchToBase, providerETH } from './wallet.js';
+import { fetchPriceData } from './charts.js';
+import { refreshSwapHistoryAfterSwap } from './swap-history.js';
+import {
+    loadRoutePoolStates,
+    optimizeSplitLocally,
+    compareLocalQuotes,
+    clearPoolStateCache
+} from './quoter.js';
 // ============================================
 // STATE VARIABLES
 // ============================================
@@ -50,6 +80,29 @@ export let wethPriceUSD = 0;
 // Batch size for route optimization
 const batchSizeRoutestwo = 110;
 
+// Swap mode: 'exactIn' quotes the output for a given input,
+// 'exactOut' searches for the input needed to receive a given output
+export let swapMode = 'exactIn';
+
+// Exact-output search limits
+const EXACT_OUTPUT_MAX_ITERATIONS = 12;
+const EXACT_OUTPUT_TOLERANCE_BPS = 5;   // Stop once the quote overshoots the target by <= 0.05%
+const EXACT_OUTPUT_OVERSHOOT_BPS = 100; // Pad guesses by 1% until one reaches the target
+
+// Hook fees are expressed in hundredths of a bip (1,000,000 = 100%)
+const HOOK_FEE_DENOMINATOR = 1000000;
+
+// Auto slippage: two standard deviations of price movement over the horizon,
+// plus a share of the quote's price impact, clamped to the bounds below
+const AUTO_SLIPPAGE_MIN = 0.001;            // 0.1%
+const AUTO_SLIPPAGE_MAX = 0.03;             // 3%
+const AUTO_SLIPPAGE_FALLBACK = 0.005;       // Used before an estimate has computed auto slippage
+const AUTO_SLIPPAGE_HORIZON_SECONDS = 60;
+const AUTO_SLIPPAGE_IMPACT_SHARE = 0.1;
+const VOLATILITY_SAMPLES = 48;              // Most recent price points used for volatility
+const VOLATILITY_CACHE_MS = 10 * 60 * 1000;
+let volatilityCache = null;                 // { perSqrtSecond, loadedAt }
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -186,44 +239,90 @@ function enableButton(ID, originalText = null) {
 }
 
 /**
- * Approve token if needed
- * @param {string} tokenToApprove - Token address
- * @param {string} spenderAddress - Spender address
- * @param {BigNumber} requiredAmount - Amount to approve
+ * Get decimals for a token symbol
+ * @param {string} token - Token symbol
+ * @returns {number} Token decimals (18 if unknown)
  */
-async function approveIfNeeded(tokenToApprove, spenderAddress, requiredAmount) {
-    try {
-        const allowanceSufficient = await checkAllowance(tokenToApprove, spenderAddress, requiredAmount);
+export function getTokenDecimals(token) {
+    return parseInt(tokenAddressesDecimals[token] || '18', 10);
+}
 
-        if (allowanceSufficient) {
-            console.log("Approval not needed - sufficient allowance exists");
-            return true;
-        }
+/**
+ * Reads the selected slippage tolerance from the swap tab
+ * In auto mode this is the tolerance computed for the estimate.
+ * @param {Object} estimate - Estimate the slippage applies to
+ * @returns {number} Slippage as a decimal (e.g. 0.005 for 0.5%)
+ */
+function getSelectedSlippage(estimate = window.lastEstimate) {
+    const selectSlippage = document.getElementById('slippageToleranceSwap');
+    if (selectSlippage.value === 'Auto') {
+        return estimate?.autoSlippage ?? AUTO_SLIPPAGE_FALLBACK;
+    }
+    return parseFloat(selectSlippage.value.replace('%', '')) / 100;
+}
 
-        showInfoNotification('Approve Token', 'Requesting approval for unlimited amount to avoid future approvals...');
+/**
+ * Estimates recent price volatility from the price history data source
+ * Variance is accumulated per second so uneven sample spacing is handled.
+ * @async
+ * @returns {Promise<number>} Standard deviation of log returns per sqrt(second)
+ */
+async function getRecentVolatility() {
+    if (volatilityCache && Date.now() - volatilityCache.loadedAt < VOLATILITY_CACHE_MS) {
+        return volatilityCache.perSqrtSecond;
+    }
 
-        const txResponse = await approveToken(tokenToApprove, spenderAddress, ethers.constants.MaxUint256);
+    const { prices, timestamps } = await fetchPriceData(customDataSource, customBACKUPDataSource);
+    const count = Math.min(prices.length, timestamps.length);
 
-        let txReceipt;
-        if (txResponse.wait) {
-            txReceipt = await txResponse.wait();
-        } else {
-            txReceipt = txResponse;
-        }
+    let sumSquaredReturns = 0;
+    let elapsedSeconds = 0;
+    for (let i = Math.max(1, count - VOLATILITY_SAMPLES); i < count; i++) {
+        const previousPrice = Number(prices[i - 1]);
+        const price = Number(prices[i]);
+        const interval = Number(timestamps[i]) - Number(timestamps[i - 1]);
+        if (!(previousPrice > 0 && price > 0 && interval > 0)) continue;
 
-        showSuccessNotification(
-            'Approved Tokens!',
-            'Tokens have been approved on the contract successfully',
-            txReceipt.transactionHash
-        );
+        sumSquaredReturns += Math.log(price / previousPrice) ** 2;
+        elapsedSeconds += interval;
+    }
 
-        return txReceipt;
+    const perSqrtSecond = elapsedSeconds > 0 ? Math.sqrt(sumSquaredReturns / elapsedSeconds) : 0;
+    volatilityCache = { perSqrtSecond, loadedAt: Date.now() };
+    return perSqrtSecond;
+}
 
+/**
+ * Derives a slippage tolerance from recent volatility and the quote's price impact
+ * @async
+ * @param {number} priceImpact - Price impact percentage of the quote
+ * @returns {Promise<number>} Slippage as a decimal, rounded up to 0.01%
+ */
+async function getAutoSlippage(priceImpact) {
+    let volatility = 0;
+    try {
+        volatility = await getRecentVolatility();
     } catch (error) {
-        console.error("Approve if needed failed:", error);
-        alert(`Approval process failed: ${error.message}`);
-        return false;
+        console.warn("Could not load price history for auto slippage:", error);
     }
+
+    const expectedMovement = 2 * volatility * Math.sqrt(AUTO_SLIPPAGE_HORIZON_SECONDS);
+    const impactBuffer = (priceImpact / 100) * AUTO_SLIPPAGE_IMPACT_SHARE;
+    const slippage = Math.min(AUTO_SLIPPAGE_MAX, Math.max(AUTO_SLIPPAGE_MIN, expectedMovement + impactBuffer));
+
+    return Math.ceil(slippage * 10000) / 10000;
+}
+
+/**
+ * Applies a slippage tolerance as an upper bound on the amount spent
+ * @param {BigNumber} amountIn - Quoted input amount
+ * @param {number} decimalValueSlippage - Slippage as a decimal
+ * @returns {BigNumber} Maximum input amount
+ */
+function getMaxAmountIn(amountIn, decimalValueSlippage) {
+    return amountIn
+        .mul(Math.floor((1 + decimalValueSlippage) * 10000))
+        .div(10000);
 }
 
 /**
@@ -292,236 +391,172 @@ async function throttledGetSqrtRtAndPriceRatio(NameOfFunction = "General") {
 // ============================================
 
 /**
- * Finds all possible routes between two tokens
- * @param {string} fromToken - Source token symbol
- * @param {string} toToken - Destination token symbol
- * @returns {Array} Array of possible routes
+ * Builds the Uniswap V4 pool key for a configured swap pool
+ * @param {Object} pool - Entry from swapPools
+ * @returns {Object} PoolKey struct with sorted currencies
  */
-export function findAllRoutes(fromToken, toToken) {
-    fromToken = fromToken.trim();
-    toToken = toToken.trim();
-
-    console.log(`Finding routes from ${fromToken} to ${toToken}`);
+export function getPoolKey(pool) {
+    const addrA = tokenAddresses[pool.currencies[0]];
+    const addrB = tokenAddresses[pool.currencies[1]];
+    const [currency0, currency1] = addrA.toLowerCase() < addrB.toLowerCase() ?
+        [addrA, addrB] :
+        [addrB, addrA];
 
-    const routes = [];
-
-    const getAddress = (token) => {
-        if (token === "ETH") return "0x0000000000000000000000000000000000000000";
-        return tokenAddresses[token];
+    return {
+        currency0,
+        currency1,
+        fee: pool.fee,
+        tickSpacing: pool.tickSpacing,
+        hooks: pool.hooks
     };
+}
 
-    // Single-hop routes
-    const singleHopRoutes = [
-        { from: "ETH", to: "0xBTC" },
-        { from: "0xBTC", to: "ETH" },
-        { from: "0xBTC", to: "B0x" },
-        { from: "B0x", to: "0xBTC" },
-        { from: "ETH", to: "B0x" },
-        { from: "B0x", to: "ETH" }
-    ];
+/**
+ * Builds an adjacency list of tokens connected by a pool
+ * @param {Array} pools - Pool list (defaults to swapPools from config)
+ * @returns {Map<string, Array<{token: string, pool: Object}>>} Token symbol → neighbours
+ */
+export function buildPoolGraph(pools = swapPools) {
+    const graph = new Map();
 
-    for (const route of singleHopRoutes) {
-        if (route.from === fromToken && route.to === toToken) {
-            const addr1 = getAddress(route.from);
-            const addr2 = getAddress(route.to);
+    const addEdge = (from, to, pool) => {
+        if (!graph.has(from)) graph.set(from, []);
+        graph.get(from).push({ token: to, pool });
+    };
 
-            routes.push({
-                name: `${route.from} → ${route.to} (Direct)`,
-                type: 'single',
-                isSingleHop: true,
-                tokenA: addr1,
-                tokenB: addr2,
-                pool1TokenA: addr1,
-                pool1TokenB: addr2,
-                pool2TokenA: "0x0000000000000000000000000000000000000000",
-                pool2TokenB: "0x0000000000000000000000000000000000000000",
-                hookAddress: hookAddress,
-                hook2Address: hookAddress
-            });
+    for (const pool of pools) {
+        const [tokenA, tokenB] = pool.currencies;
+        if (!tokenAddresses[tokenA] || !tokenAddresses[tokenB]) {
+            console.warn(`Skipping pool ${tokenA}/${tokenB}: unknown token`);
+            continue;
         }
+        addEdge(tokenA, tokenB, pool);
+        addEdge(tokenB, tokenA, pool);
     }
 
-    // Multi-hop routes
-    const multiHopRoutes = [
-        {
-            from: "ETH",
-            to: "B0x",
-            via: "0xBTC",
-            pool1: ["ETH", "0xBTC"],
-            pool2: ["0xBTC", "B0x"]
-        },
-        {
-            from: "B0x",
-            to: "ETH",
-            via: "0xBTC",
-            pool1: ["B0x", "0xBTC"],
-            pool2: ["0xBTC", "ETH"]
-        }
-    ];
+    return graph;
+}
 
-    for (const route of multiHopRoutes) {
-        if (route.from === fromToken && route.to === toToken) {
-            routes.push({
-                name: `${route.from} → ${route.via} → ${route.to}`,
-                type: 'multi',
-                isSingleHop: false,
-                tokenA: getAddress(route.pool1[0]),
-                tokenB: getAddress(route.pool1[1]),
-                tokenC: getAddress(route.pool2[0]),
-                tokenD: getAddress(route.pool2[1]),
-                pool1TokenA: getAddress(route.pool1[0]),
-                pool1TokenB: getAddress(route.pool1[1]),
-                pool2TokenA: getAddress(route.pool2[0]),
-                pool2TokenB: getAddress(route.pool2[1]),
-                hookAddress: hookAddress,
-                hook2Address: hookAddress
-            });
+/**
+ * Finds every simple path between two tokens in the pool graph
+ * Paths never revisit a token, and are returned shortest first
+ * @param {string} fromToken - Source token symbol
+ * @param {string} toToken - Destination token symbol
+ * @param {number} maxHops - Maximum number of pools in a path
+ * @param {Map} graph - Pool graph from buildPoolGraph
+ * @returns {Array<{tokens: string[], pools: Object[]}>} Paths found
+ */
+export function findPoolPaths(fromToken, toToken, maxHops = MAX_ROUTE_HOPS, graph = buildPoolGraph()) {
+    const paths = [];
+
+    function walk(token, tokens, pools) {
+        if (token === toToken && pools.length > 0) {
+            paths.push({ tokens: [...tokens], pools: [...pools] });
+            return;
+        }
+        if (pools.length >= maxHops) return;
+
+        for (const edge of graph.get(token) || []) {
+            if (tokens.includes(edge.token)) continue;
+            tokens.push(edge.token);
+            pools.push(edge.pool);
+            walk(edge.token, tokens, pools);
+            tokens.pop();
+            pools.pop();
         }
     }
 
-    console.log(`Found ${routes.length} routes:`, routes.map(r => r.name));
-    return routes;
+    if (fromToken !== toToken) {
+        walk(fromToken, [fromToken], []);
+    }
+
+    return paths.sort((a, b) => a.pools.length - b.pools.length);
 }
 
 /**
- * Gets all possible routes including intermediate tokens
- * @param {string} fromToken - Source token
- * @param {string} toToken - Destination token
- * @returns {Array} All possible route combinations
+ * Converts a pool path into the route object used by the swapper contract
+ * @param {Object} path - Path from findPoolPaths
+ * @returns {Object} Route object
  */
-export function getAllPossibleRoutes(fromToken, toToken) {
-    const routes = [];
-    const oxbtc = tokenAddresses["0xBTC"];
-    const box = tokenAddresses["B0x"];
-    const eth = tokenAddresses["ETH"];
-
-    console.log("hookAddress: ", hookAddress);
-
-    // Direct routes
-    if (fromToken === "0xBTC" && toToken === "B0x" ||
-        fromToken === "B0x" && toToken === "0xBTC") {
-        routes.push({
-            name: `${fromToken} → ${toToken} (direct)`,
-            isSingleHop: true,
-            tokenA: fromToken === "0xBTC" ? oxbtc : box,
-            tokenB: fromToken === "0xBTC" ? box : oxbtc,
-            tokenC: ethers.constants.AddressZero,
-            tokenD: ethers.constants.AddressZero,
-            hookAddress: hookAddress,
-            hookAddress2: hookAddress
-        });
-    }
+function pathToRoute(path) {
+    const { tokens, pools } = path;
+    const getAddress = (token) => tokenAddresses[token];
+    const AddressZero = ethers.constants.AddressZero;
 
-    if (fromToken === "B0x" && toToken === "ETH" ||
-        fromToken === "ETH" && toToken === "B0x") {
-        routes.push({
-            name: `${fromToken} → ${toToken} (direct)`,
-            isSingleHop: true,
-            tokenA: fromToken === "B0x" ? box : eth,
-            tokenB: fromToken === "B0x" ? eth : box,
-            tokenC: ethers.constants.AddressZero,
-            tokenD: ethers.constants.AddressZero,
-            hookAddress: hookAddress,
-            hookAddress2: hookAddress
-        });
-    }
+    if (pools.length === 1) {
+        const addr1 = getAddress(tokens[0]);
+        const addr2 = getAddress(tokens[1]);
 
-    if (fromToken === "0xBTC" && toToken === "ETH" ||
-        fromToken === "ETH" && toToken === "0xBTC") {
-        routes.push({
-            name: `${fromToken} → ${toToken} (direct)`,
+        return {
+            name: `${tokens[0]} → ${tokens[1]} (Direct)`,
+            type: 'single',
             isSingleHop: true,
-            tokenA: fromToken === "0xBTC" ? oxbtc : eth,
-            tokenB: fromToken === "0xBTC" ? eth : oxbtc,
-            tokenC: ethers.constants.AddressZero,
-            tokenD: ethers.constants.AddressZero,
-            hookAddress: hookAddress,
-            hookAddress2: hookAddress
-        });
-    }
-
-    // Multi-hop routes
-    if (fromToken === "0xBTC" && toToken === "ETH") {
-        routes.push({
-            name: "0xBTC → B0x → ETH",
-            isSingleHop: false,
-            tokenA: oxbtc,
-            tokenB: box,
-            tokenC: box,
-            tokenD: eth,
-            hookAddress: hookAddress,
-            hookAddress2: hookAddress
-        });
-    }
-
-    if (fromToken === "ETH" && toToken === "0xBTC") {
-        routes.push({
-            name: "ETH → B0x → 0xBTC",
-            isSingleHop: false,
-            tokenA: eth,
-            tokenB: box,
-            tokenC: box,
-            tokenD: oxbtc,
-            hookAddress: hookAddress,
-            hookAddress2: hookAddress
-        });
+            path: tokens,
+            poolKeys: [getPoolKey(pools[0])],
+            tokenA: addr1,
+            tokenB: addr2,
+            tokenC: AddressZero,
+            tokenD: AddressZero,
+            pool1TokenA: addr1,
+            pool1TokenB: addr2,
+            pool2TokenA: AddressZero,
+            pool2TokenB: AddressZero,
+            hookAddress: pools[0].hooks,
+            hookAddress2: pools[0].hooks,
+            hook1Address: pools[0].hooks,
+            hook2Address: pools[0].hooks
+        };
     }
 
-    if (fromToken === "B0x" && toToken === "ETH") {
-        routes.push({
-            name: "B0x → 0xBTC → ETH",
-            isSingleHop: false,
-            tokenA: box,
-            tokenB: oxbtc,
-            tokenC: oxbtc,
-            tokenD: eth,
-            hookAddress: hookAddress,
-            hookAddress2: hookAddress
-        });
-    }
+    return {
+        name: tokens.join(' → '),
+        type: 'multi',
+        isSingleHop: false,
+        path: tokens,
+        poolKeys: pools.map(getPoolKey),
+        tokenA: getAddress(tokens[0]),
+        tokenB: getAddress(tokens[1]),
+        tokenC: getAddress(tokens[1]),
+        tokenD: getAddress(tokens[2]),
+        pool1TokenA: getAddress(tokens[0]),
+        pool1TokenB: getAddress(tokens[1]),
+        pool2TokenA: getAddress(tokens[1]),
+        pool2TokenB: getAddress(tokens[2]),
+        hookAddress: pools[0].hooks,
+        hookAddress2: pools[1].hooks,
+        hook1Address: pools[0].hooks,
+        hook2Address: pools[1].hooks
+    };
+}
 
-    if (fromToken === "ETH" && toToken === "B0x") {
-        routes.push({
-            name: "ETH → 0xBTC → B0x",
-            isSingleHop: false,
-            tokenA: eth,
-            tokenB: oxbtc,
-            tokenC: oxbtc,
-            tokenD: box,
-            hookAddress: hookAddress,
-            hookAddress2: hookAddress
-        });
-    }
+/**
+ * Finds all possible routes between two tokens
+ * @param {string} fromToken - Source token symbol
+ * @param {string} toToken - Destination token symbol
+ * @returns {Array} Array of possible routes
+ */
+export function findAllRoutes(fromToken, toToken) {
+    fromToken = fromToken.trim();
+    toToken = toToken.trim();
 
-    if (fromToken === "0xBTC" && toToken === "B0x") {
-        routes.push({
-            name: "0xBTC → ETH → B0x",
-            isSingleHop: false,
-            tokenA: oxbtc,
-            tokenB: eth,
-            tokenC: eth,
-            tokenD: box,
-            hookAddress: hookAddress,
-            hookAddress2: hookAddress
-        });
-    }
+    console.log(`Finding routes from ${fromToken} to ${toToken}`);
 
-    if (fromToken === "B0x" && toToken === "0xBTC") {
-        routes.push({
-            name: "B0x → ETH → 0xBTC",
-            isSingleHop: false,
-            tokenA: box,
-            tokenB: eth,
-            tokenC: eth,
-            tokenD: oxbtc,
-            hookAddress: hookAddress,
-            hookAddress2: hookAddress
-        });
-    }
+    const routes = findPoolPaths(fromToken, toToken).map(pathToRoute);
 
+    console.log(`Found ${routes.length} routes:`, routes.map(r => r.name));
     return routes;
 }
 
+/**
+ * Gets all possible routes including intermediate tokens
+ * @param {string} fromToken - Source token
+ * @param {string} toToken - Destination token
+ * @returns {Array} All possible route combinations
+ */
+export function getAllPossibleRoutes(fromToken, toToken) {
+    return findAllRoutes(fromToken, toToken);
+}
+
 // ============================================
 // ROUTE ESTIMATION
 // ============================================
@@ -848,6 +883,104 @@ async function getCombinedRouteEstimates(allRoutes, amountToSwap, fromToken, toT
     };
 }
 
+/**
+ * Get all route estimates and the best split using the local quoting engine
+ * Pool state is loaded once and the split is searched locally across up to four
+ * routes. One multicall then quotes every route and the chosen split legs
+ * on-chain, so displayed and executed amounts always come from the swapper.
+ * @param {Array} allRoutes - All possible routes
+ * @param {BigNumber} amountToSwap - Amount to swap
+ * @param {string} fromToken - Source token
+ * @param {string} toToken - Destination token
+ * @returns {Promise<{singleRouteEstimates: Array, multiRouteResult: Object, verification: Array|null}>}
+ */
+async function getLocallyOptimizedEstimates(allRoutes, amountToSwap, fromToken, toToken) {
+    const poolStates = await loadRoutePoolStates(allRoutes);
+    const localSplit = optimizeSplitLocally(allRoutes.slice(0, 4), amountToSwap, poolStates);
+
+    const contractInterface = new ethers.utils.Interface(SPLIT_ROUTE_ABI);
+    const multicallContract = new ethers.Contract(MULTICALL_ADDRESS, MULTICALL_ABI2, getReadProvider());
+
+    const tokenInAddress = tokenAddresses[fromToken];
+    const tokenOutAddress = tokenAddresses[toToken];
+
+    const singleRouteCalls = allRoutes.map(route => ({
+        target: contractAddress_Swapper,
+        allowFailure: true,
+        callData: buildRouteCall(route, amountToSwap, contractInterface, tokenInAddress, tokenOutAddress)
+    }));
+
+    const splitCalls = localSplit && localSplit.routes.length > 1 ?
+        localSplit.routes.map((route, i) => ({
+            target: contractAddress_Swapper,
+            allowFailure: true,
+            callData: buildRouteCall(route, localSplit.amounts[i], contractInterface, tokenInAddress, tokenOutAddress)
+        })) :
+        [];
+
+    console.log(`Confirming local split on-chain with ${singleRouteCalls.length + splitCalls.length} calls`);
+    const results = await multicallContract.callStatic.aggregate3([...singleRouteCalls, ...splitCalls]);
+
+    const decodeOutput = (route, result) => {
+        if (!result || !result.success) return null;
+        try {
+            return contractInterface.decodeFunctionResult(
+                route.isSingleHop ? "getOutput" : "getOutputMultiHop",
+                result.returnData
+            )[0];
+        } catch (error) {
+            console.error(`Failed to decode route ${route.name}:`, error);
+            return null;
+        }
+    };
+
+    const singleRouteEstimates = allRoutes.map((route, i) => {
+        const output = decodeOutput(route, results[i]);
+        return output ? { route, output } : null;
+    });
+
+    let multiRouteResult = null;
+    if (splitCalls.length > 0) {
+        const outputs = localSplit.routes.map((route, i) => decodeOutput(route, results[allRoutes.length + i]));
+        if (outputs.every(output => output)) {
+            multiRouteResult = {
+                routes: localSplit.routes,
+                splits: localSplit.splits,
+                amounts: localSplit.amounts,
+                outputs,
+                totalOutput: outputs.reduce((sum, output) => sum.add(output), ethers.BigNumber.from(0))
+            };
+        }
+    }
+
+    let verification = null;
+    if (localQuoteVerification) {
+        verification = compareLocalQuotes(
+            allRoutes,
+            allRoutes.map(() => amountToSwap),
+            singleRouteEstimates.map(estimate => estimate ? estimate.output : null),
+            poolStates
+        );
+        if (multiRouteResult) {
+            verification.push(...compareLocalQuotes(
+                multiRouteResult.routes,
+                multiRouteResult.amounts,
+                multiRouteResult.outputs,
+                poolStates
+            ));
+        }
+        console.table(verification.map(check => ({
+            route: check.route.name,
+            amountIn: check.amountIn.toString(),
+            local: check.local ? check.local.toString() : 'no liquidity',
+            onChain: check.onChain ? check.onChain.toString() : 'failed',
+            diffBps: check.diffBps
+        })));
+    }
+
+    return { singleRouteEstimates, multiRouteResult, verification };
+}
+
 // ============================================
 // MULTI-ROUTE OPTIMIZATION
 // ============================================
@@ -1137,105 +1270,431 @@ async function optimizeMultiRoutesBatch(
 }
 
 // ============================================
-// DISPLAY FUNCTIONS
+// PRICE IMPACT
 // ============================================
 
 /**
- * Show error display
- * @param {string} message - Error message
+ * Converts a pool's sqrtPriceX96 into the mid price of tokenOut per tokenIn
+ * @param {BigNumber} sqrtPriceX96 - Pool price as sqrt(currency1/currency0) in Q64.96
+ * @param {Object} poolKey - Sorted pool key
+ * @param {string} tokenIn - Input token symbol
+ * @param {string} tokenOut - Output token symbol
+ * @returns {number} Mid price in human units
  */
-function showErrorDisplay(message) {
-    const estimateDisplay = document.getElementById('estimateDisplay');
-    if (estimateDisplay) {
-        if (message.includes("allResults[metadata.resultIndices[0]] is undefined")) {
-            estimateDisplay.innerHTML = `
-                <div style="color: #dc3545; padding: 10px; border: 1px solid #dc3545; border-radius: 5px;">
-                    <strong>⚠️ Error Too much Inputted amount</strong>
-                    <p>Your inputted amount was TOO much for our liquidity, lower the amount and try again</p>
-                </div>
-            `;
-        } else {
-            estimateDisplay.innerHTML = `
-                <div style="color: #dc3545; padding: 10px; border: 1px solid #dc3545; border-radius: 5px;">
-                    <strong>⚠️ Error</strong>
-                    <p>${message}</p>
-                </div>
-            `;
-        }
-    }
+function sqrtPriceToMidPrice(sqrtPriceX96, poolKey, tokenIn, tokenOut) {
+    const sqrtPrice = Number(sqrtPriceX96.toString()) / (2 ** 96);
+    const price1Per0 = sqrtPrice * sqrtPrice;
+    const tokenInIsCurrency0 = tokenAddresses[tokenIn].toLowerCase() === poolKey.currency0.toLowerCase();
+    const rawPrice = tokenInIsCurrency0 ? price1Per0 : 1 / price1Per0;
+
+    return rawPrice * 10 ** (getTokenDecimals(tokenIn) - getTokenDecimals(tokenOut));
 }
 
 /**
- * Updates estimate display in the UI
+ * Price impact of a fill against the fee-adjusted mid price
+ * The hook fee is reported separately, so it is not counted as impact.
+ * @param {number} executionPrice - Output per input actually received
+ * @param {number} midPrice - Output per input at the current pool price
+ * @param {number} feeFraction - Fee taken from the input (e.g. 0.003)
+ * @returns {number} Price impact percentage (0 if the fill is at or above mid)
+ */
+function calculatePriceImpact(executionPrice, midPrice, feeFraction) {
+    const feeAdjustedMid = midPrice * (1 - feeFraction);
+    if (!(feeAdjustedMid > 0)) return 0;
+
+    return Math.max(0, (1 - executionPrice / feeAdjustedMid) * 100);
+}
+
+/**
+ * Classifies a price impact against the user's warning thresholds
+ * @param {number} priceImpact - Price impact percentage
+ * @returns {string} 'ok', 'warning' or 'danger'
+ */
+export function getPriceImpactLevel(priceImpact) {
+    if (priceImpact >= priceImpactThresholds.danger) return 'danger';
+    if (priceImpact >= priceImpactThresholds.warning) return 'warning';
+    return 'ok';
+}
+
+/**
+ * Breaks a quote down into mid price, execution price, hook fee and price
+ * impact for every leg of a split and every hop of a route.
+ * Pool prices, fees and first-hop quotes are read in one multicall; the second
+ * hop of a route receives the first hop's output and produces the leg output.
  * @async
- * @param {string} fromToken - Source token
- * @param {string} toToken - Destination token
- * @param {Object} estimate - Estimate data
- * @param {BigNumber} amountIn - Input amount
- * @returns {Promise<void>}
+ * @param {Array} routes - Routes used by the quote
+ * @param {Array<BigNumber>} amounts - Input amount per route
+ * @param {Array<BigNumber>} outputs - Quoted output per route
+ * @returns {Promise<Object>} Breakdown with legs, hops and overall price impact
  */
-export async function updateEstimateDisplay(fromToken, toToken, estimate, amountIn) {
-    if (!window.walletConnected) {
-        await window.getRewardStats();
-    }
+export async function getPriceImpactBreakdown(routes, amounts, outputs) {
+    const multicallContract = new ethers.Contract(MULTICALL_ADDRESS, MULTICALL_ABI2, getReadProvider());
+    const routeInterface = new ethers.utils.Interface(SPLIT_ROUTE_ABI);
+    const priceInterface = new ethers.utils.Interface(POOL_PRICE_ABI);
+    const feeInterface = new ethers.utils.Interface(HOOK_FEE_ABI);
 
-    fromToken = fromToken.trim();
-    toToken = toToken.trim();
+    // One price and fee read per hop, plus a first-hop quote for multi-hop legs
+    const calls = [];
+    const legPlans = routes.map((route, legIndex) => {
+        const hops = route.poolKeys.map((poolKey, hopIndex) => {
+            const priceIndex = calls.length;
 
-    const estimateDisplay = document.getElementById('estimateDisplay');
-    if (!estimateDisplay) return;
+            calls.push({
+                target: contractAddress_Swapper,
+                allowFailure: true,
+                callData: priceInterface.encodeFunctionData("getsqrtPricex96", [poolKey.currency0, poolKey.currency1, poolKey.hooks])
+            });
+            calls.push({
+                target: poolKey.hooks,
+                allowFailure: true,
+                callData: feeInterface.encodeFunctionData("getCurrentPoolFee", [poolKey])
+            });
 
-    const formattedInput = fromToken === "0xBTC" ?
-        ethers.utils.formatUnits(amountIn, 8) :
-        ethers.utils.formatEther(amountIn);
+            return {
+                poolKey,
+                tokenIn: route.path[hopIndex],
+                tokenOut: route.path[hopIndex + 1],
+                priceIndex,
+                feeIndex: priceIndex + 1
+            };
+        });
 
-    const formattedOutput = toToken === "0xBTC" ?
-        ethers.utils.formatUnits(estimate.output, 8) :
-        ethers.utils.formatEther(estimate.output);
+        let quoteIndex = null;
+        if (hops.length > 1) {
+            quoteIndex = calls.length;
+            calls.push({
+                target: contractAddress_Swapper,
+                allowFailure: true,
+                callData: routeInterface.encodeFunctionData("getOutput", [
+                    route.pool1TokenA,
+                    route.pool1TokenB,
+                    tokenAddresses[route.path[0]],
+                    route.hook1Address,
+                    amounts[legIndex]
+                ])
+            });
+        }
 
-    document.getElementById("estOutput").value = formattedOutput;
+        return { route, hops, quoteIndex, amountIn: amounts[legIndex], amountOut: outputs[legIndex] };
+    });
 
-    const estOutputField = document.getElementById("estOutput");
-    if (estOutputField) {
-        estOutputField.value = formattedOutput;
-        console.log("Updated estOutput field to:", formattedOutput);
-    } else {
-        console.error("estOutput field not found");
-    }
+    const results = await multicallContract.callStatic.aggregate3(calls);
 
-    let mainDisplayHtml = '';
+    const decodeResult = (contractInterface, functionName, index) => {
+        const result = results[index];
+        if (!result || !result.success) {
+            throw new Error(`${functionName} failed while calculating price impact`);
+        }
+        return contractInterface.decodeFunctionResult(functionName, result.returnData)[0];
+    };
 
-    if (estimate.type === 'multi') {
-        let routesHtml = '';
-        estimate.routes.forEach((route, i) => {
-            const routeAmount = fromToken === "0xBTC" ?
-                ethers.utils.formatUnits(estimate.amounts[i], 8) :
-                ethers.utils.formatEther(estimate.amounts[i]);
-            const routeOutput = toToken === "0xBTC" ?
-                ethers.utils.formatUnits(estimate.outputs[i], 8) :
-                ethers.utils.formatEther(estimate.outputs[i]);
+    const toFloat = (amount, token) => parseFloat(ethers.utils.formatUnits(amount, getTokenDecimals(token)));
 
-            routesHtml += `
-                <div style="margin: 8px 0; padding: 8px; border-radius: 4px;">
-                    <strong>${route.name}</strong>
-                    <div style="font-size: 0.9em;">
-                        Split: ${estimate.splits[i].toFixed(1)}% (${routeAmount} ${fromToken})
-                        → ${routeOutput} ${toToken}
-                    </div>
-                </div>
-            `;
-        });
+    const fromToken = routes[0].path[0];
+    const toToken = routes[0].path[routes[0].path.length - 1];
+    let totalIn = 0;
+    let totalOut = 0;
+    let totalMidOut = 0;
+    let totalExpectedOut = 0;
 
-        mainDisplayHtml = `
-            <div style="border: 2px solid #28a745; padding: 15px; border-radius: 8px;">
-                <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 10px;">
-                    <h4 style="margin: 0; color: #28a745;">Multi-Route Optimized</h4>
-                    <span style="background: #28a745; color: white; padding: 3px 8px; border-radius: 4px; font-size: 0.85em;">
-                        +${estimate.improvement.toFixed(2)}% Better
-                    </span>
-                </div>
+    const legs = legPlans.map(plan => {
+        const hopAmounts = plan.hops.length > 1 ?
+            [plan.amountIn, decodeResult(routeInterface, "getOutput", plan.quoteIndex), plan.amountOut] :
+            [plan.amountIn, plan.amountOut];
 
-                <div style="font-size: 1.1em; margin: 10px 0;">
+        let legMidPrice = 1;
+        let legFeeFactor = 1;
+
+        const hops = plan.hops.map((hop, i) => {
+            const sqrtPriceX96 = decodeResult(priceInterface, "getsqrtPricex96", hop.priceIndex);
+            const fee = decodeResult(feeInterface, "getCurrentPoolFee", hop.feeIndex);
+            const feeFraction = fee / HOOK_FEE_DENOMINATOR;
+
+            const amountIn = hopAmounts[i];
+            const amountOut = hopAmounts[i + 1];
+            const midPrice = sqrtPriceToMidPrice(sqrtPriceX96, hop.poolKey, hop.tokenIn, hop.tokenOut);
+            const executionPrice = toFloat(amountOut, hop.tokenOut) / toFloat(amountIn, hop.tokenIn);
+
+            legMidPrice *= midPrice;
+            legFeeFactor *= 1 - feeFraction;
+
+            return {
+                tokenIn: hop.tokenIn,
+                tokenOut: hop.tokenOut,
+                amountIn,
+                amountOut,
+                midPrice,
+                executionPrice,
+                feePercent: feeFraction * 100,
+                feeAmount: amountIn.mul(fee).div(HOOK_FEE_DENOMINATOR),
+                priceImpact: calculatePriceImpact(executionPrice, midPrice, feeFraction)
+            };
+        });
+
+        const legIn = toFloat(plan.amountIn, fromToken);
+        const legOut = toFloat(plan.amountOut, toToken);
+        const executionPrice = legOut / legIn;
+
+        totalIn += legIn;
+        totalOut += legOut;
+        totalMidOut += legIn * legMidPrice;
+        totalExpectedOut += legIn * legMidPrice * legFeeFactor;
+
+        return {
+            route: plan.route,
+            amountIn: plan.amountIn,
+            amountOut: plan.amountOut,
+            hops,
+            midPrice: legMidPrice,
+            executionPrice,
+            feePercent: (1 - legFeeFactor) * 100,
+            priceImpact: calculatePriceImpact(executionPrice, legMidPrice, 1 - legFeeFactor)
+        };
+    });
+
+    const priceImpact = totalExpectedOut > 0 ? Math.max(0, (1 - totalOut / totalExpectedOut) * 100) : 0;
+
+    return {
+        legs,
+        midPrice: totalMidOut / totalIn,
+        executionPrice: totalOut / totalIn,
+        priceImpact,
+        level: getPriceImpactLevel(priceImpact)
+    };
+}
+
+/**
+ * Formats a price for display, keeping significant digits for small values
+ * @param {number} price - Price to format
+ * @returns {string} Formatted price
+ */
+function formatPrice(price) {
+    if (!isFinite(price)) return '-';
+    if (price === 0) return '0';
+    return price >= 1 ? price.toFixed(6) : price.toPrecision(6);
+}
+
+/**
+ * Builds the price impact section of the estimate display
+ * @param {Object} breakdown - Result of getPriceImpactBreakdown
+ * @param {string} fromToken - Source token
+ * @param {string} toToken - Destination token
+ * @returns {string} HTML
+ */
+function renderPriceImpactBreakdown(breakdown, fromToken, toToken) {
+    const levelColors = { ok: '#28a745', warning: '#ffc107', danger: '#dc3545' };
+    const impactSpan = (impact) =>
+        `<span style="color: ${levelColors[getPriceImpactLevel(impact)]};">${impact.toFixed(2)}%</span>`;
+
+    let legsHtml = '';
+    breakdown.legs.forEach((leg, i) => {
+        let hopsHtml = '';
+        leg.hops.forEach((hop, j) => {
+            const feeAmount = ethers.utils.formatUnits(hop.feeAmount, getTokenDecimals(hop.tokenIn));
+            hopsHtml += `
+                <div style="font-size: 0.9em; margin: 4px 0 4px 10px;">
+                    <strong>Hop ${j + 1}: ${hop.tokenIn} → ${hop.tokenOut}</strong>
+                    <br>Mid price: 1 ${hop.tokenIn} = ${formatPrice(hop.midPrice)} ${hop.tokenOut}
+                    <br>Execution price: 1 ${hop.tokenIn} = ${formatPrice(hop.executionPrice)} ${hop.tokenOut}
+                    <br>Hook fee: ${hop.feePercent.toFixed(2)}% (${feeAmount} ${hop.tokenIn})
+                    <br>Price impact: ${impactSpan(hop.priceImpact)}
+                </div>
+            `;
+        });
+
+        const legTitle = breakdown.legs.length > 1 ? `Leg ${i + 1}: ${leg.route.name}` : leg.route.name;
+        legsHtml += `
+            <div style="margin: 8px 0; padding: 8px; border-radius: 4px;">
+                <strong>${legTitle}</strong>
+                <div style="font-size: 0.9em;">
+                    Execution price: 1 ${fromToken} = ${formatPrice(leg.executionPrice)} ${toToken}
+                    · Fees: ${leg.feePercent.toFixed(2)}%
+                    · Impact: ${impactSpan(leg.priceImpact)}
+                </div>
+                ${hopsHtml}
+            </div>
+        `;
+    });
+
+    let warningHtml = '';
+    if (breakdown.level === 'danger') {
+        warningHtml = `
+            <div style="margin-top: 10px; padding: 10px; border: 1px solid #dc3545; border-radius: 5px; color: #dc3545;">
+                <strong>⚠️ High Price Impact</strong>
+                <p style="margin: 5px 0;">This swap moves the price by ${breakdown.priceImpact.toFixed(2)}%, above your ${priceImpactThresholds.danger}% limit. Consider a smaller amount.</p>
+            </div>
+        `;
+    } else if (breakdown.level === 'warning') {
+        warningHtml = `
+            <div style="margin-top: 10px; padding: 10px; border: 1px solid #ffc107; border-radius: 5px;">
+                <strong>⚠️ Price Impact Warning</strong>
+                <p style="margin: 5px 0;">This swap moves the price by ${breakdown.priceImpact.toFixed(2)}% (warning at ${priceImpactThresholds.warning}%).</p>
+            </div>
+        `;
+    }
+
+    return `
+        <div style="margin-top: 10px; padding: 10px; border: 1px solid #ddd; border-radius: 5px;">
+            <div><strong>Price impact:</strong> ${impactSpan(breakdown.priceImpact)}</div>
+            <div style="font-size: 0.9em;">
+                Mid price: 1 ${fromToken} = ${formatPrice(breakdown.midPrice)} ${toToken}
+                <br>Execution price: 1 ${fromToken} = ${formatPrice(breakdown.executionPrice)} ${toToken}
+            </div>
+            <details style="margin-top: 10px;">
+                <summary style="cursor: pointer; color: #007bff;">Price Impact Breakdown</summary>
+                ${legsHtml}
+            </details>
+            ${warningHtml}
+        </div>
+    `;
+}
+
+/**
+ * Builds the local quote verification section of the estimate display
+ * @param {Array<Object>} verification - Result of compareLocalQuotes
+ * @param {string} fromToken - Source token
+ * @param {string} toToken - Destination token
+ * @returns {string} HTML
+ */
+function renderQuoteVerification(verification, fromToken, toToken) {
+    const formatOutput = (output) => output ? ethers.utils.formatUnits(output, getTokenDecimals(toToken)) : '-';
+
+    const rowsHtml = verification.map(check => `
+        <div style="font-size: 0.9em; margin: 4px 0;">
+            <strong>${check.route.name}</strong> (${ethers.utils.formatUnits(check.amountIn, getTokenDecimals(fromToken))} ${fromToken})
+            <br>Local: ${formatOutput(check.local)} · On-chain: ${formatOutput(check.onChain)} ${toToken}
+            · Difference: ${check.diffBps === null ? '-' : `${(check.diffBps / 100).toFixed(2)}%`}
+        </div>
+    `).join('');
+
+    return `
+        <details style="margin-top: 10px;">
+            <summary style="cursor: pointer; color: #007bff;">Local Quote Check</summary>
+            ${rowsHtml}
+        </details>
+    `;
+}
+
+/**
+ * Asks the user to confirm a swap whose price impact is above the high impact threshold
+ * @param {Object} breakdown - Result of getPriceImpactBreakdown
+ * @returns {boolean} True if the swap should proceed
+ */
+function confirmHighPriceImpact(breakdown) {
+    if (!breakdown || breakdown.level !== 'danger') return true;
+
+    return confirm(
+        `This swap has a price impact of ${breakdown.priceImpact.toFixed(2)}%, ` +
+        `above your ${priceImpactThresholds.danger}% high impact threshold.\n\nSwap anyway?`
+    );
+}
+
+// ============================================
+// DISPLAY FUNCTIONS
+// ============================================
+
+/**
+ * Show error display
+ * @param {string} message - Error message
+ */
+function showErrorDisplay(message) {
+    const estimateDisplay = document.getElementById('estimateDisplay');
+    if (estimateDisplay) {
+        if (message.includes("allResults[metadata.resultIndices[0]] is undefined")) {
+            estimateDisplay.innerHTML = `
+                <div style="color: #dc3545; padding: 10px; border: 1px solid #dc3545; border-radius: 5px;">
+                    <strong>⚠️ Error Too much Inputted amount</strong>
+                    <p>Your inputted amount was TOO much for our liquidity, lower the amount and try again</p>
+                </div>
+            `;
+        } else {
+            estimateDisplay.innerHTML = `
+                <div style="color: #dc3545; padding: 10px; border: 1px solid #dc3545; border-radius: 5px;">
+                    <strong>⚠️ Error</strong>
+                    <p>${message}</p>
+                </div>
+            `;
+        }
+    }
+}
+
+/**
+ * Updates estimate display in the UI
+ * @async
+ * @param {string} fromToken - Source token
+ * @param {string} toToken - Destination token
+ * @param {Object} estimate - Estimate data
+ * @param {BigNumber} amountIn - Input amount
+ * @returns {Promise<void>}
+ */
+export async function updateEstimateDisplay(fromToken, toToken, estimate, amountIn) {
+    if (!window.walletConnected) {
+        await window.getRewardStats();
+    }
+
+    fromToken = fromToken.trim();
+    toToken = toToken.trim();
+
+    const estimateDisplay = document.getElementById('estimateDisplay');
+    if (!estimateDisplay) return;
+
+    const formattedInput = ethers.utils.formatUnits(amountIn, getTokenDecimals(fromToken));
+    const formattedOutput = ethers.utils.formatUnits(estimate.output, getTokenDecimals(toToken));
+
+    const estOutputField = document.getElementById("estOutput");
+    if (estimate.mode === 'exactOut') {
+        // The output field holds the user's target; show the required input instead
+        const amountInput = document.querySelector('#swap .form-group:nth-child(5) input');
+        if (amountInput) amountInput.value = formattedInput;
+    } else if (estOutputField) {
+        estOutputField.value = formattedOutput;
+        console.log("Updated estOutput field to:", formattedOutput);
+    } else {
+        console.error("estOutput field not found");
+    }
+
+    let breakdown = null;
+    try {
+        const outputs = estimate.type === 'multi' ? estimate.outputs : [estimate.output];
+        breakdown = await getPriceImpactBreakdown(estimate.routes, estimate.amounts, outputs);
+        estimate.priceImpact = breakdown;
+    } catch (error) {
+        console.error("Error calculating price impact:", error);
+    }
+
+    if (document.getElementById('slippageToleranceSwap')?.value === 'Auto') {
+        estimate.autoSlippage = await getAutoSlippage(breakdown ? breakdown.priceImpact : 0);
+    }
+
+    let mainDisplayHtml = '';
+
+    if (estimate.type === 'multi') {
+        let routesHtml = '';
+        estimate.routes.forEach((route, i) => {
+            const routeAmount = ethers.utils.formatUnits(estimate.amounts[i], getTokenDecimals(fromToken));
+            const routeOutput = ethers.utils.formatUnits(estimate.outputs[i], getTokenDecimals(toToken));
+
+            routesHtml += `
+                <div style="margin: 8px 0; padding: 8px; border-radius: 4px;">
+                    <strong>${route.name}</strong>
+                    <div style="font-size: 0.9em;">
+                        Split: ${estimate.splits[i].toFixed(1)}% (${routeAmount} ${fromToken})
+                        → ${routeOutput} ${toToken}
+                    </div>
+                </div>
+            `;
+        });
+
+        mainDisplayHtml = `
+            <div style="border: 2px solid #28a745; padding: 15px; border-radius: 8px;">
+                <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 10px;">
+                    <h4 style="margin: 0; color: #28a745;">Multi-Route Optimized</h4>
+                    <span style="background: #28a745; color: white; padding: 3px 8px; border-radius: 4px; font-size: 0.85em;">
+                        +${estimate.improvement.toFixed(2)}% Better
+                    </span>
+                </div>
+
+                <div style="font-size: 1.1em; margin: 10px 0;">
                     <strong>You send:</strong> ${formattedInput} ${fromToken}
                     <br><strong>You receive:</strong> ${formattedOutput} ${toToken}
                 </div>
@@ -1260,285 +1719,1255 @@ export async function updateEstimateDisplay(fromToken, toToken, estimate, amount
         `;
     }
 
-    estimateDisplay.innerHTML = mainDisplayHtml;
+    if (estimate.mode === 'exactOut') {
+        const slippage = getSelectedSlippage(estimate);
+        const maxIn = ethers.utils.formatUnits(getMaxAmountIn(amountIn, slippage), getTokenDecimals(fromToken));
+        const target = ethers.utils.formatUnits(estimate.targetOutput, getTokenDecimals(toToken));
+
+        mainDisplayHtml += `
+            <div style="margin-top: 10px; padding: 10px; border: 1px solid #ffc107; border-radius: 5px;">
+                <strong>Exact Output</strong>
+                <p style="margin: 5px 0;">You receive exactly: ${target} ${toToken}</p>
+                <p style="margin: 5px 0;">Maximum input (${(slippage * 100).toFixed(1)}% slippage): ${maxIn} ${fromToken}</p>
+                <p style="margin: 5px 0; font-size: 0.9em;">Only the input the pools need is spent; the rest of the maximum stays in your wallet.</p>
+            </div>
+        `;
+    }
+
+    const slippageLabel = estimate.autoSlippage !== undefined ?
+        `Auto (${(estimate.autoSlippage * 100).toFixed(2)}%)` :
+        `${(getSelectedSlippage(estimate) * 100).toFixed(1)}%`;
+    mainDisplayHtml += `
+        <div style="margin-top: 10px; font-size: 0.9em;">
+            Slippage tolerance: ${slippageLabel}
+            · Deadline: ${swapTransactionSettings.deadlineMinutes} min (${estimate.mode === 'exactOut' ? 'on-chain' : 'on-chain for Permit2 swaps only'})
+            ${swapTransactionSettings.privateRPC ? '· Submitted via private RPC' : ''}
+            ${estimate.quotedAtBlock ? `· Quoted at block ${estimate.quotedAtBlock}` : ''}
+        </div>
+    `;
+
+    estimateDisplay.innerHTML = mainDisplayHtml;
+
+    if (breakdown) {
+        estimateDisplay.innerHTML += renderPriceImpactBreakdown(breakdown, fromToken, toToken);
+    }
+
+    if (estimate.quoteVerification) {
+        estimateDisplay.innerHTML += renderQuoteVerification(estimate.quoteVerification, fromToken, toToken);
+    }
+
+    estimateDisplay.innerHTML += await renderCheapestVenuePanel(fromToken, toToken, estimate, amountIn);
+}
+
+// ============================================
+// CHEAPEST VENUE COMPARISON
+// ============================================
+
+// Ethereum mainnet 0xBTC trades against WETH on Uniswap V2
+const MAINNET_ROUTER_ABI = ["function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)"];
+// Approximate gas units on Ethereum: a 0xBTC swap on Uniswap V2, a Standard Bridge
+// deposit to Base, and the prove + finalize steps of a withdrawal from Base
+const MAINNET_SWAP_GAS_UNITS = 150000;
+const BRIDGE_DEPOSIT_GAS_UNITS = 200000;
+const BRIDGE_WITHDRAWAL_GAS_UNITS = 400000;
+const BRIDGE_BASE_FEE_USD = 0;
+// Used when the Ethereum gas price cannot be fetched
+const FALLBACK_BRIDGE_GAS_COST_USD = 3;
+// Mainnet reads give up after this long so they never hold up the estimate
+const MAINNET_READ_TIMEOUT_MS = 4000;
+// Price difference beyond which one venue is flagged as clearly cheaper
+const VENUE_PRICE_THRESHOLD = 0.05;
+
+/**
+ * Rejects a mainnet read that takes longer than MAINNET_READ_TIMEOUT_MS
+ * @param {Promise} promise - Mainnet read
+ * @returns {Promise} The read, or a rejection on timeout
+ */
+function withMainnetTimeout(promise) {
+    const timeoutPromise = new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Ethereum mainnet request timed out')), MAINNET_READ_TIMEOUT_MS)
+    );
+    return Promise.race([promise, timeoutPromise]);
+}
+
+/**
+ * Gets an Ethereum mainnet provider, preferring the wallet's providerETH
+ * while it is connected to chain 1 and falling back to the ETH RPC setting
+ * @async
+ * @returns {Promise<Object>} Ethers provider for Ethereum mainnet
+ */
+async function getMainnetProvider() {
+    if (providerETH) {
+        try {
+            const network = await withMainnetTimeout(providerETH.getNetwork());
+            if (network.chainId === 1) {
+                return providerETH;
+            }
+        } catch (error) {
+            console.warn("providerETH unavailable, using ETH RPC:", error.message);
+        }
+    }
+    return new ethers.providers.JsonRpcProvider(customRPC_ETH);
+}
+
+/**
+ * Quotes the mainnet 0xBTC/WETH pool
+ * @async
+ * @param {Object} mainnetProvider - Ethereum mainnet provider
+ * @param {BigNumber} amountIn - Input amount
+ * @param {Array<string>} path - Mainnet token path
+ * @returns {Promise<BigNumber>} Output amount
+ */
+async function getMainnetPoolQuote(mainnetProvider, amountIn, path) {
+    const router = new ethers.Contract(uniswapV2RouterETH, MAINNET_ROUTER_ABI, mainnetProvider);
+    const amounts = await withMainnetTimeout(router.getAmountsOut(amountIn, path));
+    return amounts[amounts.length - 1];
+}
+
+/**
+ * Estimates the USD gas cost of the mainnet route
+ * Buying needs a mainnet swap and a deposit to Base; selling needs a withdrawal
+ * from Base (proved and finalized on mainnet) and a mainnet swap.
+ * @async
+ * @param {Object} mainnetProvider - Ethereum mainnet provider
+ * @param {number} ethPrice - ETH price in USD
+ * @param {boolean} isSell - True when 0xBTC is sold rather than bought
+ * @returns {Promise<{swapGasUSD: number, bridgeGasUSD: number, bridgeFeeUSD: number, gasPriceGwei: number|null}>}
+ */
+async function estimateMainnetRouteCosts(mainnetProvider, ethPrice, isSell) {
+    try {
+        const gasPrice = await withMainnetTimeout(mainnetProvider.getGasPrice());
+        const gasPriceEth = parseFloat(ethers.utils.formatEther(gasPrice));
+
+        return {
+            swapGasUSD: MAINNET_SWAP_GAS_UNITS * gasPriceEth * ethPrice,
+            bridgeGasUSD: (isSell ? BRIDGE_WITHDRAWAL_GAS_UNITS : BRIDGE_DEPOSIT_GAS_UNITS) * gasPriceEth * ethPrice,
+            bridgeFeeUSD: BRIDGE_BASE_FEE_USD,
+            gasPriceGwei: parseFloat(ethers.utils.formatUnits(gasPrice, 'gwei'))
+        };
+    } catch (error) {
+        console.warn("Could not fetch Ethereum gas price, using fallback cost:", error);
+        return {
+            swapGasUSD: 0,
+            bridgeGasUSD: FALLBACK_BRIDGE_GAS_COST_USD,
+            bridgeFeeUSD: BRIDGE_BASE_FEE_USD,
+            gasPriceGwei: null
+        };
+    }
+}
+
+/**
+ * Gets the 0xBTC an ETH → B0x estimate buys on its way to B0x
+ * Read from the estimate's price impact breakdown, so no extra quote is made.
+ * @param {Object} estimate - Estimate data
+ * @returns {BigNumber|null} 0xBTC bought, or null unless every leg starts with ETH → 0xBTC
+ */
+function getIntermediate0xBTC(estimate) {
+    const legs = estimate.priceImpact?.legs;
+    if (!legs || legs.length === 0) return null;
+
+    let total = ethers.BigNumber.from(0);
+    for (const leg of legs) {
+        const firstHop = leg.hops[0];
+        if (!firstHop || firstHop.tokenIn !== 'ETH' || firstHop.tokenOut !== '0xBTC') return null;
+        total = total.add(firstHop.amountOut);
+    }
+    return total;
+}
+
+/**
+ * Compares trading 0xBTC on Base against trading it on Ethereum mainnet and bridging.
+ * Buying applies to ETH → 0xBTC and ETH → B0x (which routes through 0xBTC, so the
+ * mainnet path ends with a 0xBTC → B0x swap on Base). Selling applies to 0xBTC → ETH,
+ * where the mainnet path bridges the 0xBTC back to Ethereum first.
+ * Both sides are priced from pool quotes for the same amount: the Base estimate and
+ * the mainnet Uniswap V2 pool read through providerETH.
+ * @async
+ * @param {string} fromToken - Source token
+ * @param {string} toToken - Destination token
+ * @param {Object} estimate - Estimate data
+ * @param {BigNumber} amountIn - Input amount
+ * @returns {Promise<Object|null>} Venue comparison, or null when not applicable
+ */
+async function getCheapestVenueComparison(fromToken, toToken, estimate, amountIn) {
+    const isBuy = fromToken === "ETH" && (toToken === "0xBTC" || toToken === "B0x");
+    const isSell = fromToken === "0xBTC" && toToken === "ETH";
+    if (!isBuy && !isSell) {
+        return null;
+    }
+
+    const ethPrice = window.wethPriceUSD || wethPriceUSD;
+    if (!ethPrice || ethPrice <= 0) {
+        return null;
+    }
+
+    const oxbtcBase = isSell ? amountIn : toToken === "0xBTC" ? estimate.output : getIntermediate0xBTC(estimate);
+    if (!oxbtcBase || oxbtcBase.isZero()) {
+        return null;
+    }
+    const oxbtcAmount = parseFloat(ethers.utils.formatUnits(oxbtcBase, 8));
+
+    const mainnetProvider = await getMainnetProvider();
+    let mainnetQuote;
+    try {
+        mainnetQuote = await getMainnetPoolQuote(mainnetProvider, amountIn,
+            isSell ? [tokenAddressesETH['0xBTC'], wethAddressETH] : [wethAddressETH, tokenAddressesETH['0xBTC']]);
+    } catch (error) {
+        console.warn("Could not quote the mainnet 0xBTC pool:", error);
+        return null;
+    }
+    if (mainnetQuote.isZero()) {
+        return null;
+    }
+
+    const costs = await estimateMainnetRouteCosts(mainnetProvider, ethPrice, isSell);
+    const routeCostUSD = costs.swapGasUSD + costs.bridgeGasUSD + costs.bridgeFeeUSD;
+
+    if (isSell) {
+        // USD received per 0xBTC sold: higher is better
+        const baseValueUSD = parseFloat(ethers.utils.formatEther(estimate.output)) * ethPrice;
+        const mainnetGrossUSD = parseFloat(ethers.utils.formatEther(mainnetQuote)) * ethPrice;
+        const mainnetValueUSD = mainnetGrossUSD - routeCostUSD;
+        const basePrice = baseValueUSD / oxbtcAmount;
+        const mainnetEffectivePrice = mainnetValueUSD / oxbtcAmount;
+
+        return {
+            isSell,
+            toToken,
+            oxbtcAmount,
+            basePrice,
+            baseValueUSD,
+            mainnetPrice: mainnetGrossUSD / oxbtcAmount,
+            mainnetEffectivePrice,
+            mainnetValueUSD,
+            costs,
+            mainnetAdvantage: (mainnetEffectivePrice - basePrice) / basePrice,
+            savingsUSD: mainnetValueUSD - baseValueUSD
+        };
+    }
+
+    // USD paid per 0xBTC bought: lower is better
+    const baseValueUSD = parseFloat(ethers.utils.formatEther(amountIn)) * ethPrice;
+    const mainnetOxbtc = parseFloat(ethers.utils.formatUnits(mainnetQuote, 8));
+    const basePrice = baseValueUSD / oxbtcAmount;
+    const mainnetPrice = baseValueUSD / mainnetOxbtc;
+    const mainnetEffectivePrice = (baseValueUSD + routeCostUSD) / mainnetOxbtc;
+    const mainnetValueUSD = oxbtcAmount * mainnetEffectivePrice;
+
+    return {
+        isSell,
+        toToken,
+        oxbtcAmount,
+        basePrice,
+        baseValueUSD,
+        mainnetPrice,
+        mainnetEffectivePrice,
+        mainnetValueUSD,
+        costs,
+        mainnetAdvantage: (basePrice - mainnetEffectivePrice) / mainnetEffectivePrice,
+        savingsUSD: baseValueUSD - mainnetValueUSD
+    };
+}
+
+/**
+ * Renders the cheapest venue panel for the estimate display
+ * @async
+ * @param {string} fromToken - Source token
+ * @param {string} toToken - Destination token
+ * @param {Object} estimate - Estimate data
+ * @param {BigNumber} amountIn - Input amount
+ * @returns {Promise<string>} HTML, or an empty string when not applicable
+ */
+async function renderCheapestVenuePanel(fromToken, toToken, estimate, amountIn) {
+    let venue;
+    try {
+        venue = await getCheapestVenueComparison(fromToken, toToken, estimate, amountIn);
+    } catch (error) {
+        console.error("Error comparing with mainnet price:", error);
+        return '';
+    }
+    if (!venue) {
+        return '';
+    }
+
+    const { costs } = venue;
+    const diffPct = (venue.mainnetAdvantage * 100).toFixed(2);
+    const gasNote = costs.gasPriceGwei !== null ?
+        `at ${costs.gasPriceGwei.toFixed(2)} gwei` :
+        'estimated, gas price unavailable';
+    const linkStyle = 'display: inline-block; padding: 8px 16px; color: white; text-decoration: none; border-radius: 4px; font-weight: bold;';
+
+    let verdictHtml;
+    if (venue.mainnetAdvantage > VENUE_PRICE_THRESHOLD) {
+        const links = venue.isSell ? `
+                    <a href="https://superbridge.app/?fromChainId=8453&toChainId=1&tokenAddress=${tokenAddresses['0xBTC']}"
+                       target="_blank"
+                       rel="noopener noreferrer"
+                       style="${linkStyle} background-color: #0052FF;">
+                        Bridge 0xBTC to Ethereum
+                    </a>
+                    <a href="https://swap.defillama.com/?chain=ethereum&from=${tokenAddressesETH['0xBTC']}&tab=swap&to=0x0000000000000000000000000000000000000000"
+                       target="_blank"
+                       rel="noopener noreferrer"
+                       style="${linkStyle} background-color: #2196F3;">
+                        Sell 0xBTC on Mainnet
+                    </a>` : `
+                    <a href="https://swap.defillama.com/?chain=ethereum&from=0x0000000000000000000000000000000000000000&tab=swap&to=${tokenAddressesETH['0xBTC']}"
+                       target="_blank"
+                       rel="noopener noreferrer"
+                       style="${linkStyle} background-color: #2196F3;">
+                        Swap 0xBTC on Mainnet
+                    </a>
+                    <a href="https://superbridge.app/?fromChainId=1&toChainId=8453&tokenAddress=${tokenAddressesETH['0xBTC']}"
+                       target="_blank"
+                       rel="noopener noreferrer"
+                       style="${linkStyle} background-color: #0052FF;">
+                        Bridge 0xBTC to Base
+                    </a>`;
+
+        verdictHtml = `
+            <div style="margin-top: 10px; padding: 10px; border-radius: 5px; border-left: 4px solid #ffc107;">
+                <strong>Cheapest venue: ${venue.isSell ? 'bridge + Ethereum mainnet' : 'Ethereum mainnet + bridge'}</strong>
+                <p style="margin: 5px 0;">${venue.isSell ? `Selling on mainnet pays <strong>${diffPct}%</strong> more` : `Buying here costs <strong>${diffPct}%</strong> more`}, potential savings ~$${venue.savingsUSD.toFixed(2)}.</p>
+                <div style="margin-top: 10px; display: flex; gap: 10px; flex-wrap: wrap;">${links}
+                </div>
+                ${venue.toToken === 'B0x' ? '<p style="margin: 8px 0 0 0;">Then swap the bridged 0xBTC to B0x here.</p>' : ''}
+                ${venue.isSell ? '<p style="margin: 8px 0 0 0;">Withdrawals from Base to Ethereum take about 7 days to finalize.</p>' : ''}
+            </div>
+        `;
+    } else if (venue.mainnetAdvantage < -VENUE_PRICE_THRESHOLD) {
+        verdictHtml = `
+            <div style="margin-top: 10px; padding: 10px; border-radius: 5px; border-left: 4px solid #17a2b8;">
+                <strong>Cheapest venue: Base (this swap)</strong>
+                <p style="margin: 5px 0;">You're getting a <strong>${Math.abs(parseFloat(diffPct))}%</strong> better price than ${venue.isSell ? 'bridging and selling on mainnet' : 'buying on mainnet and bridging'}.</p>
+            </div>
+        `;
+    } else {
+        verdictHtml = `
+            <div style="margin-top: 10px; padding: 10px; border-radius: 5px; border-left: 4px solid #28a745;">
+                <strong>Fair Price</strong>
+                <p style="margin: 5px 0;">Both venues are within ${(VENUE_PRICE_THRESHOLD * 100).toFixed(0)}% of each other once bridge and gas costs are included.</p>
+            </div>
+        `;
+    }
+
+    const valueLabel = venue.isSell ? 'received' : 'total';
+    return `
+        <div class="price-comparison" style="margin-top: 15px; padding: 10px; border: 1px solid #ddd; border-radius: 5px;">
+            <h4 style="margin-top: 0;">Cheapest Venue (${venue.isSell ? 'selling' : 'buying'} ${venue.oxbtcAmount.toFixed(4)} 0xBTC)</h4>
+            <p style="margin: 5px 0;"><strong>Base swap:</strong> $${venue.basePrice.toFixed(4)} per 0xBTC · ${valueLabel} $${venue.baseValueUSD.toFixed(2)}</p>
+            <p style="margin: 5px 0;"><strong>${venue.isSell ? 'Bridge + mainnet' : 'Mainnet + bridge'}:</strong> $${venue.mainnetEffectivePrice.toFixed(4)} per 0xBTC · ${valueLabel} $${venue.mainnetValueUSD.toFixed(2)}</p>
+            <ul style="margin: 5px 0; padding-left: 20px; font-size: 0.9em;">
+                <li>Mainnet pool price: $${venue.mainnetPrice.toFixed(4)} per 0xBTC (Uniswap V2, before gas)</li>
+                <li>Mainnet swap gas: $${costs.swapGasUSD.toFixed(2)}</li>
+                <li>Bridge gas + fee: $${(costs.bridgeGasUSD + costs.bridgeFeeUSD).toFixed(2)} (${gasNote})</li>
+            </ul>
+            <p style="margin: 5px 0;"><strong>Mainnet advantage:</strong> <span style="color: ${venue.mainnetAdvantage > 0 ? '#dc3545' : '#28a745'};">${venue.mainnetAdvantage > 0 ? '+' : ''}${diffPct}%</span></p>
+            ${verdictHtml}
+        </div>
+    `;
+}
+
+// ============================================
+// SWAP ESTIMATION
+// ============================================
+
+/**
+ * Picks the best single-route or split-route estimate for an input amount
+ * @async
+ * @param {Array} allRoutes - Routes from getAllPossibleRoutes
+ * @param {BigNumber} amountToSwap - Input amount
+ * @param {string} fromToken - Source token
+ * @param {string} toToken - Destination token
+ * @returns {Promise<Object>} Best estimate
+ */
+async function estimateBestRoute(allRoutes, amountToSwap, fromToken, toToken) {
+    if (allRoutes.length === 1) {
+        console.log("Single route available:", allRoutes[0].name);
+        const estimate = await getSingleRouteEstimate(
+            allRoutes[0],
+            amountToSwap,
+            fromToken,
+            toToken
+        );
+
+        return {
+            type: 'single',
+            output: estimate.output,
+            totalOutput: estimate.output,
+            route: allRoutes[0],
+            routes: [allRoutes[0]],
+            amounts: [amountToSwap],
+            splits: [100]
+        };
+    } else {
+        console.log(`${allRoutes.length} routes available - optimizing with local quoter...`);
+
+        // Search splits locally; fall back to the on-chain split search if pool state can't be loaded
+        let routeEstimates = null;
+        try {
+            routeEstimates = await getLocallyOptimizedEstimates(allRoutes, amountToSwap, fromToken, toToken);
+        } catch (error) {
+            console.warn("Local quoting failed, falling back to COMBINED MULTICALL:", error);
+            routeEstimates = await getCombinedRouteEstimates(allRoutes, amountToSwap, fromToken, toToken);
+        }
+        const { singleRouteEstimates, multiRouteResult } = routeEstimates;
+        const quoteVerification = routeEstimates.verification || null;
+
+        let bestSingleRoute = null;
+        let bestSingleOutput = ethers.BigNumber.from(0);
+        for (let i = 0; i < allRoutes.length; i++) {
+            if (singleRouteEstimates[i] && singleRouteEstimates[i].output.gt(bestSingleOutput)) {
+                bestSingleOutput = singleRouteEstimates[i].output;
+                bestSingleRoute = allRoutes[i];
+            }
+        }
+
+        console.log("Best single route:", bestSingleRoute?.name);
+        console.log("Best single output:", bestSingleOutput.toString());
+        if (multiRouteResult) {
+            console.log("Multi-route result output:", multiRouteResult.totalOutput.toString());
+        }
+
+        if (multiRouteResult && multiRouteResult.totalOutput.gt(bestSingleOutput)) {
+            const improvement = multiRouteResult.totalOutput.sub(bestSingleOutput)
+                .mul(10000).div(bestSingleOutput).toNumber() / 100;
+
+            if (improvement >= 0.1) {
+                console.log(`Multi-route is ${improvement.toFixed(2)}% better`);
+                return {
+                    type: 'multi',
+                    output: multiRouteResult.totalOutput,
+                    totalOutput: multiRouteResult.totalOutput,
+                    routes: multiRouteResult.routes,
+                    splits: multiRouteResult.splits,
+                    amounts: multiRouteResult.amounts,
+                    outputs: multiRouteResult.outputs,
+                    improvement: improvement,
+                    quoteVerification
+                };
+            } else {
+                console.log(`Single route is better (improvement only ${improvement.toFixed(2)}%)`);
+                return {
+                    type: 'single',
+                    output: bestSingleOutput,
+                    totalOutput: bestSingleOutput,
+                    route: bestSingleRoute,
+                    routes: [bestSingleRoute],
+                    amounts: [amountToSwap],
+                    splits: [100],
+                    quoteVerification
+                };
+            }
+        } else {
+            console.log("Using single route (multi-route failed or worse)");
+            return {
+                type: 'single',
+                output: bestSingleOutput,
+                totalOutput: bestSingleOutput,
+                route: bestSingleRoute,
+                routes: [bestSingleRoute],
+                amounts: [amountToSwap],
+                splits: [100],
+                quoteVerification
+            };
+        }
+    }
+}
+
+/**
+ * Gets swap output estimate for token pair
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function getEstimate() {
+    if (swapMode === 'exactOut') {
+        return await getExactOutputEstimate();
+    }
+
+    if (!window.walletConnected) {
+        console.log("Wallet not connected");
+    }else{
+
+     await switchToBase();
+    }
+
+
+    disableButtonWithSpinner('executeSwapBtn', 'Getting estimate...');
+
+    try {
+        const fromSelect = document.querySelector('#swap .form-group:nth-child(4) select');
+        const toSelect = document.querySelector('#swap .form-group:nth-child(7) select');
+        const amountInput = document.querySelector('#swap .form-group:nth-child(5) input');
+
+        const fromToken = fromSelect.value.trim();
+        const toToken = toSelect.value.trim();
+        let inputAmount = amountInput.value;
+
+        console.log("Swap request:", fromToken, "→", toToken, "Amount:", inputAmount);
+
+        if (inputAmount <= 0) {
+            console.log("No value returning");
+            return;
+        }
+
+        const fromDecimals = getTokenDecimals(fromToken);
+        const decimalPlaces = (inputAmount.split('.')[1] || '').length;
+        if (decimalPlaces > fromDecimals) {
+            const parts = inputAmount.split('.');
+            inputAmount = parts[0] + '.' + parts[1].substring(0, fromDecimals);
+            amountInput.value = inputAmount;
+            console.log(`Truncated ${fromToken} to ${fromDecimals} decimals: ${inputAmount}`);
+        }
+        const amountToSwap = ethers.utils.parseUnits(inputAmount, fromDecimals);
+
+        if (amountToSwap.eq(0)) {
+            console.log("Amount is zero");
+            enableButton('executeSwapBtn', 'Execute Swap');
+            return;
+        }
+
+        const allRoutes = getAllPossibleRoutes(fromToken, toToken);
+
+        if (!allRoutes || allRoutes.length === 0) {
+            throw new Error(`No routes available for ${fromToken} → ${toToken}`);
+        }
+
+        const bestEstimate = await estimateBestRoute(allRoutes, amountToSwap, fromToken, toToken);
+        await stampQuote(bestEstimate);
+
+        window.lastEstimateType = bestEstimate.type;
+        if (bestEstimate.type === 'multi') {
+            window.lastMultiRouteResult = bestEstimate;
+        } else {
+            window.lastSingleRoute = bestEstimate.route;
+        }
+
+        window.lastEstimate = bestEstimate;
+        window.lastFromToken = fromToken;
+        window.lastToToken = toToken;
+        window.lastAmountIn = amountToSwap;
+
+        await updateEstimateDisplay(fromToken, toToken, bestEstimate, amountToSwap);
+
+    } catch (error) {
+        console.error("Estimate failed:", error);
+        showErrorDisplay(error.message);
+    } finally {
+        enableButton('executeSwapBtn', 'Execute Swap');
+        updateWidget();
+    }
+}
+
+/**
+ * Gets an exact-input estimate for a pair and amount without reading the swap form
+ * The swap tab's estimate is left untouched; pass the result to executeSwapFromEstimate.
+ * @async
+ * @param {string} fromToken - Source token
+ * @param {string} toToken - Destination token
+ * @param {BigNumber} amountToSwap - Input amount
+ * @returns {Promise<Object>} Estimate with its price impact breakdown
+ */
+export async function prepareSwapEstimate(fromToken, toToken, amountToSwap) {
+    const allRoutes = getAllPossibleRoutes(fromToken, toToken);
+    if (!allRoutes || allRoutes.length === 0) {
+        throw new Error(`No routes available for ${fromToken} → ${toToken}`);
+    }
+
+    const estimate = await estimateBestRoute(allRoutes, amountToSwap, fromToken, toToken);
+    const outputs = estimate.type === 'multi' ? estimate.outputs : [estimate.output];
+    estimate.priceImpact = await getPriceImpactBreakdown(estimate.routes, estimate.amounts, outputs);
+    await stampQuote(estimate);
+
+    return estimate;
+}
+
+/**
+ * Searches for the smallest input that receives at least the target output
+ * Grows the input until a quote reaches the target, then narrows the bracket
+ * with secant steps (Illinois variant). Output is concave in input, so each
+ * secant step lands on or above the target and the search converges from above.
+ * @async
+ * @param {Array} allRoutes - Routes from getAllPossibleRoutes
+ * @param {BigNumber} targetOutput - Desired output amount
+ * @param {string} fromToken - Source token
+ * @param {string} toToken - Destination token
+ * @returns {Promise<{amountIn: BigNumber, estimate: Object}>} Required input and its estimate
+ */
+async function findInputForExactOutput(allRoutes, targetOutput, fromToken, toToken) {
+    let guess = ethers.utils.parseUnits('1', getTokenDecimals(fromToken));
+    let low = ethers.BigNumber.from(0);       // Largest input known to fall short
+    let lowShortfall = targetOutput;          // Target minus output at `low`
+    let best = null;                          // Smallest input known to reach the target
+    let bestSurplus = null;                   // Output minus target at `best`
+    let lastSide = null;
+
+    for (let i = 0; i < EXACT_OUTPUT_MAX_ITERATIONS; i++) {
+        let estimate;
+        try {
+            estimate = await estimateBestRoute(allRoutes, guess, fromToken, toToken);
+        } catch (error) {
+            console.warn(`Exact output search: quote failed for ${guess.toString()}`, error.message);
+            if (best) break;
+            throw new Error(`Not enough liquidity to receive the requested ${toToken} amount`);
+        }
+
+        const output = estimate.totalOutput;
+        console.log(`Exact output search ${i + 1}: ${guess.toString()} in → ${output.toString()} out`);
+
+        if (output.gte(targetOutput)) {
+            best = { amountIn: guess, estimate };
+            bestSurplus = output.sub(targetOutput);
+            if (bestSurplus.mul(10000).lte(targetOutput.mul(EXACT_OUTPUT_TOLERANCE_BPS))) {
+                break;
+            }
+            // Same side twice: halve the other end's weight so the next step moves toward it
+            if (lastSide === 'high') lowShortfall = lowShortfall.div(2);
+            lastSide = 'high';
+        } else {
+            low = guess;
+            lowShortfall = targetOutput.sub(output);
+            if (lastSide === 'low' && bestSurplus) bestSurplus = bestSurplus.div(2);
+            lastSide = 'low';
+        }
+
+        let next;
+        if (!best) {
+            // Rescale by target / output; price impact makes this undershoot, so grow at least 2x
+            next = output.isZero() ?
+                guess.mul(10) :
+                guess.mul(targetOutput).div(output).mul(10000 + EXACT_OUTPUT_OVERSHOOT_BPS).div(10000);
+            if (next.lt(guess.mul(2))) next = guess.mul(2);
+        } else {
+            const span = best.amountIn.sub(low);
+            next = low.add(span.mul(lowShortfall).div(lowShortfall.add(bestSurplus)).add(1));
+            if (next.lte(low) || next.gte(best.amountIn)) {
+                next = low.add(span.div(2));
+            }
+        }
+
+        if (next.eq(guess) || (best && best.amountIn.sub(low).lte(1))) break;
+        guess = next;
+    }
+
+    if (!best) {
+        throw new Error(`Not enough liquidity to receive the requested ${toToken} amount`);
+    }
+
+    return best;
+}
+
+/**
+ * Gets the input needed to receive the desired output for the token pair
+ * Reads the desired amount from the output field and writes the required
+ * input into the amount field
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function getExactOutputEstimate() {
+    if (window.walletConnected) {
+        await switchToBase();
+    }
+
+    disableButtonWithSpinner('executeSwapBtn', 'Getting estimate...');
+
+    try {
+        const fromSelect = document.querySelector('#swap .form-group:nth-child(4) select');
+        const toSelect = document.querySelector('#swap .form-group:nth-child(7) select');
+        const outputInput = document.getElementById('estOutput');
+
+        const fromToken = fromSelect.value.trim();
+        const toToken = toSelect.value.trim();
+        let desiredAmount = outputInput.value;
+
+        console.log("Exact output request:", fromToken, "→", toToken, "Desired:", desiredAmount);
+
+        if (!(parseFloat(desiredAmount) > 0)) {
+            console.log("No desired output, returning");
+            return;
+        }
+
+        const toDecimals = getTokenDecimals(toToken);
+        const decimalPlaces = (desiredAmount.split('.')[1] || '').length;
+        if (decimalPlaces > toDecimals) {
+            const parts = desiredAmount.split('.');
+            desiredAmount = parts[0] + '.' + parts[1].substring(0, toDecimals);
+            outputInput.value = desiredAmount;
+        }
+        const targetOutput = ethers.utils.parseUnits(desiredAmount, toDecimals);
+
+        const allRoutes = getAllPossibleRoutes(fromToken, toToken);
+        if (!allRoutes || allRoutes.length === 0) {
+            throw new Error(`No routes available for ${fromToken} → ${toToken}`);
+        }
+
+        const { amountIn, estimate } = await findInputForExactOutput(allRoutes, targetOutput, fromToken, toToken);
+
+        const exactOutEstimate = {
+            ...estimate,
+            mode: 'exactOut',
+            targetOutput
+        };
+        await stampQuote(exactOutEstimate);
+
+        window.lastEstimateType = exactOutEstimate.type;
+        window.lastEstimate = exactOutEstimate;
+        window.lastFromToken = fromToken;
+        window.lastToToken = toToken;
+        window.lastAmountIn = amountIn;
+
+        await updateEstimateDisplay(fromToken, toToken, exactOutEstimate, amountIn);
+
+    } catch (error) {
+        console.error("Exact output estimate failed:", error);
+        showErrorDisplay(error.message);
+    } finally {
+        enableButton('executeSwapBtn', 'Execute Swap');
+        updateWidget();
+    }
+}
+
+/**
+ * Switches the swap tab between exact-input and exact-output modes
+ * In exact-output mode the output field becomes the input and the amount
+ * field shows the estimated input required
+ * @param {string} mode - 'exactIn' or 'exactOut'
+ */
+export function setSwapMode(mode) {
+    swapMode = mode === 'exactOut' ? 'exactOut' : 'exactIn';
+    window.lastEstimate = null;
+
+    const amountGroup = document.querySelector('#swap .form-group:nth-child(5)');
+    const amountInput = amountGroup?.querySelector('input');
+    const amountLabel = amountGroup?.querySelector('label');
+    const outputInput = document.getElementById('estOutput');
+    const outputLabel = outputInput?.closest('.form-group')?.querySelector('label');
+    const isExactOut = swapMode === 'exactOut';
+
+    if (amountInput) {
+        amountInput.readOnly = isExactOut;
+        amountInput.style.background = isExactOut ? '#f8f9fa' : '';
+    }
+    if (amountLabel) amountLabel.textContent = isExactOut ? 'Amount (estimated input)' : 'Amount';
+    if (outputInput) {
+        outputInput.readOnly = !isExactOut;
+        outputInput.style.background = isExactOut ? '' : '#f8f9fa';
+    }
+    if (outputLabel) outputLabel.textContent = isExactOut ? 'Desired Output' : 'Estimated Output';
+
+    const estimateDisplay = document.getElementById('estimateDisplay');
+    if (estimateDisplay) estimateDisplay.innerHTML = '';
+
+    console.log("Swap mode set to:", swapMode);
+}
+
+// ============================================
+// QUOTE FRESHNESS
+// ============================================
+
+// Base produces a block every 2 seconds; used when the block number can't be read
+const BASE_BLOCK_TIME_MS = 2000;
+
+/**
+ * Gets the current block number from the RPC used for quoting
+ * @async
+ * @returns {Promise<number>} Latest block number
+ */
+async function getQuoteBlockNumber() {
+    const provider = new ethers.providers.JsonRpcProvider(customRPC);
+    return await provider.getBlockNumber();
+}
+
+/**
+ * Stamps an estimate with the block number and time it was quoted at
+ * @async
+ * @param {Object} estimate - Estimate data
+ * @returns {Promise<Object>} The same estimate with quotedAt and quotedAtBlock set
+ */
+async function stampQuote(estimate) {
+    estimate.quotedAt = Date.now();
+    try {
+        estimate.quotedAtBlock = await getQuoteBlockNumber();
+    } catch (error) {
+        console.warn("Could not read block number for quote:", error);
+        estimate.quotedAtBlock = null;
+    }
+    return estimate;
+}
 
-    // Bridge comparison logic
-    const isETHtoB0xVia0xBTC = (fromToken === "ETH" && toToken === "B0x");
+/**
+ * Checks whether an estimate is older than the configured number of blocks
+ * Falls back to the quote's age in time when block numbers are unavailable.
+ * @async
+ * @param {Object} estimate - Estimate stamped by stampQuote
+ * @returns {Promise<boolean>} True if the estimate should be re-quoted
+ */
+async function isQuoteStale(estimate) {
+    const maxAgeBlocks = swapTransactionSettings.maxQuoteAgeBlocks;
+    if (!estimate.quotedAt) return true;
 
-    if (isETHtoB0xVia0xBTC && oxbtcPriceUSD && oxbtcPriceUSD > 0) {
+    if (estimate.quotedAtBlock !== null && estimate.quotedAtBlock !== undefined) {
         try {
-            const ethPrice = wethPriceUSD || 3000;
+            const currentBlock = await getQuoteBlockNumber();
+            console.log(`Quote age: ${currentBlock - estimate.quotedAtBlock} blocks (max ${maxAgeBlocks})`);
+            return currentBlock - estimate.quotedAtBlock > maxAgeBlocks;
+        } catch (error) {
+            console.warn("Could not read block number, using quote time:", error);
+        }
+    }
+    return Date.now() - estimate.quotedAt > maxAgeBlocks * BASE_BLOCK_TIME_MS;
+}
 
-            const OXBTC_ADDRESS = tokenAddresses["0xBTC"];
-            const ETH_ADDRESS = "0x0000000000000000000000000000000000000000";
+/**
+ * Re-quotes an estimate if it is stale
+ * If the fresh quote is worse than the old one by more than the configured
+ * threshold (less output, or more input for exact-output swaps) the user is
+ * asked to confirm again before the wallet opens, and the high price impact
+ * check is repeated for the new quote. The swap tab's estimate is replaced only
+ * when it is the one being refreshed.
+ * @async
+ * @param {string} fromToken - Source token
+ * @param {string} toToken - Destination token
+ * @param {Object} estimate - Estimate to execute
+ * @param {BigNumber} amountIn - Input amount of the estimate
+ * @returns {Promise<{estimate: Object, amountIn: BigNumber}|null>} Quote to execute, or null if the user declined the new quote
+ */
+async function refreshStaleQuote(fromToken, toToken, estimate, amountIn) {
+    if (!(await isQuoteStale(estimate))) {
+        return { estimate, amountIn };
+    }
 
-            const intermediate0xBTCAmount = await retryWithBackoff(() =>
-                getSingleHopEstimate(ETH_ADDRESS, OXBTC_ADDRESS, amountIn)
-            );
-            const oxbtcReceived = parseFloat(ethers.utils.formatUnits(intermediate0xBTCAmount, 8));
-
-            console.log("ETH input:", amountIn.toString());
-            console.log("Intermediate 0xBTC amount:", oxbtcReceived);
-            console.log("Final B0x output:", formattedOutput);
-
-            const ethSpent = parseFloat(formattedInput);
-            const totalETHSpentUSD = ethSpent * ethPrice;
-            const swapPrice = totalETHSpentUSD / oxbtcReceived;
-            const mainnetPrice = oxbtcPriceUSD;
-
-            console.log("Mainnet 0xBTC Price:", mainnetPrice);
-            console.log("Swap Effective Price:", swapPrice);
-
-            const BRIDGE_BASE_FEE_USD = 0;
-            const BRIDGE_GAS_COST_USD = 3;
-            const totalBridgeCost = BRIDGE_BASE_FEE_USD + BRIDGE_GAS_COST_USD;
-
-            const swapCost = totalETHSpentUSD;
-            const bridgeCost = (oxbtcReceived * mainnetPrice) + totalBridgeCost;
-            const potentialSavings = swapCost - bridgeCost;
-
-            const priceDifference = ((swapPrice - mainnetPrice) / mainnetPrice * 100).toFixed(2);
-
-            if (swapPrice > 0) {
-                let comparisonHTML = `
-                    <div class="price-comparison" style="margin-top: 15px; padding: 10px; border: 1px solid #ddd; border-radius: 5px;">
-                        <h4 style="margin-top: 0;">Price Comparison</h4>
-                        <p><strong>Your Swap Price:</strong> $${swapPrice.toFixed(4)} per 0xBTC</p>
-                        <p><strong>Mainnet Price:</strong> $${mainnetPrice.toFixed(4)} per 0xBTC</p>
-                        <p><strong>Difference:</strong> <span style="color: ${priceDifference > 0 ? '#dc3545' : '#28a745'};">${priceDifference > 0 ? '+' : ''}${priceDifference}%</span></p>
-                `;
-
-                if (swapPrice > mainnetPrice * 1.05) {
-                    comparisonHTML += `
-                        <div style="margin-top: 10px; padding: 10px; border-radius: 5px; border-left: 4px solid #ffc107;">
-                            <strong style="color: white;">Consider Bridging Instead!</strong>
-                            <p style="margin: 5px 0; color: white;">You're paying <strong>${priceDifference}%</strong> more than mainnet price.</p>
-                            <p style="margin: 5px 0; color: white;"><strong>Cost Breakdown:</strong></p>
-                            <ul style="margin: 5px 0; padding-left: 20px; color: white;">
-                                <li>Swap cost: $${swapCost.toFixed(2)}</li>
-                                <li>Bridge cost: $${bridgeCost.toFixed(2)} (includes ~$${totalBridgeCost} in fees)</li>
-                            </ul>
-                            <p style="margin: 5px 0; color: white;"><strong>Potential savings: ~$${potentialSavings.toFixed(2)}</strong></p>
-                            <div style="margin-top: 10px; display: flex; gap: 10px; flex-wrap: wrap;">
-                                <a href="https://swap.defillama.com/?chain=ethereum&from=0x0000000000000000000000000000000000000000&tab=swap&to=0xb6ed7644c69416d67b522e20bc294a9a9b405b31"
-                                   target="_blank"
-                                   rel="noopener noreferrer"
-                                   style="display: inline-block; padding: 8px 16px; background-color: #2196F3; color: white; text-decoration: none; border-radius: 4px; font-weight: bold;">
-                                    Swap 0xBTC on Mainnet
-                                </a>
-                                <a href="https://superbridge.app/?fromChainId=1&toChainId=8453&tokenAddress=0xb6ed7644c69416d67b522e20bc294a9a9b405b31"
-                                   target="_blank"
-                                   rel="noopener noreferrer"
-                                   style="display: inline-block; padding: 8px 16px; background-color: #0052FF; color: white; text-decoration: none; border-radius: 4px; font-weight: bold;">
-                                    Bridge 0xBTC to Base
-                                </a>
-                            </div><br>Then simply swap your newly Bridged 0xBitcoin to B0x to get the savings!
-                        </div>
-                    `;
-                } else if (swapPrice < mainnetPrice * 0.95) {
-                    comparisonHTML += `
-                        <div style="margin-top: 10px; padding: 10px; border-radius: 5px; border-left: 4px solid #17a2b8;">
-                            <strong style="color: white;">Great Deal!</strong>
-                            <p style="margin: 5px 0; color: white;">You're getting a <strong>${Math.abs(parseFloat(priceDifference))}%</strong> discount compared to mainnet!</p>
-                        </div>
-                    `;
-                } else {
-                    comparisonHTML += `
-                        <div style="margin-top: 10px; padding: 10px; border-radius: 5px; border-left: 4px solid #28a745;">
-                            <strong style="color: white;">Fair Price!</strong>
-                            <p style="margin: 5px 0; color: white;">This swap offers a competitive rate. The price difference is minimal.</p>
-                        </div>
-                    `;
-                }
+    console.log("Quote is stale - re-quoting before signing");
+    const allRoutes = getAllPossibleRoutes(fromToken, toToken);
+    let freshEstimate;
+    let freshAmountIn;
+    let worsening;
+    let changeMessage;
+
+    if (estimate.mode === 'exactOut') {
+        const result = await findInputForExactOutput(allRoutes, estimate.targetOutput, fromToken, toToken);
+        freshEstimate = { ...result.estimate, mode: 'exactOut', targetOutput: estimate.targetOutput };
+        freshAmountIn = result.amountIn;
+
+        const decimals = getTokenDecimals(fromToken);
+        worsening = parseFloat(freshAmountIn.sub(amountIn).mul(1000000).div(amountIn).toString()) / 10000;
+        changeMessage = `Required input rose from ${ethers.utils.formatUnits(amountIn, decimals)} ` +
+            `to ${ethers.utils.formatUnits(freshAmountIn, decimals)} ${fromToken} (+${worsening.toFixed(2)}%).`;
+    } else {
+        freshEstimate = await estimateBestRoute(allRoutes, amountIn, fromToken, toToken);
+        freshAmountIn = amountIn;
+
+        const decimals = getTokenDecimals(toToken);
+        worsening = estimate.output.isZero() ? 0 :
+            parseFloat(estimate.output.sub(freshEstimate.output).mul(1000000).div(estimate.output).toString()) / 10000;
+        changeMessage = `Expected output dropped from ${ethers.utils.formatUnits(estimate.output, decimals)} ` +
+            `to ${ethers.utils.formatUnits(freshEstimate.output, decimals)} ${toToken} (-${worsening.toFixed(2)}%).`;
+    }
 
-                comparisonHTML += `</div>`;
-                estimateDisplay.innerHTML += comparisonHTML;
-            }
-        } catch (error) {
-            console.error("Error comparing with mainnet price:", error);
+    try {
+        const outputs = freshEstimate.type === 'multi' ? freshEstimate.outputs : [freshEstimate.output];
+        freshEstimate.priceImpact = await getPriceImpactBreakdown(freshEstimate.routes, freshEstimate.amounts, outputs);
+    } catch (error) {
+        console.error("Error calculating price impact:", error);
+        freshEstimate.priceImpact = estimate.priceImpact;
+    }
+    if (document.getElementById('slippageToleranceSwap')?.value === 'Auto') {
+        freshEstimate.autoSlippage = await getAutoSlippage(freshEstimate.priceImpact ? freshEstimate.priceImpact.priceImpact : 0);
+    }
+    await stampQuote(freshEstimate);
+
+    if (worsening > swapTransactionSettings.requoteDropThreshold) {
+        const proceed = confirm(
+            `The price moved since your quote.\n\n${changeMessage}\n\nContinue with the new quote?`
+        );
+        if (!proceed) {
+            console.log("Swap cancelled after re-quote");
+            return null;
         }
     }
+
+    // The impact confirmation given for the old quote doesn't cover the new one
+    if (!confirmHighPriceImpact(freshEstimate.priceImpact)) {
+        console.log("Swap cancelled due to high price impact after re-quote");
+        return null;
+    }
+
+    if (estimate === window.lastEstimate) {
+        window.lastEstimateType = freshEstimate.type;
+        window.lastEstimate = freshEstimate;
+        window.lastAmountIn = freshAmountIn;
+    }
+    return { estimate: freshEstimate, amountIn: freshAmountIn };
 }
 
 // ============================================
-// SWAP ESTIMATION
+// UNIVERSAL ROUTER SWAPS
 // ============================================
 
+// Universal Router commands and V4 router actions (Uniswap v4-periphery)
+const UR_COMMAND_PERMIT2_PERMIT = 0x0a;
+const UR_COMMAND_V4_SWAP = 0x10;
+const UR_COMMAND_SWEEP = 0x04;
+const V4_ACTION_SWAP_EXACT_IN = 0x07;
+const V4_ACTION_SWAP_EXACT_OUT = 0x09;
+const V4_ACTION_SETTLE_ALL = 0x0c;
+const V4_ACTION_TAKE_ALL = 0x0f;
+
+// Universal Router recipient placeholder for the transaction sender
+const UR_MSG_SENDER = '0x0000000000000000000000000000000000000001';
+
+const UNIVERSAL_ROUTER_ABI = [
+    "function execute(bytes commands, bytes[] inputs, uint256 deadline) payable"
+];
+
+const PERMIT2_ALLOWANCE_ABI = [
+    "function allowance(address user, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)"
+];
+
+const PERMIT_SINGLE_TYPES = {
+    PermitSingle: [
+        { name: 'details', type: 'PermitDetails' },
+        { name: 'spender', type: 'address' },
+        { name: 'sigDeadline', type: 'uint256' }
+    ],
+    PermitDetails: [
+        { name: 'token', type: 'address' },
+        { name: 'amount', type: 'uint160' },
+        { name: 'expiration', type: 'uint48' },
+        { name: 'nonce', type: 'uint48' }
+    ]
+};
+
 /**
- * Gets swap output estimate for token pair
+ * Decides whether an ERC20 swap input goes through a Permit2 signature
+ * 'auto' uses Permit2 only when the token's Permit2 approval already covers
+ * the amount, so the swap needs no approval transaction at all.
  * @async
- * @returns {Promise<void>}
+ * @param {string} tokenInAddress - Input token address
+ * @param {BigNumber} amountIn - Amount to swap
+ * @returns {Promise<boolean>} True if the swap should use Permit2
  */
-export async function getEstimate() {
-    if (!window.walletConnected) {
-        console.log("Wallet not connected");
-    }else{
+async function shouldUsePermit2(tokenInAddress, amountIn) {
+    const mode = swapTransactionSettings.permit2Mode;
+    if (mode === 'off') return false;
+    if (mode === 'always') return true;
 
-     await switchToBase();
+    try {
+        return await checkAllowance(tokenInAddress, permit2Address, amountIn);
+    } catch (error) {
+        console.warn("Permit2 allowance check failed, using swapper approval:", error);
+        return false;
     }
+}
 
+/**
+ * Signs an exact-amount Permit2 permit for the Universal Router
+ * The permit expires together with the swap deadline.
+ * @async
+ * @param {string} tokenInAddress - Input token address
+ * @param {BigNumber} amountIn - Exact amount the router may pull
+ * @param {number} deadline - Unix timestamp the permit and swap expire at
+ * @param {number} nonce - Current Permit2 nonce for (user, token, router)
+ * @returns {Promise<{permitSingle: Object, signature: string}>} Signed permit
+ */
+async function signSwapPermit(tokenInAddress, amountIn, deadline, nonce) {
+    const permitSingle = {
+        details: {
+            token: tokenInAddress,
+            amount: amountIn,
+            expiration: deadline,
+            nonce
+        },
+        spender: universalRouterAddress,
+        sigDeadline: deadline
+    };
 
-    disableButtonWithSpinner('executeSwapBtn', 'Getting estimate...');
+    const domain = {
+        name: 'Permit2',
+        chainId: 8453,
+        verifyingContract: permit2Address
+    };
 
-    try {
-        const fromSelect = document.querySelector('#swap .form-group:nth-child(4) select');
-        const toSelect = document.querySelector('#swap .form-group:nth-child(7) select');
-        const amountInput = document.querySelector('#swap .form-group:nth-child(5) input');
+    showInfoNotification('Sign Permit', 'Sign an exact-amount permit for this swap in your wallet');
+    const signature = await window.signer._signTypedData(domain, PERMIT_SINGLE_TYPES, permitSingle);
+    return { permitSingle, signature };
+}
 
-        const fromToken = fromSelect.value.trim();
-        const toToken = toSelect.value.trim();
-        let inputAmount = amountInput.value;
+/**
+ * Encodes a route as V4 ExactInputParams
+ * @param {Object} route - Route from pathToRoute (needs path and poolKeys)
+ * @param {BigNumber} amountIn - Amount sent down this route
+ * @returns {string} ABI-encoded params for SWAP_EXACT_IN
+ */
+function encodeExactInputParams(route, amountIn) {
+    const pathKeys = route.poolKeys.map((poolKey, i) => ({
+        intermediateCurrency: tokenAddresses[route.path[i + 1]],
+        fee: poolKey.fee,
+        tickSpacing: poolKey.tickSpacing,
+        hooks: poolKey.hooks,
+        hookData: '0x'
+    }));
 
-        console.log("Swap request:", fromToken, "→", toToken, "Amount:", inputAmount);
+    return ethers.utils.defaultAbiCoder.encode(
+        ['tuple(address currencyIn, tuple(address intermediateCurrency, uint24 fee, int24 tickSpacing, address hooks, bytes hookData)[] path, uint128 amountIn, uint128 amountOutMinimum)'],
+        [{
+            currencyIn: tokenAddresses[route.path[0]],
+            path: pathKeys,
+            amountIn,
+            // Slippage is enforced once across all legs by TAKE_ALL
+            amountOutMinimum: 0
+        }]
+    );
+}
 
-        if (inputAmount <= 0) {
-            console.log("No value returning");
-            return;
-        }
+/**
+ * Encodes a route as V4 ExactOutputParams
+ * The router walks the path backwards from currencyOut, so each path key
+ * names the input side of its hop.
+ * @param {Object} route - Route from pathToRoute (needs path and poolKeys)
+ * @param {BigNumber} amountOut - Exact amount this route must deliver
+ * @param {BigNumber} amountInMaximum - Most this route may spend
+ * @returns {string} ABI-encoded params for SWAP_EXACT_OUT
+ */
+function encodeExactOutputParams(route, amountOut, amountInMaximum) {
+    const pathKeys = route.poolKeys.map((poolKey, i) => ({
+        intermediateCurrency: tokenAddresses[route.path[i]],
+        fee: poolKey.fee,
+        tickSpacing: poolKey.tickSpacing,
+        hooks: poolKey.hooks,
+        hookData: '0x'
+    }));
 
-        let amountToSwap;
-        if (fromToken === "0xBTC") {
-            const decimalPlaces = (inputAmount.split('.')[1] || '').length;
-            if (decimalPlaces > 8) {
-                const parts = inputAmount.split('.');
-                inputAmount = parts[0] + '.' + parts[1].substring(0, 8);
-                amountInput.value = inputAmount;
-                console.log(`Truncated 0xBTC to 8 decimals: ${inputAmount}`);
-            }
-            amountToSwap = ethers.utils.parseUnits(inputAmount, 8);
-        } else {
-            amountToSwap = ethers.utils.parseUnits(inputAmount, 18);
-        }
+    return ethers.utils.defaultAbiCoder.encode(
+        ['tuple(address currencyOut, tuple(address intermediateCurrency, uint24 fee, int24 tickSpacing, address hooks, bytes hookData)[] path, uint128 amountOut, uint128 amountInMaximum)'],
+        [{
+            currencyOut: tokenAddresses[route.path[route.path.length - 1]],
+            path: pathKeys,
+            amountOut,
+            amountInMaximum
+        }]
+    );
+}
 
-        if (amountToSwap.eq(0)) {
-            console.log("Amount is zero");
-            enableButton('executeSwapBtn', 'Execute Swap');
-            return;
+/**
+ * Splits an exact-output target across the legs of an estimate
+ * Each leg gets its quoted share, rounded down, and the last leg takes the remainder.
+ * @param {Array<BigNumber>} legOutputs - Quoted output per leg
+ * @param {BigNumber} targetOutput - Total output to receive
+ * @returns {Array<BigNumber>} Exact output per leg, summing to targetOutput
+ */
+function splitTargetOutput(legOutputs, targetOutput) {
+    const quotedTotal = legOutputs.reduce((sum, amt) => sum.add(amt), ethers.BigNumber.from(0));
+    const split = legOutputs.map(amt => amt.mul(targetOutput).div(quotedTotal));
+    const splitTotal = split.reduce((sum, amt) => sum.add(amt), ethers.BigNumber.from(0));
+    split[split.length - 1] = split[split.length - 1].add(targetOutput.sub(splitTotal));
+    return split;
+}
+
+/**
+ * Builds a Universal Router swap
+ * ERC20 inputs approve Permit2 first when needed, reuse a live Permit2 allowance
+ * for the router, and otherwise sign an exact-amount permit that is submitted in
+ * the same transaction as the swap. ETH inputs are sent as the transaction value.
+ * With legOutputs set, every route is an exact-output swap capped at its amount in
+ * optimizationResult.amounts: the pools take only what the outputs cost, and ETH
+ * left over is swept back to the sender in the same transaction.
+ * @async
+ * @param {string} tokenInAddress - Input token address
+ * @param {string} tokenOutAddress - Output token address
+ * @param {Object} optimizationResult - Routes and per-route amounts (maximum inputs for exact output)
+ * @param {BigNumber} amountIn - Total amount to swap (maximum input for exact output)
+ * @param {BigNumber} minTotalOut - Minimum total output
+ * @param {Array<BigNumber>|null} legOutputs - Exact output per route, or null for exact input
+ * @returns {Promise<Object|null>} Populated transaction, or null if cancelled
+ */
+async function buildRouterSwapTransaction(tokenInAddress, tokenOutAddress, optimizationResult, amountIn, minTotalOut, legOutputs = null) {
+    if (optimizationResult.routes.some(route => !route.poolKeys || !route.path)) {
+        throw new Error("Route is missing pool keys for a Universal Router swap");
+    }
+
+    const isETHInput = tokenInAddress === ethers.constants.AddressZero;
+    const deadline = Math.floor(Date.now() / 1000) + Math.round(swapTransactionSettings.deadlineMinutes * 60);
+    const commands = [];
+    const inputs = [];
+
+    if (!isETHInput) {
+        const approval = await approveIfNeeded(tokenInAddress, permit2Address, amountIn);
+        if (!approval) return null;
+
+        const permit2Contract = new ethers.Contract(permit2Address, PERMIT2_ALLOWANCE_ABI, window.provider);
+        const allowance = await checkAllowance2(permit2Contract, window.userAddress, tokenInAddress, universalRouterAddress);
+
+        if (allowance.isExpired || allowance.amount.lt(amountIn)) {
+            const { permitSingle, signature } = await signSwapPermit(tokenInAddress, amountIn, deadline, allowance.nonce);
+            commands.push(UR_COMMAND_PERMIT2_PERMIT);
+            inputs.push(ethers.utils.defaultAbiCoder.encode(
+                ['tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline)', 'bytes'],
+                [permitSingle, signature]
+            ));
         }
+    }
 
-        const allRoutes = getAllPossibleRoutes(fromToken, toToken);
+    const actions = optimizationResult.routes.map(() => legOutputs ? V4_ACTION_SWAP_EXACT_OUT : V4_ACTION_SWAP_EXACT_IN);
+    const params = optimizationResult.routes.map((route, i) => legOutputs ?
+        encodeExactOutputParams(route, legOutputs[i], optimizationResult.amounts[i]) :
+        encodeExactInputParams(route, optimizationResult.amounts[i])
+    );
 
-        let bestEstimate;
+    // SETTLE_ALL pays what the swaps owe, reverting above amountIn
+    actions.push(V4_ACTION_SETTLE_ALL, V4_ACTION_TAKE_ALL);
+    params.push(
+        ethers.utils.defaultAbiCoder.encode(['address', 'uint256'], [tokenInAddress, amountIn]),
+        ethers.utils.defaultAbiCoder.encode(['address', 'uint256'], [tokenOutAddress, minTotalOut])
+    );
 
-        if (!allRoutes || allRoutes.length === 0) {
-            throw new Error(`No routes available for ${fromToken} → ${toToken}`);
-        }
+    commands.push(UR_COMMAND_V4_SWAP);
+    inputs.push(ethers.utils.defaultAbiCoder.encode(
+        ['bytes', 'bytes[]'],
+        [ethers.utils.hexlify(actions), params]
+    ));
+
+    if (isETHInput && legOutputs) {
+        commands.push(UR_COMMAND_SWEEP);
+        inputs.push(ethers.utils.defaultAbiCoder.encode(
+            ['address', 'address', 'uint160'],
+            [ethers.constants.AddressZero, UR_MSG_SENDER, 0]
+        ));
+    }
 
-        if (allRoutes.length === 1) {
-            console.log("Single route available:", allRoutes[0].name);
-            const estimate = await getSingleRouteEstimate(
-                allRoutes[0],
-                amountToSwap,
-                fromToken,
-                toToken
-            );
+    const routerContract = new ethers.Contract(universalRouterAddress, UNIVERSAL_ROUTER_ABI, window.signer);
+    return await routerContract.populateTransaction.execute(
+        ethers.utils.hexlify(commands),
+        inputs,
+        deadline,
+        { value: isETHInput ? amountIn : 0 }
+    );
+}
 
-            bestEstimate = {
-                type: 'single',
-                output: estimate.output,
-                totalOutput: estimate.output,
-                route: allRoutes[0],
-                routes: [allRoutes[0]],
-                amounts: [amountToSwap],
-                splits: [100]
-            };
+// ============================================
+// TRANSACTION SUBMISSION
+// ============================================
 
-            window.lastEstimateType = 'single';
-            window.lastSingleRoute = allRoutes[0];
-        } else {
-            console.log(`${allRoutes.length} routes available - optimizing with COMBINED MULTICALL...`);
-
-            // Use combined multicall to get all estimates at once
-            const { singleRouteEstimates, multiRouteResult } = await getCombinedRouteEstimates(
-                allRoutes,
-                amountToSwap,
-                fromToken,
-                toToken
-            );
+/**
+ * Sends a populated swap transaction, through the private RPC when one is set
+ * The wallet is asked to sign without broadcasting (eth_signTransaction) so the
+ * raw transaction goes only to the private endpoint. If the wallet can't do
+ * that, the user chooses whether to broadcast through the wallet instead.
+ * @async
+ * @param {Object} populatedTx - Transaction from contract.populateTransaction
+ * @returns {Promise<TransactionResponse>} Sent transaction
+ */
+async function sendSwapTransaction(populatedTx) {
+    const privateRPC = swapTransactionSettings.privateRPC;
+    if (!privateRPC) {
+        return await window.signer.sendTransaction(populatedTx);
+    }
 
-            let bestSingleRoute = null;
-            let bestSingleOutput = ethers.BigNumber.from(0);
-            for (let i = 0; i < allRoutes.length; i++) {
-                if (singleRouteEstimates[i] && singleRouteEstimates[i].output.gt(bestSingleOutput)) {
-                    bestSingleOutput = singleRouteEstimates[i].output;
-                    bestSingleRoute = allRoutes[i];
-                }
-            }
+    try {
+        const tx = await window.signer.populateTransaction(populatedTx);
+        const rpcTx = ethers.providers.JsonRpcProvider.hexlifyTransaction(tx, { from: true });
+        const signedTx = await window.provider.send('eth_signTransaction', [rpcTx]);
 
-            console.log("Best single route:", bestSingleRoute?.name);
-            console.log("Best single output:", bestSingleOutput.toString());
-            if (multiRouteResult) {
-                console.log("Multi-route result output:", multiRouteResult.totalOutput.toString());
-            }
+        console.log("Submitting swap through private RPC:", privateRPC);
+        const privateProvider = new ethers.providers.JsonRpcProvider(privateRPC);
+        return await privateProvider.sendTransaction(signedTx);
+    } catch (error) {
+        if (error.code === 4001 || error.code === 'ACTION_REJECTED') throw error;
 
-            if (multiRouteResult && multiRouteResult.totalOutput.gt(bestSingleOutput)) {
-                const improvement = multiRouteResult.totalOutput.sub(bestSingleOutput)
-                    .mul(10000).div(bestSingleOutput).toNumber() / 100;
-
-                if (improvement >= 0.1) {
-                    console.log(`Multi-route is ${improvement.toFixed(2)}% better`);
-                    bestEstimate = {
-                        type: 'multi',
-                        output: multiRouteResult.totalOutput,
-                        totalOutput: multiRouteResult.totalOutput,
-                        routes: multiRouteResult.routes,
-                        splits: multiRouteResult.splits,
-                        amounts: multiRouteResult.amounts,
-                        outputs: multiRouteResult.outputs,
-                        improvement: improvement
-                    };
-                    window.lastEstimateType = 'multi';
-                    window.lastMultiRouteResult = multiRouteResult;
-                } else {
-                    console.log(`Single route is better (improvement only ${improvement.toFixed(2)}%)`);
-                    bestEstimate = {
-                        type: 'single',
-                        output: bestSingleOutput,
-                        totalOutput: bestSingleOutput,
-                        route: bestSingleRoute,
-                        routes: [bestSingleRoute],
-                        amounts: [amountToSwap],
-                        splits: [100]
-                    };
-                    window.lastEstimateType = 'single';
-                    window.lastSingleRoute = bestSingleRoute;
-                }
-            } else {
-                console.log("Using single route (multi-route failed or worse)");
-                bestEstimate = {
-                    type: 'single',
-                    output: bestSingleOutput,
-                    totalOutput: bestSingleOutput,
-                    route: bestSingleRoute,
-                    routes: [bestSingleRoute],
-                    amounts: [amountToSwap],
-                    splits: [100]
-                };
-                window.lastEstimateType = 'single';
-                window.lastSingleRoute = bestSingleRoute;
-            }
+        console.warn("Private RPC submission failed:", error);
+        const useWallet = confirm(
+            "This swap could not be sent through your private RPC (your wallet may not support signing without broadcasting).\n\n" +
+            "Send it through your wallet's RPC instead?"
+        );
+        if (!useWallet) {
+            throw new Error("Swap cancelled: private RPC submission unavailable");
         }
+        return await window.signer.sendTransaction(populatedTx);
+    }
+}
 
-        window.lastEstimate = bestEstimate;
-        window.lastFromToken = fromToken;
-        window.lastToToken = toToken;
-        window.lastAmountIn = amountToSwap;
-
-        await updateEstimateDisplay(fromToken, toToken, bestEstimate, amountToSwap);
+/**
+ * Waits for a swap to confirm within the configured deadline
+ * Universal Router swaps carry the deadline on-chain and revert if mined after it.
+ * The swapper contract takes no deadline, so for its swaps the deadline is only a
+ * client-side timeout: a swap still pending then can execute at any later time.
+ * Either way, a swap still pending at the deadline can be cancelled by replacing
+ * its nonce with a zero-value transfer to self at a higher fee.
+ * @async
+ * @param {TransactionResponse} tx - Sent swap transaction
+ * @param {boolean} deadlineOnChain - True if the swap itself enforces the deadline
+ * @returns {Promise<TransactionReceipt|null>} Swap receipt, or null if it was cancelled
+ */
+async function waitForSwapWithDeadline(tx, deadlineOnChain = false) {
+    const deadlineMinutes = swapTransactionSettings.deadlineMinutes;
+    let receipt = null;
 
+    try {
+        receipt = await window.provider.waitForTransaction(tx.hash, 1, deadlineMinutes * 60 * 1000);
     } catch (error) {
-        console.error("Estimate failed:", error);
-        showErrorDisplay(error.message);
-    } finally {
-        enableButton('executeSwapBtn', 'Execute Swap');
-        updateWidget();
+        if (error.code !== 'TIMEOUT') throw error;
+    }
+
+    if (!receipt) {
+        showWarningNotification('Swap Deadline Passed', `Not confirmed within ${deadlineMinutes} minutes`);
+
+        const risk = deadlineOnChain ?
+            "It will revert if it is mined now, but still costs gas." :
+            "This swap has no on-chain deadline and could still execute at a worse price.";
+        const cancel = confirm(
+            `Your swap has not confirmed within ${deadlineMinutes} minutes. ${risk}\n\n` +
+            "Cancel it? Your wallet will ask you to sign a replacement transaction."
+        );
+        if (!cancel) return await tx.wait();
+
+        const bumpFee = (fee) => fee.mul(130).div(100);
+        const feeFields = tx.maxFeePerGas ?
+            { maxFeePerGas: bumpFee(tx.maxFeePerGas), maxPriorityFeePerGas: bumpFee(tx.maxPriorityFeePerGas) } :
+            { gasPrice: bumpFee(tx.gasPrice) };
+
+        const cancelTx = await window.signer.sendTransaction({
+            to: window.userAddress,
+            value: 0,
+            nonce: tx.nonce,
+            ...feeFields
+        });
+        showInfoNotification('Cancelling swap...', 'Waiting for the replacement to confirm');
+
+        try {
+            await cancelTx.wait();
+            showSuccessNotification('Swap Cancelled', 'The pending swap was replaced', cancelTx.hash);
+            return null;
+        } catch (error) {
+            // The swap was mined before the replacement
+            receipt = await window.provider.getTransactionReceipt(tx.hash);
+            if (!receipt) throw error;
+        }
+    }
+
+    if (receipt.status === 0) {
+        throw new Error(`Swap transaction reverted: ${tx.hash}`);
     }
+    return receipt;
 }
 
 // ============================================
 // SWAP EXECUTION
 // ============================================
 
+/**
+ * Parses an amount field of the swap form
+ * @param {string} value - Field value
+ * @param {number} decimals - Token decimals
+ * @returns {BigNumber|null} Amount, or null if the field is empty or not a valid amount
+ */
+function parseAmountField(value, decimals) {
+    try {
+        return ethers.utils.parseUnits(value, decimals);
+    } catch (error) {
+        return null;
+    }
+}
+
 /**
  * Executes a token swap
  * @async
@@ -1555,18 +2984,22 @@ export async function getSwapOfTwoTokens() {
     const toToken = toSelect.value.trim();
     const amount = amountInput.value;
 
-    const selectSlippage = document.getElementById('slippageToleranceSwap');
-    const decimalValueSlippage = parseFloat(selectSlippage.value.replace('%', '')) / 100;
+    // Validate estimate against the field the current mode treats as input;
+    // an empty or malformed field never matches and is re-quoted
+    const estimateMatchesForm = swapMode === 'exactOut' ?
+        window.lastEstimate?.mode === 'exactOut' &&
+            window.lastEstimate.targetOutput.toString() === parseAmountField(document.getElementById('estOutput').value, getTokenDecimals(toToken))?.toString() :
+        window.lastEstimate?.mode !== 'exactOut' &&
+            window.lastAmountIn?.toString() === parseAmountField(amount, getTokenDecimals(fromToken))?.toString();
 
-    // Validate estimate
     if (!window.lastEstimate ||
         window.lastFromToken !== fromToken ||
         window.lastToToken !== toToken ||
-        window.lastAmountIn?.toString() !== (fromToken === "0xBTC" ?
-            ethers.utils.parseUnits(amount, 8) :
-            ethers.utils.parseUnits(amount, 18)).toString()) {
+        !estimateMatchesForm) {
 
         console.warn("No valid estimate found - getting fresh estimate");
+        // Never fall back to the old quote if the form can't be quoted
+        window.lastEstimate = null;
         await getEstimate();
 
         if (!window.lastEstimate) {
@@ -1575,7 +3008,13 @@ export async function getSwapOfTwoTokens() {
         }
     }
 
-    await executeSwapFromEstimate(fromToken, toToken, decimalValueSlippage);
+    if (!confirmHighPriceImpact(window.lastEstimate.priceImpact)) {
+        console.log("Swap cancelled due to high price impact");
+        return;
+    }
+
+    // Slippage is read after any re-quote, from the quote that is actually signed
+    await executeSwapFromEstimate(fromToken, toToken, null);
 }
 
 /**
@@ -1583,12 +3022,18 @@ export async function getSwapOfTwoTokens() {
  * @async
  * @param {string} fromToken - Source token
  * @param {string} toToken - Destination token
- * @param {string} decimalValueSlippage - Slippage tolerance
- * @returns {Promise<void>}
+ * @param {number|null} decimalValueSlippage - Slippage tolerance, or null for the swap tab's setting applied to the executed quote
+ * @param {Object} quotedEstimate - Estimate to execute (defaults to the swap tab's)
+ * @param {BigNumber} quotedAmountIn - Input amount of the estimate
+ * @returns {Promise<TransactionReceipt|null>} Swap receipt, or null if the swap was cancelled
  */
-export async function executeSwapFromEstimate(fromToken, toToken, decimalValueSlippage) {
-    const estimate = window.lastEstimate;
-    const amountToSwap = window.lastAmountIn;
+export async function executeSwapFromEstimate(fromToken, toToken, decimalValueSlippage,
+    quotedEstimate = window.lastEstimate, quotedAmountIn = window.lastAmountIn) {
+    const quote = await refreshStaleQuote(fromToken, toToken, quotedEstimate, quotedAmountIn);
+    if (!quote) return null;
+    const estimate = quote.estimate;
+    let amountToSwap = quote.amountIn;
+    if (decimalValueSlippage === null) decimalValueSlippage = getSelectedSlippage(estimate);
 
     const swapperABI = [
         {
@@ -1654,6 +3099,7 @@ export async function executeSwapFromEstimate(fromToken, toToken, decimalValueSl
             routes: [estimate.route],
             splits: [100],
             amounts: [amountToSwap],
+            outputs: [estimate.output],
             totalOutput: estimate.output
         };
     } else if (estimate.type === 'multi') {
@@ -1666,63 +3112,102 @@ export async function executeSwapFromEstimate(fromToken, toToken, decimalValueSl
         };
     }
 
-    const minTotalOut = optimizationResult.totalOutput
+    let minTotalOut = optimizationResult.totalOutput
         .mul(Math.floor((1 - decimalValueSlippage) * 10000))
         .div(10000);
 
+    let legOutputs = null;
+    if (estimate.mode === 'exactOut') {
+        // Each leg receives its share of the target exactly and spends at most its padded input
+        legOutputs = splitTargetOutput(optimizationResult.outputs, estimate.targetOutput);
+        optimizationResult.amounts = optimizationResult.amounts.map(amt => getMaxAmountIn(amt, decimalValueSlippage));
+        amountToSwap = getMaxAmountIn(amountToSwap, decimalValueSlippage);
+        minTotalOut = estimate.targetOutput;
+    }
+
     const tokenInAddress = tokenAddresses[fromToken];
     const ETH_ADDRESS = "0x0000000000000000000000000000000000000000";
 
-    if (tokenInAddress !== ETH_ADDRESS) {
-        await approveIfNeeded(tokenInAddress, contractAddress_Swapper, amountToSwap);
-    }
+    let populatedTx;
+    let usesRouter = false;
+
+    // The swapper contract only swaps exact inputs, so exact output always uses the Universal Router
+    if (legOutputs || (tokenInAddress !== ETH_ADDRESS && await shouldUsePermit2(tokenInAddress, amountToSwap))) {
+        usesRouter = true;
+        populatedTx = await buildRouterSwapTransaction(
+            tokenInAddress,
+            tokenAddresses[toToken],
+            optimizationResult,
+            amountToSwap,
+            minTotalOut,
+            legOutputs
+        );
+        if (!populatedTx) return null;
+    } else {
+        if (tokenInAddress !== ETH_ADDRESS && !(await approveIfNeeded(tokenInAddress, contractAddress_Swapper, amountToSwap))) {
+            console.log("Swap cancelled: token approval failed");
+            return null;
+        }
 
-    const formattedRoutes = optimizationResult.routes.map(route => {
-        const pool1TokenA = route.pool1TokenA || route.tokenA;
-        const pool1TokenB = route.pool1TokenB || route.tokenB;
-        const pool2TokenA = route.pool2TokenA || route.tokenC || ethers.constants.AddressZero;
-        const pool2TokenB = route.pool2TokenB || route.tokenD || ethers.constants.AddressZero;
+        const formattedRoutes = optimizationResult.routes.map(route => {
+            const pool1TokenA = route.pool1TokenA || route.tokenA;
+            const pool1TokenB = route.pool1TokenB || route.tokenB;
+            const pool2TokenA = route.pool2TokenA || route.tokenC || ethers.constants.AddressZero;
+            const pool2TokenB = route.pool2TokenB || route.tokenD || ethers.constants.AddressZero;
 
-        const isActuallySingleHop = pool2TokenA === ethers.constants.AddressZero &&
-                                    pool2TokenB === ethers.constants.AddressZero;
+            const isActuallySingleHop = pool2TokenA === ethers.constants.AddressZero &&
+                                        pool2TokenB === ethers.constants.AddressZero;
 
-        return {
-            isSingleHop: isActuallySingleHop,
-            pool1TokenA,
-            pool1TokenB,
-            pool2TokenA,
-            pool2TokenB,
-            hookAddress: route.hookAddress,
-            hook2Address: route.hookAddress2 || route.hook2Address || ethers.constants.AddressZero
-        };
-    });
+            return {
+                isSingleHop: isActuallySingleHop,
+                pool1TokenA,
+                pool1TokenB,
+                pool2TokenA,
+                pool2TokenB,
+                hookAddress: route.hookAddress,
+                hook2Address: route.hookAddress2 || route.hook2Address || ethers.constants.AddressZero
+            };
+        });
 
-    console.log("TIS IS IT:  formattedRoutes: ", formattedRoutes);
-    console.log("TIS IS IT:  tokenInAddress: ", tokenInAddress);
-    console.log("TIS IS IT:  tokenAddresses[toToken]: ", tokenAddresses[toToken]);
-    console.log("TIS IS IT:  minTotalOut: ", minTotalOut);
-    console.log("TIS IS IT:  userAddress: ", window.userAddress);
-
-    const tx = await swapperContract.executeMultiRouteSwap(
-        formattedRoutes,
-        optimizationResult.amounts.map(amt => amt.toString()),
-        tokenInAddress,
-        tokenAddresses[toToken],
-        minTotalOut,
-        window.userAddress,
-        {
-            value: tokenInAddress === ETH_ADDRESS ? amountToSwap : 0,
-            gasLimit: 1000000
-        }
-    );
+        console.log("TIS IS IT:  formattedRoutes: ", formattedRoutes);
+        console.log("TIS IS IT:  tokenInAddress: ", tokenInAddress);
+        console.log("TIS IS IT:  tokenAddresses[toToken]: ", tokenAddresses[toToken]);
+        console.log("TIS IS IT:  minTotalOut: ", minTotalOut);
+        console.log("TIS IS IT:  userAddress: ", window.userAddress);
+
+        populatedTx = await swapperContract.populateTransaction.executeMultiRouteSwap(
+            formattedRoutes,
+            optimizationResult.amounts.map(amt => amt.toString()),
+            tokenInAddress,
+            tokenAddresses[toToken],
+            minTotalOut,
+            window.userAddress,
+            {
+                value: tokenInAddress === ETH_ADDRESS ? amountToSwap : 0,
+                gasLimit: 1000000
+            }
+        );
+    }
+    const valueUSD = await getValueUSD({
+        [fromToken]: ethers.utils.formatUnits(amountToSwap, getTokenDecimals(fromToken))
+    });
+    if (!(await preflightTransaction(populatedTx, { label: `Swap ${fromToken} → ${toToken}`, valueUSD }))) {
+        console.log("Swap cancelled at gas pre-flight");
+        return null;
+    }
+    const tx = await sendSwapTransaction(populatedTx);
 
     showInfoNotification();
-    await tx.wait();
+    const receipt = await waitForSwapWithDeadline(tx, usesRouter);
+    if (!receipt) return null;
     showSuccessNotification('Swap Complete!', 'Transaction complete!', tx.hash);
 
     await new Promise(resolve => setTimeout(resolve, 3000));
     await throttledGetSqrtRtAndPriceRatio("SwapFunction");
+    clearPoolStateCache();
     fetchBalances();
+    refreshSwapHistoryAfterSwap().catch(error => console.error("Error refreshing swap history:", error));
+    return receipt;
 }
 
 /**
@@ -1737,10 +3222,7 @@ export async function executeSwapFromEstimate(fromToken, toToken, decimalValueSl
 export async function executeOptimizedMultiRouteSwap(fromToken, toToken, amountStr, decimalValueSlippage) {
     console.log(`Swap request: ${fromToken} → ${toToken} Amount: ${amountStr}`);
 
-    let amountToSwap = ethers.utils.parseUnits(amountStr, 18);
-    if (fromToken === "0xBTC") {
-        amountToSwap = ethers.utils.parseUnits(amountStr, 8);
-    }
+    const amountToSwap = ethers.utils.parseUnits(amountStr, getTokenDecimals(fromToken));
 
     const routes = await findAllRoutes(fromToken, toToken);
     console.log(`${routes.length} routes available - optimizing...`);
@@ -1776,6 +3258,7 @@ export async function executeOptimizedMultiRouteSwap(fromToken, toToken, amountS
             amounts: [amountToSwap],
             totalOutput: await getSingleRouteOutput(routes[0], amountToSwap, contractInterface, fromToken, toToken)
         };
+        optimizationResult.outputs = [optimizationResult.totalOutput];
     } else if (routes.length === 2) {
         console.log("ROUTES TEST: ", routes);
         optimizationResult = await optimizeTwoRoutes(
@@ -1826,23 +3309,39 @@ export async function executeOptimizedMultiRouteSwap(fromToken, toToken, amountS
 
     document.getElementById("estOutput").value = minTotalOut;
 
-    let readableAmountIn = ethers.utils.formatEther(amountToSwap);
-    let readableAmountOut = ethers.utils.formatEther(optimizationResult.totalOutput);
+    const readableAmountIn = ethers.utils.formatUnits(amountToSwap, getTokenDecimals(fromToken));
+    const readableAmountOut = ethers.utils.formatUnits(optimizationResult.totalOutput, getTokenDecimals(toToken));
+
+    let impactBreakdown = null;
+    try {
+        impactBreakdown = await getPriceImpactBreakdown(
+            optimizationResult.routes,
+            optimizationResult.amounts,
+            optimizationResult.outputs
+        );
+    } catch (error) {
+        console.error("Error calculating price impact:", error);
+    }
 
-    if (fromToken === "0xBTC") readableAmountIn = ethers.utils.formatUnits(amountToSwap, 8);
-    if (toToken === "0xBTC") readableAmountOut = ethers.utils.formatUnits(optimizationResult.totalOutput, 8);
+    const routeInfo = optimizationResult.splits.map((split, i) => {
+        const legImpact = impactBreakdown ? ` (impact ${impactBreakdown.legs[i].priceImpact.toFixed(2)}%)` : '';
+        return `Route ${i + 1}: ${split.toFixed(2)}%${legImpact}`;
+    }).join(", ");
+    const impactInfo = impactBreakdown ? `\nPrice impact: ${impactBreakdown.priceImpact.toFixed(2)}%` : '';
 
-    const routeInfo = optimizationResult.splits.map((split, i) =>
-        `Route ${i + 1}: ${split.toFixed(2)}%`
-    ).join(", ");
+    alert(`Multi-route swap: ${readableAmountIn} ${fromToken} → ${readableAmountOut} ${toToken}\n${routeInfo}${impactInfo}`);
 
-    alert(`Multi-route swap: ${readableAmountIn} ${fromToken} → ${readableAmountOut} ${toToken}\n${routeInfo}`);
+    if (!confirmHighPriceImpact(impactBreakdown)) {
+        console.log("Swap cancelled due to high price impact");
+        return;
+    }
 
     const tokenInAddress = tokenAddresses[fromToken];
     const ETH_ADDRESS = "0x0000000000000000000000000000000000000000";
 
-    if (tokenInAddress !== ETH_ADDRESS) {
-        await approveIfNeeded(tokenInAddress, contractAddress_Swapper, amountToSwap);
+    if (tokenInAddress !== ETH_ADDRESS && !(await approveIfNeeded(tokenInAddress, contractAddress_Swapper, amountToSwap))) {
+        console.log("Swap cancelled: token approval failed");
+        return;
     }
 
     try {
@@ -1864,7 +3363,7 @@ export async function executeOptimizedMultiRouteSwap(fromToken, toToken, amountS
         console.log("12121212userAddress: ", window.userAddress);
         console.log("12121212Value amountToSwap: ", amountToSwap.toString());
 
-        const tx = await swapperContract.executeMultiRouteSwap(
+        const populatedTx = await swapperContract.populateTransaction.executeMultiRouteSwap(
             formattedRoutes,
             optimizationResult.amounts.map(amt => amt.toString()),
             tokenInAddress,
@@ -1876,16 +3375,25 @@ export async function executeOptimizedMultiRouteSwap(fromToken, toToken, amountS
                 gasLimit: 1000000
             }
         );
+        const valueUSD = await getValueUSD({ [fromToken]: readableAmountIn });
+        if (!(await preflightTransaction(populatedTx, { label: `Swap ${fromToken} → ${toToken}`, valueUSD }))) {
+            console.log("Swap cancelled at gas pre-flight");
+            return;
+        }
+        const tx = await sendSwapTransaction(populatedTx);
 
         showInfoNotification();
         console.log("Multi-route swap transaction sent:", tx.hash);
-        await tx.wait();
+        const receipt = await waitForSwapWithDeadline(tx);
+        if (!receipt) return;
         console.log("Transaction confirmed!");
         showSuccessNotification('Multi-Route Swap Complete!', 'Transaction complete!', tx.hash);
 
         await new Promise(resolve => setTimeout(resolve, 3000));
         await throttledGetSqrtRtAndPriceRatio("SwapFunction");
+        clearPoolStateCache();
         fetchBalances();
+        refreshSwapHistoryAfterSwap().catch(error => console.error("Error refreshing swap history:", error));
 
     } catch (error) {
         console.error("Multi-route swap error:", error);
@@ -1904,6 +3412,8 @@ let debounceTimerSwap;
  * Triggers getEstimate after 1 second of no input
  */
 function handleAmountChange() {
+    if (swapMode === 'exactOut') return;
+
     const amount = parseFloat(this.value) || 0;
     console.log("Amount changed:", amount);
 
@@ -1919,13 +3429,34 @@ function handleAmountChange() {
     }
 }
 
+/**
+ * Handle desired output changes in exact-output mode with debouncing
+ * Triggers getEstimate after 1 second of no input
+ */
+function handleDesiredOutputChange() {
+    if (swapMode !== 'exactOut') return;
+
+    const amount = parseFloat(this.value) || 0;
+    console.log("Desired output changed:", amount);
+
+    clearTimeout(debounceTimerSwap);
+
+    if (amount > 0) {
+        debounceTimerSwap = setTimeout(() => {
+            getEstimate();
+        }, 1000);
+    }
+}
+
 /**
  * Handle token select change - refetch estimate when token changes
  * Uses shared debounce timer so if both fromToken and toToken change together,
  * only one getEstimate call is made
  */
 function handleTokenChange() {
-    const amountInput = document.querySelector('#swap .form-group:nth-child(5) input');
+    const amountInput = swapMode === 'exactOut' ?
+        document.getElementById('estOutput') :
+        document.querySelector('#swap .form-group:nth-child(5) input');
     const amount = parseFloat(amountInput?.value) || 0;
     console.log("Token changed, amount:", amount);
 
@@ -1973,6 +3504,12 @@ document.addEventListener('DOMContentLoaded', function() {
     } else {
         console.error('Swaps.js: To token select not found');
     }
+
+    const desiredOutputInput = document.getElementById('estOutput');
+    if (desiredOutputInput) {
+        desiredOutputInput.addEventListener('input', handleDesiredOutputChange);
+        desiredOutputInput.addEventListener('change', handleDesiredOutputChange);
+    }
 });
 
 console.log('Swaps module initialized');
@@ -600,6 +600,9 @@ export async function switchTab(tabName) {
         if (typeof window.updateStakingValuesFromStored === 'function') {
             window.updateStakingValuesFromStored();
         }
+        if (typeof window.loadBatchStakingLists === 'function') {
+            window.loadBatchStakingLists();
+        }
     } else if (tabName === 'stake-increase' || tabName === 'stake-decrease') {
         // Load staking position data when switching to stake increase/decrease tabs
         if (window.walletConnected) {
@@ -633,6 +636,30 @@ export async function switchTab(tabName) {
     } else if (tabName === 'create' || tabName === 'increase' || tabName === 'decrease') {
         // Wait for preloaded positions
 
+        // Refresh limit order fill status on the create tab
+        if (tabName === 'create' && window.walletConnected && typeof window.refreshLimitOrders === 'function') {
+            window.refreshLimitOrders();
+        }
+
+        // Load pool liquidity for the range picker histogram
+        if (tabName === 'create' && typeof window.loadCreateRangePicker === 'function') {
+            window.loadCreateRangePicker();
+        }
+    } else if (tabName === 'position-analytics') {
+        // Rebuild analytics for the wallet's positions
+        if (typeof window.loadPositionAnalytics === 'function') {
+            await window.loadPositionAnalytics();
+        }
+    } else if (tabName === 'position-viewer') {
+        // Fill the transfer select with the wallet's unstaked positions
+        if (typeof window.loadTransferPositions === 'function') {
+            window.loadTransferPositions();
+        }
+    } else if (tabName === 'approvals') {
+        // Read current allowances for the connected wallet
+        if (typeof window.loadApprovals === 'function') {
+            await window.loadApprovals();
+        }
     } else if (tabName === 'side-pools') {
         // Load pool fees data
         if (typeof window.getAllFees === 'function') {
@@ -215,6 +215,24 @@ export function truncateAddress(address) {
     return `${address.slice(0, 6)}...${address.slice(-4)}`;
 }
 
+// ============================================================================
+// HTML FORMATTING FUNCTIONS
+// ============================================================================
+
+/**
+ * Escapes text for use in HTML
+ * @param {*} value - Value to display
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // ============================================================================
 // VALIDATION FUNCTIONS
 // ============================================================================